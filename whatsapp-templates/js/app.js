@@ -5,23 +5,27 @@
 
 // Variables globales
 let plantillaEditandoId = null;
-let ultimaPlantillaEliminada = null; // Para el Logro 2
+let baseEdicion = null; // Campos de la plantilla al empezar a editarla, para detectar conflictos
+let mostrarFuentePreview = false; // Vista previa del formulario en texto sin formato
+const tarjetasConFuente = new Set(); // IDs de tarjetas que muestran el texto sin formato
 
 /**
  * Inicializar aplicación
  */
-document.addEventListener('DOMContentLoaded', function() {
-    // Inicializar persistencia
-    inicializarPersistencia();
+document.addEventListener('DOMContentLoaded', async function() {
+    // Inicializar persistencia (IndexedDB es asíncrono: esperar antes de pintar)
+    await inicializarPersistencia();
     
     // Configurar event listeners
     configurarEventListeners();
     
     // Actualizar interfaz inicial
     actualizarInterfaz();
+    actualizarVistaPrevia();
     
     // Mostrar estado de almacenamiento (Logro 1)
     mostrarEstadoAlmacenamiento();
+    actualizarBotonPapelera();
     
     console.log('🚀 Aplicación WhatsApp Templates iniciada');
 });
@@ -54,8 +58,17 @@ function configurarEventListeners() {
         btnRecuperar.addEventListener('click', recuperarUltimaEliminada);
     }
     
+    // Papelera
+    const btnPapelera = document.getElementById('btn-papelera');
+    if (btnPapelera) {
+        btnPapelera.addEventListener('click', mostrarPapelera);
+    }
+    
+    // Deshacer / rehacer con el teclado
+    document.addEventListener('keydown', manejarAtajosDeshacer);
+    
     // Guardado automático en campos del formulario (HU1 Lab 16)
-    const inputs = ['nombre', 'contenido', 'categoria'];
+    const inputs = ['nombre', 'contenido', 'categoria', 'hashtag', 'tipo-encabezado', 'encabezado', 'pie'];
     inputs.forEach(campo => {
         const input = document.getElementById(campo);
         if (input) {
@@ -63,6 +76,158 @@ function configurarEventListeners() {
             input.addEventListener('blur', manejarCambioAutomatico);
         }
     });
+    
+    // Nombre, categoría y hashtags también tienen reglas (repetidos, formato)
+    ['nombre', 'categoria', 'hashtag'].forEach(campo => {
+        const input = document.getElementById(campo);
+        if (input) {
+            input.addEventListener('input', mostrarResultadosReglas);
+        }
+    });
+    
+    // Campos de valores por defecto según las variables del contenido
+    const contenido = document.getElementById('contenido');
+    if (contenido) {
+        contenido.addEventListener('input', () => {
+            actualizarCamposVariables();
+            actualizarVistaPrevia();
+        });
+    }
+    
+    // Encabezado, pie y botones del mensaje interactivo
+    ['tipo-encabezado', 'encabezado', 'pie'].forEach(campo => {
+        const input = document.getElementById(campo);
+        if (input) {
+            input.addEventListener('input', () => {
+                actualizarCamposVariables();
+                actualizarVistaPrevia();
+            });
+        }
+    });
+    
+    const camposBotones = document.getElementById('botones-plantilla');
+    if (camposBotones) {
+        camposBotones.addEventListener('input', () => {
+            manejarCambioAutomatico();
+            actualizarCamposVariables();
+            actualizarVistaPrevia();
+        });
+        camposBotones.addEventListener('click', event => {
+            const quitar = event.target.closest('[data-quitar-boton]');
+            if (quitar) {
+                quitar.closest('.boton-campo').remove();
+                manejarCambioAutomatico();
+                actualizarCamposVariables();
+                actualizarVistaPrevia();
+            }
+        });
+    }
+    
+    document.querySelectorAll('[data-agregar-boton]').forEach(boton => {
+        boton.addEventListener('click', () => agregarBotonFormulario(boton.dataset.agregarBoton));
+    });
+    
+    const camposVariables = document.getElementById('variables-plantilla');
+    if (camposVariables) {
+        camposVariables.addEventListener('input', manejarCambioAutomatico);
+        camposVariables.addEventListener('input', actualizarVistaPrevia);
+    }
+    
+    // Alternar vista previa formateada / texto fuente
+    const btnVerFuente = document.getElementById('btn-ver-fuente');
+    if (btnVerFuente) {
+        btnVerFuente.addEventListener('click', alternarFuentePreview);
+    }
+    
+    // Selector de almacenamiento
+    const selectorAlmacenamiento = document.getElementById('selector-almacenamiento');
+    if (selectorAlmacenamiento) {
+        selectorAlmacenamiento.addEventListener('change', async event => {
+            await cambiarAlmacenamiento(event.target.value);
+            actualizarIndicadorPersistencia();
+        });
+    }
+    
+    // Importar y exportar la biblioteca
+    configurarImportarExportar();
+    
+    // Búsqueda, filtros y orden
+    configurarBusqueda();
+    
+    // Idiomas de las plantillas y formato de fechas
+    configurarIdiomas();
+    
+    // Fragmentos reutilizables {{> nombre}}
+    configurarFragmentos();
+    
+    // Copias cifradas y cifrado en reposo
+    configurarCifrado();
+    
+    // Servidor de sincronización
+    configurarSincronizacionRemota();
+    
+    // Reglas de validación e informe de salud de la biblioteca
+    configurarReglas();
+    
+    // Categorías gestionadas y hashtags como chips
+    configurarTaxonomia();
+    
+    // Vista de lista, grilla o tabla
+    configurarVistas();
+    
+    // Paleta de comandos (Ctrl+K)
+    configurarPaleta();
+    
+    // Panel lateral de colecciones
+    configurarColecciones();
+    
+    // Llevar el cursor al error de sintaxis del mensaje
+    const errorExpresion = document.getElementById('error-expresion');
+    if (errorExpresion) {
+        errorExpresion.addEventListener('click', event => {
+            const boton = event.target.closest('[data-posicion]');
+            const contenido = document.getElementById('contenido');
+            if (!boton || !contenido) return;
+            const posicion = Number(boton.dataset.posicion);
+            contenido.focus();
+            contenido.setSelectionRange(posicion, posicion);
+        });
+    }
+    
+    // Panel de estadísticas de uso
+    const btnEstadisticas = document.getElementById('btn-estadisticas');
+    if (btnEstadisticas) {
+        btnEstadisticas.addEventListener('click', () => mostrarEstadisticasUso());
+    }
+    
+    // Mensajes en lote desde un CSV de contactos
+    const btnLote = document.getElementById('btn-lote');
+    if (btnLote) {
+        btnLote.addEventListener('click', () => mostrarEnvioLote());
+    }
+    
+    // Cambios hechos en otras pestañas
+    Sincronizacion.suscribir(manejarCambioDeOtraPestana);
+    
+    // Código de país por defecto para los enlaces de WhatsApp
+    const codigoPais = document.getElementById('codigo-pais');
+    if (codigoPais) {
+        codigoPais.value = `+${obtenerCodigoPaisPorDefecto()}`;
+        codigoPais.addEventListener('change', manejarCambioCodigoPais);
+    }
+}
+
+/**
+ * Guardar el código de país por defecto escrito por el usuario
+ */
+function manejarCambioCodigoPais(event) {
+    if (guardarCodigoPaisPorDefecto(event.target.value)) {
+        event.target.value = `+${obtenerCodigoPaisPorDefecto()}`;
+        mostrarMensajePersistencia('📞 Código de país actualizado', 'success');
+    } else {
+        event.target.value = `+${obtenerCodigoPaisPorDefecto()}`;
+        mostrarMensajePersistencia('⚠️ Código de país no válido (1 a 3 dígitos)', 'warning');
+    }
 }
 
 /**
@@ -84,18 +249,16 @@ function manejarCambioAutomatico(event) {
 function guardarEdicionAutomatica() {
     if (!plantillaEditandoId) return;
     
-    const nombre = document.getElementById('nombre').value.trim();
-    const contenido = document.getElementById('contenido').value.trim();
-    const categoria = document.getElementById('categoria').value.trim();
+    const campos = leerCamposFormulario();
     
-    if (nombre && contenido) {
-        const plantillaActualizada = Store.actualizar(plantillaEditandoId, {
-            nombre,
-            contenido,
-            categoria
-        });
+    // Con algún error de las reglas se espera a que el usuario lo corrija
+    const resultados = ReglasValidacion.validar({ ...campos, id: plantillaEditandoId });
+    if (resultados.every(resultado => resultado.nivel !== 'error')) {
+        const plantillaActualizada = Store.actualizar(plantillaEditandoId, campos, { origen: 'autoguardado' });
         
         if (plantillaActualizada) {
+            baseEdicion = copiarCamposRevision(plantillaActualizada);
+            
             // HU2 Lab 16: Sincronización instantánea del Store y UI
             actualizarInterfaz();
             mostrarMensajePersistencia('💾 Guardado automático', 'info');
@@ -109,31 +272,30 @@ function guardarEdicionAutomatica() {
 function manejarEnvioFormulario(event) {
     event.preventDefault();
     
-    const nombre = document.getElementById('nombre').value.trim();
-    const contenido = document.getElementById('contenido').value.trim();
-    const categoria = document.getElementById('categoria').value.trim();
+    const campos = leerCamposFormulario();
     
-    if (!nombre || !contenido) {
-        mostrarMensajePersistencia('⚠️ Nombre y contenido son obligatorios', 'warning');
+    // Los errores de las reglas impiden guardar; los avisos solo se cuentan
+    const resultados = ReglasValidacion.validar({ ...campos, id: plantillaEditandoId });
+    const errores = resultados.filter(resultado => resultado.nivel === 'error');
+    if (errores.length > 0) {
+        mostrarMensajePersistencia(`⛔ ${errores[0].mensaje}`, 'warning');
         return;
     }
+    const avisos = resultados.length > 0 ? ` (${resultados.length} avisos)` : '';
     
     if (plantillaEditandoId) {
         // Actualizar plantilla existente
-        const plantillaActualizada = Store.actualizar(plantillaEditandoId, {
-            nombre,
-            contenido,
-            categoria
-        });
+        const plantillaActualizada = Store.actualizar(plantillaEditandoId, campos, { origen: 'formulario' });
         
         if (plantillaActualizada) {
-            mostrarMensajePersistencia('✅ Plantilla actualizada', 'success');
+            mostrarMensajePersistencia(`✅ Plantilla actualizada${avisos}`, 'success');
         }
     } else {
         // Crear nueva plantilla
-        const nuevaPlantilla = new Template(nombre, contenido, categoria);
+        const nuevaPlantilla = new Template(campos.nombre, campos.contenido, campos.categoria, campos.hashtags);
+        Object.assign(nuevaPlantilla, campos);
         Store.agregar(nuevaPlantilla);
-        mostrarMensajePersistencia('✅ Plantilla creada', 'success');
+        mostrarMensajePersistencia(`✅ Plantilla creada${avisos}`, 'success');
     }
     
     // HU2 Lab 16: Sincronización instantánea
@@ -146,45 +308,25 @@ function manejarEnvioFormulario(event) {
  * HU2: Actualizar interfaz sincronizada con el Store
  */
 function actualizarInterfaz() {
-    const lista = document.getElementById('templates-list');
-    if (!lista) return;
+    const plantillas = obtenerPlantillasVisibles();
+    const total = Store.obtenerTodas().length;
+    actualizarChipsFiltro();
+    actualizarSidebarColecciones();
     
-    const plantillas = Store.obtenerTodas();
+    renderizarPlantillas(plantillas, {
+        total,
+        idiomasConfigurados: obtenerIdiomasConfigurados(),
+        reordenable: criteriosBusqueda.orden === 'manual'
+    });
     
-    if (plantillas.length === 0) {
-        lista.innerHTML = `
-            <div class="empty-state">
-                <p>📝 No hay plantillas guardadas</p>
-                <p class="text-muted">Crea tu primera plantilla usando el formulario</p>
-            </div>
-        `;
-        return;
+    const contador = document.getElementById('templateCount');
+    if (contador) {
+        contador.textContent = `${total} plantillas`;
+    }
+    const indicador = document.getElementById('stateIndicator');
+    if (indicador) {
+        indicador.textContent = plantillas.length === total ? `${total} plantillas` : `${plantillas.length} de ${total} plantillas`;
     }
-    
-    lista.innerHTML = plantillas.map(plantilla => `
-        <div class="template-item" data-id="${plantilla.id}">
-            <div class="template-header">
-                <h3>${escapeHtml(plantilla.nombre)}</h3>
-                <div class="template-actions">
-                    <button onclick="editarPlantilla(${plantilla.id})" class="btn-edit" title="Editar">
-                        ✏️
-                    </button>
-                    <button onclick="confirmarEliminarPlantilla(${plantilla.id})" class="btn-delete" title="Eliminar">
-                        🗑️
-                    </button>
-                </div>
-            </div>
-            <div class="template-content">
-                <p>${escapeHtml(plantilla.contenido)}</p>
-                ${plantilla.categoria ? `<span class="template-category">${escapeHtml(plantilla.categoria)}</span>` : ''}
-            </div>
-            <div class="template-meta">
-                <small>Creada: ${formatearFecha(plantilla.fechaCreacion)}</small>
-                ${plantilla.fechaModificacion !== plantilla.fechaCreacion ? 
-                    `<small>Modificada: ${formatearFecha(plantilla.fechaModificacion)}</small>` : ''}
-            </div>
-        </div>
-    `).join('');
 }
 
 /**
@@ -196,18 +338,17 @@ function confirmarEliminarPlantilla(id) {
     
     const confirmacion = confirm(
         `¿Estás seguro de que deseas eliminar la plantilla "${plantilla.nombre}"?\n\n` +
-        'Esta acción no se puede deshacer.'
+        'Podrás recuperarla desde la papelera o con Ctrl+Z.'
     );
     
     if (confirmacion) {
-        ultimaPlantillaEliminada = plantilla; // Para recuperación (Logro 2)
         const eliminada = Store.eliminar(id);
         
         if (eliminada) {
             // HU2 Lab 16: Sincronización instantánea
             actualizarInterfaz();
             mostrarEstadoAlmacenamiento();
-            mostrarMensajePersistencia('🗑️ Plantilla eliminada', 'info');
+            mostrarMensajePersistencia('🗑️ Plantilla movida a la papelera', 'info');
             
             // Mostrar botón de recuperación
             mostrarBotonRecuperacion();
@@ -215,6 +356,70 @@ function confirmarEliminarPlantilla(id) {
     }
 }
 
+/**
+ * Duplicar una plantilla: la copia es otra plantilla (nuevo id y uid) con "(copia)" en el nombre
+ * Queda en las mismas colecciones, pero no hereda favorita, fijada ni archivada
+ * @returns {Object|null} La copia
+ */
+function duplicarPlantilla(id) {
+    const plantilla = Store.obtenerPorId(id);
+    if (!plantilla) return null;
+    
+    let nombre = `${plantilla.nombre} (copia)`;
+    for (let numero = 2; Store.obtenerPorNombre(nombre); numero++) {
+        nombre = `${plantilla.nombre} (copia ${numero})`;
+    }
+    
+    const campos = { ...copiarCamposRevision(plantilla), nombre };
+    const copia = new Template(nombre, campos.contenido, campos.categoria, campos.hashtags);
+    Object.assign(copia, campos, { colecciones: [...(plantilla.colecciones || [])] });
+    Store.agregar(copia);
+    
+    actualizarInterfaz();
+    mostrarEstadoAlmacenamiento();
+    mostrarMensajePersistencia(`📄 Plantilla duplicada como "${nombre}"`, 'success');
+    return copia;
+}
+
+/**
+ * Marcar o desmarcar una plantilla como favorita
+ */
+function alternarFavorita(id) {
+    const plantilla = Store.obtenerPorId(id);
+    if (!plantilla) return;
+    
+    Store.organizar(id, { favorita: !plantilla.favorita });
+    actualizarInterfaz();
+}
+
+/**
+ * Fijar una plantilla arriba de la lista (o soltarla)
+ */
+function alternarFijada(id) {
+    const plantilla = Store.obtenerPorId(id);
+    if (!plantilla) return;
+    
+    Store.organizar(id, { fijada: !plantilla.fijada });
+    actualizarInterfaz();
+}
+
+/**
+ * Archivar una plantilla: sale de la lista principal sin eliminarla
+ * (o devolverla a la lista si ya estaba archivada)
+ */
+function alternarArchivada(id) {
+    const plantilla = Store.obtenerPorId(id);
+    if (!plantilla) return;
+    
+    const archivada = !plantilla.archivada;
+    Store.organizar(id, { archivada });
+    actualizarInterfaz();
+    mostrarMensajePersistencia(
+        archivada ? `🗄️ "${plantilla.nombre}" archivada: la encuentras en Archivadas` : `📤 "${plantilla.nombre}" vuelve a la lista`,
+        'info'
+    );
+}
+
 /**
  * Editar plantilla
  */
@@ -223,11 +428,22 @@ function editarPlantilla(id) {
     if (!plantilla) return;
     
     plantillaEditandoId = id;
+    baseEdicion = copiarCamposRevision(plantilla);
     
     // Llenar formulario
     document.getElementById('nombre').value = plantilla.nombre;
     document.getElementById('contenido').value = plantilla.contenido;
+    document.getElementById('categoria').value = '';
+    actualizarSelectorCategorias();
     document.getElementById('categoria').value = plantilla.categoria || '';
+    establecerHashtagsFormulario(plantilla.hashtags);
+    document.getElementById('tipo-encabezado').value = plantilla.tipoEncabezado || '';
+    document.getElementById('encabezado').value = plantilla.encabezado || '';
+    document.getElementById('pie').value = plantilla.pie || '';
+    renderizarBotonesFormulario(plantilla.botones || []);
+    prepararIdiomasFormulario(plantilla);
+    actualizarCamposVariables(plantilla.valoresPorDefecto);
+    actualizarVistaPrevia();
     
     // Cambiar texto del botón
     const btnSubmit = document.querySelector('#template-form button[type="submit"]');
@@ -258,10 +474,19 @@ function cancelarEdicion() {
  */
 function limpiarFormulario() {
     plantillaEditandoId = null;
+    baseEdicion = null;
     
     document.getElementById('nombre').value = '';
     document.getElementById('contenido').value = '';
     document.getElementById('categoria').value = '';
+    establecerHashtagsFormulario([]);
+    document.getElementById('tipo-encabezado').value = '';
+    document.getElementById('encabezado').value = '';
+    document.getElementById('pie').value = '';
+    renderizarBotonesFormulario([]);
+    prepararIdiomasFormulario(null);
+    actualizarCamposVariables({});
+    actualizarVistaPrevia();
     
     const btnSubmit = document.querySelector('#template-form button[type="submit"]');
     if (btnSubmit) {
@@ -277,11 +502,762 @@ function limpiarFormulario() {
     clearTimeout(window.autoSaveTimeout);
 }
 
+/**
+ * Generar los campos de valor por defecto para cada variable del contenido
+ * Conserva lo ya escrito en los campos salvo que se indiquen valores nuevos
+ */
+function actualizarCamposVariables(valores) {
+    const contenedor = document.getElementById('variables-plantilla');
+    const contenido = document.getElementById('contenido');
+    if (!contenedor || !contenido) return;
+    
+    const valoresActuales = valores || obtenerValoresPorDefectoFormulario();
+    const variables = Template.extraerVariables(Template.textoConVariables({
+        contenido: contenido.value,
+        ...leerPartesFormulario()
+    }));
+    
+    if (variables.length === 0) {
+        contenedor.innerHTML = '';
+        return;
+    }
+    
+    contenedor.innerHTML = `
+        <p class="variables-titulo">Valores por defecto de las variables</p>
+        ${variables.map(variable => `
+            <div class="form-group variable-campo">
+                <label>{{${escapeHtml(variable)}}}</label>
+                <input type="text" data-variable="${escapeHtml(variable)}"
+                       value="${escapeHtml(valoresActuales[variable] || '')}"
+                       placeholder="Opcional">
+            </div>
+        `).join('')}
+    `;
+}
+
+/**
+ * Vista previa en vivo del mensaje junto al formulario
+ * Las variables con valor por defecto se muestran ya reemplazadas
+ */
+function actualizarVistaPrevia() {
+    const preview = document.getElementById('preview-whatsapp');
+    const contenido = document.getElementById('contenido');
+    if (!preview || !contenido) return;
+    
+    const valores = obtenerValoresPorDefectoFormulario();
+    const partes = { ...leerPartesFormulario(), idioma: idiomaFormulario };
+    const texto = Template.rellenar(Template.expandirFragmentos(contenido.value), valores, Template.localeDe(partes));
+    
+    preview.innerHTML = mostrarFuentePreview
+        ? `<pre class="wa-fuente-visible">${escapeHtml(contenido.value)}</pre>`
+        : renderizarBurbujaWhatsApp(texto, Template.rellenarPartes(partes, valores));
+    
+    actualizarLimitesFormulario({ contenido: contenido.value, ...partes });
+    mostrarErrorExpresion(contenido.value);
+    actualizarEstadoIdiomas();
+}
+
+/**
+ * Mostrar los contadores de caracteres y los errores de cada parte del mensaje
+ */
+function actualizarLimitesFormulario(campos) {
+    // Se cuenta el texto final, con los fragmentos incluidos
+    const expandidos = Template.expandir(campos);
+    document.querySelectorAll('[data-contador]').forEach(contador => {
+        const parte = contador.dataset.contador;
+        const longitud = (expandidos[parte] || '').length;
+        contador.textContent = `${longitud}/${Template.LIMITES[parte]}`;
+        contador.classList.toggle('excedido', longitud > Template.LIMITES[parte]);
+    });
+    
+    mostrarResultadosReglas();
+    
+    const encabezado = document.getElementById('encabezado');
+    if (encabezado) {
+        encabezado.disabled = !campos.tipoEncabezado;
+        encabezado.placeholder = campos.tipoEncabezado === 'texto' || !campos.tipoEncabezado
+            ? 'Ej: Tu pedido {{pedido}}'
+            : 'Ej: factura.pdf o enlace de ejemplo';
+    }
+}
+
+/**
+ * Mostrar bajo el formulario los errores y avisos de las reglas de validación
+ */
+function mostrarResultadosReglas() {
+    const lista = document.getElementById('errores-componentes');
+    if (!lista) return;
+    
+    // Los campos vacíos ya los marca el formulario y los errores de sintaxis se señalan bajo el textarea
+    lista.innerHTML = ReglasValidacion.validar({ ...leerCamposFormulario(), id: plantillaEditandoId })
+        .filter(resultado => resultado.regla !== 'obligatorios')
+        .filter(resultado => !(resultado.parte === 'contenido' && resultado.posicion !== undefined))
+        .map(resultado => `
+            <li class="regla-${resultado.nivel}">${resultado.nivel === 'error' ? '⛔' : '⚠️'} ${escapeHtml(resultado.mensaje)}</li>
+        `)
+        .join('');
+}
+
+/**
+ * Señalar bajo el mensaje la línea y columna del primer error de sintaxis
+ * @param {string} texto - Mensaje tal como está en el formulario
+ */
+function mostrarErrorExpresion(texto) {
+    const caja = document.getElementById('error-expresion');
+    if (!caja) return;
+    
+    const { error } = Template.analizarExpresiones(texto);
+    caja.hidden = !error;
+    if (!error) {
+        caja.innerHTML = '';
+        return;
+    }
+    
+    const { linea, columna } = lineaYColumna(texto, error.posicion);
+    const textoLinea = texto.split('\n')[linea - 1];
+    caja.innerHTML = `
+        <strong>⚠️ Línea ${linea}, columna ${columna}:</strong> ${escapeHtml(error.message)}
+        <pre>${escapeHtml(textoLinea)}\n${' '.repeat(columna - 1)}^</pre>
+        <button type="button" class="btn-fuente" data-posicion="${error.posicion}">Ir al error</button>
+    `;
+}
+
+/**
+ * Leer encabezado, pie y botones del formulario
+ */
+function leerPartesFormulario() {
+    const tipoEncabezado = document.getElementById('tipo-encabezado');
+    const encabezado = document.getElementById('encabezado');
+    const pie = document.getElementById('pie');
+    
+    return {
+        tipoEncabezado: tipoEncabezado ? tipoEncabezado.value : '',
+        encabezado: encabezado && tipoEncabezado && tipoEncabezado.value ? encabezado.value.trim() : '',
+        pie: pie ? pie.value.trim() : '',
+        botones: leerBotonesFormulario()
+    };
+}
+
+/**
+ * Dibujar los campos de los botones del formulario
+ */
+function renderizarBotonesFormulario(botones) {
+    const contenedor = document.getElementById('botones-plantilla');
+    if (!contenedor) return;
+    
+    contenedor.innerHTML = botones.map(boton => `
+        <div class="boton-campo" data-tipo-boton="${escapeHtml(boton.tipo)}">
+            <span>${ICONOS_BOTON[boton.tipo] || ''} ${escapeHtml(Template.ETIQUETAS_BOTON[boton.tipo] || boton.tipo)}</span>
+            <input type="text" data-boton-campo="texto" value="${escapeHtml(boton.texto || '')}"
+                   placeholder="Texto (máx. ${Template.LIMITES.textoBoton})" maxlength="${Template.LIMITES.textoBoton}">
+            ${boton.tipo === 'url' ? `
+                <input type="url" data-boton-campo="url" value="${escapeHtml(boton.url || '')}" placeholder="https://ejemplo.com/{{pedido}}">
+            ` : boton.tipo === 'telefono' ? `
+                <input type="tel" data-boton-campo="telefono" value="${escapeHtml(boton.telefono || '')}" placeholder="+34 600 000 000">
+            ` : '<span></span>'}
+            <button type="button" class="btn-fuente" data-quitar-boton title="Quitar botón">✖️</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Leer los botones escritos en el formulario
+ */
+function leerBotonesFormulario() {
+    return [...document.querySelectorAll('#botones-plantilla .boton-campo')].map(fila => {
+        const boton = { tipo: fila.dataset.tipoBoton };
+        fila.querySelectorAll('[data-boton-campo]').forEach(input => {
+            boton[input.dataset.botonCampo] = input.value.trim();
+        });
+        return boton;
+    });
+}
+
+/**
+ * Añadir un botón del tipo indicado si no se ha llegado al máximo
+ */
+function agregarBotonFormulario(tipo) {
+    const botones = leerBotonesFormulario();
+    const maximo = Template.LIMITES.botones[tipo];
+    
+    if (botones.filter(boton => boton.tipo === tipo).length >= maximo) {
+        mostrarMensajePersistencia(`⚠️ Máximo ${maximo} botones de ${Template.ETIQUETAS_BOTON[tipo].toLowerCase()}`, 'warning');
+        return;
+    }
+    
+    renderizarBotonesFormulario([...botones, { tipo, texto: '' }]);
+    const campos = document.querySelectorAll('#botones-plantilla [data-boton-campo="texto"]');
+    campos[campos.length - 1].focus();
+    actualizarVistaPrevia();
+}
+
+/**
+ * Alternar entre vista previa formateada y texto fuente en el formulario
+ */
+function alternarFuentePreview() {
+    mostrarFuentePreview = !mostrarFuentePreview;
+    
+    const btnVerFuente = document.getElementById('btn-ver-fuente');
+    if (btnVerFuente) {
+        btnVerFuente.textContent = mostrarFuentePreview ? '👁️ Ver formato' : '</> Ver fuente';
+    }
+    
+    actualizarVistaPrevia();
+}
+
+/**
+ * Alternar entre vista formateada y texto fuente en una tarjeta
+ * El estado se recuerda para que sobreviva a los re-renderizados
+ */
+function alternarFuenteTarjeta(id) {
+    if (tarjetasConFuente.has(id)) {
+        tarjetasConFuente.delete(id);
+    } else {
+        tarjetasConFuente.add(id);
+    }
+    
+    const tarjeta = document.querySelector(`[data-id="${id}"]`);
+    if (tarjeta) {
+        tarjeta.classList.toggle('mostrar-fuente', tarjetasConFuente.has(id));
+    }
+}
+
+/**
+ * Leer los valores por defecto escritos en el formulario
+ */
+function obtenerValoresPorDefectoFormulario() {
+    const valores = {};
+    document.querySelectorAll('#variables-plantilla [data-variable]').forEach(input => {
+        if (input.value.trim()) {
+            valores[input.dataset.variable] = input.value;
+        }
+    });
+    return valores;
+}
+
+/**
+ * Usar plantilla: pedir los valores de sus variables y generar el mensaje final
+ */
+function usarPlantilla(id) {
+    const plantilla = Store.obtenerPorId(id);
+    if (!plantilla) return;
+    
+    // Las variables son las mismas en todos los idiomas: se toman de todas las traducciones
+    const idiomas = Template.idiomasDe(plantilla);
+    const variables = Template.extraerVariables(
+        idiomas.map(idioma => Template.textoConVariables(Template.obtenerVariante(plantilla, idioma))).join('\n')
+    );
+    const valoresPorDefecto = plantilla.valoresPorDefecto || {};
+    
+    const modal = abrirModal('modal-usar-plantilla', `
+        <h3>▶️ ${escapeHtml(plantilla.nombre)}</h3>
+        <form class="usar-plantilla-form">
+            ${idiomas.length > 1 ? `
+                <div class="form-group">
+                    <label>🌐 Idioma</label>
+                    <select class="idioma-mensaje">${opcionesIdioma(idiomas, plantilla.idiomaPorDefecto)}</select>
+                </div>
+            ` : ''}
+            ${variables.map(variable => `
+                <div class="form-group">
+                    <label>{{${escapeHtml(variable)}}}</label>
+                    <input type="text" data-variable="${escapeHtml(variable)}"
+                           value="${escapeHtml(valoresPorDefecto[variable] || '')}">
+                </div>
+            `).join('')}
+            <div class="form-group">
+                <label>Mensaje final</label>
+                <textarea class="mensaje-final" readonly></textarea>
+            </div>
+            <p class="variables-faltantes"></p>
+            <div class="form-group">
+                <label>Teléfono (opcional)</label>
+                <input type="tel" class="telefono-destino" placeholder="Ej: 612 345 678 o +52 55 1234 5678">
+                <small class="telefono-ayuda">Sin prefijo se usa +${escapeHtml(obtenerCodigoPaisPorDefecto())}</small>
+            </div>
+            <div class="modal-acciones">
+                <button type="button" class="btn btn-secundario" data-accion="cerrar">Cerrar</button>
+                <button type="button" class="btn" data-accion="copiar">📋 Copiar</button>
+                <button type="button" class="btn" data-accion="whatsapp">💬 Abrir en WhatsApp</button>
+            </div>
+        </form>
+    `);
+    
+    // Plantilla en el idioma elegido (sin selector, el idioma por defecto)
+    const varianteElegida = () => {
+        const selector = modal.querySelector('.idioma-mensaje');
+        return Template.obtenerVariante(plantilla, selector ? selector.value : plantilla.idiomaPorDefecto);
+    };
+    
+    const actualizarResultado = () => {
+        const valores = leerValoresVariables(modal);
+        const variante = varianteElegida();
+        const faltantes = Template.variablesFaltantes(Template.textoConVariables(variante), valores);
+        modal.querySelector('.mensaje-final').value = Template.componerMensaje(variante, valores);
+        modal.querySelector('.variables-faltantes').textContent = faltantes.length > 0
+            ? `⚠️ Faltan valores: ${faltantes.join(', ')}`
+            : '';
+    };
+    
+    modal.querySelector('form').addEventListener('input', actualizarResultado);
+    modal.querySelector('form').addEventListener('change', actualizarResultado);
+    actualizarResultado();
+    
+    modal.querySelector('[data-accion="copiar"]').addEventListener('click', async () => {
+        const valores = leerValoresVariables(modal);
+        const variante = varianteElegida();
+        if (!comprobarVariablesCompletas(variante, valores)) return;
+        
+        const mensaje = Template.componerMensaje(variante, valores);
+        if (await copiarMensaje(mensaje)) {
+            Store.registrarUso(plantilla.id, { tipo: 'copiar', longitud: mensaje.length });
+        }
+    });
+    
+    modal.querySelector('[data-accion="whatsapp"]').addEventListener('click', () => {
+        const valores = leerValoresVariables(modal);
+        const variante = varianteElegida();
+        if (!comprobarVariablesCompletas(variante, valores)) return;
+        
+        const campoTelefono = modal.querySelector('.telefono-destino');
+        let telefono = '';
+        if (campoTelefono.value.trim()) {
+            const resultado = normalizarTelefono(campoTelefono.value);
+            if (!resultado.valido) {
+                mostrarMensajePersistencia(`⚠️ ${resultado.error}`, 'warning');
+                campoTelefono.focus();
+                return;
+            }
+            telefono = resultado.numero;
+            campoTelefono.value = telefono;
+        }
+        
+        const mensaje = Template.componerMensaje(variante, valores);
+        abrirEnWhatsApp(mensaje, telefono);
+        Store.registrarUso(plantilla.id, { tipo: 'whatsapp', longitud: mensaje.length });
+    });
+    
+    const primerCampo = modal.querySelector('[data-variable]');
+    if (primerCampo) {
+        primerCampo.focus();
+    }
+}
+
+/**
+ * Comprobar que no falten variables antes de copiar o enviar
+ */
+function comprobarVariablesCompletas(plantilla, valores) {
+    const faltantes = Template.variablesFaltantes(Template.textoConVariables(plantilla), valores);
+    if (faltantes.length > 0) {
+        mostrarMensajePersistencia(`⚠️ Faltan valores: ${faltantes.join(', ')}`, 'warning');
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Copiar un mensaje y avisar del resultado
+ */
+async function copiarMensaje(texto) {
+    const copiado = await copiarAlPortapapeles(texto);
+    mostrarMensajePersistencia(
+        copiado ? '📋 Mensaje copiado' : '❌ No se pudo copiar el mensaje',
+        copiado ? 'success' : 'error'
+    );
+    return copiado;
+}
+
+/**
+ * Copiar una plantilla desde su tarjeta
+ * Si faltan valores para sus variables se abre el paso de rellenado
+ */
+async function copiarPlantilla(id) {
+    const plantilla = Store.obtenerPorId(id);
+    if (!plantilla) return;
+    
+    const valores = plantilla.valoresPorDefecto || {};
+    if (Template.variablesFaltantes(Template.textoConVariables(plantilla), valores).length > 0) {
+        usarPlantilla(id);
+        return;
+    }
+    
+    const mensaje = Template.componerMensaje(plantilla, valores);
+    if (await copiarMensaje(mensaje)) {
+        Store.registrarUso(id, { tipo: 'copiar', longitud: mensaje.length });
+        actualizarInterfaz();
+    }
+}
+
+/**
+ * Abrir una plantilla en WhatsApp desde su tarjeta, sin destinatario fijo
+ * Si faltan valores para sus variables se abre el paso de rellenado
+ */
+function abrirPlantillaEnWhatsApp(id) {
+    const plantilla = Store.obtenerPorId(id);
+    if (!plantilla) return;
+    
+    const valores = plantilla.valoresPorDefecto || {};
+    if (Template.variablesFaltantes(Template.textoConVariables(plantilla), valores).length > 0) {
+        usarPlantilla(id);
+        return;
+    }
+    
+    const mensaje = Template.componerMensaje(plantilla, valores);
+    abrirEnWhatsApp(mensaje);
+    Store.registrarUso(id, { tipo: 'whatsapp', longitud: mensaje.length });
+    actualizarInterfaz();
+}
+
+/**
+ * Leer los valores de variables escritos en un contenedor
+ */
+function leerValoresVariables(contenedor) {
+    const valores = {};
+    contenedor.querySelectorAll('[data-variable]').forEach(input => {
+        valores[input.dataset.variable] = input.value;
+    });
+    return valores;
+}
+
+/**
+ * Abrir un modal con el contenido indicado (reemplaza uno previo con el mismo id)
+ * Se cierra con Escape, clic fuera o cualquier botón data-accion="cerrar"
+ */
+function abrirModal(id, contenidoHtml) {
+    cerrarModal(id);
+    
+    const overlay = document.createElement('div');
+    overlay.id = id;
+    overlay.className = 'modal-overlay';
+    overlay.innerHTML = `<div class="modal">${contenidoHtml}</div>`;
+    
+    overlay.addEventListener('click', event => {
+        if (event.target === overlay || event.target.closest('[data-accion="cerrar"]')) {
+            cerrarModal(id);
+        }
+    });
+    overlay.addEventListener('keydown', event => {
+        if (event.key === 'Escape') {
+            cerrarModal(id);
+        }
+    });
+    
+    document.body.appendChild(overlay);
+    return overlay;
+}
+
+/**
+ * Cerrar un modal abierto
+ */
+function cerrarModal(id) {
+    const modal = document.getElementById(id);
+    if (modal) {
+        modal.remove();
+    }
+}
+
+/**
+ * Panel de historial: lista de revisiones, comparación entre dos y restauración
+ */
+function mostrarHistorial(id) {
+    const plantilla = Store.obtenerPorId(id);
+    if (!plantilla) return;
+    
+    const revisiones = Historial.obtener(id).slice().reverse(); // Más nueva primero
+    const etiquetasOrigen = {
+        original: 'Original',
+        creacion: 'Creación',
+        formulario: 'Edición',
+        autoguardado: 'Autoguardado',
+        restauracion: 'Restauración',
+        deshacer: 'Deshacer',
+        rehacer: 'Rehacer',
+        importacion: 'Importación',
+        sincronizacion: 'Otra pestaña',
+        remoto: 'Servidor',
+        taxonomia: 'Categorías y hashtags'
+    };
+    
+    if (revisiones.length === 0) {
+        mostrarMensajePersistencia('ℹ️ Esta plantilla aún no tiene revisiones', 'info');
+        return;
+    }
+    
+    const modal = abrirModal('modal-historial', `
+        <h3>🕘 Historial de "${escapeHtml(plantilla.nombre)}"</h3>
+        <p class="historial-ayuda">Elige dos revisiones en las columnas A y B para compararlas.</p>
+        <div class="historial-lista">
+            <div class="historial-fila historial-cabecera">
+                <span>A</span><span>B</span><span>Revisión</span><span></span>
+            </div>
+            ${revisiones.map((revision, indice) => `
+                <div class="historial-fila">
+                    <input type="radio" name="revision-a" value="${revision.numero}" ${indice === Math.min(1, revisiones.length - 1) ? 'checked' : ''}>
+                    <input type="radio" name="revision-b" value="${revision.numero}" ${indice === 0 ? 'checked' : ''}>
+                    <span>
+                        <strong>#${revision.numero}</strong>
+                        ${escapeHtml(etiquetasOrigen[revision.origen] || revision.origen)} ·
+                        ${formatearFecha(revision.fecha)}
+                    </span>
+                    <button type="button" class="btn-fuente" data-restaurar="${revision.numero}" ${indice === 0 ? 'disabled' : ''}>
+                        ↩️ Restaurar
+                    </button>
+                </div>
+            `).join('')}
+        </div>
+        <div class="historial-diff"></div>
+        <div class="modal-acciones">
+            <button type="button" class="btn btn-secundario" data-accion="cerrar">Cerrar</button>
+        </div>
+    `);
+    
+    const actualizarDiff = () => {
+        const a = Historial.obtenerRevision(id, modal.querySelector('input[name="revision-a"]:checked').value);
+        const b = Historial.obtenerRevision(id, modal.querySelector('input[name="revision-b"]:checked').value);
+        modal.querySelector('.historial-diff').innerHTML = renderizarDiffRevisiones(a, b);
+    };
+    
+    modal.querySelector('.historial-lista').addEventListener('change', actualizarDiff);
+    modal.querySelector('.historial-lista').addEventListener('click', event => {
+        const boton = event.target.closest('[data-restaurar]');
+        if (boton) {
+            restaurarRevision(id, boton.dataset.restaurar);
+        }
+    });
+    actualizarDiff();
+}
+
+/**
+ * Comparar dos revisiones campo por campo
+ */
+function renderizarDiffRevisiones(a, b) {
+    const campos = [
+        { campo: 'nombre', etiqueta: 'Nombre' },
+        { campo: 'categoria', etiqueta: 'Categoría' },
+        { campo: 'hashtags', etiqueta: 'Hashtags' },
+        { campo: 'encabezado', etiqueta: 'Encabezado' },
+        { campo: 'contenido', etiqueta: 'Contenido' },
+        { campo: 'pie', etiqueta: 'Pie' },
+        { campo: 'botones', etiqueta: 'Botones' },
+        { campo: 'idiomaPorDefecto', etiqueta: 'Idioma por defecto' },
+        { campo: 'variantes', etiqueta: 'Traducciones' }
+    ];
+    
+    // Hashtags, botones y traducciones se comparan como texto
+    const texto = (datos, campo) => {
+        if (campo === 'hashtags') {
+            return (datos.hashtags || []).join(' ');
+        }
+        if (campo === 'botones') {
+            return (datos.botones || []).map(boton => `${boton.texto} ${boton.url || boton.telefono || ''}`.trim()).join('\n');
+        }
+        if (campo === 'variantes') {
+            return Object.entries(datos.variantes || {}).map(([idioma, variante]) => `${idioma}: ${variante.contenido}`).join('\n');
+        }
+        return datos[campo] || '';
+    };
+    
+    const cambios = campos.filter(({ campo }) => texto(a.datos, campo) !== texto(b.datos, campo));
+    if (cambios.length === 0) {
+        return '<p class="historial-ayuda">Sin diferencias entre #' + a.numero + ' y #' + b.numero + '</p>';
+    }
+    
+    return cambios.map(({ campo, etiqueta }) => `
+        <div class="historial-diff-campo">
+            <strong>${etiqueta}</strong>
+            <div class="diff">${renderizarDiffHtml(diffPalabras(texto(a.datos, campo), texto(b.datos, campo)))}</div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Restaurar una revisión: se guarda como una revisión nueva, nunca se borra ninguna
+ */
+function restaurarRevision(id, numero) {
+    const revision = Historial.obtenerRevision(id, numero);
+    if (!revision) return;
+    
+    if (!confirm(`¿Restaurar la revisión #${revision.numero}? El estado actual seguirá en el historial.`)) {
+        return;
+    }
+    
+    Store.actualizar(id, structuredClone(revision.datos), { origen: 'restauracion' });
+    
+    if (plantillaEditandoId == id) {
+        editarPlantilla(id);
+    }
+    
+    actualizarInterfaz();
+    mostrarHistorial(id);
+    mostrarMensajePersistencia(`↩️ Revisión #${revision.numero} restaurada`, 'success');
+}
+
+/**
+ * Refrescar la interfaz con los cambios llegados de otra pestaña
+ */
+function manejarCambioDeOtraPestana(cambio) {
+    if (cambio.tipo === 'plantillas' && plantillaEditandoId) {
+        comprobarConflictoEdicion(cambio.anteriores);
+    }
+    
+    // Un fragmento editado en otra pestaña cambia la vista previa del formulario
+    if (cambio.tipo === 'dato') {
+        actualizarSelectorFragmentos();
+        actualizarVistaPrevia();
+    }
+    
+    // Categorías nuevas o en uso, y hashtags para las sugerencias
+    actualizarSelectorCategorias();
+    actualizarSugerenciasHashtags();
+    
+    actualizarInterfaz();
+    mostrarEstadoAlmacenamiento();
+    actualizarBotonPapelera();
+}
+
+/**
+ * Leer los campos editables del formulario
+ */
+function leerCamposFormulario() {
+    // Los textos del idioma por defecto y las traducciones se completan en translations.js
+    return combinarIdiomasFormulario({
+        nombre: document.getElementById('nombre').value.trim(),
+        contenido: document.getElementById('contenido').value.trim(),
+        categoria: document.getElementById('categoria').value.trim(),
+        hashtags: leerHashtagsFormulario(),
+        valoresPorDefecto: obtenerValoresPorDefectoFormulario(),
+        ...leerPartesFormulario()
+    });
+}
+
+/**
+ * Comparar la plantilla en edición con la versión que dejó otra pestaña
+ */
+function comprobarConflictoEdicion(anteriores) {
+    const id = plantillaEditandoId;
+    const suya = Store.obtenerPorId(id) || null;
+    const mia = leerCamposFormulario();
+    const base = baseEdicion || mia;
+    
+    switch (detectarConflicto(base, mia, suya)) {
+        case 'sin-cambios':
+            baseEdicion = copiarCamposRevision(suya);
+            break;
+        case 'tomar-suya':
+            if (suya) {
+                editarPlantilla(id);
+                mostrarMensajePersistencia('🔄 La plantilla que editas se actualizó en otra pestaña', 'info');
+            } else {
+                limpiarFormulario();
+                mostrarMensajePersistencia('🗑️ La plantilla que editabas se eliminó en otra pestaña', 'warning');
+            }
+            break;
+        default:
+            // Sin autoguardado mientras se resuelve: sobrescribiría la otra versión
+            clearTimeout(window.autoSaveTimeout);
+            mostrarConflicto(id, base, mia, suya, anteriores.find(plantilla => plantilla.id == id));
+    }
+}
+
+/**
+ * Resolver un conflicto de edición: mantener la mía, usar la suya o combinar
+ * @param {Object|null} suya - Versión de la otra pestaña (null si la eliminó)
+ * @param {Object} anterior - La plantilla tal como estaba en esta pestaña antes de recargar
+ */
+function mostrarConflicto(id, base, mia, suya, anterior) {
+    const etiquetas = {
+        nombre: 'Nombre',
+        contenido: 'Contenido',
+        categoria: 'Categoría',
+        hashtags: 'Hashtags',
+        valoresPorDefecto: 'Valores por defecto',
+        tipoEncabezado: 'Tipo de encabezado',
+        encabezado: 'Encabezado',
+        pie: 'Pie',
+        botones: 'Botones',
+        idiomaPorDefecto: 'Idioma por defecto',
+        variantes: 'Traducciones'
+    };
+    const mostrar = valor => escapeHtml(
+        Array.isArray(valor) && valor.every(item => typeof item === 'string') ? valor.join(' ')
+            : typeof valor === 'object' ? JSON.stringify(valor || {}) : (valor || '')
+    );
+    const distinto = (a, b) => JSON.stringify(a ?? '') !== JSON.stringify(b ?? '');
+    
+    const campos = suya ? CAMPOS_REVISION.filter(campo => distinto(mia[campo], suya[campo])) : [];
+    
+    const modal = abrirModal('modal-conflicto', `
+        <h3>⚠️ Conflicto de edición</h3>
+        <p class="historial-ayuda">
+            ${suya
+                ? `Otra pestaña ha guardado cambios en "${escapeHtml(suya.nombre)}" mientras la editabas.`
+                : `Otra pestaña ha eliminado "${escapeHtml(base.nombre || mia.nombre)}" mientras la editabas.`}
+        </p>
+        ${campos.map(campo => {
+            const ambos = distinto(mia[campo], base[campo]) && distinto(suya[campo], base[campo]);
+            return `
+                <div class="conflicto-campo">
+                    <strong>${etiquetas[campo]}</strong>
+                    ${campo === 'contenido'
+                        ? `<div class="diff">${renderizarDiffHtml(diffPalabras(suya.contenido || '', mia.contenido || ''))}</div>`
+                        : ''}
+                    <label>
+                        <input type="radio" name="conflicto-${campo}" value="mia" ${ambos ? 'checked' : 'disabled'}>
+                        Mía: <code>${mostrar(mia[campo])}</code>
+                    </label>
+                    <label>
+                        <input type="radio" name="conflicto-${campo}" value="suya" ${ambos ? '' : 'disabled'}>
+                        Suya: <code>${mostrar(suya[campo])}</code>
+                    </label>
+                    ${ambos ? '' : `<small class="text-muted">Solo cambió en ${distinto(mia[campo], base[campo]) ? 'esta pestaña' : 'la otra pestaña'}: se combina sola</small>`}
+                </div>
+            `;
+        }).join('')}
+        <div class="modal-acciones">
+            <button type="button" class="btn" data-resolver="mia">✋ Mantener la mía</button>
+            <button type="button" class="btn btn-secundario" data-resolver="suya">${suya ? '📥 Usar la suya' : '🗑️ Descartar la mía'}</button>
+            ${suya ? '<button type="button" class="btn btn-secundario" data-resolver="combinar">🔀 Combinar</button>' : ''}
+        </div>
+    `);
+    
+    modal.querySelector('.modal-acciones').addEventListener('click', event => {
+        const boton = event.target.closest('[data-resolver]');
+        if (!boton) return;
+        
+        if (boton.dataset.resolver === 'mia') {
+            if (suya) {
+                Store.actualizar(id, mia, { origen: 'sincronizacion' });
+            } else {
+                // Se vuelve a crear con su ID y fecha de creación originales
+                Store.restaurar({ ...anterior, ...mia, id, fechaModificacion: new Date().toISOString() }, { origen: 'sincronizacion' });
+            }
+            editarPlantilla(id);
+        } else if (boton.dataset.resolver === 'suya') {
+            if (suya) {
+                editarPlantilla(id);
+            } else {
+                limpiarFormulario();
+            }
+        } else {
+            const eleccion = {};
+            modal.querySelectorAll('input[type="radio"]:checked').forEach(radio => {
+                eleccion[radio.name.replace('conflicto-', '')] = radio.value;
+            });
+            Store.actualizar(id, combinarVersiones(base, mia, suya, eleccion), { origen: 'sincronizacion' });
+            editarPlantilla(id);
+        }
+        
+        cerrarModal('modal-conflicto');
+        actualizarInterfaz();
+        mostrarMensajePersistencia('✅ Conflicto resuelto', 'success');
+    });
+}
+
 /**
  * Logro 1: Mostrar estado de almacenamiento
  */
 function mostrarEstadoAlmacenamiento() {
-    const estadoContainer = document.getElementById('storage-status');
+    const estadoContainer = document.getElementById('storageStatus');
     if (!estadoContainer) return;
     
     const stats = Store.obtenerEstadisticas();
@@ -292,6 +1268,7 @@ function mostrarEstadoAlmacenamiento() {
     estadoContainer.innerHTML = `
         <div class="storage-info">
             📊 ${stats.total} plantillas guardadas | 
+            ▶️ ${stats.usos} usos (${stats.nuncaUsadas} sin usar) | 
             💾 Última actualización: ${fechaUltimaModificacion}
         </div>
     `;
@@ -299,29 +1276,16 @@ function mostrarEstadoAlmacenamiento() {
 
 /**
  * Logro 2: Recuperar última plantilla eliminada
+ * Vuelve desde la papelera con su ID y fechas originales
  */
 function recuperarUltimaEliminada() {
-    if (!ultimaPlantillaEliminada) {
+    const ultima = Papelera.ultimo();
+    if (!ultima) {
         mostrarMensajePersistencia('ℹ️ No hay plantillas para recuperar', 'info');
         return;
     }
     
-    // Crear nueva plantilla con los datos de la eliminada
-    const plantillaRecuperada = new Template(
-        ultimaPlantillaEliminada.nombre + ' (Recuperada)',
-        ultimaPlantillaEliminada.contenido,
-        ultimaPlantillaEliminada.categoria
-    );
-    
-    Store.agregar(plantillaRecuperada);
-    ultimaPlantillaEliminada = null; // Limpiar referencia
-    
-    // Sincronización instantánea
-    actualizarInterfaz();
-    mostrarEstadoAlmacenamiento();
-    ocultarBotonRecuperacion();
-    
-    mostrarMensajePersistencia('🔄 Plantilla recuperada', 'success');
+    restaurarDesdePapelera(ultima.plantilla.id);
 }
 
 /**
@@ -329,10 +1293,12 @@ function recuperarUltimaEliminada() {
  */
 function mostrarBotonRecuperacion() {
     const btnRecuperar = document.getElementById('btn-recuperar');
-    if (btnRecuperar && ultimaPlantillaEliminada) {
+    const ultima = Papelera.ultimo();
+    if (btnRecuperar && ultima) {
         btnRecuperar.style.display = 'inline-block';
-        btnRecuperar.textContent = `🔄 Recuperar "${ultimaPlantillaEliminada.nombre}"`;
+        btnRecuperar.textContent = `🔄 Recuperar "${ultima.plantilla.nombre}"`;
     }
+    actualizarBotonPapelera();
 }
 
 /**
@@ -345,17 +1311,149 @@ function ocultarBotonRecuperacion() {
     }
 }
 
+/**
+ * Mostrar cuántos elementos hay en la papelera
+ */
+function actualizarBotonPapelera() {
+    const btnPapelera = document.getElementById('btn-papelera');
+    if (btnPapelera) {
+        btnPapelera.textContent = `♻️ Papelera (${Papelera.elementos.length})`;
+    }
+}
+
+/**
+ * Restaurar una plantilla de la papelera y sincronizar la interfaz
+ */
+function restaurarDesdePapelera(id) {
+    const restaurada = Papelera.restaurar(id);
+    if (!restaurada) return;
+    
+    actualizarInterfaz();
+    mostrarEstadoAlmacenamiento();
+    actualizarBotonPapelera();
+    if (!Papelera.ultimo()) {
+        ocultarBotonRecuperacion();
+    }
+    
+    mostrarMensajePersistencia(`🔄 "${restaurada.nombre}" recuperada`, 'success');
+}
+
+/**
+ * Panel de papelera: restaurar, eliminar definitivamente y días de retención
+ */
+function mostrarPapelera() {
+    Papelera.purgarCaducados();
+    const elementos = Papelera.obtenerTodos();
+    const motivos = { eliminar: 'Eliminada', 'eliminar-todo': 'Eliminar todo', importacion: 'Reemplazada al importar' };
+    
+    const modal = abrirModal('modal-papelera', `
+        <h3>♻️ Papelera</h3>
+        <div class="form-group papelera-retencion">
+            <label for="dias-retencion">Purgar automáticamente después de (días)</label>
+            <input type="number" id="dias-retencion" min="1" value="${Papelera.diasRetencion}">
+        </div>
+        ${elementos.length === 0 ? '<p class="historial-ayuda">La papelera está vacía</p>' : `
+            <div class="historial-lista">
+                ${elementos.map(elemento => `
+                    <div class="papelera-fila">
+                        <span>
+                            <strong>${escapeHtml(elemento.plantilla.nombre)}</strong><br>
+                            <small>${motivos[elemento.motivo] || escapeHtml(elemento.motivo)} · ${formatearFecha(elemento.fechaEliminacion)} · quedan ${Papelera.diasRestantes(elemento)} días</small>
+                        </span>
+                        <button type="button" class="btn-fuente" data-restaurar="${elemento.plantilla.id}">🔄 Restaurar</button>
+                        <button type="button" class="btn-fuente" data-purgar="${elemento.plantilla.id}">✖️ Eliminar</button>
+                    </div>
+                `).join('')}
+            </div>
+        `}
+        <div class="modal-acciones">
+            ${elementos.length > 0 ? '<button type="button" class="btn btn-secundario" data-accion="vaciar">Vaciar papelera</button>' : ''}
+            <button type="button" class="btn btn-secundario" data-accion="cerrar">Cerrar</button>
+        </div>
+    `);
+    
+    modal.querySelector('#dias-retencion').addEventListener('change', event => {
+        if (Papelera.configurarRetencion(event.target.value)) {
+            mostrarMensajePersistencia('♻️ Retención de la papelera actualizada', 'success');
+            mostrarPapelera();
+        } else {
+            event.target.value = Papelera.diasRetencion;
+        }
+    });
+    
+    modal.addEventListener('click', event => {
+        const restaurar = event.target.closest('[data-restaurar]');
+        const purgar = event.target.closest('[data-purgar]');
+        
+        if (restaurar) {
+            restaurarDesdePapelera(restaurar.dataset.restaurar);
+            mostrarPapelera();
+        } else if (purgar && confirm('¿Eliminar definitivamente esta plantilla? No se podrá recuperar.')) {
+            Papelera.purgar(purgar.dataset.purgar);
+            actualizarBotonPapelera();
+            mostrarPapelera();
+        } else if (event.target.closest('[data-accion="vaciar"]') &&
+                   confirm('¿Vaciar la papelera? Sus plantillas no se podrán recuperar.')) {
+            Papelera.vaciar();
+            actualizarBotonPapelera();
+            ocultarBotonRecuperacion();
+            mostrarPapelera();
+        }
+    });
+}
+
+/**
+ * Ctrl+Z deshace y Ctrl+Shift+Z (o Ctrl+Y) rehace
+ * Dentro de campos de texto se respeta el deshacer nativo del navegador
+ */
+function manejarAtajosDeshacer(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    
+    const objetivo = event.target;
+    if (objetivo.closest && objetivo.closest('input, textarea, select, [contenteditable="true"]')) return;
+    
+    const tecla = event.key.toLowerCase();
+    let accion = null;
+    
+    if (tecla === 'z' && !event.shiftKey) {
+        accion = Deshacer.deshacer();
+        mostrarMensajePersistencia(accion ? `↩️ Deshecho: ${describirAccion(accion)}` : 'ℹ️ Nada que deshacer', 'info');
+    } else if ((tecla === 'z' && event.shiftKey) || tecla === 'y') {
+        accion = Deshacer.rehacer();
+        mostrarMensajePersistencia(accion ? `↪️ Rehecho: ${describirAccion(accion)}` : 'ℹ️ Nada que rehacer', 'info');
+    } else {
+        return;
+    }
+    
+    event.preventDefault();
+    if (!accion) return;
+    
+    // Si la plantilla en edición cambió o desapareció, refrescar el formulario
+    if (plantillaEditandoId) {
+        if (Store.obtenerPorId(plantillaEditandoId)) {
+            editarPlantilla(plantillaEditandoId);
+        } else {
+            limpiarFormulario();
+        }
+    }
+    
+    actualizarInterfaz();
+    mostrarEstadoAlmacenamiento();
+    actualizarBotonPapelera();
+}
+
 /**
  * Utilidades
  */
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // innerHTML no escapa comillas: necesario para valores dentro de atributos
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 function formatearFecha(fecha) {
-    return new Date(fecha).toLocaleString('es-ES', {
+    return new Date(fecha).toLocaleString(obtenerLocaleInterfaz(), {
         year: 'numeric',
         month: '2-digit',
         day: '2-digit',
@@ -0,0 +1,212 @@
+/**
+ * collections.js - Colecciones para organizar bibliotecas grandes
+ * Una colección puede tener subcolecciones (un solo nivel) y una plantilla puede estar en varias.
+ * Quitar una colección nunca elimina sus plantillas: solo deja de agruparlas
+ */
+
+// Selección del panel lateral para las plantillas que no están en ninguna colección
+const SIN_COLECCION = 'sin-coleccion';
+
+/**
+ * Error al crear, renombrar o anidar una colección
+ * El mensaje se muestra tal cual al usuario
+ */
+class ErrorColeccion extends Error {
+    constructor(motivo) {
+        super(motivo);
+        this.name = 'ErrorColeccion';
+    }
+}
+
+const Colecciones = {
+    colecciones: [], // [{ id, nombre, padre }] padre es el id de la colección que la contiene o null
+
+    /**
+     * Colecciones principales con sus subcolecciones, ordenadas por nombre
+     * Cada una lleva cuántas plantillas contiene (las de sus subcolecciones incluidas, sin contar las archivadas)
+     * @returns {{id: string, nombre: string, padre: null, cantidad: number, hijas: Object[]}[]}
+     */
+    obtenerArbol() {
+        const porNombre = (a, b) => a.nombre.localeCompare(b.nombre);
+        const activas = Store.obtenerTodas().filter(plantilla => !plantilla.archivada);
+        const contar = ids => activas.filter(plantilla => (plantilla.colecciones || []).some(id => ids.includes(id))).length;
+
+        return this.colecciones
+            .filter(coleccion => coleccion.padre === null)
+            .sort(porNombre)
+            .map(coleccion => ({
+                ...coleccion,
+                cantidad: contar(this.idsConSubcolecciones(coleccion.id)),
+                hijas: this.hijas(coleccion.id).sort(porNombre).map(hija => ({ ...hija, cantidad: contar([hija.id]), hijas: [] }))
+            }));
+    },
+
+    /**
+     * Obtener una colección por ID
+     */
+    obtener(id) {
+        return this.colecciones.find(coleccion => coleccion.id === id) || null;
+    },
+
+    /**
+     * Subcolecciones de una colección
+     */
+    hijas(id) {
+        return this.colecciones.filter(coleccion => coleccion.padre === id);
+    },
+
+    /**
+     * IDs de una colección y de sus subcolecciones
+     */
+    idsConSubcolecciones(id) {
+        return [id, ...this.hijas(id).map(hija => hija.id)];
+    },
+
+    /**
+     * Nombre para mostrar, con el de la colección que la contiene
+     */
+    ruta(id) {
+        const coleccion = this.obtener(id);
+        if (!coleccion) return '';
+        const padre = this.obtener(coleccion.padre);
+        return padre ? `${padre.nombre} / ${coleccion.nombre}` : coleccion.nombre;
+    },
+
+    /**
+     * Crear una colección, dentro de otra si se indica
+     * @param {string|null} padre - ID de una colección principal
+     * @throws {ErrorColeccion} Nombre vacío o repetido, o más de un nivel de anidación
+     */
+    crear(nombre, padre = null) {
+        const limpio = this.validarNombre(nombre, padre);
+        this.validarPadre(padre);
+
+        const coleccion = { id: generarUid(), nombre: limpio, padre: padre || null };
+        this.colecciones.push(coleccion);
+        guardarDatoPersistente('colecciones');
+        return coleccion;
+    },
+
+    /**
+     * Renombrar una colección (sus plantillas siguen en ella)
+     * @throws {ErrorColeccion} Nombre vacío o de otra colección del mismo nivel
+     */
+    renombrar(id, nombre) {
+        const coleccion = this.obtener(id);
+        if (!coleccion) return;
+
+        coleccion.nombre = this.validarNombre(nombre, coleccion.padre, id);
+        guardarDatoPersistente('colecciones');
+    },
+
+    /**
+     * Eliminar una colección y sus subcolecciones
+     * Las plantillas no se eliminan: solo salen de esas colecciones
+     * @returns {{colecciones: number, plantillas: number}} Colecciones quitadas y plantillas afectadas
+     */
+    eliminar(id) {
+        const ids = this.idsConSubcolecciones(id);
+        const cambios = Store.obtenerTodas()
+            .filter(plantilla => (plantilla.colecciones || []).some(coleccion => ids.includes(coleccion)))
+            .map(plantilla => ({ id: plantilla.id, datos: { colecciones: plantilla.colecciones.filter(coleccion => !ids.includes(coleccion)) } }));
+
+        this.colecciones = this.colecciones.filter(coleccion => !ids.includes(coleccion.id));
+        guardarDatoPersistente('colecciones');
+
+        return { colecciones: ids.length, plantillas: Store.organizarVarias(cambios).length };
+    },
+
+    /**
+     * Colecciones en las que está una plantilla (se ignoran las que ya no existen)
+     */
+    coleccionesDe(plantilla) {
+        return (plantilla.colecciones || []).map(id => this.obtener(id)).filter(Boolean);
+    },
+
+    /**
+     * Plantillas de una colección y de sus subcolecciones, archivadas incluidas
+     */
+    plantillasDe(id) {
+        const ids = this.idsConSubcolecciones(id);
+        return Store.obtenerTodas().filter(plantilla => (plantilla.colecciones || []).some(coleccion => ids.includes(coleccion)));
+    },
+
+    /**
+     * Poner una plantilla exactamente en estas colecciones
+     */
+    asignar(idPlantilla, ids) {
+        return Store.organizar(idPlantilla, { colecciones: ids.filter(id => this.obtener(id)) });
+    },
+
+    /**
+     * Criterios de Store.filtrar para lo elegido en el panel lateral
+     * @param {string} seleccion - '' (todas), SIN_COLECCION o el ID de una colección
+     */
+    criteriosDeFiltro(seleccion) {
+        if (seleccion === SIN_COLECCION) {
+            return { fueraDeColecciones: this.colecciones.map(coleccion => coleccion.id) };
+        }
+        return this.obtener(seleccion) ? { colecciones: this.idsConSubcolecciones(seleccion) } : {};
+    },
+
+    /**
+     * Comprobar el nombre: no vacío y sin repetir entre las colecciones del mismo nivel
+     * @returns {string} Nombre sin espacios extremos
+     */
+    validarNombre(nombre, padre, excepto = null) {
+        const limpio = String(nombre || '').trim();
+        if (!limpio) {
+            throw new ErrorColeccion('La colección necesita un nombre');
+        }
+
+        const buscado = normalizarBusqueda(limpio);
+        const igual = this.colecciones.find(coleccion =>
+            coleccion.id !== excepto && coleccion.padre === (padre || null) && normalizarBusqueda(coleccion.nombre) === buscado
+        );
+        if (igual) {
+            throw new ErrorColeccion(`Ya existe la colección "${igual.nombre}" en ese nivel`);
+        }
+        return limpio;
+    },
+
+    /**
+     * Comprobar que una colección puede contener subcolecciones
+     */
+    validarPadre(padre) {
+        if (!padre) return;
+
+        const coleccion = this.obtener(padre);
+        if (!coleccion) {
+            throw new ErrorColeccion('La colección que la contiene ya no existe');
+        }
+        if (coleccion.padre !== null) {
+            throw new ErrorColeccion('Las subcolecciones no pueden tener otras dentro');
+        }
+    },
+
+    /**
+     * Cargar las colecciones guardadas (usado por persistencia)
+     * Una subcolección cuyo padre falta pasa a ser principal
+     */
+    cargar(datos) {
+        const validas = Array.isArray(datos)
+            ? datos.filter(coleccion => coleccion && typeof coleccion.id === 'string' && typeof coleccion.nombre === 'string' && coleccion.nombre.trim())
+            : [];
+        const principales = new Set(validas.filter(coleccion => !coleccion.padre).map(coleccion => coleccion.id));
+
+        this.colecciones = validas.map(coleccion => ({
+            id: coleccion.id,
+            nombre: coleccion.nombre,
+            padre: principales.has(coleccion.padre) ? coleccion.padre : null
+        }));
+    },
+
+    /**
+     * Datos a guardar (usado por persistencia)
+     */
+    serializar() {
+        return this.colecciones;
+    }
+};
+
+registrarDatoPersistente('colecciones', Colecciones);
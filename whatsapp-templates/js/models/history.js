@@ -0,0 +1,137 @@
+/**
+ * history.js - Historial de revisiones por plantilla
+ * Guarda una copia de cada versión para poder comparar y restaurar
+ */
+
+const MAX_REVISIONES = 30;
+const VENTANA_AUTOGUARDADO_MS = 2 * 60 * 1000; // Ráfagas de autoguardado más cercanas se agrupan
+
+// Campos que forman parte de una revisión
+const CAMPOS_REVISION = [
+    'nombre', 'contenido', 'categoria', 'hashtags', 'valoresPorDefecto',
+    'tipoEncabezado', 'encabezado', 'pie', 'botones', 'idiomaPorDefecto', 'variantes'
+];
+
+const Historial = {
+    revisiones: {}, // id de plantilla -> [{ numero, fecha, origen, datos }]
+
+    /**
+     * Registrar el estado actual de una plantilla como revisión
+     * Las ediciones seguidas del autoguardado actualizan la última revisión en lugar de crear otra
+     * @param {Object} plantilla - Plantilla ya modificada
+     * @param {string} origen - 'creacion', 'formulario', 'autoguardado', 'restauracion'...
+     * @returns {Object|null} Revisión creada o actualizada, null si no hubo cambios
+     */
+    registrar(plantilla, origen = 'formulario') {
+        const lista = this.revisiones[plantilla.id] || (this.revisiones[plantilla.id] = []);
+        const ultima = lista[lista.length - 1];
+        const datos = copiarCamposRevision(plantilla);
+        const ahora = new Date();
+
+        if (ultima && JSON.stringify(ultima.datos) === JSON.stringify(datos)) {
+            return null;
+        }
+
+        const agrupar = ultima &&
+            origen === 'autoguardado' &&
+            ultima.origen === 'autoguardado' &&
+            ahora - new Date(ultima.fecha) < VENTANA_AUTOGUARDADO_MS;
+
+        let revision;
+        if (agrupar) {
+            ultima.datos = datos;
+            ultima.fecha = ahora.toISOString();
+            revision = ultima;
+        } else {
+            revision = {
+                numero: ultima ? ultima.numero + 1 : 1,
+                fecha: ahora.toISOString(),
+                origen,
+                datos
+            };
+            lista.push(revision);
+
+            if (lista.length > MAX_REVISIONES) {
+                lista.splice(0, lista.length - MAX_REVISIONES);
+            }
+        }
+
+        guardarDatoPersistente('historial');
+        return revision;
+    },
+
+    /**
+     * Obtener las revisiones de una plantilla, de la más antigua a la más nueva
+     */
+    obtener(id) {
+        return this.revisiones[id] || [];
+    },
+
+    /**
+     * Obtener una revisión concreta
+     */
+    obtenerRevision(id, numero) {
+        return this.obtener(id).find(revision => revision.numero == numero) || null;
+    },
+
+    /**
+     * Borrar el historial de una plantilla
+     */
+    eliminar(id) {
+        if (this.revisiones[id]) {
+            delete this.revisiones[id];
+            guardarDatoPersistente('historial');
+        }
+    },
+
+    /**
+     * Cargar el historial guardado (usado por persistencia)
+     */
+    cargar(datos) {
+        this.revisiones = datos && typeof datos === 'object' ? datos : {};
+
+        // Las revisiones anteriores al esquema v6 guardaban el hashtag como texto libre
+        Object.values(this.revisiones).forEach(lista => {
+            (Array.isArray(lista) ? lista : []).forEach(revision => {
+                if (revision.datos && typeof revision.datos.hashtag !== 'undefined') {
+                    revision.datos = migrarHashtags(revision.datos);
+                }
+            });
+        });
+    },
+
+    /**
+     * Datos a guardar (usado por persistencia)
+     */
+    serializar() {
+        return this.revisiones;
+    }
+};
+
+/**
+ * Copiar los campos versionados de una plantilla
+ */
+function copiarCamposRevision(plantilla) {
+    const datos = {};
+    CAMPOS_REVISION.forEach(campo => {
+        if (typeof plantilla[campo] !== 'undefined') {
+            datos[campo] = structuredClone(plantilla[campo]);
+        }
+    });
+    return datos;
+}
+
+// Registrar revisiones con cada cambio del Store
+Store.suscribir(({ tipo, plantilla, anterior, opciones }) => {
+    if (tipo === 'agregar') {
+        Historial.registrar(plantilla, opciones.origen || 'creacion');
+    } else if (tipo === 'actualizar') {
+        // Plantillas anteriores al historial: guardar primero su estado original
+        if (Historial.obtener(plantilla.id).length === 0) {
+            Historial.registrar(anterior, 'original');
+        }
+        Historial.registrar(plantilla, opciones.origen || 'formulario');
+    }
+});
+
+registrarDatoPersistente('historial', Historial);
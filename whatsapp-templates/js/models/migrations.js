@@ -0,0 +1,333 @@
+/**
+ * migrations.js - Esquema versionado de los datos guardados
+ * Actualiza datos antiguos a la forma canónica en lugar de descartarlos
+ *
+ * Forma canónica de una plantilla (versión 8):
+ * { id, uid, revision, nombre, contenido, categoria, hashtags, valoresPorDefecto, fechaCreacion,
+ *   fechaModificacion, tipoEncabezado, encabezado, pie, botones, idiomaPorDefecto, variantes,
+ *   favorita, fijada, archivada, posicion, colecciones }
+ */
+
+const VERSION_ESQUEMA = 8;
+
+/**
+ * Error de migración de un registro concreto
+ * El mensaje explica por qué se rechaza y se muestra en el informe
+ */
+class ErrorMigracion extends Error {
+    constructor(motivo) {
+        super(motivo);
+        this.name = 'ErrorMigracion';
+    }
+}
+
+/**
+ * Pasos de migración, uno por versión
+ * Cada paso recibe un registro de la versión "desde" y devuelve el de la versión "hasta"
+ */
+const MIGRACIONES = [
+    {
+        desde: 1,
+        hasta: 2,
+        descripcion: 'Unificar titulo/mensaje (Template) y nombre/contenido (Store)',
+        migrarRegistro(registro) {
+            if (!registro || typeof registro !== 'object' || Array.isArray(registro)) {
+                throw new ErrorMigracion('no es un objeto');
+            }
+
+            const nombre = primerTexto(registro.nombre, registro.titulo);
+            const contenido = primerTexto(registro.contenido, registro.mensaje);
+
+            if (!nombre || !nombre.trim()) {
+                throw new ErrorMigracion('sin nombre ni título');
+            }
+            if (!contenido || !contenido.trim()) {
+                throw new ErrorMigracion('sin contenido ni mensaje');
+            }
+
+            const { titulo, mensaje, ...resto } = registro;
+            const fechaCreacion = normalizarFecha(registro.fechaCreacion);
+
+            return {
+                ...resto,
+                nombre,
+                contenido,
+                categoria: typeof registro.categoria === 'string' ? registro.categoria : '',
+                hashtag: typeof registro.hashtag === 'string' ? registro.hashtag : '',
+                valoresPorDefecto: esObjetoPlano(registro.valoresPorDefecto) ? registro.valoresPorDefecto : {},
+                fechaCreacion,
+                fechaModificacion: normalizarFecha(registro.fechaModificacion, fechaCreacion)
+            };
+        }
+    },
+    {
+        desde: 2,
+        hasta: 3,
+        descripcion: 'Añadir encabezado, pie y botones de mensaje interactivo',
+        migrarRegistro(registro) {
+            const encabezado = typeof registro.encabezado === 'string' ? registro.encabezado : '';
+            let tipoEncabezado = typeof registro.tipoEncabezado === 'string' ? registro.tipoEncabezado : '';
+            if (!Template.TIPOS_ENCABEZADO.includes(tipoEncabezado)) {
+                // Un encabezado sin tipo (p. ej. importado de Meta) es de texto
+                tipoEncabezado = encabezado ? 'texto' : '';
+            }
+
+            return {
+                ...registro,
+                tipoEncabezado,
+                encabezado,
+                pie: typeof registro.pie === 'string' ? registro.pie : '',
+                botones: normalizarBotones(registro.botones)
+            };
+        }
+    },
+    {
+        desde: 3,
+        hasta: 4,
+        descripcion: 'Añadir idioma por defecto y traducciones',
+        migrarRegistro(registro) {
+            const idiomaPorDefecto = typeof registro.idiomaPorDefecto === 'string' && /^[a-z]{2}$/.test(registro.idiomaPorDefecto)
+                ? registro.idiomaPorDefecto
+                : 'es';
+
+            // Solo se conservan traducciones con mensaje y distintas del idioma por defecto
+            const variantes = {};
+            if (esObjetoPlano(registro.variantes)) {
+                Object.entries(registro.variantes).forEach(([idioma, variante]) => {
+                    if (idioma !== idiomaPorDefecto && esObjetoPlano(variante) && typeof variante.contenido === 'string' && variante.contenido.trim()) {
+                        variantes[idioma] = {
+                            contenido: variante.contenido,
+                            encabezado: typeof variante.encabezado === 'string' ? variante.encabezado : '',
+                            pie: typeof variante.pie === 'string' ? variante.pie : '',
+                            botones: normalizarBotones(variante.botones)
+                        };
+                    }
+                });
+            }
+
+            return { ...registro, idiomaPorDefecto, variantes };
+        }
+    },
+    {
+        desde: 4,
+        hasta: 5,
+        descripcion: 'Añadir identificador global y revisión para la sincronización con un servidor',
+        migrarRegistro(registro) {
+            return {
+                ...registro,
+                uid: typeof registro.uid === 'string' && registro.uid ? registro.uid : generarUid(),
+                revision: Number.isInteger(registro.revision) && registro.revision >= 0 ? registro.revision : 0
+            };
+        }
+    },
+    {
+        desde: 5,
+        hasta: 6,
+        descripcion: 'Pasar el hashtag de texto libre a una lista de hashtags',
+        migrarRegistro(registro) {
+            return migrarHashtags(registro);
+        }
+    },
+    {
+        desde: 6,
+        hasta: 7,
+        descripcion: 'Añadir favorita, fijada, archivada y posición en el orden manual',
+        migrarRegistro(registro) {
+            // Sin posición, el Store las coloca en el orden en que se guardaron
+            return {
+                ...registro,
+                favorita: registro.favorita === true,
+                fijada: registro.fijada === true,
+                archivada: registro.archivada === true,
+                posicion: Number.isFinite(registro.posicion) ? registro.posicion : null
+            };
+        }
+    },
+    {
+        desde: 7,
+        hasta: 8,
+        descripcion: 'Añadir las colecciones de cada plantilla',
+        migrarRegistro(registro) {
+            return {
+                ...registro,
+                colecciones: Array.isArray(registro.colecciones)
+                    ? [...new Set(registro.colecciones.filter(id => typeof id === 'string' && id))]
+                    : []
+            };
+        }
+    }
+];
+
+/**
+ * Migrar datos leídos del almacenamiento a la versión actual del esquema
+ * Acepta el array suelto de la versión 1 y el objeto { version, plantillas }
+ * @param {*} datos - Datos ya deserializados
+ * @returns {{plantillas: Object[], informe: Object}} Plantillas canónicas e informe
+ */
+function migrarDatos(datos) {
+    let version;
+    let registros;
+
+    if (Array.isArray(datos)) {
+        version = 1;
+        registros = datos;
+    } else if (datos && Number.isInteger(datos.version) && Array.isArray(datos.plantillas)) {
+        version = datos.version;
+        registros = datos.plantillas;
+    } else {
+        throw new ErrorMigracion('formato de datos desconocido');
+    }
+
+    const informe = {
+        versionOriginal: version,
+        versionFinal: Math.max(version, VERSION_ESQUEMA),
+        total: registros.length,
+        migradas: 0,
+        rechazadas: []
+    };
+
+    if (version > VERSION_ESQUEMA) {
+        // Datos de una versión más nueva de la app: se usan tal cual
+        console.warn(`Datos con esquema v${version}, más nuevo que v${VERSION_ESQUEMA}`);
+    }
+
+    const plantillas = [];
+    const migradas = new Set();
+    registros.forEach((registro, indice) => {
+        try {
+            const original = JSON.stringify(registro);
+            const migrado = validarRegistroMigrado(migrarRegistro(registro, version));
+
+            if (JSON.stringify(migrado) !== original) {
+                migradas.add(migrado);
+            }
+            plantillas.push(migrado);
+        } catch (error) {
+            if (!(error instanceof ErrorMigracion)) throw error;
+
+            informe.rechazadas.push({
+                indice,
+                nombre: registro && (registro.nombre || registro.titulo) || null,
+                motivo: error.message,
+                registro
+            });
+        }
+    });
+
+    asignarIdsValidos(plantillas).forEach(plantilla => migradas.add(plantilla));
+    informe.migradas = migradas.size;
+
+    return { plantillas, informe };
+}
+
+/**
+ * Aplicar en orden todos los pasos de migración desde una versión
+ */
+function migrarRegistro(registro, version) {
+    return MIGRACIONES
+        .filter(paso => paso.desde >= version)
+        .reduce((actual, paso) => paso.migrarRegistro(actual), registro);
+}
+
+/**
+ * Comprobar que un registro migrado se puede usar como plantilla, venga de la versión que venga
+ * Los de la versión actual no pasan por ningún paso: sin esta comprobación nadie los revisaría
+ * @throws {ErrorMigracion} Si le falta lo imprescindible
+ */
+function validarRegistroMigrado(registro) {
+    if (!esObjetoPlano(registro)) {
+        throw new ErrorMigracion('no es un objeto');
+    }
+    if (typeof registro.nombre !== 'string' || !registro.nombre.trim()) {
+        throw new ErrorMigracion('sin nombre');
+    }
+    if (typeof registro.contenido !== 'string' || !registro.contenido.trim()) {
+        throw new ErrorMigracion('sin contenido');
+    }
+    return registro;
+}
+
+/**
+ * Asignar IDs enteros únicos a registros sin ID, con ID decimal
+ * (los antiguos Template usaban Date.now() + Math.random()) o repetido
+ * @returns {Object[]} Registros con ID reasignado
+ */
+function asignarIdsValidos(plantillas) {
+    const usados = new Set();
+    const pendientes = [];
+
+    plantillas.forEach(plantilla => {
+        const id = Number(plantilla.id);
+        if (Number.isInteger(id) && id > 0 && !usados.has(id)) {
+            plantilla.id = id;
+            usados.add(id);
+        } else {
+            pendientes.push(plantilla);
+        }
+    });
+
+    let siguiente = usados.size > 0 ? Math.max(...usados) + 1 : 1;
+    pendientes.forEach(plantilla => {
+        plantilla.id = siguiente++;
+    });
+
+    return pendientes;
+}
+
+/**
+ * Sustituir el campo hashtag (texto libre) por la lista hashtags
+ * También se usa con las copias de la papelera y del historial, que no pasan por migrarDatos
+ */
+function migrarHashtags(registro) {
+    const { hashtag, ...resto } = registro;
+    const valor = Array.isArray(registro.hashtags) || typeof registro.hashtags === 'string' ? registro.hashtags : hashtag;
+    return { ...resto, hashtags: Template.normalizarHashtags(valor) };
+}
+
+/**
+ * Generar un identificador global: el ID numérico solo es único en este navegador
+ */
+function generarUid() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Describir el informe de migración en una línea legible
+ */
+function resumirInformeMigracion(informe) {
+    const partes = [`${informe.total - informe.rechazadas.length} cargadas`];
+    if (informe.migradas > 0) {
+        partes.push(`${informe.migradas} migradas a v${informe.versionFinal}`);
+    }
+    if (informe.rechazadas.length > 0) {
+        partes.push(`${informe.rechazadas.length} rechazadas`);
+    }
+    return partes.join(', ');
+}
+
+/**
+ * Utilidades de normalización
+ */
+function primerTexto(...valores) {
+    return valores.find(valor => typeof valor === 'string' && valor.trim() !== '');
+}
+
+function normalizarBotones(botones) {
+    return Array.isArray(botones)
+        ? botones
+            .filter(boton => esObjetoPlano(boton) && Template.LIMITES.botones[boton.tipo])
+            .map(boton => ({ ...boton, texto: typeof boton.texto === 'string' ? boton.texto : '' }))
+        : [];
+}
+
+function esObjetoPlano(valor) {
+    return Boolean(valor) && typeof valor === 'object' && !Array.isArray(valor);
+}
+
+function normalizarFecha(valor, porDefecto = new Date().toISOString()) {
+    const fecha = new Date(valor);
+    return valor && !isNaN(fecha.getTime()) ? fecha.toISOString() : porDefecto;
+}
@@ -1,88 +1,241 @@
 /**
- * persistence.js - Manejo de persistencia con LocalStorage
- * Funciones para guardar, cargar y limpiar plantillas en LocalStorage
+ * persistence.js - Manejo de persistencia con adaptadores de almacenamiento
+ * Funciones para guardar, cargar y limpiar plantillas en LocalStorage, IndexedDB o memoria
  */
 
 const STORAGE_KEY = 'whatsapp_templates';
+const BACKEND_KEY = 'whatsapp_templates_backend';
+
+// Orden de preferencia cuando el usuario no eligió almacenamiento
+const BACKENDS_DISPONIBLES = {
+    indexeddb: () => new AdaptadorIndexedDB(),
+    localstorage: () => new AdaptadorLocalStorage(),
+    memoria: () => new AdaptadorMemoria()
+};
+
+let adaptadorActivo = new AdaptadorMemoria();
+let colaEscritura = Promise.resolve(true); // Las escrituras se encadenan para respetar el orden
+let almacenamientoBloqueado = false;       // Datos cifrados sin abrir: esta sesión no los toca
+
+// Datos auxiliares (historial, papelera...) que se guardan junto a las plantillas
+const datosPersistentes = {};
 
 /**
- * HU1: Guardar plantillas en LocalStorage
- * Serializa las plantillas del Store y las guarda en LocalStorage
+ * HU1: Guardar plantillas en el almacenamiento activo
+ * Con un cambio concreto y un adaptador por registros solo se escribe esa plantilla;
+ * en otro caso se reescriben todas
+ * @param {Object} cambio - Opcional: { tipo: 'guardar', plantilla } o { tipo: 'eliminar', id }
+ * @returns {Promise<boolean>} true si se guardó
  */
-function guardarPlantillas() {
-    try {
-        const plantillas = Store.obtenerTodas();
-        const plantillasJSON = JSON.stringify(plantillas);
-        localStorage.setItem(STORAGE_KEY, plantillasJSON);
-        
-        // Mostrar mensaje de confirmación
-        mostrarMensajePersistencia('✅ Plantillas guardadas correctamente', 'success');
-        return true;
-    } catch (error) {
-        console.error('Error al guardar plantillas:', error);
-        mostrarMensajePersistencia('❌ Error al guardar plantillas', 'error');
-        return false;
+function guardarPlantillas(cambio = null) {
+    const adaptador = adaptadorActivo;
+    let escribir;
+    
+    if (cambio && adaptador.soportaRegistros && cambio.tipo === 'guardar') {
+        const plantilla = cambio.plantilla;
+        escribir = () => adaptador.guardarRegistro(plantilla);
+    } else if (cambio && adaptador.soportaRegistros && cambio.tipo === 'eliminar') {
+        const id = cambio.id;
+        escribir = () => adaptador.eliminarRegistro(id);
+    } else {
+        // Capturar el estado ahora: la escritura puede esperar a otras en la cola
+        const datos = {
+            version: VERSION_ESQUEMA,
+            plantillas: [...Store.obtenerTodas()]
+        };
+        escribir = () => adaptador.guardarTodo(datos);
+    }
+    
+    colaEscritura = colaEscritura
+        .then(escribir)
+        .then(() => {
+            avisarCambioAlmacenamiento({ tipo: 'plantillas' });
+            
+            // Mostrar mensaje de confirmación
+            mostrarMensajePersistencia('✅ Plantillas guardadas correctamente', 'success');
+            return true;
+        })
+        .catch(error => {
+            console.error('Error al guardar plantillas:', error);
+            mostrarMensajePersistencia(
+                error && error.name === 'QuotaExceededError'
+                    ? `❌ Sin espacio en ${adaptador.nombre}`
+                    : '❌ Error al guardar plantillas',
+                'error'
+            );
+            return false;
+        });
+    
+    return colaEscritura;
+}
+
+/**
+ * Registrar un dato auxiliar que se guarda en el mismo almacenamiento que las plantillas
+ * @param {string} clave - Clave del dato en el adaptador
+ * @param {{cargar: Function, serializar: Function}} manejador - Objeto que lo gestiona
+ */
+function registrarDatoPersistente(clave, manejador) {
+    datosPersistentes[clave] = manejador;
+}
+
+/**
+ * Guardar un dato auxiliar registrado
+ * @returns {Promise<boolean>} true si se guardó
+ */
+function guardarDatoPersistente(clave) {
+    const manejador = datosPersistentes[clave];
+    if (!manejador) return Promise.resolve(false);
+    
+    const adaptador = adaptadorActivo;
+    const valor = manejador.serializar();
+    
+    colaEscritura = colaEscritura
+        .then(() => adaptador.guardarDato(clave, valor))
+        .then(() => {
+            avisarCambioAlmacenamiento({ tipo: 'dato', clave });
+            return true;
+        })
+        .catch(error => {
+            console.error(`Error al guardar "${clave}":`, error);
+            mostrarMensajePersistencia(`❌ Error al guardar ${clave}`, 'error');
+            return false;
+        });
+    
+    return colaEscritura;
+}
+
+/**
+ * Volver a leer un dato auxiliar (otra pestaña lo ha cambiado)
+ */
+async function recargarDatoPersistente(clave) {
+    const manejador = datosPersistentes[clave];
+    if (!manejador) return;
+    manejador.cargar(await adaptadorActivo.leerDato(clave));
+}
+
+/**
+ * Avisar a las demás pestañas de una escritura si la sincronización está cargada
+ * En memoria cada pestaña tiene sus propios datos: no hay nada que avisar
+ */
+function avisarCambioAlmacenamiento(mensaje) {
+    if (typeof avisarOtrasPestanas === 'function' && !(adaptadorActivo instanceof AdaptadorMemoria)) {
+        avisarOtrasPestanas(mensaje);
     }
 }
 
 /**
- * HU2: Cargar plantillas desde LocalStorage
- * Lee los datos desde LocalStorage, los deserializa y actualiza el Store
+ * Cargar todos los datos auxiliares registrados
  */
-function cargarPlantillas() {
+async function cargarDatosPersistentes() {
+    for (const [clave, manejador] of Object.entries(datosPersistentes)) {
+        try {
+            manejador.cargar(await adaptadorActivo.leerDato(clave));
+        } catch (error) {
+            console.error(`Error al cargar "${clave}":`, error);
+            manejador.cargar(null);
+        }
+    }
+}
+
+/**
+ * HU2: Cargar plantillas desde el almacenamiento activo
+ * Lee los datos, los migra al esquema actual y actualiza el Store
+ */
+async function cargarPlantillas() {
+    let datos = null;
     try {
-        const plantillasJSON = localStorage.getItem(STORAGE_KEY);
+        datos = await adaptadorActivo.cargar();
         
-        // Usar operador ternario para manejar LocalStorage vacío
-        const plantillas = plantillasJSON ? JSON.parse(plantillasJSON) : [];
+        // Migración al esquema actual en lugar de filtrar (Logro 2);
+        // operador ternario para manejar almacenamiento vacío
+        const { plantillas, informe } = migrarDatos(datos ? datos : []);
         
-        // Validación robusta de JSON (Logro 2)
-        if (Array.isArray(plantillas)) {
-            // Validar que cada plantilla tenga la estructura correcta
-            const plantillasValidas = plantillas.filter(plantilla => 
-                plantilla && 
-                typeof plantilla.id !== 'undefined' &&
-                typeof plantilla.nombre === 'string' &&
-                typeof plantilla.contenido === 'string'
-            );
-            
-            Store.cargarPlantillas(plantillasValidas);
-            mostrarMensajePersistencia(`📥 ${plantillasValidas.length} plantillas cargadas`, 'info');
-            return plantillasValidas;
-        } else {
-            console.warn('Datos corruptos en LocalStorage, inicializando vacío');
-            Store.cargarPlantillas([]);
-            return [];
+        Store.cargarPlantillas(plantillas);
+        await reportarMigracion(informe);
+        
+        // Guardar ya migrado para no repetir la migración en cada carga
+        if (datos && (informe.migradas > 0 || informe.versionOriginal < VERSION_ESQUEMA)) {
+            await guardarPlantillas();
         }
+        
+        mostrarMensajePersistencia(`📥 ${resumirInformeMigracion(informe)}`, 'info');
+        return plantillas;
     } catch (error) {
         console.error('Error al cargar plantillas:', error);
         mostrarMensajePersistencia('⚠️ Error al cargar plantillas guardadas', 'warning');
+        
+        // Apartar los datos ilegibles antes de que el próximo guardado los sobrescriba
+        if (datos) {
+            await reportarMigracion({
+                migradas: 0,
+                rechazadas: [{ indice: 0, nombre: null, motivo: error.message, registro: datos }]
+            });
+        }
         Store.cargarPlantillas([]);
         return [];
     }
 }
 
+/**
+ * Informar del resultado de la migración
+ * Los registros rechazados se apartan en otra clave para no perderlos
+ * (una sola vez: siguen en el almacenamiento hasta el próximo guardado y se vuelven a leer)
+ */
+async function reportarMigracion(informe) {
+    if (informe.migradas > 0) {
+        console.info(`💾 ${informe.migradas} plantillas migradas de v${informe.versionOriginal} a v${informe.versionFinal}`);
+    }
+    
+    if (informe.rechazadas.length > 0) {
+        informe.rechazadas.forEach(rechazada => {
+            console.warn(`Plantilla rechazada (#${rechazada.indice + 1}${rechazada.nombre ? ` "${rechazada.nombre}"` : ''}): ${rechazada.motivo}`);
+        });
+        
+        try {
+            const anteriores = (await adaptadorActivo.leerDato('rechazadas')) || [];
+            const apartados = new Set(anteriores.map(({ registro }) => JSON.stringify(registro)));
+            const nuevas = informe.rechazadas
+                .filter(({ registro }) => !apartados.has(JSON.stringify(registro)))
+                .map(({ motivo, registro }) => ({
+                    motivo,
+                    registro,
+                    fecha: new Date().toISOString()
+                }));
+            if (nuevas.length > 0) {
+                await adaptadorActivo.guardarDato('rechazadas', [...anteriores, ...nuevas]);
+            }
+        } catch (error) {
+            console.error('No se pudieron apartar las plantillas rechazadas:', error);
+        }
+    }
+}
+
 /**
  * HU3: Resetear todas las plantillas
- * Elimina todas las plantillas del Store y LocalStorage
+ * Elimina todas las plantillas del Store y del almacenamiento; quedan en la papelera
  */
-function resetearPlantillas() {
+async function resetearPlantillas() {
     try {
         // Confirmar acción con el usuario
         const confirmacion = confirm(
             '¿Estás seguro de que deseas eliminar TODAS las plantillas?\n\n' +
-            'Esta acción no se puede deshacer.'
+            'Podrás recuperarlas desde la papelera o con Ctrl+Z.'
         );
         
         if (confirmacion) {
-            // Limpiar LocalStorage
-            localStorage.removeItem(STORAGE_KEY);
-            
-            // Limpiar Store
+            // Limpiar Store (las plantillas pasan a la papelera)
             Store.limpiarTodas();
             
+            // Limpiar almacenamiento cuando la papelera ya esté guardada
+            if (!(await colaEscritura)) {
+                throw new Error('No se pudo guardar la papelera');
+            }
+            await adaptadorActivo.limpiar();
+            avisarCambioAlmacenamiento({ tipo: 'plantillas' });
+            
             // Actualizar interfaz
             actualizarInterfaz();
+            mostrarEstadoAlmacenamiento();
             
             mostrarMensajePersistencia('🗑️ Todas las plantillas eliminadas', 'info');
             return true;
@@ -182,13 +335,239 @@ function verificarSoporteLocalStorage() {
 }
 
 /**
- * Inicializar persistencia al cargar la página
+ * Elegir el adaptador de almacenamiento
+ * Se usa el guardado en BACKEND_KEY si existe; si no, el primero disponible
+ */
+async function seleccionarAdaptador() {
+    let preferido = null;
+    try {
+        preferido = localStorage.getItem(BACKEND_KEY);
+    } catch (error) {
+        // Sin LocalStorage no hay preferencia guardada
+    }
+    
+    const orden = Object.keys(BACKENDS_DISPONIBLES);
+    const candidatos = BACKENDS_DISPONIBLES[preferido]
+        ? [preferido, ...orden.filter(nombre => nombre !== preferido)]
+        : orden;
+    
+    for (const nombre of candidatos) {
+        const adaptador = BACKENDS_DISPONIBLES[nombre]();
+        if (await adaptador.disponible()) {
+            return adaptador;
+        }
+    }
+    return new AdaptadorMemoria();
+}
+
+/**
+ * Copiar los datos de LocalStorage la primera vez que se usa IndexedDB
+ * Los datos de LocalStorage se conservan como respaldo
  */
-function inicializarPersistencia() {
-    if (verificarSoporteLocalStorage()) {
-        cargarPlantillas();
-        console.log('💾 Sistema de persistencia inicializado');
+async function migrarLocalStorageAIndexedDB(adaptador) {
+    if (await adaptador.leerDato('migradoDesdeLocalStorage')) return;
+    
+    let json = null;
+    try {
+        json = localStorage.getItem(STORAGE_KEY);
+    } catch (error) {
+        // Sin LocalStorage no hay nada que migrar
+    }
+    
+    // Unas plantillas cifradas solo se pueden mover tras abrirlas con su frase
+    if (leerSobreCifrado(json)) {
+        console.warn('Las plantillas de LocalStorage están cifradas: no se copian a IndexedDB');
+        return;
+    }
+    
+    const existentes = await adaptador.cargar();
+    if (json && (!existentes || existentes.plantillas.length === 0)) {
+        const { plantillas, informe } = migrarDatos(JSON.parse(json));
+        await adaptador.guardarTodo({ version: VERSION_ESQUEMA, plantillas });
+        await reportarMigracion(informe);
+        mostrarMensajePersistencia(`📦 ${plantillas.length} plantillas movidas de LocalStorage a IndexedDB`, 'info');
+    }
+    
+    await adaptador.guardarDato('migradoDesdeLocalStorage', new Date().toISOString());
+}
+
+/**
+ * Cambiar de almacenamiento copiando las plantillas actuales al nuevo
+ * @param {string} nombre - Clave de BACKENDS_DISPONIBLES
+ * @returns {Promise<boolean>} true si se cambió
+ */
+async function cambiarAlmacenamiento(nombre) {
+    const crear = BACKENDS_DISPONIBLES[nombre];
+    if (!crear) return false;
+    
+    const nuevo = crear();
+    if (!(await nuevo.disponible())) {
+        mostrarMensajePersistencia(`⚠️ ${nuevo.nombre} no está disponible en este navegador`, 'warning');
+        return false;
+    }
+    
+    // Sin abrir los datos cifrados, cualquier copia los sobrescribiría con las plantillas de memoria
+    if (almacenamientoBloqueado) {
+        mostrarMensajePersistencia('🔒 Recarga la página y abre las plantillas cifradas antes de cambiar de almacenamiento', 'warning');
+        return false;
+    }
+    if (adaptadorActivo.cifrado && !confirm(`Las plantillas se guardarán sin cifrar en ${nuevo.nombre}. ¿Continuar?`)) {
+        return false;
+    }
+    
+    try {
+        await colaEscritura;
+        await nuevo.guardarTodo({ version: VERSION_ESQUEMA, plantillas: Store.obtenerTodas() });
+        for (const [clave, manejador] of Object.entries(datosPersistentes)) {
+            await nuevo.guardarDato(clave, manejador.serializar());
+        }
+        if (nuevo instanceof AdaptadorIndexedDB) {
+            // Los datos ya vienen del Store: no volver a copiar LocalStorage
+            await nuevo.guardarDato('migradoDesdeLocalStorage', new Date().toISOString());
+        }
+        
+        adaptadorActivo = nuevo;
+        localStorage.setItem(BACKEND_KEY, nombre);
+        avisarCambioAlmacenamiento({ tipo: 'almacenamiento', nombre });
+        actualizarIndicadorPersistencia();
+        mostrarMensajePersistencia(`💾 Ahora se guarda en ${nuevo.nombre}`, 'success');
+        return true;
+    } catch (error) {
+        console.error('Error al cambiar de almacenamiento:', error);
+        mostrarMensajePersistencia(`❌ No se pudo copiar a ${nuevo.nombre}`, 'error');
+        return false;
+    }
+}
+
+/**
+ * Abrir un almacenamiento si sus datos están cifrados y dejarlo como activo
+ * Se pide la frase hasta acertar; si se cancela se sigue solo en memoria
+ * para no sobrescribir nunca los datos cifrados
+ * @param {AdaptadorAlmacenamiento} adaptador - Por defecto el activo
+ * @returns {Promise<boolean>} true si el almacenamiento se puede usar
+ */
+async function abrirAlmacenamientoCifrado(adaptador = adaptadorActivo) {
+    const abierto = !(await adaptador.estaCifrado()) || (typeof pedirFraseCifrado === 'function' && await pedirFraseCifrado({
+        titulo: '🔒 Plantillas cifradas',
+        texto: `Las plantillas guardadas en ${adaptador.nombre} están cifradas. Escribe la frase para abrirlas.`,
+        comprobar: async frase => {
+            await adaptador.desbloquear(frase);
+            return true;
+        }
+    }));
+    if (abierto) {
+        adaptadorActivo = adaptador;
+        almacenamientoBloqueado = false;
+        return true;
+    }
+    
+    adaptadorActivo = new AdaptadorMemoria();
+    almacenamientoBloqueado = true;
+    mostrarMensajePersistencia('🔒 Plantillas cifradas sin abrir: los cambios de esta sesión no se guardarán', 'warning');
+    return false;
+}
+
+/**
+ * Activar el cifrado en reposo, cambiar su frase o quitarlo
+ * Se reescriben las plantillas y los datos auxiliares en la cola de escritura
+ * @param {string|null} frase - Frase nueva, o null para guardar sin cifrar
+ * @returns {Promise<boolean>} true si se cambió
+ */
+function cambiarCifradoEnReposo(frase) {
+    const adaptador = adaptadorActivo;
+    if (!adaptador.admiteCifrado) {
+        mostrarMensajePersistencia(`⚠️ ${adaptador.nombre} no admite cifrado en reposo`, 'warning');
+        return Promise.resolve(false);
+    }
+    
+    colaEscritura = colaEscritura
+        .then(async () => {
+            const cifrado = frase ? await crearClaveCifrado(frase) : null;
+            await adaptador.cambiarCifrado(cifrado, [...Object.keys(datosPersistentes), 'rechazadas']);
+            avisarCambioAlmacenamiento({ tipo: 'cifrado' });
+            actualizarIndicadorPersistencia();
+            mostrarMensajePersistencia(frase ? '🔒 Plantillas cifradas' : '🔓 Plantillas guardadas sin cifrar', 'success');
+            return true;
+        })
+        .catch(error => {
+            console.error('Error al cambiar el cifrado:', error);
+            mostrarMensajePersistencia(
+                error && error.name === 'QuotaExceededError'
+                    ? `❌ Sin espacio en ${adaptador.nombre}: no se ha cambiado nada`
+                    : `❌ No se pudo cambiar el cifrado: ${error.message}`,
+                'error'
+            );
+            return false;
+        });
+    
+    return colaEscritura;
+}
+
+/**
+ * Mostrar qué almacenamiento está activo
+ */
+function actualizarIndicadorPersistencia() {
+    const indicador = document.getElementById('persistenceIndicator');
+    if (!indicador) return;
+    
+    const enMemoria = adaptadorActivo instanceof AdaptadorMemoria;
+    if (almacenamientoBloqueado) {
+        indicador.textContent = '🔒 Cifrado sin abrir: solo en memoria';
+    } else if (enMemoria) {
+        indicador.textContent = '⚠️ Solo en memoria';
     } else {
+        indicador.textContent = `${adaptadorActivo.cifrado ? '🔒' : '💾'} ${adaptadorActivo.nombre} Activo${adaptadorActivo.cifrado ? ' (cifrado)' : ''}`;
+    }
+    indicador.classList.toggle('inactive', enMemoria);
+    
+    // Estado de la sincronización con el servidor, si hay uno configurado
+    const remota = typeof SincronizacionRemota !== 'undefined' && SincronizacionRemota.url ? SincronizacionRemota : null;
+    if (remota) {
+        const pendientes = remota.pendientes.length > 0 ? ` (${remota.pendientes.length})` : '';
+        indicador.textContent += ` · ${ESTADOS_SINCRONIZACION_REMOTA[remota.estado]}${remota.estado === 'pendiente' ? pendientes : ''}`;
+    }
+    indicador.title = remota && remota.ultimoError ? remota.ultimoError : '';
+    indicador.dataset.sincronizacion = remota ? remota.estado : '';
+    
+    const selector = document.getElementById('selector-almacenamiento');
+    if (selector) {
+        selector.value = adaptadorActivo.tipo;
+    }
+}
+
+/**
+ * Inicializar persistencia al cargar la página
+ */
+async function inicializarPersistencia() {
+    try {
+        adaptadorActivo = await seleccionarAdaptador();
+        
+        if (adaptadorActivo instanceof AdaptadorIndexedDB) {
+            await migrarLocalStorageAIndexedDB(adaptadorActivo);
+        }
+        
+        // Con el cifrado en reposo activo hay que pedir la frase antes de cargar nada
+        await abrirAlmacenamientoCifrado();
+    } catch (error) {
+        console.error('Error al preparar el almacenamiento:', error);
+        adaptadorActivo = new AdaptadorMemoria();
+    }
+    
+    await cargarPlantillas();
+    await cargarDatosPersistentes();
+    actualizarIndicadorPersistencia();
+    
+    if (typeof Sincronizacion !== 'undefined') {
+        Sincronizacion.iniciar();
+    }
+    
+    if (typeof SincronizacionRemota !== 'undefined') {
+        SincronizacionRemota.iniciar();
+    }
+    
+    if (adaptadorActivo instanceof AdaptadorMemoria) {
         console.warn('📝 Funcionando solo en memoria (sin persistencia)');
+    } else {
+        console.log(`💾 Sistema de persistencia inicializado (${adaptadorActivo.nombre})`);
     }
 }
\ No newline at end of file
@@ -0,0 +1,480 @@
+/**
+ * rules.js - Reglas de validación de las plantillas
+ * Comprobaciones integradas y reglas propias con expresiones regulares; cada resultado es un
+ * error (impide guardar) o un aviso (se guarda igualmente)
+ */
+
+const NIVELES_REGLA = { error: '⛔ Error', aviso: '⚠️ Aviso' };
+const MODOS_REGLA = { prohibir: 'No debe aparecer', exigir: 'Debe aparecer' };
+const LONGITUD_MAXIMA_PATRON = 500;
+
+/**
+ * Error al guardar una regla propia
+ * El mensaje se muestra tal cual al usuario
+ */
+class ErrorRegla extends Error {
+    constructor(motivo) {
+        super(motivo);
+        this.name = 'ErrorRegla';
+    }
+}
+
+// Comprobaciones integradas; las "fijas" no se pueden desactivar
+// comprobar(plantilla, contexto, agregar) llama a agregar(nivel, parte, mensaje) por cada problema
+const REGLAS_INTEGRADAS = [
+    {
+        id: 'obligatorios',
+        nombre: 'Campos obligatorios',
+        fija: true,
+        comprobar(plantilla, contexto, agregar) {
+            if (!String(plantilla.nombre || '').trim()) agregar('error', 'nombre', 'Falta el nombre');
+            if (!String(plantilla.contenido || '').trim()) agregar('error', 'contenido', 'Falta el mensaje');
+            if (!String(plantilla.categoria || '').trim()) agregar('aviso', 'categoria', 'Sin categoría');
+            if (Template.obtenerHashtags(plantilla).length === 0) agregar('aviso', 'hashtag', 'Sin hashtag');
+        }
+    },
+    {
+        id: 'componentes',
+        nombre: 'Límites de WhatsApp Business (encabezado, mensaje, pie y botones)',
+        fija: true,
+        comprobar(plantilla, contexto, agregar) {
+            Template.validarComponentes(plantilla).forEach(error => agregar('error', error.parte, error.mensaje, error.posicion));
+        }
+    },
+    {
+        id: 'longitud',
+        nombre: `Longitud máxima de un mensaje de WhatsApp (${Template.LIMITES.mensaje} caracteres)`,
+        comprobar(plantilla, contexto, agregar) {
+            // Con los valores por defecto aplicados: una variable larga puede pasarse del límite
+            Template.idiomasDe(plantilla).forEach(idioma => {
+                const variante = Template.obtenerVariante(plantilla, idioma);
+                const longitud = Template.componerMensaje(variante, plantilla.valoresPorDefecto || {}).length;
+                if (longitud > Template.LIMITES.mensaje) {
+                    agregar('error', 'contenido', `${prefijoIdioma(plantilla, idioma)}El mensaje final tendría ${longitud} caracteres (WhatsApp admite ${Template.LIMITES.mensaje})`);
+                }
+            });
+        }
+    },
+    {
+        id: 'nombre-duplicado',
+        nombre: 'Nombres repetidos',
+        comprobar(plantilla, contexto, agregar) {
+            const iguales = contexto.nombres.get(normalizarBusqueda(String(plantilla.nombre || '').trim())) || [];
+            const otra = iguales.find(existente => existente.id !== plantilla.id);
+            if (otra && String(plantilla.nombre || '').trim()) {
+                agregar('error', 'nombre', `Ya hay otra plantilla llamada "${otra.nombre}"`);
+            }
+        }
+    },
+    {
+        id: 'hashtag',
+        nombre: 'Formato de los hashtags (# seguido de letras, números o _)',
+        comprobar(plantilla, contexto, agregar) {
+            const incorrectos = Template.obtenerHashtags(plantilla).filter(hashtag => !Template.esHashtagValido(hashtag));
+            if (incorrectos.length > 0) {
+                agregar('error', 'hashtag', `Hashtag no válido: ${incorrectos.join(' ')} (usa #palabra, sin espacios ni signos)`);
+            }
+        }
+    },
+    {
+        id: 'formato',
+        nombre: 'Marcadores de formato sin cerrar (* _ ~ ```)',
+        comprobar(plantilla, contexto, agregar) {
+            textosRevisables(plantilla).forEach(({ parte, prefijo, texto }) => {
+                const sueltos = marcadoresSinCerrar(texto);
+                if (sueltos.length > 0) {
+                    agregar('aviso', parte, `${prefijo}Formato sin cerrar: ${sueltos.join(' ')}`);
+                }
+            });
+        }
+    },
+    {
+        id: 'variables',
+        nombre: 'Variables desconocidas',
+        comprobar(plantilla, contexto, agregar) {
+            const conocidas = ReglasValidacion.configuracion.variablesConocidas;
+            const propias = Template.extraerVariables(Template.textoConVariables(plantilla));
+
+            if (conocidas.length > 0) {
+                const desconocidas = propias.filter(variable => !conocidas.includes(variable));
+                if (desconocidas.length > 0) {
+                    agregar('aviso', 'contenido', `Variables fuera de la lista: ${desconocidas.map(variable => `{{${variable}}}`).join(', ')}`);
+                }
+            }
+
+            // Una traducción no puede pedir datos que el idioma por defecto no tiene
+            Template.idiomasDe(plantilla).slice(1).forEach(idioma => {
+                const variante = Template.obtenerVariante(plantilla, idioma);
+                const nuevas = Template.extraerVariables(Template.textoConVariables(variante))
+                    .filter(variable => !propias.includes(variable));
+                if (nuevas.length > 0) {
+                    agregar('aviso', 'contenido', `${prefijoIdioma(plantilla, idioma)}Variables que no están en el idioma por defecto: ${nuevas.map(variable => `{{${variable}}}`).join(', ')}`);
+                }
+            });
+        }
+    },
+    {
+        id: 'palabras-prohibidas',
+        nombre: 'Palabras prohibidas',
+        comprobar(plantilla, contexto, agregar) {
+            const palabras = ReglasValidacion.configuracion.palabrasProhibidas;
+            if (palabras.length === 0) return;
+
+            textosRevisables(plantilla).forEach(({ parte, prefijo, texto }) => {
+                const normalizado = normalizarBusqueda(texto);
+                const encontradas = palabras.filter(palabra =>
+                    new RegExp(`(^|[^\\p{L}\\p{N}])${escaparRegex(normalizarBusqueda(palabra))}(?![\\p{L}\\p{N}])`, 'u').test(normalizado)
+                );
+                if (encontradas.length > 0) {
+                    agregar('error', parte, `${prefijo}Palabras no permitidas: ${encontradas.join(', ')}`);
+                }
+            });
+        }
+    }
+];
+
+const ReglasValidacion = {
+    configuracion: {
+        palabrasProhibidas: [], // Sin acentos ni mayúsculas al comparar
+        variablesConocidas: [], // Vacía: se admite cualquier variable
+        desactivadas: [],       // ids de reglas integradas que no se comprueban
+        personalizadas: []      // [{ id, nombre, patron, banderas, modo, nivel, mensaje }]
+    },
+
+    /**
+     * Listar las reglas integradas con su estado
+     * @returns {{id: string, nombre: string, fija: boolean, activa: boolean}[]}
+     */
+    obtenerIntegradas() {
+        return REGLAS_INTEGRADAS.map(regla => ({
+            id: regla.id,
+            nombre: regla.nombre,
+            fija: Boolean(regla.fija),
+            activa: regla.fija || !this.configuracion.desactivadas.includes(regla.id)
+        }));
+    },
+
+    /**
+     * Comprobar una plantilla con todas las reglas activas
+     * @param {Object} plantilla - Plantilla del Store o campos del formulario (con el id si se edita)
+     * @param {Object} contexto - Creado con crearContexto; por defecto, el de todo el Store
+     * @returns {{regla: string, nivel: string, parte: string, mensaje: string, posicion?: number}[]} Errores primero
+     */
+    validar(plantilla, contexto = this.crearContexto()) {
+        const resultados = [];
+
+        this.obtenerIntegradas().filter(regla => regla.activa).forEach(({ id }) => {
+            const regla = REGLAS_INTEGRADAS.find(integrada => integrada.id === id);
+            regla.comprobar(plantilla, contexto, (nivel, parte, mensaje, posicion) => {
+                resultados.push({ regla: id, nivel, parte, mensaje, ...(posicion !== undefined ? { posicion } : {}) });
+            });
+        });
+
+        this.configuracion.personalizadas.forEach(regla => {
+            comprobarReglaPersonalizada(regla, plantilla).forEach(resultado => resultados.push(resultado));
+        });
+
+        return resultados.sort((a, b) => (a.nivel === b.nivel ? 0 : a.nivel === 'error' ? -1 : 1));
+    },
+
+    /**
+     * Datos de la biblioteca que necesitan las reglas (los nombres, para buscar repetidos)
+     * Se crea una vez para validar muchas plantillas seguidas
+     */
+    crearContexto(plantillas = Store.obtenerTodas()) {
+        const nombres = new Map();
+        plantillas.forEach(plantilla => {
+            const clave = normalizarBusqueda(String(plantilla.nombre || '').trim());
+            nombres.set(clave, [...(nombres.get(clave) || []), plantilla]);
+        });
+        return { nombres };
+    },
+
+    /**
+     * Informe de salud de la biblioteca: los problemas de cada plantilla
+     * @returns {{plantilla: Object, errores: Object[], avisos: Object[]}[]} Las que tienen errores primero
+     */
+    informe(plantillas = Store.obtenerTodas()) {
+        const contexto = this.crearContexto(plantillas);
+        return plantillas
+            .map(plantilla => {
+                const resultados = this.validar(plantilla, contexto);
+                return {
+                    plantilla,
+                    errores: resultados.filter(resultado => resultado.nivel === 'error'),
+                    avisos: resultados.filter(resultado => resultado.nivel === 'aviso')
+                };
+            })
+            .sort((a, b) => b.errores.length - a.errores.length || b.avisos.length - a.avisos.length);
+    },
+
+    /**
+     * Crear o editar una regla propia
+     * @param {Object} datos - { id?, nombre, patron, banderas, modo, nivel, mensaje }
+     * @throws {ErrorRegla} Nombre vacío, expresión regular no válida o con cuantificadores anidados
+     */
+    guardarPersonalizada(datos) {
+        const regla = {
+            id: datos.id || `regla-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            nombre: String(datos.nombre || '').trim(),
+            patron: String(datos.patron || ''),
+            banderas: String(datos.banderas || '').includes('i') ? 'i' : '',
+            modo: MODOS_REGLA[datos.modo] ? datos.modo : 'prohibir',
+            nivel: NIVELES_REGLA[datos.nivel] ? datos.nivel : 'aviso',
+            mensaje: String(datos.mensaje || '').trim()
+        };
+
+        if (!regla.nombre) {
+            throw new ErrorRegla('La regla necesita un nombre');
+        }
+        if (!regla.patron || regla.patron.length > LONGITUD_MAXIMA_PATRON) {
+            throw new ErrorRegla(`El patrón debe tener entre 1 y ${LONGITUD_MAXIMA_PATRON} caracteres`);
+        }
+        try {
+            new RegExp(regla.patron, `${regla.banderas}u`);
+        } catch (error) {
+            throw new ErrorRegla(`Expresión regular no válida: ${error.message}`);
+        }
+        if (tieneCuantificadoresAnidados(regla.patron)) {
+            throw new ErrorRegla('El patrón repite algo que ya se repite, como (a+)+ o (\\w*)*: con algunos textos bloquearía la aplicación');
+        }
+
+        const personalizadas = this.configuracion.personalizadas;
+        const indice = personalizadas.findIndex(existente => existente.id === regla.id);
+        if (indice >= 0) {
+            personalizadas[indice] = regla;
+        } else {
+            personalizadas.push(regla);
+        }
+        guardarDatoPersistente('reglas');
+        return regla;
+    },
+
+    /**
+     * Eliminar una regla propia
+     */
+    eliminarPersonalizada(id) {
+        this.configuracion.personalizadas = this.configuracion.personalizadas.filter(regla => regla.id !== id);
+        guardarDatoPersistente('reglas');
+    },
+
+    /**
+     * Activar o desactivar una regla integrada (las fijas no cambian)
+     */
+    activarIntegrada(id, activa) {
+        const regla = REGLAS_INTEGRADAS.find(integrada => integrada.id === id);
+        if (!regla || regla.fija) return;
+
+        const desactivadas = this.configuracion.desactivadas.filter(otra => otra !== id);
+        this.configuracion.desactivadas = activa ? desactivadas : [...desactivadas, id];
+        guardarDatoPersistente('reglas');
+    },
+
+    /**
+     * Cambiar una de las listas de la configuración (palabras prohibidas o variables conocidas)
+     * @param {string} lista - 'palabrasProhibidas' o 'variablesConocidas'
+     * @param {string[]} valores - Se quitan los vacíos y los repetidos
+     */
+    guardarLista(lista, valores) {
+        if (!['palabrasProhibidas', 'variablesConocidas'].includes(lista)) return;
+
+        // Las variables se pueden escribir con o sin llaves; las palabras se comparan normalizadas
+        const limpios = valores
+            .map(valor => String(valor).trim())
+            .map(valor => (lista === 'variablesConocidas' ? valor.replace(/^\{\{\s*|\s*\}\}$/g, '') : valor))
+            .filter(Boolean);
+        const clave = lista === 'palabrasProhibidas' ? normalizarBusqueda : valor => valor;
+        this.configuracion[lista] = limpios.filter((valor, indice) =>
+            limpios.findIndex(otro => clave(otro) === clave(valor)) === indice
+        );
+        guardarDatoPersistente('reglas');
+    },
+
+    /**
+     * Cargar la configuración guardada (usado por persistencia)
+     * Las reglas propias con un patrón que ya no es válido se descartan
+     */
+    cargar(datos) {
+        const configuracion = datos && typeof datos === 'object' && !Array.isArray(datos) ? datos : {};
+        const lista = valor => (Array.isArray(valor) ? valor.filter(elemento => typeof elemento === 'string') : []);
+
+        this.configuracion = {
+            palabrasProhibidas: lista(configuracion.palabrasProhibidas),
+            variablesConocidas: lista(configuracion.variablesConocidas),
+            desactivadas: lista(configuracion.desactivadas),
+            personalizadas: (Array.isArray(configuracion.personalizadas) ? configuracion.personalizadas : [])
+                .filter(regla => regla && typeof regla.patron === 'string' && crearRegexRegla(regla))
+        };
+    },
+
+    /**
+     * Datos a guardar (usado por persistencia)
+     */
+    serializar() {
+        return this.configuracion;
+    }
+};
+
+/**
+ * Comprobar una regla propia en los textos de cada idioma
+ */
+function comprobarReglaPersonalizada(regla, plantilla) {
+    const regex = crearRegexRegla(regla);
+    if (!regex) return [];
+
+    const resultado = (parte, detalle) => ({
+        regla: regla.id,
+        nivel: regla.nivel,
+        parte,
+        mensaje: `${detalle}${regla.mensaje || regla.nombre}`
+    });
+
+    const textos = textosRevisables(plantilla);
+    if (regla.modo === 'exigir') {
+        // Cada idioma tiene que cumplirla en alguna de sus partes
+        return Template.idiomasDe(plantilla)
+            .filter(idioma => !textos.some(texto => texto.idioma === idioma && regex.test(texto.texto)))
+            .map(idioma => resultado('contenido', prefijoIdioma(plantilla, idioma)));
+    }
+    return textos
+        .filter(texto => regex.test(texto.texto))
+        .map(texto => resultado(texto.parte, texto.prefijo));
+}
+
+/**
+ * Compilar el patrón de una regla propia, o null si no es válido
+ * Los de cuantificadores anidados tampoco: pueden llegar de datos guardados o importados
+ */
+function crearRegexRegla(regla) {
+    try {
+        const regex = new RegExp(regla.patron, `${regla.banderas === 'i' ? 'i' : ''}u`);
+        return tieneCuantificadoresAnidados(regla.patron) ? null : regex;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Textos que se leen en el mensaje, en cada idioma y con los fragmentos incluidos
+ * En las traducciones solo cuentan las partes que cambian
+ * @returns {{parte: string, idioma: string, prefijo: string, texto: string}[]}
+ */
+function textosRevisables(plantilla) {
+    const textos = [];
+    Template.idiomasDe(plantilla).forEach((idioma, indice) => {
+        const propia = indice === 0 ? plantilla : (plantilla.variantes || {})[idioma] || {};
+        const variante = Template.expandir(Template.obtenerVariante(plantilla, idioma));
+        const prefijo = prefijoIdioma(plantilla, idioma);
+
+        if (propia.contenido !== undefined) {
+            textos.push({ parte: 'contenido', idioma, prefijo, texto: variante.contenido });
+        }
+        if (variante.tipoEncabezado === 'texto' && propia.encabezado !== undefined) {
+            textos.push({ parte: 'encabezado', idioma, prefijo, texto: variante.encabezado });
+        }
+        if (propia.pie !== undefined) {
+            textos.push({ parte: 'pie', idioma, prefijo, texto: variante.pie });
+        }
+        if (Array.isArray(propia.botones) && propia.botones.length > 0) {
+            textos.push({ parte: 'botones', idioma, prefijo, texto: variante.botones.map(boton => boton.texto || '').join('\n') });
+        }
+    });
+    return textos.filter(texto => texto.texto);
+}
+
+/**
+ * Prefijo de los mensajes de una traducción, igual que en Template.validarComponentes
+ */
+function prefijoIdioma(plantilla, idioma) {
+    return idioma === (plantilla.idiomaPorDefecto || 'es') ? '' : `[${idioma.toUpperCase()}] `;
+}
+
+/**
+ * Buscar los marcadores de formato de WhatsApp que abren o cierran sin pareja
+ * Un marcador entre espacios (5 * 3) o dentro de una palabra (mi_variable) no cuenta
+ * @returns {string[]} Marcadores sin cerrar, sin repetir
+ */
+function marcadoresSinCerrar(texto = '') {
+    const sueltos = [];
+    if ((String(texto).match(/```/g) || []).length % 2 === 1) {
+        sueltos.push('```');
+    }
+
+    const sinMono = String(texto).replace(/```[\s\S]*?```/g, ' ').replace(/```/g, ' ');
+    MARCADORES_WHATSAPP.forEach(({ marcador }) => {
+        const m = escaparRegex(marcador);
+        const restante = sinMono.replace(crearRegexMarcador(marcador), '$1 ');
+        const suelto = new RegExp(`(^|[^\\p{L}\\p{N}])${m}[^\\s${m}]|[^\\s${m}]${m}(?![\\p{L}\\p{N}])`, 'mu');
+        if (suelto.test(restante)) {
+            sueltos.push(marcador);
+        }
+    });
+    return sueltos;
+}
+
+/**
+ * Detectar repeticiones dentro de repeticiones, como (a+)+ o (\w+\s?)*
+ * Con un texto que casi encaja, el motor prueba todas las formas de repartirlo (crece exponencialmente)
+ * El patrón ya tiene que ser válido
+ */
+function tieneCuantificadoresAnidados(patron) {
+    const grupos = [false];     // Por cada grupo abierto: si algo de dentro se repite
+    let posicion = 0;
+
+    while (posicion < patron.length) {
+        const resto = patron.slice(posicion);
+        let grupoConRepeticion = false;
+
+        if (resto[0] === '\\') {
+            posicion += /^\\(?:[pPu]\{[^}]*\}|k<[^>]*>|.)/su.exec(resto)[0].length;
+        } else if (resto[0] === '[') {
+            posicion += /^\[(?:\\.|[^\]\\])*\]?/su.exec(resto)[0].length;
+        } else if (resto[0] === '(') {
+            posicion += /^\((?:\?(?:[:=!]|<[=!]|<[^>]*>))?/.exec(resto)[0].length;
+            grupos.push(false);
+            continue;
+        } else if (resto[0] === ')') {
+            grupoConRepeticion = grupos.length > 1 && grupos.pop();
+            posicion++;
+        } else {
+            posicion++;
+        }
+
+        const cuantificador = leerCuantificador(patron.slice(posicion));
+        if (cuantificador) {
+            if (grupoConRepeticion && cuantificador.ilimitado) return true;
+            posicion += cuantificador.longitud;
+        }
+        if (grupoConRepeticion || (cuantificador && cuantificador.repite)) {
+            grupos[grupos.length - 1] = true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Leer el cuantificador al principio del texto (*, +, ?, {n}, {n,}, {n,m}, también perezosos)
+ * @returns {{longitud: number, repite: boolean, ilimitado: boolean}|null}
+ */
+function leerCuantificador(texto) {
+    const coincidencia = /^(?:[*+?]|\{(\d+)(,(\d*))?\})\??/.exec(texto);
+    if (!coincidencia) return null;
+
+    const [completo, minimo, conComa, maximo] = coincidencia;
+    const ilimitado = completo[0] === '*' || completo[0] === '+' || maximo === '';
+    const limite = Number(conComa ? maximo : minimo);
+    return {
+        longitud: completo.length,
+        repite: ilimitado || (completo[0] === '{' && limite > 1),
+        ilimitado
+    };
+}
+
+/**
+ * Escapar un texto para usarlo literalmente dentro de una expresión regular
+ */
+function escaparRegex(texto) {
+    return String(texto).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+registrarDatoPersistente('reglas', ReglasValidacion);
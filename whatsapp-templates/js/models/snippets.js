@@ -0,0 +1,179 @@
+/**
+ * snippets.js - Fragmentos de texto reutilizables
+ * Saludos, firmas o avisos legales que las plantillas incluyen con {{> nombre}}
+ */
+
+/**
+ * Error al guardar o eliminar un fragmento
+ * El mensaje se muestra tal cual al usuario
+ */
+class ErrorFragmento extends Error {
+    constructor(motivo) {
+        super(motivo);
+        this.name = 'ErrorFragmento';
+    }
+}
+
+const Fragmentos = {
+    // nombre -> { contenido, fechaModificacion }; sin prototipo para que {{> constructor}} o "__proto__" sean nombres normales
+    fragmentos: Object.create(null),
+
+    /**
+     * Obtener todos los fragmentos ordenados por nombre
+     * @returns {{nombre: string, contenido: string, fechaModificacion: string}[]}
+     */
+    obtenerTodos() {
+        return Object.keys(this.fragmentos)
+            .sort((a, b) => a.localeCompare(b))
+            .map(nombre => ({ nombre, ...this.fragmentos[nombre] }));
+    },
+
+    /**
+     * Obtener un fragmento por nombre
+     */
+    obtener(nombre) {
+        return this.fragmentos[nombre] ? { nombre, ...this.fragmentos[nombre] } : null;
+    },
+
+    /**
+     * Sustituir los fragmentos de un texto, también los incluidos dentro de otros
+     * Los desconocidos y los que formarían un ciclo se dejan tal cual para que se noten
+     * @param {string} texto - Texto con {{> nombre}}
+     * @param {string[]} pila - Fragmentos que se están expandiendo (para cortar ciclos)
+     */
+    expandir(texto = '', pila = []) {
+        return String(texto || '').replace(Template.REGEX_FRAGMENTO, (original, nombre) => {
+            const fragmento = this.fragmentos[nombre];
+            if (!fragmento || pila.includes(nombre)) {
+                return original;
+            }
+            return this.expandir(fragmento.contenido, [...pila, nombre]);
+        });
+    },
+
+    /**
+     * Buscar el ciclo que se formaría si un fragmento tuviera este contenido
+     * @returns {string[]|null} Cadena de inclusiones que vuelve al fragmento, o null si no hay ciclo
+     */
+    buscarCiclo(nombre, contenido) {
+        const recorrer = (texto, camino) => {
+            for (const incluido of Template.extraerFragmentos(texto)) {
+                if (incluido === nombre) {
+                    return [...camino, incluido];
+                }
+                const fragmento = this.fragmentos[incluido];
+                if (fragmento && !camino.includes(incluido)) {
+                    const ciclo = recorrer(fragmento.contenido, [...camino, incluido]);
+                    if (ciclo) return ciclo;
+                }
+            }
+            return null;
+        };
+        return recorrer(contenido, [nombre]);
+    },
+
+    /**
+     * Crear o editar un fragmento
+     * El nombre no se puede cambiar: las plantillas lo referencian por él
+     * @throws {ErrorFragmento} Nombre no válido, vacío o ciclo de inclusiones
+     */
+    guardar(nombre, contenido) {
+        const limpio = String(nombre || '').trim();
+        if (!/^[\p{L}_][\p{L}\p{N}_]*$/u.test(limpio)) {
+            throw new ErrorFragmento('El nombre solo puede tener letras, números y guion bajo, sin empezar por número');
+        }
+        if (!String(contenido || '').trim()) {
+            throw new ErrorFragmento('El fragmento está vacío');
+        }
+
+        const ciclo = this.buscarCiclo(limpio, contenido);
+        if (ciclo) {
+            throw new ErrorFragmento(`Ciclo de fragmentos: ${ciclo.map(paso => `{{> ${paso}}}`).join(' → ')}`);
+        }
+
+        this.fragmentos[limpio] = { contenido, fechaModificacion: new Date().toISOString() };
+        guardarDatoPersistente('fragmentos');
+        return this.obtener(limpio);
+    },
+
+    /**
+     * Eliminar un fragmento que no se usa
+     * @throws {ErrorFragmento} Si alguna plantilla o fragmento lo incluye
+     */
+    eliminar(nombre) {
+        const usos = this.dondeSeUsa(nombre);
+        if (usos.plantillas.length > 0 || usos.fragmentos.length > 0) {
+            throw new ErrorFragmento(
+                `Se usa en ${usos.plantillas.length} plantillas y ${usos.fragmentos.length} fragmentos`
+            );
+        }
+
+        delete this.fragmentos[nombre];
+        guardarDatoPersistente('fragmentos');
+    },
+
+    /**
+     * Averiguar qué plantillas y fragmentos incluyen un fragmento, directamente o a través de otros
+     * @returns {{plantillas: {id: number, nombre: string, directo: boolean}[], fragmentos: string[]}}
+     */
+    dondeSeUsa(nombre) {
+        // Fragmentos que acaban incluyendo a "nombre"
+        const incluyen = new Set();
+        const pendientes = [nombre];
+        while (pendientes.length > 0) {
+            const buscado = pendientes.pop();
+            Object.entries(this.fragmentos).forEach(([otro, fragmento]) => {
+                if (otro !== nombre && !incluyen.has(otro) && Template.extraerFragmentos(fragmento.contenido).includes(buscado)) {
+                    incluyen.add(otro);
+                    pendientes.push(otro);
+                }
+            });
+        }
+
+        const plantillas = [];
+        Store.obtenerTodas().forEach(plantilla => {
+            const referencias = Template.extraerFragmentos(textosDePlantilla(plantilla).join('\n'));
+            if (referencias.includes(nombre)) {
+                plantillas.push({ id: plantilla.id, nombre: plantilla.nombre, directo: true });
+            } else if (referencias.some(referencia => incluyen.has(referencia))) {
+                plantillas.push({ id: plantilla.id, nombre: plantilla.nombre, directo: false });
+            }
+        });
+
+        return { plantillas, fragmentos: [...incluyen].sort() };
+    },
+
+    /**
+     * Cargar los fragmentos guardados (usado por persistencia)
+     */
+    cargar(datos) {
+        this.fragmentos = Object.create(null);
+        if (!datos || typeof datos !== 'object' || Array.isArray(datos)) return;
+
+        Object.entries(datos).forEach(([nombre, fragmento]) => {
+            if (fragmento && typeof fragmento.contenido === 'string') {
+                this.fragmentos[nombre] = fragmento;
+            }
+        });
+    },
+
+    /**
+     * Datos a guardar (usado por persistencia)
+     */
+    serializar() {
+        return this.fragmentos;
+    }
+};
+
+/**
+ * Textos de una plantilla que admiten fragmentos, en todos sus idiomas
+ */
+function textosDePlantilla(plantilla) {
+    const textos = [plantilla.contenido, plantilla.encabezado, plantilla.pie];
+    Object.values(plantilla.variantes || {}).forEach(variante => {
+        textos.push(variante.contenido, variante.encabezado, variante.pie);
+    });
+    return textos.filter(Boolean);
+}
+
+registrarDatoPersistente('fragmentos', Fragmentos);
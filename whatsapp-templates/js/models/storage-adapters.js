@@ -0,0 +1,368 @@
+/**
+ * storage-adapters.js - Adaptadores de almacenamiento intercambiables
+ * La persistencia trabaja contra esta interfaz y no contra localStorage directamente
+ *
+ * Todos los adaptadores guardan el mismo contenido: { version, plantillas }
+ * más datos auxiliares por clave (leerDato/guardarDato).
+ * Los que tienen admiteCifrado pueden guardarlo cifrado con una frase (crypto.js).
+ */
+
+/**
+ * Interfaz común de los adaptadores
+ * Los adaptadores con soportaRegistros = true guardan cada plantilla por separado;
+ * el resto reescribe todo el contenido en cada guardado
+ */
+class AdaptadorAlmacenamiento {
+    constructor(nombre, tipo) {
+        this.nombre = nombre; // Nombre para mostrar
+        this.tipo = tipo;     // Clave en BACKENDS_DISPONIBLES
+        this.soportaRegistros = false;
+        this.admiteCifrado = false;
+        this.cifrado = null;  // Clave de crearClaveCifrado mientras el cifrado en reposo está activo
+    }
+
+    /**
+     * Comprobar si el adaptador funciona en este navegador
+     * @returns {Promise<boolean>}
+     */
+    async disponible() {
+        return true;
+    }
+
+    /**
+     * Comprobar si lo guardado está cifrado (haya o no frase para abrirlo)
+     * @returns {Promise<boolean>}
+     */
+    async estaCifrado() {
+        return false;
+    }
+
+    /**
+     * Leer el contenido guardado
+     * @returns {Promise<Object|Array|null>} Datos tal como se guardaron o null si no hay
+     */
+    async cargar() {
+        throw new Error(`${this.nombre}: cargar() no implementado`);
+    }
+
+    /**
+     * Reescribir todo el contenido
+     * @param {{version: number, plantillas: Object[]}} datos
+     */
+    async guardarTodo(datos) {
+        throw new Error(`${this.nombre}: guardarTodo() no implementado`);
+    }
+
+    /**
+     * Guardar una sola plantilla (solo si soportaRegistros)
+     */
+    async guardarRegistro(plantilla) {
+        throw new Error(`${this.nombre}: guardarRegistro() no soportado`);
+    }
+
+    /**
+     * Eliminar una sola plantilla (solo si soportaRegistros)
+     */
+    async eliminarRegistro(id) {
+        throw new Error(`${this.nombre}: eliminarRegistro() no soportado`);
+    }
+
+    /**
+     * Borrar todas las plantillas
+     */
+    async limpiar() {
+        throw new Error(`${this.nombre}: limpiar() no implementado`);
+    }
+
+    /**
+     * Leer un dato auxiliar por clave
+     * @returns {Promise<*>} Valor guardado o null
+     */
+    async leerDato(clave) {
+        throw new Error(`${this.nombre}: leerDato() no implementado`);
+    }
+
+    /**
+     * Guardar un dato auxiliar por clave
+     */
+    async guardarDato(clave, valor) {
+        throw new Error(`${this.nombre}: guardarDato() no implementado`);
+    }
+}
+
+/**
+ * Adaptador LocalStorage: todo el contenido en una sola clave JSON
+ * Con el cifrado en reposo activo cada clave guarda un sobre AES-GCM en lugar del JSON
+ */
+class AdaptadorLocalStorage extends AdaptadorAlmacenamiento {
+    constructor(clave = STORAGE_KEY) {
+        super('LocalStorage', 'localstorage');
+        this.clave = clave;
+        this.admiteCifrado = true;
+    }
+
+    async disponible() {
+        return verificarSoporteLocalStorage();
+    }
+
+    async estaCifrado() {
+        return leerSobreCifrado(localStorage.getItem(this.clave)) !== null;
+    }
+
+    /**
+     * Abrir las plantillas cifradas con la frase
+     * @throws {ErrorCifrado} Frase incorrecta o datos alterados; no se escribe nada
+     */
+    async desbloquear(frase) {
+        const sobre = leerSobreCifrado(localStorage.getItem(this.clave));
+        if (!sobre) return;
+
+        const cifrado = await claveDeSobre(sobre, frase);
+        await descifrarConClave(sobre, cifrado);
+        this.cifrado = cifrado;
+    }
+
+    /**
+     * Leer una clave de LocalStorage, descifrándola si hace falta
+     * Lo ilegible se conserva aparte antes de que un guardado lo sobrescriba
+     */
+    async leerJSON(entrada) {
+        const json = localStorage.getItem(entrada);
+        if (!json) return null;
+
+        try {
+            const datos = JSON.parse(json);
+            if (!esSobreCifrado(datos)) return datos;
+            if (!this.cifrado) {
+                throw new ErrorCifrado('Los datos están cifrados y no se han desbloqueado');
+            }
+            return JSON.parse(await descifrarConClave(datos, this.cifrado));
+        } catch (error) {
+            localStorage.setItem(`${entrada}_ilegible`, json);
+            throw error;
+        }
+    }
+
+    /**
+     * Convertir un valor en el texto que se guarda, cifrado o no
+     */
+    async serializarJSON(valor, cifrado = this.cifrado) {
+        const json = JSON.stringify(valor);
+        return cifrado ? JSON.stringify(await cifrarConClave(json, cifrado)) : json;
+    }
+
+    /**
+     * Reescribir las plantillas y los datos indicados con otro cifrado (null para quitarlo)
+     * Todo se prepara antes de escribir; si una escritura falla se restaura lo anterior
+     * @param {Object|null} cifrado - Clave de crearClaveCifrado
+     * @param {string[]} clavesDatos - Datos auxiliares que también se reescriben
+     */
+    async cambiarCifrado(cifrado, clavesDatos) {
+        const entradas = [this.clave, ...clavesDatos.map(clave => `${this.clave}_${clave}`)];
+        const anteriores = {};
+        const nuevos = {};
+
+        for (const entrada of entradas) {
+            const json = localStorage.getItem(entrada);
+            if (json === null) continue;
+            anteriores[entrada] = json;
+            nuevos[entrada] = await this.serializarJSON(await this.leerJSON(entrada), cifrado);
+        }
+
+        try {
+            Object.entries(nuevos).forEach(([entrada, json]) => localStorage.setItem(entrada, json));
+        } catch (error) {
+            Object.entries(anteriores).forEach(([entrada, json]) => localStorage.setItem(entrada, json));
+            throw error;
+        }
+        this.cifrado = cifrado;
+    }
+
+    async cargar() {
+        return this.leerJSON(this.clave);
+    }
+
+    async guardarTodo(datos) {
+        localStorage.setItem(this.clave, await this.serializarJSON(datos));
+    }
+
+    async limpiar() {
+        localStorage.removeItem(this.clave);
+    }
+
+    async leerDato(clave) {
+        return this.leerJSON(`${this.clave}_${clave}`);
+    }
+
+    async guardarDato(clave, valor) {
+        localStorage.setItem(`${this.clave}_${clave}`, await this.serializarJSON(valor));
+    }
+}
+
+/**
+ * Adaptador IndexedDB: una fila por plantilla, sin límite de ~5 MB
+ * Almacenes: "plantillas" (clave id) y "datos" (versión del esquema y datos auxiliares)
+ */
+class AdaptadorIndexedDB extends AdaptadorAlmacenamiento {
+    constructor(nombreBase = 'whatsapp_templates') {
+        super('IndexedDB', 'indexeddb');
+        this.nombreBase = nombreBase;
+        this.soportaRegistros = true;
+        this.conexion = null;
+    }
+
+    async disponible() {
+        if (typeof indexedDB === 'undefined') {
+            return false;
+        }
+        try {
+            await this.abrir();
+            return true;
+        } catch (error) {
+            console.warn('IndexedDB no disponible:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Abrir (una sola vez) la base de datos
+     */
+    abrir() {
+        if (!this.conexion) {
+            this.conexion = new Promise((resolve, reject) => {
+                const solicitud = indexedDB.open(this.nombreBase, 1);
+                solicitud.onupgradeneeded = () => {
+                    const db = solicitud.result;
+                    db.createObjectStore('plantillas', { keyPath: 'id' });
+                    db.createObjectStore('datos');
+                };
+                solicitud.onsuccess = () => resolve(solicitud.result);
+                solicitud.onerror = () => reject(solicitud.error);
+                solicitud.onblocked = () => reject(new Error('IndexedDB bloqueada por otra pestaña'));
+            });
+            this.conexion.catch(() => {
+                this.conexion = null;
+            });
+        }
+        return this.conexion;
+    }
+
+    /**
+     * Ejecutar operaciones en una transacción y esperar a que termine
+     * @param {string[]} almacenes - Nombres de los almacenes implicados
+     * @param {string} modo - 'readonly' o 'readwrite'
+     * @param {Function} operacion - Recibe la transacción; puede devolver una solicitud
+     */
+    async transaccion(almacenes, modo, operacion) {
+        const db = await this.abrir();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(almacenes, modo);
+            const solicitud = operacion(tx);
+            tx.oncomplete = () => resolve(solicitud ? solicitud.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transacción cancelada'));
+        });
+    }
+
+    async cargar() {
+        const [plantillas, version] = await Promise.all([
+            this.transaccion(['plantillas'], 'readonly', tx => tx.objectStore('plantillas').getAll()),
+            this.leerDato('version')
+        ]);
+
+        if (plantillas.length === 0 && version === null) {
+            return null;
+        }
+        return { version: version || VERSION_ESQUEMA, plantillas };
+    }
+
+    async guardarTodo(datos) {
+        await this.transaccion(['plantillas', 'datos'], 'readwrite', tx => {
+            const almacen = tx.objectStore('plantillas');
+            almacen.clear();
+            datos.plantillas.forEach(plantilla => almacen.put(plantilla));
+            tx.objectStore('datos').put(datos.version, 'version');
+        });
+    }
+
+    async guardarRegistro(plantilla) {
+        await this.transaccion(['plantillas', 'datos'], 'readwrite', tx => {
+            tx.objectStore('plantillas').put(plantilla);
+            tx.objectStore('datos').put(VERSION_ESQUEMA, 'version');
+        });
+    }
+
+    async eliminarRegistro(id) {
+        await this.transaccion(['plantillas'], 'readwrite', tx => {
+            tx.objectStore('plantillas').delete(id);
+        });
+    }
+
+    async limpiar() {
+        await this.transaccion(['plantillas'], 'readwrite', tx => {
+            tx.objectStore('plantillas').clear();
+        });
+    }
+
+    async leerDato(clave) {
+        const valor = await this.transaccion(['datos'], 'readonly', tx => tx.objectStore('datos').get(clave));
+        return typeof valor === 'undefined' ? null : valor;
+    }
+
+    async guardarDato(clave, valor) {
+        await this.transaccion(['datos'], 'readwrite', tx => {
+            tx.objectStore('datos').put(valor, clave);
+        });
+    }
+}
+
+/**
+ * Adaptador en memoria: sin persistencia, para navegadores sin almacenamiento y pruebas
+ */
+class AdaptadorMemoria extends AdaptadorAlmacenamiento {
+    constructor() {
+        super('Memoria', 'memoria');
+        this.soportaRegistros = true;
+        this.datos = null;
+        this.auxiliares = new Map();
+    }
+
+    async cargar() {
+        return this.datos ? structuredClone(this.datos) : null;
+    }
+
+    async guardarTodo(datos) {
+        this.datos = structuredClone(datos);
+    }
+
+    async guardarRegistro(plantilla) {
+        if (!this.datos) {
+            this.datos = { version: VERSION_ESQUEMA, plantillas: [] };
+        }
+        const indice = this.datos.plantillas.findIndex(p => p.id == plantilla.id);
+        const copia = structuredClone(plantilla);
+        if (indice !== -1) {
+            this.datos.plantillas[indice] = copia;
+        } else {
+            this.datos.plantillas.push(copia);
+        }
+    }
+
+    async eliminarRegistro(id) {
+        if (this.datos) {
+            this.datos.plantillas = this.datos.plantillas.filter(p => p.id != id);
+        }
+    }
+
+    async limpiar() {
+        this.datos = null;
+    }
+
+    async leerDato(clave) {
+        return this.auxiliares.has(clave) ? structuredClone(this.auxiliares.get(clave)) : null;
+    }
+
+    async guardarDato(clave, valor) {
+        this.auxiliares.set(clave, structuredClone(valor));
+    }
+}
@@ -3,12 +3,38 @@
  * Manejo del estado de las plantillas con guardado automático
  */
 
+// Organización de la lista: es de este navegador, como los usos. No cambia la fecha
+// de modificación, no crea revisiones y no se envía al servidor de sincronización
+const CAMPOS_ORGANIZACION = ['favorita', 'fijada', 'archivada', 'posicion', 'colecciones'];
+
 const Store = {
     plantillas: [],
     contadorId: 1,
+    suscriptores: [],
+    
+    /**
+     * Suscribirse a los cambios del Store
+     * @param {Function} callback - Recibe { tipo, plantilla, anterior, opciones }
+     */
+    suscribir(callback) {
+        this.suscriptores.push(callback);
+    },
     
     /**
-     * Obtener todas las plantillas
+     * Avisar a los suscriptores de un cambio
+     */
+    notificar(cambio) {
+        this.suscriptores.forEach(callback => {
+            try {
+                callback(cambio);
+            } catch (error) {
+                console.error('Error en suscriptor del Store:', error);
+            }
+        });
+    },
+    
+    /**
+     * Obtener todas las plantillas (en el orden manual)
      */
     obtenerTodas() {
         return this.plantillas;
@@ -26,26 +52,33 @@ const Store = {
      */
     agregar(template) {
         template.id = this.contadorId++;
+        template.uid = generarUid();
+        template.revision = 0;
         template.fechaCreacion = new Date().toISOString();
         template.fechaModificacion = template.fechaCreacion;
+        template.posicion = this.siguientePosicion();
         
         this.plantillas.push(template);
         
-        // Guardar automáticamente en LocalStorage
+        // Guardar automáticamente (solo este registro si el almacenamiento lo permite)
         if (typeof guardarPlantillas === 'function') {
-            guardarPlantillas();
+            guardarPlantillas({ tipo: 'guardar', plantilla: template });
         }
         
+        this.notificar({ tipo: 'agregar', plantilla: template, anterior: null, opciones: {} });
         return template;
     },
     
     /**
      * Actualizar plantilla existente con persistencia automática
+     * @param {Object} opciones - { origen: 'formulario' | 'autoguardado' | 'restauracion' | ... }
      */
-    actualizar(id, datosActualizados) {
+    actualizar(id, datosActualizados, opciones = {}) {
         const indice = this.plantillas.findIndex(plantilla => plantilla.id == id);
         
         if (indice !== -1) {
+            const anterior = this.plantillas[indice];
+            
             // Mantener datos originales y actualizar solo los campos modificados
             this.plantillas[indice] = {
                 ...this.plantillas[indice],
@@ -54,42 +87,122 @@ const Store = {
                 fechaModificacion: new Date().toISOString()
             };
             
-            // Guardar automáticamente en LocalStorage
+            // Guardar automáticamente (solo este registro si el almacenamiento lo permite)
             if (typeof guardarPlantillas === 'function') {
-                guardarPlantillas();
+                guardarPlantillas({ tipo: 'guardar', plantilla: this.plantillas[indice] });
             }
             
+            this.notificar({ tipo: 'actualizar', plantilla: this.plantillas[indice], anterior, opciones });
             return this.plantillas[indice];
         }
         
         return null;
     },
     
+    /**
+     * Actualizar varias plantillas en un solo paso: una escritura y un solo paso de deshacer
+     * Los suscriptores reciben un aviso por plantilla con el mismo lote en las opciones
+     * @param {{id: number, datos: Object}[]} cambios - Campos a cambiar en cada plantilla
+     * @param {Object} opciones - { origen }
+     * @returns {Object[]} Plantillas actualizadas
+     */
+    actualizarVarias(cambios, opciones = {}) {
+        const ahora = new Date().toISOString();
+        const opcionesLote = { ...opciones, lote: opciones.lote || generarUid() };
+        const avisos = [];
+        
+        cambios.forEach(({ id, datos }) => {
+            const indice = this.plantillas.findIndex(plantilla => plantilla.id == id);
+            if (indice === -1) return;
+            
+            const anterior = this.plantillas[indice];
+            this.plantillas[indice] = { ...anterior, ...datos, id: anterior.id, fechaModificacion: ahora };
+            avisos.push({ tipo: 'actualizar', plantilla: this.plantillas[indice], anterior, opciones: opcionesLote });
+        });
+        
+        // Guardar automáticamente (una sola escritura)
+        if (avisos.length > 0 && typeof guardarPlantillas === 'function') {
+            guardarPlantillas();
+        }
+        
+        avisos.forEach(aviso => this.notificar(aviso));
+        return avisos.map(aviso => aviso.plantilla);
+    },
+    
     /**
      * Eliminar plantilla con persistencia automática
+     * @param {Object} opciones - { origen } para los suscriptores (papelera, deshacer)
      */
-    eliminar(id) {
+    eliminar(id, opciones = {}) {
         const indice = this.plantillas.findIndex(plantilla => plantilla.id == id);
         
         if (indice !== -1) {
             const plantillaEliminada = this.plantillas.splice(indice, 1)[0];
             
-            // Guardar automáticamente en LocalStorage
+            // Guardar automáticamente (solo este registro si el almacenamiento lo permite)
             if (typeof guardarPlantillas === 'function') {
-                guardarPlantillas();
+                guardarPlantillas({ tipo: 'eliminar', id: plantillaEliminada.id });
             }
             
+            this.notificar({ tipo: 'eliminar', plantilla: null, anterior: plantillaEliminada, opciones });
             return plantillaEliminada;
         }
         
         return null;
     },
     
+    /**
+     * Volver a insertar una plantilla conservando su ID, sus fechas y su lugar en el orden manual
+     * Si el ID ya está en uso (no debería) se le asigna uno nuevo
+     * @param {Object} opciones - { origen } para los suscriptores
+     */
+    restaurar(plantilla, opciones = {}) {
+        const restaurada = { ...plantilla };
+        if (this.obtenerPorId(restaurada.id)) {
+            restaurada.id = this.contadorId++;
+        }
+        this.reservarId(restaurada.id);
+        
+        if (Number.isFinite(restaurada.posicion)) {
+            const siguiente = this.plantillas.findIndex(otra => otra.posicion > restaurada.posicion);
+            this.plantillas.splice(siguiente === -1 ? this.plantillas.length : siguiente, 0, restaurada);
+        } else {
+            restaurada.posicion = this.siguientePosicion();
+            this.plantillas.push(restaurada);
+        }
+        
+        // Guardar automáticamente (solo este registro si el almacenamiento lo permite)
+        if (typeof guardarPlantillas === 'function') {
+            guardarPlantillas({ tipo: 'guardar', plantilla: restaurada });
+        }
+        
+        this.notificar({ tipo: 'restaurar', plantilla: restaurada, anterior: null, opciones });
+        return restaurada;
+    },
+    
+    /**
+     * Evitar que el contador vuelva a entregar un ID que sigue existiendo fuera
+     * del Store (por ejemplo en la papelera)
+     */
+    reservarId(id) {
+        const numero = Number(id);
+        if (Number.isInteger(numero) && numero >= this.contadorId) {
+            this.contadorId = numero + 1;
+        }
+    },
+    
     /**
      * Cargar plantillas desde array (usado por persistencia)
+     * Quedan en el orden manual; las que no tienen posición van al final en el orden recibido
      */
     cargarPlantillas(plantillas) {
-        this.plantillas = plantillas || [];
+        this.plantillas = (plantillas || [])
+            .map((plantilla, indice) => ({ plantilla, clave: Number.isFinite(plantilla.posicion) ? plantilla.posicion : Infinity, indice }))
+            .sort((a, b) => (a.clave - b.clave) || (a.indice - b.indice))
+            .map(({ plantilla }) => plantilla);
+        this.plantillas.forEach((plantilla, indice) => {
+            plantilla.posicion = indice;
+        });
         
         // Actualizar contador ID para evitar conflictos
         if (this.plantillas.length > 0) {
@@ -100,12 +213,241 @@ const Store = {
         }
     },
     
+    /**
+     * Sustituir las plantillas por las que otra pestaña dejó en el almacenamiento
+     * No se guarda nada: los datos ya están escritos
+     */
+    sincronizar(plantillas) {
+        const anteriores = this.plantillas;
+        const contadorAnterior = this.contadorId;
+        
+        this.cargarPlantillas(plantillas);
+        // No reutilizar IDs reservados (p. ej. los de la papelera)
+        this.contadorId = Math.max(this.contadorId, contadorAnterior);
+        
+        this.notificar({ tipo: 'sincronizar', plantilla: null, anterior: anteriores, opciones: { origen: 'sincronizacion' } });
+    },
+    
+    /**
+     * Posición para una plantilla que se añade al final del orden manual
+     */
+    siguientePosicion() {
+        return this.plantillas.reduce((maxima, plantilla) => Math.max(maxima, Number.isFinite(plantilla.posicion) ? plantilla.posicion : -1), -1) + 1;
+    },
+    
+    /**
+     * Mover una plantilla al lugar de otra en el orden manual
+     * Si venía de más arriba queda detrás de la otra; si venía de más abajo, delante
+     * @returns {boolean} Si el orden cambió
+     */
+    mover(id, destinoId) {
+        const desde = this.plantillas.findIndex(plantilla => plantilla.id == id);
+        const hasta = this.plantillas.findIndex(plantilla => plantilla.id == destinoId);
+        if (desde === -1 || hasta === -1 || desde === hasta) return false;
+        
+        const [plantilla] = this.plantillas.splice(desde, 1);
+        this.plantillas.splice(hasta, 0, plantilla);
+        this.plantillas.forEach((otra, indice) => {
+            otra.posicion = indice;
+        });
+        
+        // Guardar automáticamente (una sola escritura)
+        if (typeof guardarPlantillas === 'function') {
+            guardarPlantillas();
+        }
+        
+        this.notificar({ tipo: 'ordenar', plantilla, anterior: null, opciones: {} });
+        return true;
+    },
+    
+    /**
+     * Marcar o desmarcar una plantilla como favorita, fijada o archivada, o cambiar sus colecciones
+     * No cambia la fecha de modificación ni crea revisiones
+     * @param {Object} cambios - { favorita?, fijada?, archivada?, colecciones? }
+     */
+    organizar(id, cambios) {
+        const plantilla = this.obtenerPorId(id);
+        if (!plantilla) return null;
+        
+        aplicarOrganizacion(plantilla, cambios);
+        
+        if (typeof guardarPlantillas === 'function') {
+            guardarPlantillas({ tipo: 'guardar', plantilla });
+        }
+        
+        this.notificar({ tipo: 'organizar', plantilla, anterior: null, opciones: {} });
+        return plantilla;
+    },
+    
+    /**
+     * Organizar varias plantillas con una sola escritura
+     * @param {{id: number, datos: Object}[]} cambios - Lo que acepta organizar() para cada plantilla
+     * @returns {Object[]} Plantillas cambiadas
+     */
+    organizarVarias(cambios) {
+        const plantillas = cambios
+            .map(({ id, datos }) => {
+                const plantilla = this.obtenerPorId(id);
+                if (plantilla) aplicarOrganizacion(plantilla, datos);
+                return plantilla;
+            })
+            .filter(Boolean);
+        
+        // Guardar automáticamente (una sola escritura)
+        if (plantillas.length > 0 && typeof guardarPlantillas === 'function') {
+            guardarPlantillas();
+        }
+        
+        plantillas.forEach(plantilla => this.notificar({ tipo: 'organizar', plantilla, anterior: null, opciones: {} }));
+        return plantillas;
+    },
+    
+    /**
+     * Obtener plantilla por identificador global
+     */
+    obtenerPorUid(uid) {
+        return this.plantillas.find(plantilla => plantilla.uid === uid);
+    },
+    
+    /**
+     * Aplicar la versión de una plantilla que llega del servidor de sincronización
+     * Se conservan el ID local, los usos y la organización de este navegador; fechas y revisión vienen del servidor
+     * @returns {Object} Plantilla agregada o actualizada
+     */
+    aplicarRemota(remota) {
+        const opciones = { origen: 'remoto' };
+        const indice = this.plantillas.findIndex(plantilla => plantilla.uid === remota.uid);
+        // Un cliente anterior al esquema v6 puede enviar el hashtag como texto libre
+        const { usos, ultimoUso, ...datos } = typeof remota.hashtag !== 'undefined' ? migrarHashtags(remota) : remota;
+        
+        let cambio;
+        if (indice !== -1) {
+            const anterior = this.plantillas[indice];
+            this.plantillas[indice] = { ...datos, id: anterior.id, usos: anterior.usos, ultimoUso: anterior.ultimoUso, ...copiarOrganizacion(anterior) };
+            cambio = { tipo: 'actualizar', plantilla: this.plantillas[indice], anterior, opciones };
+        } else {
+            const nueva = {
+                ...datos,
+                id: this.contadorId++,
+                favorita: false,
+                fijada: false,
+                archivada: false,
+                posicion: this.siguientePosicion(),
+                colecciones: []
+            };
+            this.plantillas.push(nueva);
+            cambio = { tipo: 'agregar', plantilla: nueva, anterior: null, opciones };
+        }
+        
+        if (typeof guardarPlantillas === 'function') {
+            guardarPlantillas({ tipo: 'guardar', plantilla: cambio.plantilla });
+        }
+        
+        this.notificar(cambio);
+        return cambio.plantilla;
+    },
+    
+    /**
+     * Anotar la revisión que el servidor asignó a una plantilla enviada
+     * No cambia la fecha de modificación ni crea revisiones del historial
+     */
+    marcarRevision(uid, revision) {
+        const plantilla = this.obtenerPorUid(uid);
+        if (!plantilla || plantilla.revision === revision) return;
+        
+        plantilla.revision = revision;
+        if (typeof guardarPlantillas === 'function') {
+            guardarPlantillas({ tipo: 'guardar', plantilla });
+        }
+    },
+    
+    /**
+     * Importar plantillas de un archivo con persistencia automática
+     * @param {Object[]} plantillas - Plantillas ya validadas
+     * @param {string} modo - 'combinar' actualiza las que coinciden por nombre,
+     *                        'omitir' descarta las que coinciden por nombre,
+     *                        'reemplazar' sustituye toda la biblioteca
+     * @returns {{agregadas: number, actualizadas: number, omitidas: number}}
+     */
+    importar(plantillas, modo = 'combinar') {
+        const resultado = { agregadas: 0, actualizadas: 0, omitidas: 0 };
+        const ahora = new Date().toISOString();
+        const cambios = []; // Se notifican después de guardar
+        
+        if (modo === 'reemplazar') {
+            this.limpiarTodas({ origen: 'importacion' });
+        }
+        
+        plantillas.forEach(plantilla => {
+            const existente = this.obtenerPorNombre(plantilla.nombre);
+            
+            if (existente && modo === 'omitir') {
+                resultado.omitidas++;
+                return;
+            }
+            
+            if (existente && modo === 'combinar') {
+                const indice = this.plantillas.indexOf(existente);
+                this.plantillas[indice] = {
+                    ...existente,
+                    ...plantilla,
+                    id: existente.id,
+                    uid: existente.uid,
+                    revision: existente.revision,
+                    fechaCreacion: existente.fechaCreacion,
+                    fechaModificacion: ahora,
+                    ...copiarOrganizacion(existente)
+                };
+                resultado.actualizadas++;
+                cambios.push({ tipo: 'actualizar', plantilla: this.plantillas[indice], anterior: existente, opciones: { origen: 'importacion' } });
+                return;
+            }
+            
+            // Las plantillas nuevas reciben un ID local para no chocar con las existentes
+            // y un uid propio: son copias, no la misma plantilla de otra biblioteca
+            const nueva = {
+                ...plantilla,
+                id: this.contadorId++,
+                uid: generarUid(),
+                revision: 0,
+                posicion: this.siguientePosicion(),
+                fechaCreacion: plantilla.fechaCreacion || ahora,
+                fechaModificacion: plantilla.fechaModificacion || plantilla.fechaCreacion || ahora
+            };
+            this.plantillas.push(nueva);
+            resultado.agregadas++;
+            cambios.push({ tipo: 'agregar', plantilla: nueva, anterior: null, opciones: { origen: 'importacion' } });
+        });
+        
+        // Guardar automáticamente (una sola escritura)
+        if (typeof guardarPlantillas === 'function') {
+            guardarPlantillas();
+        }
+        
+        cambios.forEach(cambio => this.notificar(cambio));
+        
+        return resultado;
+    },
+    
+    /**
+     * Obtener plantilla por nombre (sin distinguir mayúsculas ni espacios extremos)
+     */
+    obtenerPorNombre(nombre) {
+        const nombreNormalizado = String(nombre).trim().toLowerCase();
+        return this.plantillas.find(plantilla =>
+            String(plantilla.nombre).trim().toLowerCase() === nombreNormalizado
+        );
+    },
+    
     /**
      * Limpiar todas las plantillas
+     * El contador no se reinicia: los IDs siguen reservados para la papelera
      */
-    limpiarTodas() {
+    limpiarTodas(opciones = {}) {
+        const anteriores = this.plantillas;
         this.plantillas = [];
-        this.contadorId = 1;
+        
+        this.notificar({ tipo: 'limpiar', plantilla: null, anterior: anteriores, opciones });
     },
     
     /**
@@ -116,19 +458,155 @@ const Store = {
             total: this.plantillas.length,
             ultimaModificacion: this.plantillas.length > 0 
                 ? Math.max(...this.plantillas.map(p => new Date(p.fechaModificacion || p.fechaCreacion).getTime()))
-                : null
+                : null,
+            usos: this.plantillas.reduce((total, p) => total + (p.usos || 0), 0),
+            nuncaUsadas: this.plantillas.filter(p => !p.usos).length
         };
     },
     
+    /**
+     * Registrar que una plantilla se usó (copiada, abierta en WhatsApp...)
+     * No cambia la fecha de modificación ni crea revisiones
+     * @param {Object} detalle - { tipo: 'copiar' | 'whatsapp' | 'lote', longitud } para el registro de uso
+     */
+    registrarUso(id, detalle = {}) {
+        const plantilla = this.obtenerPorId(id);
+        if (!plantilla) return null;
+        
+        plantilla.usos = (plantilla.usos || 0) + 1;
+        plantilla.ultimoUso = new Date().toISOString();
+        
+        if (typeof guardarPlantillas === 'function') {
+            guardarPlantillas({ tipo: 'guardar', plantilla });
+        }
+        
+        this.notificar({ tipo: 'usar', plantilla, anterior: null, opciones: detalle });
+        return plantilla;
+    },
+    
     /**
      * Buscar plantillas por término
+     * Sin distinguir acentos ni mayúsculas, con tolerancia a erratas
+     * @returns {Object[]} Plantillas ordenadas por relevancia
      */
     buscar(termino) {
-        const terminoLower = termino.toLowerCase();
-        return this.plantillas.filter(plantilla => 
-            plantilla.nombre.toLowerCase().includes(terminoLower) ||
-            plantilla.contenido.toLowerCase().includes(terminoLower) ||
-            (plantilla.categoria && plantilla.categoria.toLowerCase().includes(terminoLower))
-        );
+        return this.filtrar({ texto: termino, orden: 'relevancia' });
+    },
+    
+    /**
+     * Filtrar y ordenar plantillas
+     * Las archivadas solo aparecen con el criterio archivadas y las fijadas van siempre primero
+     * @param {Object} criterios - {
+     *   texto, categorias: string[], hashtags: string[],
+     *   creadoDesde, creadoHasta, modificadoDesde, modificadoHasta (AAAA-MM-DD),
+     *   favoritas: boolean (solo favoritas), archivadas: boolean (solo archivadas),
+     *   colecciones: string[] (en alguna de ellas), fueraDeColecciones: string[] (en ninguna de ellas),
+     *   orden: 'manual' | 'relevancia' | 'nombre' | 'categoria' | 'fechaCreacion' | 'fechaModificacion' | 'longitud' | 'usos',
+     *   direccion: 'asc' | 'desc'
+     * }
+     * @returns {Object[]} Plantillas que cumplen todos los criterios
+     */
+    filtrar(criterios = {}) {
+        const terminos = obtenerTerminosBusqueda(criterios.texto || '');
+        const categorias = criterios.categorias || [];
+        const hashtags = criterios.hashtags || [];
+        
+        const dentroDeRango = (fecha, desde, hasta) => {
+            const dia = diaLocal(fecha);
+            return (!desde || dia >= desde) && (!hasta || dia <= hasta);
+        };
+        
+        const resultados = [];
+        this.plantillas.forEach(plantilla => {
+            if (Boolean(plantilla.archivada) !== Boolean(criterios.archivadas)) return;
+            if (criterios.favoritas && !plantilla.favorita) return;
+            
+            const coleccionesPlantilla = plantilla.colecciones || [];
+            if (criterios.colecciones && !coleccionesPlantilla.some(id => criterios.colecciones.includes(id))) return;
+            if (criterios.fueraDeColecciones && coleccionesPlantilla.some(id => criterios.fueraDeColecciones.includes(id))) return;
+            
+            if (categorias.length > 0 && !categorias.includes(plantilla.categoria)) return;
+            
+            const hashtagsPlantilla = Template.obtenerHashtags(plantilla);
+            if (!hashtags.every(hashtag => hashtagsPlantilla.includes(hashtag))) return;
+            
+            if (!dentroDeRango(plantilla.fechaCreacion, criterios.creadoDesde, criterios.creadoHasta)) return;
+            if (!dentroDeRango(plantilla.fechaModificacion, criterios.modificadoDesde, criterios.modificadoHasta)) return;
+            
+            const puntuacion = puntuarBusqueda([
+                { texto: plantilla.nombre, peso: 3 },
+                { texto: hashtagsPlantilla.join(' '), peso: 2 },
+                { texto: plantilla.categoria || '', peso: 2 },
+                { texto: plantilla.contenido, peso: 1 },
+                { texto: `${plantilla.encabezado || ''} ${plantilla.pie || ''}`, peso: 1 },
+                { texto: Object.values(plantilla.variantes || {}).map(variante => variante.contenido).join(' '), peso: 1 }
+            ], terminos);
+            
+            if (puntuacion > 0) {
+                resultados.push({ plantilla, puntuacion });
+            }
+        });
+        
+        const comparadores = {
+            manual: (a, b) => a.plantilla.posicion - b.plantilla.posicion,
+            relevancia: (a, b) => a.puntuacion - b.puntuacion,
+            nombre: (a, b) => a.plantilla.nombre.localeCompare(b.plantilla.nombre, undefined, { sensitivity: 'base' }),
+            categoria: (a, b) => (a.plantilla.categoria || '').localeCompare(b.plantilla.categoria || '', undefined, { sensitivity: 'base' }),
+            fechaCreacion: (a, b) => String(a.plantilla.fechaCreacion).localeCompare(String(b.plantilla.fechaCreacion)),
+            fechaModificacion: (a, b) => String(a.plantilla.fechaModificacion).localeCompare(String(b.plantilla.fechaModificacion)),
+            longitud: (a, b) => a.plantilla.contenido.length - b.plantilla.contenido.length,
+            usos: (a, b) => (a.plantilla.usos || 0) - (b.plantilla.usos || 0)
+        };
+        
+        const orden = comparadores[criterios.orden] ? criterios.orden : null;
+        if (orden) {
+            // La relevancia va de mayor a menor salvo que se pida lo contrario
+            const direccion = criterios.direccion || (orden === 'relevancia' ? 'desc' : 'asc');
+            const signo = direccion === 'desc' ? -1 : 1;
+            resultados.sort((a, b) => signo * comparadores[orden](a, b));
+        }
+        
+        // Las fijadas arriba, conservando entre ellas el orden elegido
+        return [
+            ...resultados.filter(resultado => resultado.plantilla.fijada),
+            ...resultados.filter(resultado => !resultado.plantilla.fijada)
+        ].map(resultado => resultado.plantilla);
+    }
+};
+
+/**
+ * Aplicar a una plantilla los cambios de organización reconocidos
+ */
+function aplicarOrganizacion(plantilla, cambios) {
+    ['favorita', 'fijada', 'archivada'].forEach(campo => {
+        if (typeof cambios[campo] !== 'undefined') {
+            plantilla[campo] = Boolean(cambios[campo]);
+        }
+    });
+    if (Array.isArray(cambios.colecciones)) {
+        plantilla.colecciones = [...new Set(cambios.colecciones)];
     }
-};
\ No newline at end of file
+}
+
+/**
+ * Copiar los datos de organización de una plantilla (los que tenga)
+ */
+function copiarOrganizacion(plantilla) {
+    const datos = {};
+    CAMPOS_ORGANIZACION.forEach(campo => {
+        if (typeof plantilla[campo] !== 'undefined') {
+            datos[campo] = plantilla[campo];
+        }
+    });
+    return datos;
+}
+
+/**
+ * Día del calendario local (AAAA-MM-DD) de una fecha guardada en UTC, o '' si no es válida
+ * Los filtros de fecha son días locales: cerca de medianoche el día UTC puede ser otro
+ */
+function diaLocal(fecha) {
+    const momento = new Date(fecha || '');
+    if (Number.isNaN(momento.getTime())) return '';
+    return new Date(momento.getTime() - momento.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
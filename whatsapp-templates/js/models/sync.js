@@ -0,0 +1,196 @@
+/**
+ * sync.js - Sincronización entre pestañas del mismo navegador
+ * Cada escritura se avisa a las demás pestañas, que recargan el Store desde el almacenamiento
+ */
+
+const CANAL_SINCRONIZACION = 'whatsapp_templates_sync';
+const SYNC_KEY = 'whatsapp_templates_sync'; // Respaldo con el evento storage si no hay BroadcastChannel
+
+const Sincronizacion = {
+    idPestana: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    canal: null,
+    recarga: Promise.resolve(),
+    suscriptores: [],
+    
+    /**
+     * Empezar a escuchar los avisos de otras pestañas
+     */
+    iniciar() {
+        if (typeof BroadcastChannel === 'function') {
+            this.canal = new BroadcastChannel(CANAL_SINCRONIZACION);
+            this.canal.onmessage = event => this.recibir(event.data);
+        } else {
+            window.addEventListener('storage', event => {
+                if (event.key !== SYNC_KEY || !event.newValue) return;
+                try {
+                    this.recibir(JSON.parse(event.newValue));
+                } catch (error) {
+                    console.warn('Aviso de sincronización ilegible:', error);
+                }
+            });
+        }
+    },
+    
+    /**
+     * Suscribirse a los cambios llegados de otra pestaña
+     * @param {Function} callback - Recibe { tipo, anteriores, plantillas } o { tipo: 'dato', clave }
+     */
+    suscribir(callback) {
+        this.suscriptores.push(callback);
+    },
+    
+    /**
+     * Avisar a las demás pestañas de una escritura
+     * @param {Object} mensaje - { tipo: 'plantillas' }, { tipo: 'dato', clave }, { tipo: 'almacenamiento', nombre } o { tipo: 'cifrado' }
+     */
+    avisar(mensaje) {
+        const aviso = { ...mensaje, origen: this.idPestana, fecha: new Date().toISOString() };
+        
+        try {
+            if (this.canal) {
+                this.canal.postMessage(aviso);
+            } else {
+                // El evento storage solo salta si el valor cambia: la fecha lo garantiza
+                localStorage.setItem(SYNC_KEY, JSON.stringify(aviso));
+            }
+        } catch (error) {
+            console.warn('No se pudo avisar a otras pestañas:', error);
+        }
+    },
+    
+    /**
+     * Procesar un aviso; las recargas se encadenan para aplicarlas en orden
+     */
+    recibir(aviso) {
+        if (!aviso || aviso.origen === this.idPestana) return;
+        
+        this.recarga = this.recarga
+            .then(() => this.aplicar(aviso))
+            .catch(error => {
+                console.error('Error al sincronizar con otra pestaña:', error);
+                mostrarMensajePersistencia('⚠️ No se pudieron cargar los cambios de otra pestaña', 'warning');
+            });
+        return this.recarga;
+    },
+    
+    async aplicar(aviso) {
+        if (aviso.tipo === 'almacenamiento') {
+            const crear = BACKENDS_DISPONIBLES[aviso.nombre];
+            if (!crear || adaptadorActivo.tipo === aviso.nombre) return;
+            
+            await colaEscritura;
+            adaptadorActivo = crear();
+            actualizarIndicadorPersistencia();
+            await this.recargarPlantillas();
+            await cargarDatosPersistentes();
+            this.notificar({ tipo: 'dato', clave: null });
+        } else if (aviso.tipo === 'dato') {
+            await colaEscritura;
+            await recargarDatoPersistente(aviso.clave);
+            this.notificar({ tipo: 'dato', clave: aviso.clave });
+        } else if (aviso.tipo === 'plantillas') {
+            await this.recargarPlantillas();
+        } else if (aviso.tipo === 'cifrado' && adaptadorActivo.admiteCifrado) {
+            // Otra pestaña activó el cifrado, cambió la frase o lo quitó: la clave ya no sirve.
+            // Mientras se pide la frase se escribe en memoria para no guardar nada sin cifrar sobre lo cifrado
+            await colaEscritura;
+            const adaptador = adaptadorActivo;
+            adaptador.cifrado = null;
+            adaptadorActivo = new AdaptadorMemoria();
+            almacenamientoBloqueado = true;
+            actualizarIndicadorPersistencia();
+            
+            if (await abrirAlmacenamientoCifrado(adaptador)) {
+                await this.recargarPlantillas();
+                await cargarDatosPersistentes();
+                this.notificar({ tipo: 'dato', clave: null });
+            }
+            actualizarIndicadorPersistencia();
+        }
+    },
+    
+    /**
+     * Leer de nuevo las plantillas y sustituir las del Store
+     */
+    async recargarPlantillas() {
+        // Terminar antes las escrituras propias pendientes
+        await colaEscritura;
+        
+        const datos = await adaptadorActivo.cargar();
+        const { plantillas, informe } = migrarDatos(datos ? datos : []);
+        const anteriores = Store.obtenerTodas().map(plantilla => structuredClone(plantilla));
+        
+        Store.sincronizar(plantillas);
+        await reportarMigracion(informe);
+        this.notificar({ tipo: 'plantillas', anteriores, plantillas: Store.obtenerTodas() });
+    },
+    
+    notificar(cambio) {
+        this.suscriptores.forEach(callback => {
+            try {
+                callback(cambio);
+            } catch (error) {
+                console.error('Error en suscriptor de la sincronización:', error);
+            }
+        });
+    }
+};
+
+/**
+ * Avisar a las demás pestañas (lo usa la capa de persistencia tras cada escritura)
+ */
+function avisarOtrasPestanas(mensaje) {
+    Sincronizacion.avisar(mensaje);
+}
+
+/**
+ * Comparar los campos editables de dos versiones de una plantilla
+ */
+function mismosCamposRevision(a, b) {
+    return JSON.stringify(copiarCamposRevision(a)) === JSON.stringify(copiarCamposRevision(b));
+}
+
+/**
+ * Detectar si una plantilla en edición choca con la versión llegada de otra pestaña
+ * @param {Object} base - Versión de la que partió la edición
+ * @param {Object} mia - Lo que hay ahora en el formulario
+ * @param {Object|null} suya - Versión de la otra pestaña (null si la eliminó)
+ * @returns {string} 'sin-cambios', 'tomar-suya' (no hay cambios locales) o 'conflicto'
+ */
+function detectarConflicto(base, mia, suya) {
+    const hayCambiosMios = !mismosCamposRevision(base, mia);
+    if (!suya) return hayCambiosMios ? 'conflicto' : 'tomar-suya';
+    if (mismosCamposRevision(base, suya) || mismosCamposRevision(mia, suya)) return 'sin-cambios';
+    return hayCambiosMios ? 'conflicto' : 'tomar-suya';
+}
+
+/**
+ * Combinar campo a campo: lo que cambió un solo lado se aplica solo
+ * @param {Object} eleccion - Campo → 'mia' | 'suya' para los que cambiaron ambos lados
+ */
+function combinarVersiones(base, mia, suya, eleccion = {}) {
+    const resultado = {};
+    CAMPOS_REVISION.forEach(campo => {
+        const cambioMio = JSON.stringify(mia[campo]) !== JSON.stringify(base[campo]);
+        const cambioSuyo = JSON.stringify(suya[campo]) !== JSON.stringify(base[campo]);
+        
+        let origen = 'mia';
+        if (cambioMio && cambioSuyo) {
+            origen = eleccion[campo] || 'mia';
+        } else if (cambioSuyo) {
+            origen = 'suya';
+        }
+        const valor = (origen === 'mia' ? mia : suya)[campo];
+        resultado[campo] = structuredClone(valor ?? base[campo] ?? valorVacioRevision(campo));
+    });
+    return resultado;
+}
+
+/**
+ * Valor vacío de un campo de revisión con su tipo (listas, objetos o texto)
+ */
+function valorVacioRevision(campo) {
+    if (campo === 'hashtags' || campo === 'botones') return [];
+    if (campo === 'valoresPorDefecto' || campo === 'variantes') return {};
+    return '';
+}
@@ -0,0 +1,287 @@
+/**
+ * taxonomy.js - Categorías y hashtags de la biblioteca
+ * Las categorías se gestionan aquí con su color; los hashtags son los que usan las plantillas.
+ * Renombrar o fusionar actualiza todas las plantillas afectadas en un solo paso
+ */
+
+// Colores que se asignan por turno a las categorías nuevas
+const COLORES_CATEGORIA = ['#128c7e', '#2563eb', '#d97706', '#7c3aed', '#db2777', '#059669', '#dc2626', '#4b5563'];
+// Las categorías fijas del formulario antes de poder gestionarlas
+const CATEGORIAS_INICIALES = ['marketing', 'soporte', 'ventas', 'personal', 'autenticacion'];
+
+/**
+ * Error al crear, renombrar o eliminar una categoría o un hashtag
+ * El mensaje se muestra tal cual al usuario
+ */
+class ErrorTaxonomia extends Error {
+    constructor(motivo) {
+        super(motivo);
+        this.name = 'ErrorTaxonomia';
+    }
+}
+
+const Taxonomia = {
+    categorias: [], // [{ nombre, color }] en el orden en que se crearon
+
+    /**
+     * Categorías gestionadas y las que usan las plantillas aunque no estén gestionadas
+     * (importadas o llegadas del servidor), ordenadas por nombre
+     * @returns {{nombre: string, color: string, cantidad: number, gestionada: boolean}[]}
+     */
+    obtenerCategorias() {
+        const cantidades = new Map();
+        Store.obtenerTodas().forEach(plantilla => {
+            if (plantilla.categoria) {
+                cantidades.set(plantilla.categoria, (cantidades.get(plantilla.categoria) || 0) + 1);
+            }
+        });
+
+        const gestionadas = this.categorias.map(categoria => ({
+            ...categoria,
+            cantidad: cantidades.get(categoria.nombre) || 0,
+            gestionada: true
+        }));
+        const sueltas = [...cantidades.keys()]
+            .filter(nombre => !this.obtenerCategoria(nombre))
+            .map(nombre => ({ nombre, color: colorPorDefecto(nombre), cantidad: cantidades.get(nombre), gestionada: false }));
+
+        return [...gestionadas, ...sueltas].sort((a, b) => a.nombre.localeCompare(b.nombre));
+    },
+
+    /**
+     * Obtener una categoría gestionada por nombre exacto
+     */
+    obtenerCategoria(nombre) {
+        return this.categorias.find(categoria => categoria.nombre === nombre) || null;
+    },
+
+    /**
+     * Color con el que se muestra una categoría
+     */
+    colorDe(nombre) {
+        const categoria = this.obtenerCategoria(nombre);
+        return categoria ? categoria.color : colorPorDefecto(nombre);
+    },
+
+    /**
+     * Crear una categoría (o empezar a gestionar una que ya usan las plantillas)
+     * @throws {ErrorTaxonomia} Nombre vacío o repetido
+     */
+    crearCategoria(nombre, color = null) {
+        const limpio = String(nombre || '').trim();
+        if (!limpio) {
+            throw new ErrorTaxonomia('La categoría necesita un nombre');
+        }
+        const igual = this.buscarCategoriaParecida(limpio);
+        if (igual) {
+            throw new ErrorTaxonomia(`Ya existe la categoría "${igual}"`);
+        }
+
+        const categoria = { nombre: limpio, color: esColorValido(color) ? color : COLORES_CATEGORIA[this.categorias.length % COLORES_CATEGORIA.length] };
+        this.categorias.push(categoria);
+        guardarDatoPersistente('categorias');
+        return categoria;
+    },
+
+    /**
+     * Cambiar el color de una categoría (si no estaba gestionada pasa a estarlo)
+     */
+    cambiarColor(nombre, color) {
+        if (!esColorValido(color)) return;
+
+        const categoria = this.obtenerCategoria(nombre);
+        if (categoria) {
+            categoria.color = color;
+        } else {
+            this.categorias.push({ nombre, color });
+        }
+        guardarDatoPersistente('categorias');
+    },
+
+    /**
+     * Renombrar una categoría y todas las plantillas que la usan
+     * @returns {number} Plantillas actualizadas
+     * @throws {ErrorTaxonomia} Nombre vacío o de otra categoría (para eso está fusionar)
+     */
+    renombrarCategoria(anterior, nuevo) {
+        const limpio = String(nuevo || '').trim();
+        if (!limpio) {
+            throw new ErrorTaxonomia('La categoría necesita un nombre');
+        }
+        const igual = this.buscarCategoriaParecida(limpio, anterior);
+        if (igual) {
+            throw new ErrorTaxonomia(`Ya existe la categoría "${igual}": usa Fusionar para unirlas`);
+        }
+
+        const categoria = this.obtenerCategoria(anterior);
+        if (categoria) {
+            categoria.nombre = limpio;
+        } else {
+            this.categorias.push({ nombre: limpio, color: colorPorDefecto(anterior) });
+        }
+        guardarDatoPersistente('categorias');
+        return cambiarCategoriaPlantillas([anterior], limpio);
+    },
+
+    /**
+     * Unir varias categorías en una: sus plantillas pasan a la de destino y las demás desaparecen
+     * @returns {number} Plantillas actualizadas
+     */
+    fusionarCategorias(origenes, destino) {
+        const quitar = origenes.filter(nombre => nombre !== destino);
+        if (quitar.length === 0) return 0;
+
+        if (!this.obtenerCategoria(destino)) {
+            this.categorias.push({ nombre: destino, color: colorPorDefecto(destino) });
+        }
+        this.categorias = this.categorias.filter(categoria => !quitar.includes(categoria.nombre));
+        guardarDatoPersistente('categorias');
+        return cambiarCategoriaPlantillas(quitar, destino);
+    },
+
+    /**
+     * Eliminar una categoría que ninguna plantilla usa
+     * @throws {ErrorTaxonomia} Si alguna plantilla la usa
+     */
+    eliminarCategoria(nombre) {
+        const usos = Store.obtenerTodas().filter(plantilla => plantilla.categoria === nombre).length;
+        if (usos > 0) {
+            throw new ErrorTaxonomia(`La usan ${usos} plantillas: fusiónala con otra para quitarla`);
+        }
+
+        this.categorias = this.categorias.filter(categoria => categoria.nombre !== nombre);
+        guardarDatoPersistente('categorias');
+    },
+
+    /**
+     * Nombre de otra categoría igual sin distinguir mayúsculas ni acentos, o null
+     * @param {string} excepto - Categoría que se está renombrando
+     */
+    buscarCategoriaParecida(nombre, excepto = null) {
+        const buscado = normalizarBusqueda(nombre);
+        const igual = this.obtenerCategorias().find(categoria =>
+            categoria.nombre !== excepto && normalizarBusqueda(categoria.nombre) === buscado
+        );
+        return igual ? igual.nombre : null;
+    },
+
+    /**
+     * Hashtags que usan las plantillas, de más a menos usado
+     * @returns {{hashtag: string, cantidad: number}[]}
+     */
+    obtenerHashtags() {
+        const cantidades = new Map();
+        Store.obtenerTodas().forEach(plantilla => {
+            Template.obtenerHashtags(plantilla).forEach(hashtag => {
+                cantidades.set(hashtag, (cantidades.get(hashtag) || 0) + 1);
+            });
+        });
+        return [...cantidades]
+            .map(([hashtag, cantidad]) => ({ hashtag, cantidad }))
+            .sort((a, b) => b.cantidad - a.cantidad || a.hashtag.localeCompare(b.hashtag));
+    },
+
+    /**
+     * Renombrar un hashtag en todas las plantillas
+     * Si el nuevo ya existe se fusionan: las plantillas que tenían los dos se quedan con uno
+     * @returns {number} Plantillas actualizadas
+     * @throws {ErrorTaxonomia} Formato no válido
+     */
+    renombrarHashtag(anterior, nuevo) {
+        return this.fusionarHashtags([anterior], nuevo);
+    },
+
+    /**
+     * Unir varios hashtags en uno en todas las plantillas
+     * @returns {number} Plantillas actualizadas
+     * @throws {ErrorTaxonomia} Formato no válido
+     */
+    fusionarHashtags(origenes, destino) {
+        const limpios = Template.normalizarHashtags(destino);
+        if (limpios.length !== 1 || !Template.esHashtagValido(limpios[0])) {
+            throw new ErrorTaxonomia('Un hashtag es # seguido de letras, números o _');
+        }
+        return cambiarHashtagsPlantillas(origenes, limpios[0]);
+    },
+
+    /**
+     * Quitar un hashtag de todas las plantillas
+     * @returns {number} Plantillas actualizadas
+     */
+    eliminarHashtag(hashtag) {
+        return cambiarHashtagsPlantillas([hashtag], null);
+    },
+
+    /**
+     * Cargar las categorías guardadas (usado por persistencia)
+     * La primera vez se empieza con las categorías que antes eran fijas
+     */
+    cargar(datos) {
+        if (!Array.isArray(datos)) {
+            this.categorias = CATEGORIAS_INICIALES.map((nombre, indice) => ({ nombre, color: COLORES_CATEGORIA[indice] }));
+            return;
+        }
+        this.categorias = datos
+            .filter(categoria => categoria && typeof categoria.nombre === 'string' && categoria.nombre.trim())
+            .map(categoria => ({ nombre: categoria.nombre, color: esColorValido(categoria.color) ? categoria.color : colorPorDefecto(categoria.nombre) }));
+    },
+
+    /**
+     * Datos a guardar (usado por persistencia)
+     */
+    serializar() {
+        return this.categorias;
+    }
+};
+
+/**
+ * Pasar a otra categoría las plantillas de unas categorías
+ * @returns {number} Plantillas actualizadas
+ */
+function cambiarCategoriaPlantillas(origenes, destino) {
+    const cambios = Store.obtenerTodas()
+        .filter(plantilla => origenes.includes(plantilla.categoria))
+        .map(plantilla => ({ id: plantilla.id, datos: { categoria: destino } }));
+    return Store.actualizarVarias(cambios, { origen: 'taxonomia' }).length;
+}
+
+/**
+ * Sustituir unos hashtags por otro (o quitarlos con null) en las plantillas que los usan
+ * @returns {number} Plantillas actualizadas
+ */
+function cambiarHashtagsPlantillas(origenes, destino) {
+    const quitar = Template.normalizarHashtags(origenes);
+    const cambios = [];
+
+    Store.obtenerTodas().forEach(plantilla => {
+        const actuales = Template.obtenerHashtags(plantilla);
+        if (!actuales.some(hashtag => quitar.includes(hashtag))) return;
+
+        const hashtags = [...new Set(actuales.map(hashtag => (quitar.includes(hashtag) ? destino : hashtag)).filter(Boolean))];
+        if (JSON.stringify(hashtags) !== JSON.stringify(plantilla.hashtags)) {
+            cambios.push({ id: plantilla.id, datos: { hashtags } });
+        }
+    });
+
+    return Store.actualizarVarias(cambios, { origen: 'taxonomia' }).length;
+}
+
+/**
+ * Color estable para una categoría sin color guardado
+ */
+function colorPorDefecto(nombre) {
+    let suma = 0;
+    for (const caracter of String(nombre)) {
+        suma = (suma + caracter.codePointAt(0)) % COLORES_CATEGORIA.length;
+    }
+    return COLORES_CATEGORIA[suma];
+}
+
+/**
+ * Comprobar que un color es #rrggbb (lo que devuelve <input type="color">)
+ */
+function esColorValido(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+}
+
+registrarDatoPersistente('categorias', Taxonomia);
@@ -4,15 +4,36 @@
  * Implementa estado local con propiedades y métodos de renderización
  */
 class Template {
-    constructor(titulo, mensaje, hashtag, categoria, fechaCreacion = new Date()) {
-        // Propiedades requeridas (HU1)
-        this.titulo = titulo;
-        this.mensaje = mensaje;
-        this.hashtag = hashtag;
+    constructor(nombre, contenido, categoria = '', hashtags = [], fechaCreacion = new Date().toISOString()) {
+        // Propiedades requeridas (HU1), con la forma canónica del esquema (ver migrations.js)
+        this.nombre = nombre;
+        this.contenido = contenido;
+        this.hashtags = Template.normalizarHashtags(hashtags);
         
         // Propiedades adicionales elegidas por el desarrollador (HU1)
         this.categoria = categoria;
         this.fechaCreacion = fechaCreacion;
+        this.fechaModificacion = fechaCreacion;
+
+        // Valores por defecto de las variables {{variable}} del mensaje
+        this.valoresPorDefecto = {};
+
+        // Partes opcionales de un mensaje interactivo (límites en Template.LIMITES)
+        this.tipoEncabezado = ''; // '', 'texto', 'imagen', 'video' o 'documento'
+        this.encabezado = '';     // Texto del encabezado o descripción del archivo
+        this.pie = '';
+        this.botones = [];        // [{ tipo: 'respuesta' | 'url' | 'telefono', texto, url?, telefono? }]
+
+        // Traducciones: los campos de arriba son los del idioma por defecto
+        this.idiomaPorDefecto = 'es';
+        this.variantes = {};      // idioma -> { contenido, encabezado, pie, botones }
+
+        // Organización de la lista (datos de este navegador, ver Store.organizar)
+        this.favorita = false;
+        this.fijada = false;      // Se muestra arriba en cualquier orden
+        this.archivada = false;   // Fuera de la lista principal sin eliminarla
+        this.posicion = null;     // Lugar en el orden manual; lo asigna el Store
+        this.colecciones = [];    // IDs de las colecciones en las que está (ver collections.js)
         
         // ID único para cada plantilla
         this.id = Date.now() + Math.random();
@@ -24,54 +45,16 @@ class Template {
      * @returns {string} HTML de la plantilla
      */
     render() {
-        const fechaFormateada = this.fechaCreacion.toLocaleDateString('es-ES', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-        });
-
-        return `
-            <div class="template-card" data-id="${this.id}">
-                <div class="template-header">
-                    <h4 class="template-title">${this.titulo}</h4>
-                    <span class="template-category">${this.categoria}</span>
-                </div>
-                <div class="template-message">${this.mensaje}</div>
-                <div class="template-footer">
-                    <span class="template-hashtag">${this.hashtag}</span>
-                    <button class="delete-btn" onclick="eliminarPlantilla('${this.id}')">🗑️ Eliminar</button>
-                </div>
-                <small style="color: #999; font-size: 12px;">Creado: ${fechaFormateada}</small>
-            </div>
-        `;
+        return renderizarTarjetaPlantilla(this, 'list');
     }
 
     /**
      * Método render para vista grilla (HU4)
-     * Renderiza la plantilla en formato de grilla
+     * Misma tarjeta que la lista; la grilla la da el contenedor (templates-view.js)
      * @returns {string} HTML de la plantilla en grilla
      */
     renderGrid() {
-        const fechaFormateada = this.fechaCreacion.toLocaleDateString('es-ES', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-        });
-
-        return `
-            <div class="grid-card" data-id="${this.id}">
-                <div class="grid-header">
-                    <h4 class="grid-title">${this.titulo}</h4>
-                    <span class="grid-category">${this.categoria}</span>
-                </div>
-                <div class="grid-message">${this.mensaje}</div>
-                <div class="grid-footer">
-                    <span class="grid-hashtag">${this.hashtag}</span>
-                    <button class="delete-btn" onclick="eliminarPlantilla('${this.id}')">🗑️</button>
-                </div>
-                <small style="color: #999; font-size: 11px; margin-top: 5px;">${fechaFormateada}</small>
-            </div>
-        `;
+        return renderizarTarjetaPlantilla(this, 'grid');
     }
 
     /**
@@ -82,23 +65,20 @@ class Template {
     getEstadoLocal() {
         return {
             id: this.id,
-            titulo: this.titulo,
+            nombre: this.nombre,
             categoria: this.categoria,
-            hashtag: this.hashtag,
-            longitud: this.mensaje.length,
+            hashtags: this.hashtags,
+            longitud: this.contenido.length,
             fechaCreacion: this.fechaCreacion
         };
     }
 
     /**
-     * Método para validar si la plantilla está completa
-     * @returns {boolean} true si todos los campos requeridos están presentes
+     * Método para validar la plantilla con las reglas de validación (ver rules.js)
+     * @returns {boolean} true si no incumple ninguna regla de nivel error (los avisos no cuentan)
      */
     esValida() {
-        return this.titulo && 
-               this.mensaje && 
-               this.hashtag && 
-               this.categoria;
+        return ReglasValidacion.validar(this).every(resultado => resultado.nivel !== 'error');
     }
 
     /**
@@ -106,11 +86,404 @@ class Template {
      * @returns {string} Resumen de la plantilla
      */
     getResumen() {
-        const mensajeCorto = this.mensaje.length > 50 
-            ? this.mensaje.substring(0, 50) + '...' 
-            : this.mensaje;
+        const mensajeCorto = this.contenido.length > 50 
+            ? this.contenido.substring(0, 50) + '...' 
+            : this.contenido;
         
-        return `${this.titulo} - ${mensajeCorto}`;
+        return `${this.nombre} - ${mensajeCorto}`;
+    }
+
+    /**
+     * Listar las variables {{variable}} del mensaje
+     * @returns {string[]} Nombres de variables sin repetir, en orden de aparición
+     */
+    obtenerVariables() {
+        return Template.extraerVariables(Template.textoConVariables(this));
+    }
+
+    /**
+     * Verificar que todas las variables tengan valor
+     * @param {Object} valores - Valores indexados por nombre de variable
+     * @returns {boolean} true si no falta ninguna variable
+     */
+    tieneValoresCompletos(valores = {}) {
+        return Template.variablesFaltantes(Template.textoConVariables(this), { ...this.valoresPorDefecto, ...valores }).length === 0;
+    }
+
+    /**
+     * Generar el mensaje final reemplazando las variables
+     * @param {Object} valores - Valores indexados por nombre de variable
+     * @returns {string} Mensaje con las variables resueltas
+     */
+    renderizarConValores(valores = {}) {
+        return Template.rellenar(
+            Template.expandirFragmentos(this.contenido),
+            { ...this.valoresPorDefecto, ...valores },
+            Template.localeDe(this)
+        );
+    }
+
+    /**
+     * Analizar las expresiones de un texto sin lanzar errores
+     * @returns {{nodos: Object[]|null, error: ErrorExpresion|null}}
+     */
+    static analizarExpresiones(texto = '') {
+        try {
+            return { nodos: parsearExpresiones(texto), error: null };
+        } catch (error) {
+            if (!(error instanceof ErrorExpresion)) throw error;
+            return { nodos: null, error };
+        }
+    }
+
+    /**
+     * Extraer las variables {{variable}} de un texto, también las de {{#if}}
+     * Con errores de sintaxis se buscan solo las variables simples
+     * @param {string} texto - Texto de la plantilla
+     * @returns {string[]} Nombres de variables sin repetir, en orden de aparición
+     */
+    static extraerVariables(texto = '') {
+        const { nodos } = Template.analizarExpresiones(texto);
+        if (nodos) {
+            return variablesDeExpresiones(nodos);
+        }
+
+        const variables = [];
+        for (const coincidencia of texto.matchAll(Template.REGEX_VARIABLE)) {
+            if (!variables.includes(coincidencia[1])) {
+                variables.push(coincidencia[1]);
+            }
+        }
+        return variables;
+    }
+
+    /**
+     * Obtener las variables del texto que no tienen valor
+     * No faltan las que tienen valor por defecto ni las de condiciones o ramas que no se muestran
+     * @param {string} texto - Texto de la plantilla
+     * @param {Object} valores - Valores indexados por nombre de variable
+     * @returns {string[]} Variables sin valor
+     */
+    static variablesFaltantes(texto = '', valores = {}) {
+        const { nodos } = Template.analizarExpresiones(texto);
+        if (nodos) {
+            return renderizarExpresiones(nodos, valores).faltantes;
+        }
+
+        return Template.extraerVariables(texto).filter(variable =>
+            typeof valores[variable] !== 'string' || valores[variable].trim() === ''
+        );
+    }
+
+    /**
+     * Reemplazar las variables de un texto por sus valores
+     * Aplica valores por defecto, formatos y condiciones (ver expressions.js);
+     * las variables sin valor se dejan tal cual para que se noten
+     * @param {string} texto - Texto de la plantilla
+     * @param {Object} valores - Valores indexados por nombre de variable
+     * @param {string} locale - Formato regional de fechas y números
+     * @returns {string} Texto resuelto
+     */
+    static rellenar(texto = '', valores = {}, locale = obtenerLocaleInterfaz()) {
+        const { nodos } = Template.analizarExpresiones(texto);
+        if (nodos) {
+            return renderizarExpresiones(nodos, valores, locale).texto;
+        }
+
+        // Con errores de sintaxis solo se sustituyen las variables simples
+        return texto.replace(Template.REGEX_VARIABLE, (original, variable) =>
+            typeof valores[variable] === 'string' && valores[variable].trim() !== ''
+                ? valores[variable]
+                : original
+        );
+    }
+
+    /**
+     * Unir las partes que admiten variables: encabezado de texto, cuerpo y enlaces de botones
+     * @param {Object} plantilla - Plantilla del Store
+     * @returns {string} Texto del que extraer las variables
+     */
+    static textoConVariables(plantilla) {
+        plantilla = Template.expandir(plantilla);
+        const partes = [plantilla.contenido || ''];
+        if (plantilla.tipoEncabezado === 'texto') {
+            partes.unshift(plantilla.encabezado || '');
+        }
+        (plantilla.botones || []).forEach(boton => {
+            if (boton.tipo === 'url') {
+                partes.push(boton.url || '');
+            }
+        });
+        return partes.join('\n');
+    }
+
+    /**
+     * Resolver las variables de encabezado y botones para la vista previa
+     * @returns {Object} { tipoEncabezado, encabezado, pie, botones } con los valores aplicados
+     */
+    static rellenarPartes(plantilla, valores = {}) {
+        plantilla = Template.expandir(plantilla);
+        const locale = Template.localeDe(plantilla);
+        return {
+            tipoEncabezado: plantilla.tipoEncabezado || '',
+            encabezado: plantilla.tipoEncabezado === 'texto'
+                ? Template.rellenar(plantilla.encabezado || '', valores, locale)
+                : plantilla.encabezado || '',
+            pie: plantilla.pie || '',
+            botones: (plantilla.botones || []).map(boton => (
+                boton.tipo === 'url' ? { ...boton, url: Template.rellenar(boton.url || '', valores, locale) } : { ...boton }
+            ))
+        };
+    }
+
+    /**
+     * Componer el mensaje de texto que se copia o se envía por wa.me
+     * Encabezado en negrita y pie en cursiva; los botones de enlace y llamada se añaden como texto
+     * (las respuestas rápidas solo existen en la API de WhatsApp Business)
+     */
+    static componerMensaje(plantilla, valores = {}) {
+        plantilla = Template.expandir(plantilla);
+        const partes = Template.rellenarPartes(plantilla, valores);
+        const secciones = [];
+
+        if (partes.tipoEncabezado === 'texto' && partes.encabezado.trim()) {
+            secciones.push(`*${partes.encabezado.trim()}*`);
+        }
+        secciones.push(Template.rellenar(plantilla.contenido || '', valores, Template.localeDe(plantilla)));
+        if (partes.pie.trim()) {
+            secciones.push(`_${partes.pie.trim()}_`);
+        }
+
+        const enlaces = partes.botones
+            .filter(boton => boton.tipo !== 'respuesta')
+            .map(boton => `${boton.texto}: ${boton.tipo === 'url' ? boton.url : boton.telefono}`);
+        if (enlaces.length > 0) {
+            secciones.push(enlaces.join('\n'));
+        }
+
+        return secciones.join('\n\n');
+    }
+
+    /**
+     * Formato regional de fechas y números de una plantilla o de una de sus traducciones
+     */
+    static localeDe(plantilla) {
+        return localeDeIdioma(plantilla.idioma || plantilla.idiomaPorDefecto);
+    }
+
+    /**
+     * Listar los fragmentos {{> nombre}} que incluye un texto
+     * @returns {string[]} Nombres sin repetir, en orden de aparición
+     */
+    static extraerFragmentos(texto = '') {
+        const nombres = [];
+        for (const coincidencia of String(texto || '').matchAll(Template.REGEX_FRAGMENTO)) {
+            if (!nombres.includes(coincidencia[1])) {
+                nombres.push(coincidencia[1]);
+            }
+        }
+        return nombres;
+    }
+
+    /**
+     * Sustituir los fragmentos {{> nombre}} de un texto por su contenido
+     * Se guardan aparte (Fragmentos): editar uno cambia todas las plantillas que lo incluyen
+     */
+    static expandirFragmentos(texto = '') {
+        return typeof Fragmentos !== 'undefined' ? Fragmentos.expandir(texto) : texto;
+    }
+
+    /**
+     * Copia de la plantilla con los fragmentos incluidos en encabezado de texto, mensaje y pie
+     */
+    static expandir(plantilla) {
+        return {
+            ...plantilla,
+            contenido: Template.expandirFragmentos(plantilla.contenido || ''),
+            encabezado: plantilla.tipoEncabezado === 'texto'
+                ? Template.expandirFragmentos(plantilla.encabezado || '')
+                : plantilla.encabezado || '',
+            pie: Template.expandirFragmentos(plantilla.pie || '')
+        };
+    }
+
+    /**
+     * Obtener la plantilla en un idioma
+     * Las partes que la traducción no tiene se toman del idioma por defecto
+     * @param {Object} plantilla - Plantilla del Store
+     * @param {string} idioma - Código de idioma; sin traducción se usa el idioma por defecto
+     * @returns {Object} Copia de la plantilla con los textos del idioma y la propiedad idioma
+     */
+    static obtenerVariante(plantilla, idioma) {
+        const idiomaPorDefecto = plantilla.idiomaPorDefecto || 'es';
+        const variante = (plantilla.variantes || {})[idioma];
+
+        if (idioma === idiomaPorDefecto || !variante || !variante.contenido) {
+            return { ...plantilla, idioma: idiomaPorDefecto };
+        }
+
+        const resultado = { ...plantilla, idioma };
+        Template.CAMPOS_VARIANTE.forEach(campo => {
+            const valor = variante[campo];
+            if (Array.isArray(valor) ? valor.length > 0 : Boolean(valor)) {
+                resultado[campo] = valor;
+            }
+        });
+        return resultado;
+    }
+
+    /**
+     * Idiomas en los que está escrita una plantilla, empezando por el de por defecto
+     */
+    static idiomasDe(plantilla) {
+        const traducidos = Object.entries(plantilla.variantes || {})
+            .filter(([, variante]) => variante && variante.contenido)
+            .map(([idioma]) => idioma);
+        return [plantilla.idiomaPorDefecto || 'es', ...traducidos];
+    }
+
+    /**
+     * Idiomas configurados que le faltan a una plantilla
+     * @param {string[]} idiomas - Idiomas en los que debería estar
+     */
+    static traduccionesFaltantes(plantilla, idiomas) {
+        const disponibles = Template.idiomasDe(plantilla);
+        return idiomas.filter(idioma => !disponibles.includes(idioma));
+    }
+
+    /**
+     * Comprobar cada parte del mensaje, y de cada traducción, contra sus límites
+     * @param {Object} plantilla - Plantilla del Store o campos del formulario
+     * @returns {{parte: string, mensaje: string, idioma?: string}[]} Errores encontrados (vacío si todo es correcto)
+     */
+    static validarComponentes(plantilla) {
+        const errores = Template.validarPartes(plantilla);
+
+        // En las traducciones solo se revisan las partes que cambian
+        Object.entries(plantilla.variantes || {}).forEach(([idioma, variante]) => {
+            Template.validarPartes(Template.obtenerVariante(plantilla, idioma))
+                .filter(error => typeof variante[error.parte] !== 'undefined')
+                .forEach(error => errores.push({ ...error, idioma, mensaje: `[${idioma.toUpperCase()}] ${error.mensaje}` }));
+        });
+
+        return errores;
+    }
+
+    /**
+     * Comprobar las partes de un mensaje en un solo idioma
+     */
+    static validarPartes(plantilla) {
+        const limites = Template.LIMITES;
+        const errores = [];
+        const agregar = (parte, mensaje) => errores.push({ parte, mensaje });
+
+        // Los límites se aplican al texto final, con los fragmentos ya incluidos
+        plantilla = Template.expandir(plantilla);
+        ['encabezado', 'contenido', 'pie'].forEach(parte => {
+            Template.extraerFragmentos(plantilla[parte]).forEach(nombre => {
+                agregar(parte, `El fragmento {{> ${nombre}}} no existe o se incluye a sí mismo`);
+            });
+        });
+
+        // Errores de sintaxis de las expresiones, con su posición
+        ['encabezado', 'contenido'].forEach(parte => {
+            if (parte === 'encabezado' && plantilla.tipoEncabezado !== 'texto') return;
+            const { error } = Template.analizarExpresiones(plantilla[parte]);
+            if (error) {
+                const { linea, columna } = lineaYColumna(plantilla[parte], error.posicion);
+                errores.push({ parte, mensaje: `Línea ${linea}, columna ${columna}: ${error.message}`, posicion: error.posicion });
+            }
+        });
+
+        const contenido = plantilla.contenido || '';
+        if (contenido.length > limites.contenido) {
+            agregar('contenido', `El mensaje tiene ${contenido.length} caracteres (máximo ${limites.contenido})`);
+        }
+
+        const tipoEncabezado = plantilla.tipoEncabezado || '';
+        const encabezado = plantilla.encabezado || '';
+        if (tipoEncabezado && !Template.TIPOS_ENCABEZADO.includes(tipoEncabezado)) {
+            agregar('encabezado', `Tipo de encabezado desconocido: ${tipoEncabezado}`);
+        } else if (tipoEncabezado === 'texto') {
+            if (!encabezado.trim()) {
+                agregar('encabezado', 'El encabezado de texto está vacío');
+            } else if (encabezado.length > limites.encabezado) {
+                agregar('encabezado', `El encabezado tiene ${encabezado.length} caracteres (máximo ${limites.encabezado})`);
+            }
+            if (Template.extraerVariables(encabezado).length > 1) {
+                agregar('encabezado', 'El encabezado admite como mucho una variable');
+            }
+        }
+
+        const pie = plantilla.pie || '';
+        if (pie.length > limites.pie) {
+            agregar('pie', `El pie tiene ${pie.length} caracteres (máximo ${limites.pie})`);
+        }
+        if (Template.extraerVariables(pie).length > 0) {
+            agregar('pie', 'El pie no admite variables');
+        }
+
+        const botones = plantilla.botones || [];
+        Object.entries(limites.botones).forEach(([tipo, maximo]) => {
+            const cantidad = botones.filter(boton => boton.tipo === tipo).length;
+            if (cantidad > maximo) {
+                agregar('botones', `Hay ${cantidad} botones de ${Template.ETIQUETAS_BOTON[tipo].toLowerCase()} (máximo ${maximo})`);
+            }
+        });
+        botones.forEach((boton, indice) => {
+            const etiqueta = `Botón ${indice + 1}`;
+            const texto = boton.texto || '';
+            if (!limites.botones[boton.tipo]) {
+                agregar('botones', `${etiqueta}: tipo desconocido`);
+            }
+            if (!texto.trim()) {
+                agregar('botones', `${etiqueta}: falta el texto`);
+            } else if (texto.length > limites.textoBoton) {
+                agregar('botones', `${etiqueta}: el texto supera los ${limites.textoBoton} caracteres`);
+            }
+            if (boton.tipo === 'url' && !/^https?:\/\/\S+$/.test(boton.url || '')) {
+                agregar('botones', `${etiqueta}: el enlace debe empezar por http:// o https://`);
+            }
+            if (boton.tipo === 'telefono' && !/^\+?[\d\s().-]{8,20}$/.test(boton.telefono || '')) {
+                agregar('botones', `${etiqueta}: teléfono no válido`);
+            }
+        });
+
+        return errores;
+    }
+
+    /**
+     * Obtener los hashtags de una plantilla como lista
+     * Admite el campo hashtag de texto libre de las plantillas anteriores al esquema v6
+     * @param {Object} plantilla - Plantilla del Store
+     * @returns {string[]} Hashtags en minúsculas y sin repetir, con #
+     */
+    static obtenerHashtags(plantilla) {
+        return Template.normalizarHashtags(Array.isArray(plantilla.hashtags) ? plantilla.hashtags : plantilla.hashtag);
+    }
+
+    /**
+     * Convertir hashtags escritos a mano en la lista que se guarda
+     * Separa por espacios o comas, añade el # que falte y pasa a minúsculas; no corrige el
+     * formato (eso lo señala la regla de validación "hashtag")
+     * @param {string|string[]} valor - Texto como "#promo, verano" o lista
+     * @returns {string[]} Hashtags sin repetir
+     */
+    static normalizarHashtags(valor) {
+        const textos = Array.isArray(valor) ? valor : [valor];
+        const hashtags = textos
+            .flatMap(texto => String(texto ?? '').split(/[\s,]+/))
+            .map(texto => texto.replace(/^#+/, ''))
+            .filter(Boolean)
+            .map(texto => `#${texto.toLowerCase()}`);
+        return [...new Set(hashtags)];
+    }
+
+    /**
+     * Comprobar el formato de un hashtag ya normalizado: # seguido de letras, números o _
+     */
+    static esHashtagValido(hashtag) {
+        return /^#[\p{L}\p{N}_]+$/u.test(hashtag);
     }
 
     /**
@@ -118,6 +491,24 @@ class Template {
      * @returns {string} Representación de string de la plantilla
      */
     toString() {
-        return `Template: ${this.titulo} (${this.categoria}) - ${this.hashtag}`;
+        return `Template: ${this.nombre} (${this.categoria}) - ${this.hashtags.join(' ')}`;
     }
-}
\ No newline at end of file
+}
+
+// Variables con formato {{nombre}}: letras, números y guion bajo, sin empezar por número
+Template.REGEX_VARIABLE = /\{\{\s*([\p{L}_][\p{L}\p{N}_]*)\s*\}\}/gu;
+// Fragmentos reutilizables con formato {{> nombre}}, con los mismos nombres válidos
+Template.REGEX_FRAGMENTO = /\{\{>\s*([\p{L}_][\p{L}\p{N}_]*)\s*\}\}/gu;
+
+// Partes de un mensaje interactivo de WhatsApp Business
+Template.TIPOS_ENCABEZADO = ['texto', 'imagen', 'video', 'documento'];
+Template.CAMPOS_VARIANTE = ['contenido', 'encabezado', 'pie', 'botones']; // Lo que cambia entre idiomas
+Template.ETIQUETAS_BOTON = { respuesta: 'Respuesta rápida', url: 'Enlace', telefono: 'Llamada' };
+Template.LIMITES = {
+    encabezado: 60,
+    contenido: 1024,
+    pie: 60,
+    textoBoton: 25,
+    mensaje: 4096, // Mensaje completo de WhatsApp, con las variables ya sustituidas
+    botones: { respuesta: 3, url: 2, telefono: 1 } // Máximo por tipo de botón
+};
@@ -0,0 +1,164 @@
+/**
+ * trash.js - Papelera persistente de plantillas eliminadas
+ * Conserva ID y fechas originales y purga los elementos tras unos días
+ */
+
+const DIAS_RETENCION_PAPELERA = 30;
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+const Papelera = {
+    elementos: [], // [{ plantilla, fechaEliminacion, motivo }]
+    diasRetencion: DIAS_RETENCION_PAPELERA,
+
+    /**
+     * Mover una plantilla eliminada a la papelera
+     * @param {Object} plantilla - Plantilla tal como estaba en el Store
+     * @param {string} motivo - 'eliminar' o 'eliminar-todo'
+     */
+    agregar(plantilla, motivo = 'eliminar') {
+        this.agregarVarias([plantilla], motivo);
+    },
+
+    /**
+     * Mover varias plantillas a la papelera con una sola escritura
+     */
+    agregarVarias(plantillas, motivo = 'eliminar') {
+        const fechaEliminacion = new Date().toISOString();
+        const ids = new Set(plantillas.map(plantilla => String(plantilla.id)));
+
+        this.elementos = this.elementos.filter(elemento => !ids.has(String(elemento.plantilla.id)));
+        plantillas.forEach(plantilla => {
+            this.elementos.push({ plantilla: structuredClone(plantilla), fechaEliminacion, motivo });
+        });
+
+        guardarDatoPersistente('papelera');
+    },
+
+    /**
+     * Obtener los elementos, el más reciente primero
+     */
+    obtenerTodos() {
+        return this.elementos.slice().reverse();
+    },
+
+    /**
+     * Obtener el último elemento eliminado
+     */
+    ultimo() {
+        return this.elementos[this.elementos.length - 1] || null;
+    },
+
+    /**
+     * Comprobar si una plantilla está en la papelera
+     */
+    contiene(id) {
+        return this.elementos.some(elemento => elemento.plantilla.id == id);
+    },
+
+    /**
+     * Devolver una plantilla al Store con su ID y fechas originales
+     * @param {Object} opciones - Se pasan a Store.restaurar
+     * @returns {Object|null} Plantilla restaurada
+     */
+    restaurar(id, opciones = {}) {
+        const elemento = this.elementos.find(e => e.plantilla.id == id);
+        if (!elemento) return null;
+
+        this.elementos = this.elementos.filter(e => e !== elemento);
+        guardarDatoPersistente('papelera');
+
+        return Store.restaurar(elemento.plantilla, opciones);
+    },
+
+    /**
+     * Eliminar definitivamente una plantilla (y su historial)
+     */
+    purgar(id) {
+        const antes = this.elementos.length;
+        this.elementos = this.elementos.filter(elemento => elemento.plantilla.id != id);
+
+        if (this.elementos.length !== antes) {
+            Historial.eliminar(id);
+            guardarDatoPersistente('papelera');
+        }
+    },
+
+    /**
+     * Purgar los elementos que superan los días de retención
+     * @returns {number} Elementos purgados
+     */
+    purgarCaducados(ahora = Date.now()) {
+        const caducados = this.elementos.filter(elemento =>
+            ahora - new Date(elemento.fechaEliminacion).getTime() > this.diasRetencion * MS_POR_DIA
+        );
+        caducados.forEach(elemento => this.purgar(elemento.plantilla.id));
+        return caducados.length;
+    },
+
+    /**
+     * Días que le quedan a un elemento antes de purgarse
+     */
+    diasRestantes(elemento, ahora = Date.now()) {
+        const transcurridos = (ahora - new Date(elemento.fechaEliminacion).getTime()) / MS_POR_DIA;
+        return Math.max(0, Math.ceil(this.diasRetencion - transcurridos));
+    },
+
+    /**
+     * Cambiar los días de retención
+     */
+    configurarRetencion(dias) {
+        const numero = parseInt(dias, 10);
+        if (!Number.isInteger(numero) || numero < 1) return false;
+
+        this.diasRetencion = numero;
+        guardarDatoPersistente('papelera');
+        this.purgarCaducados();
+        return true;
+    },
+
+    /**
+     * Vaciar la papelera por completo
+     */
+    vaciar() {
+        this.elementos.forEach(elemento => Historial.eliminar(elemento.plantilla.id));
+        this.elementos = [];
+        guardarDatoPersistente('papelera');
+    },
+
+    /**
+     * Cargar la papelera guardada (usado por persistencia)
+     */
+    cargar(datos) {
+        this.elementos = datos && Array.isArray(datos.elementos) ? datos.elementos : [];
+        this.diasRetencion = datos && datos.diasRetencion > 0 ? datos.diasRetencion : DIAS_RETENCION_PAPELERA;
+
+        // Las plantillas borradas antes del esquema v6 guardaban el hashtag como texto libre
+        this.elementos.forEach(elemento => {
+            if (typeof elemento.plantilla.hashtag !== 'undefined') {
+                elemento.plantilla = migrarHashtags(elemento.plantilla);
+            }
+        });
+
+        // Los IDs de la papelera no se pueden volver a entregar
+        this.elementos.forEach(elemento => Store.reservarId(elemento.plantilla.id));
+        this.purgarCaducados();
+    },
+
+    /**
+     * Datos a guardar (usado por persistencia)
+     */
+    serializar() {
+        return { diasRetencion: this.diasRetencion, elementos: this.elementos };
+    }
+};
+
+// Todo lo que sale del Store pasa por la papelera
+Store.suscribir(({ tipo, anterior, opciones }) => {
+    if (tipo === 'eliminar') {
+        Papelera.agregar(anterior, 'eliminar');
+    } else if (tipo === 'limpiar' && anterior.length > 0) {
+        Papelera.agregarVarias(anterior, opciones.origen === 'importacion' ? 'importacion' : 'eliminar-todo');
+    }
+});
+
+registrarDatoPersistente('papelera', Papelera);
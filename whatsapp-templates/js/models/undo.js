@@ -0,0 +1,172 @@
+/**
+ * undo.js - Deshacer y rehacer cambios de plantillas
+ * Registra crear, editar y eliminar a partir de los avisos del Store
+ */
+
+const MAX_DESHACER = 100;
+
+const Deshacer = {
+    pilaDeshacer: [],
+    pilaRehacer: [],
+    aplicando: false, // Evita registrar los cambios que hace el propio deshacer
+
+    /**
+     * Registrar una acción deshacible
+     * Las ediciones seguidas del autoguardado sobre la misma plantilla se agrupan,
+     * igual que las de un mismo lote (Store.actualizarVarias)
+     * @param {Object} accion - { tipo: 'crear' | 'editar' | 'editar-lote' | 'eliminar', ... }
+     */
+    registrar(accion) {
+        if (this.aplicando) return;
+
+        const ultima = this.pilaDeshacer[this.pilaDeshacer.length - 1];
+        if (ultima && accion.tipo === 'editar-lote' && ultima.lote === accion.lote) {
+            ultima.ediciones.push(...accion.ediciones);
+            return;
+        }
+
+        const agrupar = ultima &&
+            accion.tipo === 'editar' &&
+            accion.origen === 'autoguardado' &&
+            ultima.tipo === 'editar' &&
+            ultima.origen === 'autoguardado' &&
+            ultima.id == accion.id &&
+            Date.now() - ultima.fecha < VENTANA_AUTOGUARDADO_MS;
+
+        if (agrupar) {
+            ultima.despues = accion.despues;
+            ultima.fecha = accion.fecha;
+        } else {
+            this.pilaDeshacer.push(accion);
+            if (this.pilaDeshacer.length > MAX_DESHACER) {
+                this.pilaDeshacer.shift();
+            }
+        }
+
+        this.pilaRehacer = [];
+    },
+
+    /**
+     * Deshacer la última acción
+     * @returns {Object|null} Acción deshecha
+     */
+    deshacer() {
+        const accion = this.pilaDeshacer.pop();
+        if (!accion) return null;
+
+        this.aplicar(() => revertirAccion(accion));
+        this.pilaRehacer.push(accion);
+        return accion;
+    },
+
+    /**
+     * Rehacer la última acción deshecha
+     * @returns {Object|null} Acción rehecha
+     */
+    rehacer() {
+        const accion = this.pilaRehacer.pop();
+        if (!accion) return null;
+
+        this.aplicar(() => repetirAccion(accion));
+        this.pilaDeshacer.push(accion);
+        return accion;
+    },
+
+    /**
+     * Ejecutar cambios en el Store sin registrarlos
+     */
+    aplicar(operacion) {
+        this.aplicando = true;
+        try {
+            operacion();
+        } finally {
+            this.aplicando = false;
+        }
+    },
+
+    puedeDeshacer() {
+        return this.pilaDeshacer.length > 0;
+    },
+
+    puedeRehacer() {
+        return this.pilaRehacer.length > 0;
+    }
+};
+
+/**
+ * Revertir una acción (las eliminaciones vuelven desde la papelera)
+ */
+function revertirAccion(accion) {
+    if (accion.tipo === 'crear') {
+        Store.eliminar(accion.id, { origen: 'deshacer' });
+    } else if (accion.tipo === 'editar') {
+        Store.actualizar(accion.id, structuredClone(accion.antes), { origen: 'deshacer' });
+    } else if (accion.tipo === 'editar-lote') {
+        Store.actualizarVarias(accion.ediciones.map(edicion => ({ id: edicion.id, datos: structuredClone(edicion.antes) })), { origen: 'deshacer' });
+    } else if (accion.tipo === 'eliminar') {
+        accion.plantillas.forEach(plantilla => {
+            if (!Papelera.restaurar(plantilla.id, { origen: 'deshacer' })) {
+                Store.restaurar(plantilla, { origen: 'deshacer' });
+            }
+        });
+    }
+}
+
+/**
+ * Volver a aplicar una acción deshecha
+ */
+function repetirAccion(accion) {
+    if (accion.tipo === 'crear') {
+        if (!Papelera.restaurar(accion.id, { origen: 'rehacer' })) {
+            Store.restaurar(accion.plantilla, { origen: 'rehacer' });
+        }
+    } else if (accion.tipo === 'editar') {
+        Store.actualizar(accion.id, structuredClone(accion.despues), { origen: 'rehacer' });
+    } else if (accion.tipo === 'editar-lote') {
+        Store.actualizarVarias(accion.ediciones.map(edicion => ({ id: edicion.id, datos: structuredClone(edicion.despues) })), { origen: 'rehacer' });
+    } else if (accion.tipo === 'eliminar') {
+        accion.plantillas.forEach(plantilla => Store.eliminar(plantilla.id, { origen: 'rehacer' }));
+    }
+}
+
+/**
+ * Describir una acción para los avisos
+ */
+function describirAccion(accion) {
+    if (accion.tipo === 'crear') return `creación de "${accion.plantilla.nombre}"`;
+    if (accion.tipo === 'editar') return `edición de "${accion.despues.nombre}"`;
+    if (accion.tipo === 'editar-lote') return `cambio de ${accion.ediciones.length} plantillas`;
+    if (accion.plantillas.length === 1) return `eliminación de "${accion.plantillas[0].nombre}"`;
+    return `eliminación de ${accion.plantillas.length} plantillas`;
+}
+
+// Registrar acciones con cada cambio del Store
+// (las importaciones no se deshacen una a una y los cambios del servidor no se deshacen)
+Store.suscribir(({ tipo, plantilla, anterior, opciones }) => {
+    if (opciones.origen === 'importacion' || opciones.origen === 'remoto') return;
+
+    const fecha = Date.now();
+    if (tipo === 'agregar' || tipo === 'restaurar') {
+        Deshacer.registrar({ tipo: 'crear', id: plantilla.id, plantilla: structuredClone(plantilla), fecha });
+    } else if (tipo === 'actualizar' && opciones.lote) {
+        Deshacer.registrar({
+            tipo: 'editar-lote',
+            lote: opciones.lote,
+            ediciones: [{ id: plantilla.id, antes: copiarCamposRevision(anterior), despues: copiarCamposRevision(plantilla) }],
+            fecha
+        });
+    } else if (tipo === 'actualizar') {
+        Deshacer.registrar({
+            tipo: 'editar',
+            id: plantilla.id,
+            origen: opciones.origen,
+            antes: copiarCamposRevision(anterior),
+            despues: copiarCamposRevision(plantilla),
+            fecha
+        });
+    } else if (tipo === 'eliminar') {
+        Deshacer.registrar({ tipo: 'eliminar', plantillas: [structuredClone(anterior)], fecha });
+    } else if (tipo === 'limpiar' && anterior.length > 0) {
+        Deshacer.registrar({ tipo: 'eliminar', plantillas: structuredClone(anterior), fecha });
+    }
+});
@@ -0,0 +1,82 @@
+/**
+ * usage.js - Registro de usos de las plantillas
+ * Un evento por copia, apertura en WhatsApp o mensaje en lote, guardado junto a las plantillas
+ */
+
+const MAX_EVENTOS_USO = 5000;
+
+// Tipos de uso y su etiqueta en el panel
+const TIPOS_USO = {
+    copiar: '📋 Copiada',
+    whatsapp: '💬 Abierta en WhatsApp',
+    lote: '📨 En lote'
+};
+
+const RegistroUso = {
+    eventos: [], // [{ id, tipo, fecha, categoria, hashtags, longitud }], del más antiguo al más nuevo
+
+    /**
+     * Registrar un uso de una plantilla
+     * Categoría y hashtags se copian para que las estadísticas reflejen cómo estaba al usarse
+     * @param {Object} plantilla - Plantilla usada
+     * @param {Object} detalle - { tipo, longitud } del mensaje enviado
+     */
+    registrar(plantilla, detalle = {}) {
+        const evento = {
+            id: plantilla.id,
+            tipo: TIPOS_USO[detalle.tipo] ? detalle.tipo : 'copiar',
+            fecha: new Date().toISOString(),
+            categoria: plantilla.categoria || '',
+            hashtags: Template.obtenerHashtags(plantilla),
+            longitud: Number.isInteger(detalle.longitud) ? detalle.longitud : null
+        };
+
+        this.eventos.push(evento);
+        if (this.eventos.length > MAX_EVENTOS_USO) {
+            this.eventos.splice(0, this.eventos.length - MAX_EVENTOS_USO);
+        }
+
+        guardarDatoPersistente('usos');
+        return evento;
+    },
+
+    /**
+     * Obtener los eventos desde una fecha (todos si no se indica)
+     */
+    obtenerDesde(desde = null) {
+        if (!desde) return this.eventos;
+        const limite = new Date(desde).getTime();
+        return this.eventos.filter(evento => new Date(evento.fecha).getTime() >= limite);
+    },
+
+    /**
+     * Borrar todos los eventos
+     */
+    vaciar() {
+        this.eventos = [];
+        guardarDatoPersistente('usos');
+    },
+
+    /**
+     * Cargar los eventos guardados (usado por persistencia)
+     */
+    cargar(datos) {
+        this.eventos = Array.isArray(datos) ? datos.filter(evento => evento && evento.fecha) : [];
+    },
+
+    /**
+     * Datos a guardar (usado por persistencia)
+     */
+    serializar() {
+        return this.eventos;
+    }
+};
+
+// Cada Store.registrarUso deja un evento
+Store.suscribir(({ tipo, plantilla, opciones }) => {
+    if (tipo === 'usar') {
+        RegistroUso.registrar(plantilla, opciones);
+    }
+});
+
+registrarDatoPersistente('usos', RegistroUso);
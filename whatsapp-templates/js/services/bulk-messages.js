@@ -0,0 +1,283 @@
+/**
+ * bulk-messages.js - Mensajes personalizados en lote a partir de un CSV de contactos
+ * Todo se genera en el navegador: un enlace wa.me por fila, sin servicio de envío
+ */
+
+// Nombres de columna que se reconocen como teléfono o idioma al mapear (ya normalizados)
+const COLUMNAS_TELEFONO = ['telefono', 'tel', 'movil', 'celular', 'whatsapp', 'phone', 'numero'];
+const COLUMNAS_IDIOMA = ['idioma', 'lengua', 'language', 'lang'];
+
+// Filas que se muestran en la tabla; la descarga incluye siempre todas
+const FILAS_VISIBLES_LOTE = 200;
+
+/**
+ * Proponer qué columna del CSV corresponde a cada variable, al teléfono y al idioma
+ * Compara sin acentos, mayúsculas, espacios ni guiones
+ * @param {string[]} variables - Variables de la plantilla
+ * @param {string[]} columnas - Cabecera del CSV
+ * @returns {{telefono: string, idioma: string, variables: Object}} Columna elegida ('' si ninguna)
+ */
+function sugerirMapeoLote(variables, columnas) {
+    const clave = texto => normalizarBusqueda(texto).replace(/[\s_\-.]/g, '');
+    const buscar = candidatos => columnas.find(columna => candidatos.includes(clave(columna))) || '';
+
+    const mapeo = {
+        telefono: buscar(COLUMNAS_TELEFONO),
+        idioma: buscar(COLUMNAS_IDIOMA),
+        variables: {}
+    };
+    variables.forEach(variable => {
+        mapeo.variables[variable] = buscar([clave(variable)]);
+    });
+
+    return mapeo;
+}
+
+/**
+ * Generar un mensaje por contacto
+ * Una celda vacía usa el valor por defecto de la plantilla; si tampoco lo hay, la fila tiene error
+ * @param {Object} plantilla - Plantilla del Store
+ * @param {Object[]} filas - Contactos leídos con parsearCSVConCabecera
+ * @param {Object} mapeo - { telefono, idioma, variables: { variable: columna } }
+ * @param {string} idiomaPorDefecto - Idioma de las filas sin columna de idioma
+ * @returns {Object[]} { fila, contacto, telefono, idioma, mensaje, enlace, errores } por fila
+ */
+function generarMensajesLote(plantilla, filas, mapeo, idiomaPorDefecto = plantilla.idiomaPorDefecto) {
+    const valoresPorDefecto = plantilla.valoresPorDefecto || {};
+    const idiomasPlantilla = Template.idiomasDe(plantilla);
+
+    return filas.map((contacto, indice) => {
+        const errores = [];
+
+        let idioma = idiomaPorDefecto;
+        const idiomaFila = mapeo.idioma ? String(contacto[mapeo.idioma] || '').trim().toLowerCase().slice(0, 2) : '';
+        if (idiomaFila) {
+            if (idiomasPlantilla.includes(idiomaFila)) {
+                idioma = idiomaFila;
+            } else {
+                errores.push(`Sin traducción a ${idiomaFila.toUpperCase()}`);
+            }
+        }
+        const variante = Template.obtenerVariante(plantilla, idioma);
+
+        const valores = {};
+        Object.entries(mapeo.variables).forEach(([variable, columna]) => {
+            const valor = columna ? String(contacto[columna] || '').trim() : '';
+            valores[variable] = valor || valoresPorDefecto[variable] || '';
+        });
+        const faltantes = Template.variablesFaltantes(Template.textoConVariables(variante), valores);
+        if (faltantes.length > 0) {
+            errores.push(`Falta ${faltantes.map(variable => `{{${variable}}}`).join(', ')}`);
+        }
+
+        let telefono = '';
+        if (mapeo.telefono) {
+            const resultado = normalizarTelefono(contacto[mapeo.telefono]);
+            if (resultado.valido) {
+                telefono = resultado.numero;
+            } else {
+                errores.push(resultado.error);
+            }
+        } else {
+            errores.push('Sin columna de teléfono');
+        }
+
+        const mensaje = Template.componerMensaje(variante, valores);
+        const enlace = errores.length === 0 ? construirEnlaceWhatsApp(mensaje, telefono) : '';
+        if (enlace.length > LONGITUD_MAXIMA_ENLACE) {
+            errores.push('Mensaje muy largo: WhatsApp podría recortarlo');
+        }
+
+        // Fila 1 es la cabecera del CSV: así el número coincide con el de la hoja de cálculo
+        return { fila: indice + 2, contacto, telefono, idioma, mensaje, enlace, errores };
+    });
+}
+
+/**
+ * Descargar el lote como CSV: columnas originales más teléfono, mensaje, enlace y errores
+ */
+function exportarLoteCSV(resultados, columnas, plantilla) {
+    const extra = ['telefono_whatsapp', 'idioma_mensaje', 'mensaje', 'enlace_whatsapp', 'errores'];
+    const filas = resultados.map(resultado => ({
+        ...resultado.contacto,
+        telefono_whatsapp: resultado.telefono,
+        idioma_mensaje: resultado.idioma,
+        mensaje: resultado.mensaje,
+        enlace_whatsapp: resultado.enlace,
+        errores: resultado.errores.join(' | ')
+    }));
+
+    descargarArchivo(
+        `lote-${nombreParaMeta(plantilla.nombre) || 'plantilla'}-${fechaParaArchivo()}.csv`,
+        '\uFEFF' + convertirACSV(filas, [...columnas.filter(columna => !extra.includes(columna)), ...extra]),
+        'text/csv'
+    );
+    mostrarMensajePersistencia(`📤 Lote de ${resultados.length} mensajes descargado`, 'success');
+}
+
+/**
+ * Abrir el modo lote: elegir plantilla, cargar contactos, mapear columnas y revisar los mensajes
+ * @param {number} id - Plantilla preseleccionada (opcional)
+ */
+function mostrarEnvioLote(id) {
+    const plantillas = Store.obtenerTodas();
+    if (plantillas.length === 0) {
+        mostrarMensajePersistencia('⚠️ Crea primero una plantilla', 'warning');
+        return;
+    }
+
+    let contactos = null; // { columnas, filas, nombreArchivo } del CSV cargado
+    let resultados = [];
+
+    const modal = abrirModal('modal-lote', `
+        <h3>📨 Mensajes en lote</h3>
+        <p class="historial-ayuda">
+            Sube un CSV con una fila por contacto. Se genera un mensaje y un enlace de WhatsApp por fila;
+            nada se envía automáticamente.
+        </p>
+        <div class="form-group">
+            <label for="lote-plantilla">Plantilla</label>
+            <select id="lote-plantilla">
+                ${plantillas.map(plantilla => `
+                    <option value="${plantilla.id}" ${plantilla.id === id ? 'selected' : ''}>${escapeHtml(plantilla.nombre)}</option>
+                `).join('')}
+            </select>
+        </div>
+        <div class="form-group">
+            <label for="lote-archivo">Contactos (CSV con cabecera)</label>
+            <input type="file" id="lote-archivo" accept=".csv,text/csv">
+        </div>
+        <div class="lote-mapeo"></div>
+        <p class="importar-resumen lote-resumen"></p>
+        <div class="importar-lista lote-resultados"></div>
+        <div class="modal-acciones">
+            <button type="button" class="btn btn-secundario" data-accion="cerrar">Cerrar</button>
+            <button type="button" class="btn" data-accion="descargar" disabled>📤 Descargar CSV</button>
+        </div>
+    `);
+
+    const selectorPlantilla = modal.querySelector('#lote-plantilla');
+    const contenedorMapeo = modal.querySelector('.lote-mapeo');
+    const botonDescargar = modal.querySelector('[data-accion="descargar"]');
+    const plantillaElegida = () => Store.obtenerPorId(Number(selectorPlantilla.value));
+
+    // Variables de todos los idiomas, como en usarPlantilla
+    const variablesDe = plantilla => Template.extraerVariables(
+        Template.idiomasDe(plantilla).map(idioma => Template.textoConVariables(Template.obtenerVariante(plantilla, idioma))).join('\n')
+    );
+
+    const opcionesColumna = (seleccionada, vacia) => `
+        <option value="">${escapeHtml(vacia)}</option>
+        ${contactos.columnas.map(columna => `
+            <option value="${escapeHtml(columna)}" ${columna === seleccionada ? 'selected' : ''}>${escapeHtml(columna)}</option>
+        `).join('')}
+    `;
+
+    const pintarMapeo = () => {
+        if (!contactos) {
+            contenedorMapeo.innerHTML = '';
+            return;
+        }
+
+        const plantilla = plantillaElegida();
+        const variables = variablesDe(plantilla);
+        const idiomas = Template.idiomasDe(plantilla);
+        const sugerido = sugerirMapeoLote(variables, contactos.columnas);
+        const valoresPorDefecto = plantilla.valoresPorDefecto || {};
+
+        contenedorMapeo.innerHTML = `
+            <h4>Columnas de "${escapeHtml(contactos.nombreArchivo)}" (${contactos.filas.length} contactos)</h4>
+            <div class="lote-campo">
+                <label>📞 Teléfono</label>
+                <select data-mapeo="telefono">${opcionesColumna(sugerido.telefono, '— Elegir columna —')}</select>
+            </div>
+            ${idiomas.length > 1 ? `
+                <div class="lote-campo">
+                    <label>🌐 Idioma</label>
+                    <select data-mapeo="idioma">${opcionesColumna(sugerido.idioma, `Todos en ${nombreIdioma(plantilla.idiomaPorDefecto)}`)}</select>
+                </div>
+            ` : ''}
+            ${variables.map(variable => `
+                <div class="lote-campo">
+                    <label>{{${escapeHtml(variable)}}}</label>
+                    <select data-mapeo-variable="${escapeHtml(variable)}">
+                        ${opcionesColumna(sugerido.variables[variable], valoresPorDefecto[variable]
+                            ? `Siempre "${valoresPorDefecto[variable]}"`
+                            : '— Elegir columna —')}
+                    </select>
+                </div>
+            `).join('')}
+        `;
+        generar();
+    };
+
+    const leerMapeo = () => {
+        const mapeo = { telefono: '', idioma: '', variables: {} };
+        contenedorMapeo.querySelectorAll('[data-mapeo]').forEach(select => {
+            mapeo[select.dataset.mapeo] = select.value;
+        });
+        contenedorMapeo.querySelectorAll('[data-mapeo-variable]').forEach(select => {
+            mapeo.variables[select.dataset.mapeoVariable] = select.value;
+        });
+        return mapeo;
+    };
+
+    const generar = () => {
+        const plantilla = plantillaElegida();
+        resultados = generarMensajesLote(plantilla, contactos.filas, leerMapeo());
+
+        const conErrores = resultados.filter(resultado => resultado.errores.length > 0).length;
+        modal.querySelector('.lote-resumen').textContent =
+            `${resultados.length - conErrores} listos · ${conErrores} con errores` +
+            (resultados.length > FILAS_VISIBLES_LOTE ? ` · se muestran las ${FILAS_VISIBLES_LOTE} primeras, el CSV las incluye todas` : '');
+        botonDescargar.disabled = resultados.length === 0;
+
+        modal.querySelector('.lote-resultados').innerHTML = resultados.slice(0, FILAS_VISIBLES_LOTE).map((resultado, indice) => `
+            <div class="importar-item lote-fila ${resultado.errores.length > 0 ? 'importar-invalida' : 'importar-nueva'}">
+                <span>Fila ${resultado.fila}</span>
+                <strong>${escapeHtml(resultado.telefono || String(resultado.contacto[leerMapeo().telefono] || '—'))}</strong>
+                <small class="lote-mensaje" title="${escapeHtml(resultado.mensaje)}">${escapeHtml(resultado.mensaje)}</small>
+                ${resultado.errores.length > 0
+                    ? `<small class="lote-errores">⚠️ ${escapeHtml(resultado.errores.join(' · '))}</small>`
+                    : `<a class="btn-fuente" href="${escapeHtml(resultado.enlace)}" target="_blank" rel="noopener" data-enlace-lote="${indice}">💬 Abrir</a>`}
+            </div>
+        `).join('');
+    };
+
+    selectorPlantilla.addEventListener('change', pintarMapeo);
+    contenedorMapeo.addEventListener('change', generar);
+
+    modal.querySelector('#lote-archivo').addEventListener('change', async event => {
+        const archivo = event.target.files[0];
+        if (!archivo) return;
+
+        try {
+            const { columnas, filas } = parsearCSVConCabecera(await archivo.text());
+            if (columnas.length === 0 || filas.length === 0) {
+                throw new Error('el archivo no tiene contactos');
+            }
+            contactos = { columnas, filas, nombreArchivo: archivo.name };
+        } catch (error) {
+            contactos = null;
+            resultados = [];
+            botonDescargar.disabled = true;
+            modal.querySelector('.lote-resumen').textContent = '';
+            modal.querySelector('.lote-resultados').innerHTML = '';
+            mostrarMensajePersistencia(`❌ No se pudo leer el CSV: ${error.message}`, 'error');
+        }
+        pintarMapeo();
+    });
+
+    // Cada chat abierto cuenta como un uso de la plantilla
+    modal.querySelector('.lote-resultados').addEventListener('click', event => {
+        const enlace = event.target.closest('[data-enlace-lote]');
+        if (enlace) {
+            const resultado = resultados[Number(enlace.dataset.enlaceLote)];
+            Store.registrarUso(plantillaElegida().id, { tipo: 'lote', longitud: resultado.mensaje.length });
+        }
+    });
+
+    botonDescargar.addEventListener('click', () => {
+        exportarLoteCSV(resultados, contactos.columnas, plantillaElegida());
+    });
+}
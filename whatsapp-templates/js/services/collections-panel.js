@@ -0,0 +1,200 @@
+/**
+ * collections-panel.js - Panel lateral de colecciones y su gestión
+ * Elegir una colección filtra la lista; desde el panel se crean, renombran, exportan y quitan
+ */
+
+/**
+ * Configurar el panel lateral de colecciones
+ */
+function configurarColecciones() {
+    const panel = document.getElementById('colecciones-sidebar');
+    if (!panel) return;
+
+    // El panel se redibuja con la lista: escuchar en el contenedor
+    panel.addEventListener('click', event => {
+        const elegir = event.target.closest('[data-coleccion]');
+        if (elegir) {
+            criteriosBusqueda.coleccion = elegir.dataset.coleccion;
+            actualizarInterfaz();
+        } else if (event.target.closest('[data-accion="gestionar-colecciones"]')) {
+            mostrarGestionColecciones();
+        }
+    });
+}
+
+/**
+ * Dibujar el panel lateral con las colecciones y cuántas plantillas tiene cada una
+ */
+function actualizarSidebarColecciones() {
+    const panel = document.getElementById('colecciones-sidebar');
+    if (!panel) return;
+
+    // Si la colección elegida se eliminó (aquí o en otra pestaña), volver a todas
+    if (criteriosBusqueda.coleccion && criteriosBusqueda.coleccion !== SIN_COLECCION && !Colecciones.obtener(criteriosBusqueda.coleccion)) {
+        criteriosBusqueda.coleccion = '';
+    }
+
+    const activas = Store.obtenerTodas().filter(plantilla => !plantilla.archivada);
+    const sinColeccion = activas.filter(plantilla => Colecciones.coleccionesDe(plantilla).length === 0).length;
+
+    const item = (valor, nombre, cantidad, hijas = '') => `
+        <li>
+            <button type="button" class="coleccion-item ${criteriosBusqueda.coleccion === valor ? 'active' : ''}" data-coleccion="${escapeHtml(valor)}">
+                <span>${nombre}</span> <small>${cantidad}</small>
+            </button>
+            ${hijas}
+        </li>
+    `;
+
+    panel.innerHTML = `
+        <h4>📁 Colecciones</h4>
+        <ul class="colecciones-lista">
+            ${item('', 'Todas', activas.length)}
+            ${Colecciones.obtenerArbol().map(coleccion => item(
+                coleccion.id,
+                escapeHtml(coleccion.nombre),
+                coleccion.cantidad,
+                coleccion.hijas.length > 0
+                    ? `<ul>${coleccion.hijas.map(hija => item(hija.id, escapeHtml(hija.nombre), hija.cantidad)).join('')}</ul>`
+                    : ''
+            )).join('')}
+            ${item(SIN_COLECCION, '<em>Sin colección</em>', sinColeccion)}
+        </ul>
+        <button type="button" class="btn-fuente" data-accion="gestionar-colecciones">⚙️ Gestionar</button>
+    `;
+}
+
+/**
+ * Mostrar el panel para crear, renombrar, exportar y quitar colecciones
+ */
+function mostrarGestionColecciones() {
+    const arbol = Colecciones.obtenerArbol();
+    const fila = (coleccion, esHija) => `
+        <div class="importar-item taxonomia-item ${esHija ? 'coleccion-hija' : ''}" data-id-coleccion="${escapeHtml(coleccion.id)}">
+            <input type="text" value="${escapeHtml(coleccion.nombre)}" data-accion="renombrar">
+            <small>${coleccion.cantidad} plantillas</small>
+            <button type="button" class="btn-fuente" data-accion="exportar" title="Exportar a JSON">📤</button>
+            <button type="button" class="btn-fuente" data-accion="eliminar" title="Quitar la colección (las plantillas se conservan)">🗑️</button>
+        </div>
+    `;
+
+    const modal = abrirModal('modal-colecciones', `
+        <h3>📁 Colecciones</h3>
+        <p class="historial-ayuda">
+            Una plantilla puede estar en varias colecciones. Quitar una colección no elimina sus plantillas.
+        </p>
+
+        <div class="importar-lista">
+            ${arbol.length === 0 ? '<p class="historial-ayuda">Todavía no hay colecciones</p>' : ''}
+            ${arbol.map(coleccion => fila(coleccion, false) + coleccion.hijas.map(hija => fila(hija, true)).join('')).join('')}
+        </div>
+        <form class="taxonomia-form">
+            <input type="text" name="nombre" placeholder="Nueva colección" required>
+            <select name="padre" title="Dentro de">
+                <option value="">(principal)</option>
+                ${arbol.map(coleccion => `<option value="${escapeHtml(coleccion.id)}">Dentro de ${escapeHtml(coleccion.nombre)}</option>`).join('')}
+            </select>
+            <button type="submit" class="btn">➕ Crear</button>
+        </form>
+        <p class="variables-faltantes regla-error"></p>
+
+        <div class="modal-acciones">
+            <button type="button" class="btn btn-secundario" data-accion="cerrar">Cerrar</button>
+        </div>
+    `);
+
+    const error = modal.querySelector('.regla-error');
+
+    // Los errores de las colecciones se muestran en el panel; el resto se propaga
+    const aplicar = (accion, mensaje) => {
+        try {
+            accion();
+        } catch (excepcion) {
+            if (!(excepcion instanceof ErrorColeccion)) throw excepcion;
+            error.textContent = `⚠️ ${excepcion.message}`;
+            return;
+        }
+        actualizarInterfaz();
+        mostrarGestionColecciones();
+        mostrarMensajePersistencia(mensaje, 'success');
+    };
+
+    modal.querySelectorAll('[data-id-coleccion]').forEach(elemento => {
+        const id = elemento.dataset.idColeccion;
+
+        elemento.querySelector('[data-accion="renombrar"]').addEventListener('change', event => {
+            aplicar(() => Colecciones.renombrar(id, event.target.value), '📁 Colección renombrada');
+        });
+
+        elemento.querySelector('[data-accion="exportar"]').addEventListener('click', () => exportarColeccion(id));
+
+        elemento.querySelector('[data-accion="eliminar"]').addEventListener('click', () => {
+            const hijas = Colecciones.hijas(id).length;
+            const confirmacion = confirm(
+                `¿Quitar la colección "${Colecciones.ruta(id)}"${hijas > 0 ? ` y sus ${hijas} subcolecciones` : ''}?\n\n` +
+                'Sus plantillas no se eliminan: siguen en la biblioteca y en sus otras colecciones.'
+            );
+            if (!confirmacion) return;
+
+            const { plantillas } = Colecciones.eliminar(id);
+            actualizarInterfaz();
+            mostrarGestionColecciones();
+            mostrarMensajePersistencia(`🗑️ Colección quitada (${plantillas} plantillas conservadas)`, 'success');
+        });
+    });
+
+    modal.querySelector('.taxonomia-form').addEventListener('submit', event => {
+        event.preventDefault();
+        const form = event.target;
+        aplicar(() => Colecciones.crear(form.elements.nombre.value, form.elements.padre.value || null), '📁 Colección creada');
+    });
+}
+
+/**
+ * Elegir en qué colecciones está una plantilla
+ */
+function mostrarColeccionesPlantilla(id) {
+    const plantilla = Store.obtenerPorId(id);
+    if (!plantilla) return;
+
+    const arbol = Colecciones.obtenerArbol();
+    const actuales = plantilla.colecciones || [];
+    const casilla = (coleccion, esHija) => `
+        <label class="coleccion-casilla ${esHija ? 'coleccion-hija' : ''}">
+            <input type="checkbox" value="${escapeHtml(coleccion.id)}" ${actuales.includes(coleccion.id) ? 'checked' : ''}>
+            ${escapeHtml(coleccion.nombre)}
+        </label>
+    `;
+
+    const modal = abrirModal('modal-colecciones-plantilla', `
+        <h3>📁 Colecciones de "${escapeHtml(plantilla.nombre)}"</h3>
+        <div class="importar-lista">
+            ${arbol.length === 0 ? '<p class="historial-ayuda">Todavía no hay colecciones: créalas en ⚙️ Gestionar</p>' : ''}
+            ${arbol.map(coleccion => casilla(coleccion, false) + coleccion.hijas.map(hija => casilla(hija, true)).join('')).join('')}
+        </div>
+
+        <div class="modal-acciones">
+            <button type="button" class="btn btn-secundario" data-accion="cerrar">Cancelar</button>
+            <button type="button" class="btn" data-accion="guardar">💾 Guardar</button>
+        </div>
+    `);
+
+    modal.querySelector('[data-accion="guardar"]').addEventListener('click', () => {
+        const elegidas = [...modal.querySelectorAll('input[type="checkbox"]:checked')].map(casilla => casilla.value);
+        Colecciones.asignar(id, elegidas);
+        cerrarModal('modal-colecciones-plantilla');
+        actualizarInterfaz();
+        mostrarMensajePersistencia('📁 Colecciones actualizadas', 'success');
+    });
+}
+
+/**
+ * Exportar una colección (con sus subcolecciones) en el mismo JSON que la copia completa
+ */
+function exportarColeccion(id) {
+    const coleccion = Colecciones.obtener(id);
+    if (!coleccion) return;
+
+    const nombreArchivo = normalizarBusqueda(Colecciones.ruta(id)).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'coleccion';
+    exportarJSON(Colecciones.plantillasDe(id), `coleccion-${nombreArchivo}`);
+}
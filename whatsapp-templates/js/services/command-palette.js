@@ -0,0 +1,234 @@
+/**
+ * command-palette.js - Paleta de comandos (Ctrl+K) para encontrar y usar plantillas con el teclado
+ * Busca plantillas por nombre, hashtags y contenido, y ejecuta acciones de la aplicación
+ */
+
+const MAX_RESULTADOS_PALETA = 8;
+const RECIENTES_PALETA = 5; // Plantillas usadas hace menos que van primero
+
+// Acciones de la paleta según la tecla que acompaña a Enter
+const ACCIONES_PALETA = {
+    copiar: { teclas: 'Enter', ejecutar: id => copiarPlantilla(id) },
+    editar: { teclas: 'Ctrl+Enter', ejecutar: id => editarPlantilla(id) },
+    duplicar: { teclas: 'Mayús+Enter', ejecutar: id => duplicarPlantilla(id) },
+    whatsapp: { teclas: 'Alt+Enter', ejecutar: id => abrirPlantillaEnWhatsApp(id) }
+};
+
+// Comandos de la aplicación; "claves" son otras palabras con las que encontrarlos
+const COMANDOS_PALETA = [
+    {
+        nombre: '➕ Nueva plantilla',
+        claves: 'crear',
+        ejecutar: () => {
+            limpiarFormulario();
+            document.getElementById('nombre').focus();
+        }
+    },
+    { nombre: '📤 Exportar JSON', claves: 'descargar copia', ejecutar: () => exportarJSON() },
+    { nombre: '📤 Exportar CSV', claves: 'descargar excel', ejecutar: () => exportarCSV() },
+    { nombre: 'Ⓜ️ Exportar a Meta', claves: 'descargar cloud api', ejecutar: () => mostrarExportacionMeta() },
+    { nombre: '📥 Importar', claves: 'cargar archivo', ejecutar: () => document.getElementById('input-importar').click() },
+    { nombre: '♻️ Papelera', claves: 'eliminadas recuperar', ejecutar: () => mostrarPapelera() },
+    { nombre: '🩺 Salud de la biblioteca', claves: 'reglas errores avisos', ejecutar: () => mostrarSaludBiblioteca() },
+    { nombre: '🏷️ Categorías y hashtags', claves: 'renombrar fusionar', ejecutar: () => mostrarTaxonomia() },
+    { nombre: '📁 Colecciones', claves: 'carpetas gestionar', ejecutar: () => mostrarGestionColecciones() },
+    { nombre: '📊 Estadísticas de uso', claves: 'usos', ejecutar: () => mostrarEstadisticasUso() },
+    { nombre: '📋 Vista de lista', claves: 'ver', ejecutar: () => cambiarVista('list') },
+    { nombre: '🔲 Vista de grilla', claves: 'ver', ejecutar: () => cambiarVista('grid') },
+    { nombre: '📑 Vista de tabla', claves: 'ver', ejecutar: () => cambiarVista('table') },
+    { nombre: '⭐ Solo favoritas', claves: 'filtrar', ejecutar: () => alternarFiltro('favoritas') },
+    { nombre: '🗄️ Plantillas archivadas', claves: 'ver archivo', ejecutar: () => alternarFiltro('archivadas') },
+    // resetearPlantillas pide confirmación antes de borrar
+    { nombre: '🗑️ Eliminar todo', claves: 'borrar todas', ejecutar: () => resetearPlantillas() }
+];
+
+/**
+ * Configurar el atajo Ctrl+K (Cmd+K en Mac) y el botón de la paleta
+ */
+function configurarPaleta() {
+    document.addEventListener('keydown', event => {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey || event.key.toLowerCase() !== 'k') return;
+
+        // Funciona también desde un campo de texto: Ctrl+K no escribe nada
+        event.preventDefault();
+        if (document.getElementById('modal-paleta')) {
+            cerrarModal('modal-paleta');
+        } else {
+            abrirPaleta();
+        }
+    });
+
+    const boton = document.getElementById('btn-paleta');
+    if (boton) {
+        boton.addEventListener('click', () => abrirPaleta());
+    }
+}
+
+/**
+ * Abrir la paleta con el cursor en la búsqueda
+ */
+function abrirPaleta() {
+    const modal = abrirModal('modal-paleta', `
+        <input type="search" class="paleta-busqueda" placeholder="Buscar plantillas o comandos (> solo comandos)"
+               aria-label="Buscar plantillas o comandos" autocomplete="off">
+        <ul class="paleta-resultados" role="listbox"></ul>
+        <p class="historial-ayuda paleta-ayuda">
+            ${Object.entries(ACCIONES_PALETA).map(([accion, { teclas }]) => `<kbd>${teclas}</kbd> ${accion}`).join(' · ')} · <kbd>Esc</kbd> cerrar
+        </p>
+    `);
+    modal.querySelector('.modal').classList.add('paleta');
+
+    const busqueda = modal.querySelector('.paleta-busqueda');
+    const lista = modal.querySelector('.paleta-resultados');
+    let resultados = [];
+    let seleccionado = 0;
+
+    const dibujar = () => {
+        lista.innerHTML = resultados.length === 0
+            ? '<li class="paleta-vacia">Nada coincide</li>'
+            : resultados.map((resultado, indice) => renderizarResultadoPaleta(resultado, indice === seleccionado, indice)).join('');
+        const activo = lista.querySelector('[aria-selected="true"]');
+        if (activo && activo.scrollIntoView) {
+            activo.scrollIntoView({ block: 'nearest' });
+        }
+    };
+
+    const buscar = () => {
+        resultados = buscarEnPaleta(busqueda.value);
+        seleccionado = 0;
+        dibujar();
+    };
+
+    busqueda.addEventListener('input', buscar);
+    busqueda.addEventListener('keydown', event => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            if (resultados.length === 0) return;
+            const paso = event.key === 'ArrowDown' ? 1 : -1;
+            seleccionado = (seleccionado + paso + resultados.length) % resultados.length;
+            dibujar();
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            ejecutarResultadoPaleta(resultados[seleccionado], accionSegunTeclas(event));
+        }
+    });
+
+    lista.addEventListener('click', event => {
+        const elemento = event.target.closest('[data-indice]');
+        if (elemento) {
+            ejecutarResultadoPaleta(resultados[Number(elemento.dataset.indice)], accionSegunTeclas(event));
+        }
+    });
+
+    buscar();
+    busqueda.focus();
+}
+
+/**
+ * Acción que corresponde a las teclas pulsadas con Enter (o con el clic)
+ */
+function accionSegunTeclas(event) {
+    if (event.ctrlKey || event.metaKey) return 'editar';
+    if (event.shiftKey) return 'duplicar';
+    if (event.altKey) return 'whatsapp';
+    return 'copiar';
+}
+
+/**
+ * Buscar plantillas y comandos para la paleta
+ * Sin consulta muestra las plantillas usadas hace menos y los comandos.
+ * Las plantillas recientes van antes que el resto; ">" al principio busca solo comandos
+ * @returns {{tipo: 'plantilla'|'comando', plantilla?: Object, comando?: Object, reciente?: boolean}[]}
+ */
+function buscarEnPaleta(consulta) {
+    const soloComandos = consulta.trimStart().startsWith('>');
+    const texto = soloComandos ? consulta.trimStart().slice(1) : consulta;
+    const terminos = obtenerTerminosBusqueda(texto);
+
+    // Las archivadas no aparecen en la paleta, como en la lista principal
+    const disponibles = Store.obtenerTodas().filter(plantilla => !plantilla.archivada);
+    const recientes = disponibles
+        .filter(plantilla => plantilla.ultimoUso)
+        .sort((a, b) => String(b.ultimoUso).localeCompare(String(a.ultimoUso)))
+        .slice(0, RECIENTES_PALETA)
+        .map(plantilla => plantilla.id);
+
+    let plantillas = [];
+    if (!soloComandos) {
+        plantillas = disponibles
+            .map(plantilla => ({
+                tipo: 'plantilla',
+                plantilla,
+                reciente: recientes.includes(plantilla.id),
+                puntuacion: terminos.length === 0 ? 0 : puntuarPlantillaPaleta(plantilla, texto, terminos)
+            }))
+            .filter(resultado => (terminos.length === 0 ? resultado.reciente : resultado.puntuacion > 0))
+            .sort((a, b) => (b.reciente - a.reciente) ||
+                (b.puntuacion - a.puntuacion) ||
+                (recientes.indexOf(a.plantilla.id) - recientes.indexOf(b.plantilla.id)) ||
+                a.plantilla.nombre.localeCompare(b.plantilla.nombre));
+    }
+
+    const comandos = COMANDOS_PALETA
+        .map(comando => ({
+            tipo: 'comando',
+            comando,
+            puntuacion: terminos.length === 0 ? 1
+                : puntuarBusqueda([{ texto: `${comando.nombre} ${comando.claves}`, peso: 1 }], terminos) ||
+                  puntuarSubsecuencia(comando.nombre, texto)
+        }))
+        .filter(resultado => resultado.puntuacion > 0)
+        .sort((a, b) => b.puntuacion - a.puntuacion);
+
+    return [...plantillas, ...comandos].slice(0, MAX_RESULTADOS_PALETA);
+}
+
+/**
+ * Puntuar una plantilla: por términos (con erratas) o, si no, como abreviatura del nombre
+ */
+function puntuarPlantillaPaleta(plantilla, texto, terminos) {
+    const porTerminos = puntuarBusqueda([
+        { texto: plantilla.nombre, peso: 3 },
+        { texto: Template.obtenerHashtags(plantilla).join(' '), peso: 2 },
+        { texto: plantilla.contenido, peso: 1 }
+    ], terminos);
+    return porTerminos || puntuarSubsecuencia(plantilla.nombre, texto);
+}
+
+/**
+ * HTML de un resultado de la paleta
+ */
+function renderizarResultadoPaleta(resultado, activo, indice) {
+    if (resultado.tipo === 'comando') {
+        return `
+            <li class="paleta-resultado paleta-comando" role="option" data-indice="${indice}" aria-selected="${activo}">
+                <strong>${escapeHtml(resultado.comando.nombre)}</strong>
+                <small>Comando</small>
+            </li>
+        `;
+    }
+
+    const { plantilla } = resultado;
+    return `
+        <li class="paleta-resultado" role="option" data-indice="${indice}" aria-selected="${activo}">
+            <strong>${resultado.reciente ? '🕘 ' : ''}${escapeHtml(plantilla.nombre)}</strong>
+            <small>${escapeHtml([plantilla.categoria, ...Template.obtenerHashtags(plantilla)].filter(Boolean).join(' · '))}</small>
+            <span class="paleta-extracto">${escapeHtml(plantilla.contenido.slice(0, 90))}</span>
+        </li>
+    `;
+}
+
+/**
+ * Ejecutar un resultado: la acción elegida sobre una plantilla, o el comando
+ * La paleta se cierra antes para que los diálogos que abra la acción queden a la vista
+ */
+function ejecutarResultadoPaleta(resultado, accion) {
+    if (!resultado) return;
+
+    cerrarModal('modal-paleta');
+    if (resultado.tipo === 'comando') {
+        resultado.comando.ejecutar();
+    } else {
+        ACCIONES_PALETA[accion].ejecutar(resultado.plantilla.id);
+    }
+}
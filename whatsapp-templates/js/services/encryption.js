@@ -0,0 +1,219 @@
+/**
+ * encryption.js - Copias cifradas y cifrado en reposo
+ * Pedir la frase, exportar e importar copias cifradas y activar el cifrado del almacenamiento
+ */
+
+const LONGITUD_MINIMA_FRASE = 8;
+
+/**
+ * Configurar el botón del panel de cifrado
+ */
+function configurarCifrado() {
+    const btnCifrado = document.getElementById('btn-cifrado');
+    if (btnCifrado) {
+        btnCifrado.addEventListener('click', () => mostrarCifrado());
+    }
+}
+
+/**
+ * Pedir la frase de cifrado en un modal
+ * Los ErrorCifrado de comprobar se muestran en el modal, que sigue abierto para reintentar
+ * @param {Object} opciones - { titulo, texto, repetir: pedirla dos veces (frase nueva), comprobar }
+ * @returns {Promise<*>} Lo que devuelve comprobar (por defecto la frase), o null si se cancela
+ */
+function pedirFraseCifrado({ titulo, texto = '', repetir = false, comprobar = async frase => frase }) {
+    return new Promise(resolve => {
+        let terminado = false;
+        const terminar = valor => {
+            if (terminado) return;
+            terminado = true;
+            cerrarModal('modal-frase');
+            resolve(valor);
+        };
+
+        const modal = abrirModal('modal-frase', `
+            <h3>${escapeHtml(titulo)}</h3>
+            ${texto ? `<p class="historial-ayuda">${escapeHtml(texto)}</p>` : ''}
+            <form class="frase-form">
+                <div class="form-group">
+                    <label>Frase</label>
+                    <input type="password" name="frase" autocomplete="${repetir ? 'new-password' : 'current-password'}" required>
+                </div>
+                ${repetir ? `
+                    <div class="form-group">
+                        <label>Repite la frase</label>
+                        <input type="password" name="repetida" autocomplete="new-password" required>
+                    </div>
+                    <p class="historial-ayuda">
+                        Sin la frase no hay forma de recuperar los datos: guárdala en un lugar seguro.
+                    </p>
+                ` : ''}
+                <p class="variables-faltantes frase-error"></p>
+                <div class="modal-acciones">
+                    <button type="button" class="btn btn-secundario" data-accion="cerrar">Cancelar</button>
+                    <button type="submit" class="btn">🔑 Aceptar</button>
+                </div>
+            </form>
+        `);
+
+        // abrirModal cierra con Escape, clic fuera o "Cancelar": todo eso es cancelar
+        modal.addEventListener('click', event => {
+            if (event.target === modal || event.target.closest('[data-accion="cerrar"]')) {
+                terminar(null);
+            }
+        });
+        modal.addEventListener('keydown', event => {
+            if (event.key === 'Escape') {
+                terminar(null);
+            }
+        });
+
+        const form = modal.querySelector('.frase-form');
+        const error = modal.querySelector('.frase-error');
+        form.elements.frase.focus();
+
+        form.addEventListener('submit', async event => {
+            event.preventDefault();
+            const frase = form.elements.frase.value;
+
+            if (repetir && frase.length < LONGITUD_MINIMA_FRASE) {
+                error.textContent = `⚠️ La frase debe tener al menos ${LONGITUD_MINIMA_FRASE} caracteres`;
+                return;
+            }
+            if (repetir && frase !== form.elements.repetida.value) {
+                error.textContent = '⚠️ Las dos frases no coinciden';
+                return;
+            }
+
+            const boton = form.querySelector('[type="submit"]');
+            boton.disabled = true;
+            error.textContent = '⏳ Comprobando...';
+            try {
+                terminar(await comprobar(frase));
+            } catch (fallo) {
+                // Un fallo inesperado no debe dejar el modal colgado: se puede reintentar o cancelar
+                if (fallo instanceof ErrorCifrado) {
+                    error.textContent = `⚠️ ${fallo.message}`;
+                } else {
+                    console.error('Error al comprobar la frase:', fallo);
+                    error.textContent = '❌ No se pudo comprobar la frase. Inténtalo de nuevo o cancela';
+                }
+                form.elements.frase.select();
+            } finally {
+                boton.disabled = false;
+            }
+        });
+    });
+}
+
+/**
+ * Panel de cifrado: copia cifrada y cifrado en reposo del almacenamiento activo
+ */
+function mostrarCifrado() {
+    if (!cifradoDisponible()) {
+        mostrarMensajePersistencia('⚠️ El navegador no permite cifrar aquí (hace falta HTTPS o un archivo local)', 'warning');
+        return;
+    }
+
+    const cifrado = Boolean(adaptadorActivo.cifrado);
+    const modal = abrirModal('modal-cifrado', `
+        <h3>🔒 Cifrado</h3>
+        <h4>Copia cifrada</h4>
+        <p class="historial-ayuda">
+            Exporta todas las plantillas en un archivo protegido con una frase.
+            Para restaurarlo usa 📥 Importar: se pedirá la frase.
+        </p>
+        <div class="modal-acciones">
+            <button type="button" class="btn" data-accion="exportar">📤 Exportar copia cifrada</button>
+        </div>
+
+        <h4>Cifrado en reposo</h4>
+        ${almacenamientoBloqueado ? `
+            <p class="historial-ayuda">
+                Las plantillas cifradas no se han abierto. Recarga la página y escribe la frase.
+            </p>
+        ` : adaptadorActivo.admiteCifrado ? `
+            <p class="historial-ayuda">
+                ${cifrado
+                    ? `Las plantillas se guardan cifradas en ${escapeHtml(adaptadorActivo.nombre)}: la frase se pide al abrir la aplicación.`
+                    : `Guarda las plantillas cifradas en ${escapeHtml(adaptadorActivo.nombre)}; la frase se pedirá al abrir la aplicación.`}
+            </p>
+            <div class="modal-acciones">
+                ${cifrado ? `
+                    <button type="button" class="btn btn-secundario" data-accion="quitar">🔓 Quitar cifrado</button>
+                    <button type="button" class="btn" data-accion="activar">🔑 Cambiar frase</button>
+                ` : '<button type="button" class="btn" data-accion="activar">🔒 Cifrar plantillas</button>'}
+            </div>
+        ` : `
+            <p class="historial-ayuda">
+                Disponible al guardar en LocalStorage (ahora: ${escapeHtml(adaptadorActivo.nombre)}).
+            </p>
+        `}
+
+        <div class="modal-acciones">
+            <button type="button" class="btn btn-secundario" data-accion="cerrar">Cerrar</button>
+        </div>
+    `);
+
+    modal.querySelector('[data-accion="exportar"]').addEventListener('click', async () => {
+        cerrarModal('modal-cifrado');
+        await exportarCopiaCifrada();
+    });
+
+    const botonActivar = modal.querySelector('[data-accion="activar"]');
+    if (botonActivar) {
+        botonActivar.addEventListener('click', async () => {
+            cerrarModal('modal-cifrado');
+            const frase = await pedirFraseCifrado({
+                titulo: cifrado ? '🔑 Nueva frase' : '🔒 Cifrar plantillas',
+                texto: 'Todas las plantillas y su historial se guardarán cifrados con esta frase.',
+                repetir: true
+            });
+            if (frase !== null) {
+                await cambiarCifradoEnReposo(frase);
+            }
+        });
+    }
+
+    const botonQuitar = modal.querySelector('[data-accion="quitar"]');
+    if (botonQuitar) {
+        botonQuitar.addEventListener('click', async () => {
+            if (!confirm('¿Guardar las plantillas sin cifrar?')) return;
+            cerrarModal('modal-cifrado');
+            await cambiarCifradoEnReposo(null);
+        });
+    }
+}
+
+/**
+ * Exportar todas las plantillas en un archivo cifrado con una frase
+ */
+async function exportarCopiaCifrada(plantillas = Store.obtenerTodas()) {
+    const frase = await pedirFraseCifrado({
+        titulo: '📤 Copia cifrada',
+        texto: `${plantillas.length} plantillas. La frase se pedirá al importar la copia.`,
+        repetir: true
+    });
+    if (frase === null) return;
+
+    try {
+        const sobre = await cifrarTexto(JSON.stringify(crearExportacionJSON(plantillas)), frase);
+        descargarArchivo(`plantillas-${fechaParaArchivo()}.cifrado.json`, JSON.stringify(sobre, null, 2), 'application/json');
+        mostrarMensajePersistencia(`🔒 ${plantillas.length} plantillas exportadas cifradas`, 'success');
+    } catch (error) {
+        console.error('Error al cifrar la copia:', error);
+        mostrarMensajePersistencia('❌ No se pudo cifrar la copia', 'error');
+    }
+}
+
+/**
+ * Pedir la frase de una copia cifrada hasta acertar
+ * @returns {Promise<string|null>} Texto descifrado, o null si se cancela
+ */
+function abrirCopiaCifrada(sobre, nombreArchivo) {
+    return pedirFraseCifrado({
+        titulo: '🔒 Copia cifrada',
+        texto: `"${nombreArchivo}" está cifrado. Escribe la frase con la que se exportó.`,
+        comprobar: frase => descifrarTexto(sobre, frase)
+    });
+}
@@ -0,0 +1,299 @@
+/**
+ * import-export.js - Importación y exportación de la biblioteca
+ * Archivos JSON versionados y CSV para mover plantillas entre equipos
+ */
+
+const FORMATO_EXPORTACION = 'whatsapp-templates';
+const VERSION_EXPORTACION = 1;
+
+// Columnas del CSV, en el orden en que se escriben
+const COLUMNAS_CSV = [
+    'id', 'nombre', 'contenido', 'categoria', 'hashtags', 'valoresPorDefecto',
+    'tipoEncabezado', 'encabezado', 'pie', 'botones', 'idiomaPorDefecto', 'variantes',
+    'fechaCreacion', 'fechaModificacion'
+];
+
+/**
+ * Configurar los botones de importar y exportar
+ */
+function configurarImportarExportar() {
+    const btnExportarJSON = document.getElementById('btn-exportar-json');
+    if (btnExportarJSON) {
+        btnExportarJSON.addEventListener('click', () => exportarJSON());
+    }
+
+    const btnExportarCSV = document.getElementById('btn-exportar-csv');
+    if (btnExportarCSV) {
+        btnExportarCSV.addEventListener('click', () => exportarCSV());
+    }
+
+    const btnExportarMeta = document.getElementById('btn-exportar-meta');
+    if (btnExportarMeta) {
+        btnExportarMeta.addEventListener('click', () => mostrarExportacionMeta());
+    }
+
+    const inputImportar = document.getElementById('input-importar');
+    const btnImportar = document.getElementById('btn-importar');
+    if (btnImportar && inputImportar) {
+        btnImportar.addEventListener('click', () => inputImportar.click());
+        inputImportar.addEventListener('change', async event => {
+            const archivo = event.target.files[0];
+            event.target.value = ''; // Permitir elegir el mismo archivo otra vez
+            if (archivo) {
+                await importarArchivo(archivo);
+            }
+        });
+    }
+}
+
+/**
+ * Crear el contenido del archivo JSON de exportación
+ * @param {Object[]} plantillas - Plantillas a exportar
+ * @returns {Object} Documento versionado
+ */
+function crearExportacionJSON(plantillas) {
+    return {
+        formato: FORMATO_EXPORTACION,
+        version: VERSION_EXPORTACION,
+        exportado: new Date().toISOString(),
+        total: plantillas.length,
+        plantillas
+    };
+}
+
+/**
+ * Exportar la biblioteca (o parte de ella, como una colección) como JSON versionado
+ * @param {string} prefijo - Comienzo del nombre del archivo
+ */
+function exportarJSON(plantillas = Store.obtenerTodas(), prefijo = 'plantillas') {
+    const documento = crearExportacionJSON(plantillas);
+    descargarArchivo(
+        `${prefijo}-${fechaParaArchivo()}.json`,
+        JSON.stringify(documento, null, 2),
+        'application/json'
+    );
+    mostrarMensajePersistencia(`📤 ${plantillas.length} plantillas exportadas a JSON`, 'success');
+}
+
+/**
+ * Exportar la biblioteca como CSV
+ */
+function exportarCSV(plantillas = Store.obtenerTodas()) {
+    const filas = plantillas.map(plantilla => ({
+        ...plantilla,
+        hashtags: Template.obtenerHashtags(plantilla).join(' '),
+        valoresPorDefecto: JSON.stringify(plantilla.valoresPorDefecto || {}),
+        botones: JSON.stringify(plantilla.botones || []),
+        variantes: JSON.stringify(plantilla.variantes || {})
+    }));
+
+    // El BOM permite que Excel reconozca los acentos y emoji como UTF-8
+    descargarArchivo(
+        `plantillas-${fechaParaArchivo()}.csv`,
+        '\uFEFF' + convertirACSV(filas, COLUMNAS_CSV),
+        'text/csv'
+    );
+    mostrarMensajePersistencia(`📤 ${plantillas.length} plantillas exportadas a CSV`, 'success');
+}
+
+/**
+ * Leer un archivo JSON, CSV o una copia cifrada y mostrar la vista previa de importación
+ */
+async function importarArchivo(archivo) {
+    try {
+        let texto = await archivo.text();
+        const esCSV = /\.csv$/i.test(archivo.name) || archivo.type === 'text/csv';
+        
+        // Copia cifrada: se importa como el JSON que contiene
+        const sobre = esCSV ? null : leerSobreCifrado(texto);
+        if (sobre) {
+            texto = await abrirCopiaCifrada(sobre, archivo.name);
+            if (texto === null) return;
+        }
+        
+        const { registros, avisos } = esCSV
+            ? leerRegistrosCSV(texto)
+            : { registros: leerRegistrosJSON(texto), avisos: [] };
+
+        mostrarPreviaImportacion(analizarImportacion(registros, avisos), archivo.name);
+    } catch (error) {
+        console.error('Error al importar archivo:', error);
+        mostrarMensajePersistencia(`❌ No se pudo importar: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Obtener los registros de un archivo JSON
+ * Acepta el documento versionado, un array suelto de plantillas y plantillas de Meta
+ */
+function leerRegistrosJSON(texto) {
+    const datos = JSON.parse(texto);
+
+    const plantillasMeta = obtenerPlantillasMeta(datos);
+    if (plantillasMeta) {
+        return agruparIdiomasMeta(plantillasMeta.map(convertirDesdeFormatoMeta));
+    }
+
+    if (Array.isArray(datos)) {
+        return datos;
+    }
+
+    if (datos && datos.formato === FORMATO_EXPORTACION && Array.isArray(datos.plantillas)) {
+        if (datos.version > VERSION_EXPORTACION) {
+            throw new Error(`versión ${datos.version} no soportada (máximo ${VERSION_EXPORTACION})`);
+        }
+        return datos.plantillas;
+    }
+
+    throw new Error('el archivo no es una exportación de plantillas');
+}
+
+/**
+ * Obtener los registros de un archivo CSV
+ * Las celdas JSON que no se pueden leer se ignoran y se anotan para la vista previa
+ * @returns {{registros: Object[], avisos: {indice: number, motivo: string}[]}}
+ */
+function leerRegistrosCSV(texto) {
+    const { columnas, filas } = parsearCSVConCabecera(texto);
+
+    if (!columnas.includes('nombre') || !columnas.includes('contenido')) {
+        throw new Error('el CSV necesita las columnas "nombre" y "contenido"');
+    }
+
+    // Columnas guardadas como JSON dentro de la celda
+    const avisos = [];
+    const leerJSON = (fila, indice, columna, vacio) => {
+        try {
+            return fila[columna] ? JSON.parse(fila[columna]) : vacio;
+        } catch (error) {
+            avisos.push({ indice, motivo: `"${columna}" no es JSON válido, se ignora` });
+            return vacio;
+        }
+    };
+
+    const registros = filas.map((fila, indice) => ({
+        ...fila,
+        id: fila.id || undefined,
+        valoresPorDefecto: leerJSON(fila, indice, 'valoresPorDefecto', {}),
+        botones: leerJSON(fila, indice, 'botones', []),
+        variantes: leerJSON(fila, indice, 'variantes', {})
+    }));
+    return { registros, avisos };
+}
+
+/**
+ * Clasificar los registros importados
+ * Pasan por las mismas migraciones y validación que la carga desde LocalStorage.
+ * "indice" es siempre la posición en "registros", y el resultado sigue ese orden
+ * @param {{indice: number, motivo: string}[]} avisos - Problemas de lectura de cada registro
+ * @returns {Object[]} Registros con estado 'nueva', 'duplicada' o 'invalida' y sus avisos
+ */
+function analizarImportacion(registros, avisos = []) {
+    const nombresVistos = new Set();
+    const { plantillas, informe } = migrarDatos(registros);
+
+    // migrarDatos conserva el orden y solo quita las rechazadas
+    const rechazadas = new Set(informe.rechazadas.map(rechazada => rechazada.indice));
+    const indicesMigradas = registros.map((registro, indice) => indice).filter(indice => !rechazadas.has(indice));
+
+    const invalidas = informe.rechazadas.map(({ indice, registro, motivo }) => ({
+        indice,
+        plantilla: registro,
+        estado: 'invalida',
+        motivo
+    }));
+
+    const clasificadas = plantillas.map((plantilla, posicion) => {
+        const indice = indicesMigradas[posicion];
+        const nombre = plantilla.nombre.trim().toLowerCase();
+        const duplicada = Boolean(Store.obtenerPorNombre(plantilla.nombre)) || nombresVistos.has(nombre);
+        nombresVistos.add(nombre);
+
+        return { indice, plantilla, estado: duplicada ? 'duplicada' : 'nueva' };
+    });
+
+    return [...clasificadas, ...invalidas]
+        .sort((a, b) => a.indice - b.indice)
+        .map(item => ({
+            ...item,
+            avisos: avisos.filter(aviso => aviso.indice === item.indice).map(aviso => aviso.motivo)
+        }));
+}
+
+/**
+ * Mostrar la vista previa de importación con las opciones de combinación
+ */
+function mostrarPreviaImportacion(analisis, nombreArchivo) {
+    const contar = estado => analisis.filter(item => item.estado === estado).length;
+    const conAvisos = analisis.filter(item => item.avisos.length > 0).length;
+    const etiquetas = { nueva: '🆕 Nueva', duplicada: '♻️ Duplicada', invalida: '⛔ Inválida' };
+
+    const modal = abrirModal('modal-importar', `
+        <h3>📥 Importar "${escapeHtml(nombreArchivo)}"</h3>
+        <p class="importar-resumen">
+            ${contar('nueva')} nuevas · ${contar('duplicada')} duplicadas por nombre · ${contar('invalida')} inválidas${conAvisos ? ` · ${conAvisos} con avisos` : ''}
+        </p>
+        <div class="importar-lista">
+            ${analisis.map(item => `
+                <div class="importar-item importar-${item.estado}">
+                    <span>${etiquetas[item.estado]}</span>
+                    <strong>${escapeHtml(item.plantilla && item.plantilla.nombre ? String(item.plantilla.nombre) : `Registro ${item.indice + 1}`)}</strong>
+                    ${item.motivo ? `<small>${escapeHtml(item.motivo)}</small>` : ''}
+                    ${item.avisos.map(aviso => `<small class="importar-aviso">⚠️ ${escapeHtml(aviso)}</small>`).join('')}
+                </div>
+            `).join('')}
+        </div>
+        <div class="importar-modos">
+            <label><input type="radio" name="modo-importar" value="combinar" checked> Combinar: actualizar las duplicadas</label>
+            <label><input type="radio" name="modo-importar" value="omitir"> Omitir las duplicadas</label>
+            <label><input type="radio" name="modo-importar" value="reemplazar"> Reemplazar toda la biblioteca</label>
+        </div>
+        <div class="modal-acciones">
+            <button type="button" class="btn btn-secundario" data-accion="cerrar">Cancelar</button>
+            <button type="button" class="btn" data-accion="importar">📥 Importar</button>
+        </div>
+    `);
+
+    modal.querySelector('[data-accion="importar"]').addEventListener('click', () => {
+        const modo = modal.querySelector('input[name="modo-importar"]:checked').value;
+        const validas = analisis.filter(item => item.estado !== 'invalida').map(item => item.plantilla);
+
+        if (modo === 'reemplazar' && !confirm(
+            `Se sustituirán las ${Store.obtenerTodas().length} plantillas actuales por ${validas.length} importadas.\n\n¿Continuar?`
+        )) {
+            return;
+        }
+
+        const resultado = Store.importar(validas, modo);
+        cerrarModal('modal-importar');
+
+        actualizarInterfaz();
+        mostrarEstadoAlmacenamiento();
+        mostrarMensajePersistencia(
+            `📥 ${resultado.agregadas} agregadas, ${resultado.actualizadas} actualizadas, ${resultado.omitidas} omitidas`,
+            'success'
+        );
+    });
+}
+
+/**
+ * Descargar un archivo generado en el navegador
+ */
+function descargarArchivo(nombre, contenido, tipo) {
+    const blob = new Blob([contenido], { type: `${tipo};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const enlace = document.createElement('a');
+    enlace.href = url;
+    enlace.download = nombre;
+    document.body.appendChild(enlace);
+    enlace.click();
+    document.body.removeChild(enlace);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Fecha actual en formato AAAA-MM-DD para nombres de archivo
+ */
+function fechaParaArchivo() {
+    return new Date().toISOString().slice(0, 10);
+}
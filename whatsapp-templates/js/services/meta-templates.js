@@ -0,0 +1,492 @@
+/**
+ * meta-templates.js - Plantillas en el formato de la WhatsApp Cloud API (Meta)
+ * Exportación, importación y validación de las reglas de Meta antes de enviarlas a aprobación
+ */
+
+const META_IDIOMA_POR_DEFECTO = 'es';
+const META_CATEGORIAS = ['MARKETING', 'UTILITY', 'AUTHENTICATION'];
+
+// Categoría local → categoría de Meta (se busca sin mayúsculas ni acentos: las categorías se renombran)
+const MAPA_CATEGORIAS_META = {
+    marketing: 'MARKETING',
+    ventas: 'MARKETING',
+    soporte: 'UTILITY',
+    personal: 'UTILITY',
+    autenticacion: 'AUTHENTICATION'
+};
+
+// Categoría de Meta → categoría local al importar
+const MAPA_CATEGORIAS_LOCALES = {
+    MARKETING: 'marketing',
+    UTILITY: 'soporte',
+    AUTHENTICATION: 'autenticacion'
+};
+
+// Tipos de botón locales ↔ tipos de Meta
+const TIPOS_BOTON_META = {
+    respuesta: 'QUICK_REPLY',
+    url: 'URL',
+    telefono: 'PHONE_NUMBER'
+};
+
+// Encabezados con archivo
+const FORMATOS_ENCABEZADO_META = {
+    imagen: 'IMAGE',
+    video: 'VIDEO',
+    documento: 'DOCUMENT'
+};
+
+const LIMITES_META = {
+    nombre: 512,
+    cuerpo: 1024,
+    encabezado: 60,
+    pie: 60,
+    textoBoton: 25,
+    botones: 10,
+    botonesUrl: 2,
+    botonesTelefono: 1
+};
+
+const REGEX_PARAMETRO_META = /\{\{(\d+)\}\}/g;
+
+/**
+ * Convertir un nombre libre al formato de Meta: minúsculas, sin acentos y con guiones bajos
+ */
+function nombreParaMeta(nombre) {
+    return String(nombre || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, LIMITES_META.nombre);
+}
+
+/**
+ * Código de idioma de Meta para un idioma de la aplicación (es → es, pt → pt_BR)
+ */
+function idiomaParaMeta(idioma) {
+    if (!idioma) return META_IDIOMA_POR_DEFECTO;
+    return IDIOMAS_CONOCIDOS[idioma] ? IDIOMAS_CONOCIDOS[idioma].meta : idioma;
+}
+
+/**
+ * Idioma de la aplicación para un código de Meta (pt_BR → pt)
+ */
+function idiomaDesdeMeta(codigo) {
+    const conocido = Object.keys(IDIOMAS_CONOCIDOS).find(idioma => IDIOMAS_CONOCIDOS[idioma].meta === codigo);
+    return conocido || String(codigo || META_IDIOMA_POR_DEFECTO).slice(0, 2).toLowerCase();
+}
+
+/**
+ * Sustituir las variables con nombre por parámetros numerados {{1}}, {{2}}...
+ * Meta numera cada componente por separado, empezando en 1
+ * @returns {{texto: string, variables: string[]}}
+ */
+function numerarVariables(texto) {
+    const variables = [];
+    const numerado = String(texto || '').replace(Template.REGEX_VARIABLE, (coincidencia, nombre) => {
+        if (!variables.includes(nombre)) {
+            variables.push(nombre);
+        }
+        return `{{${variables.indexOf(nombre) + 1}}}`;
+    });
+    return { texto: numerado, variables };
+}
+
+/**
+ * Volver de parámetros numerados a variables con nombre (valor1, valor2...)
+ */
+function nombrarParametros(texto, prefijo = 'valor') {
+    return String(texto || '').replace(REGEX_PARAMETRO_META, (coincidencia, numero) => `{{${prefijo}${numero}}}`);
+}
+
+/**
+ * Ejemplos para Meta: el valor por defecto o, si no hay, el nombre de la variable
+ */
+function ejemplosParaMeta(variables, valoresPorDefecto = {}) {
+    return variables.map(nombre => (valoresPorDefecto[nombre] || '').trim() || nombre);
+}
+
+/**
+ * Convertir una plantilla al JSON de plantillas de mensaje de la Cloud API
+ * @param {Object} plantilla - Plantilla del Store (encabezado, pie y botones son opcionales)
+ * @param {Object} opciones - { idioma, categoria } para sobrescribir los valores deducidos
+ */
+function convertirAFormatoMeta(plantilla, opciones = {}) {
+    // Meta no conoce los fragmentos: se envía el texto ya completo
+    plantilla = Template.expandir(plantilla);
+    const valores = plantilla.valoresPorDefecto || {};
+    const componentes = [];
+
+    const tipoEncabezado = plantilla.tipoEncabezado || (plantilla.encabezado ? 'texto' : '');
+    if (tipoEncabezado === 'texto') {
+        const { texto, variables } = numerarVariables(plantilla.encabezado);
+        const encabezado = { type: 'HEADER', format: 'TEXT', text: texto };
+        if (variables.length > 0) {
+            encabezado.example = { header_text: ejemplosParaMeta(variables, valores) };
+        }
+        componentes.push(encabezado);
+    } else if (FORMATOS_ENCABEZADO_META[tipoEncabezado]) {
+        // Meta pide un archivo de ejemplo: se usa el del encabezado si es un enlace
+        const encabezado = { type: 'HEADER', format: FORMATOS_ENCABEZADO_META[tipoEncabezado] };
+        if (/^https?:\/\//.test(plantilla.encabezado || '')) {
+            encabezado.example = { header_handle: [plantilla.encabezado] };
+        }
+        componentes.push(encabezado);
+    }
+
+    const cuerpo = numerarVariables(plantilla.contenido);
+    const componenteCuerpo = { type: 'BODY', text: cuerpo.texto };
+    if (cuerpo.variables.length > 0) {
+        componenteCuerpo.example = { body_text: [ejemplosParaMeta(cuerpo.variables, valores)] };
+    }
+    componentes.push(componenteCuerpo);
+
+    if (plantilla.pie) {
+        componentes.push({ type: 'FOOTER', text: plantilla.pie });
+    }
+
+    const botones = (plantilla.botones || []).map(boton => {
+        const botonMeta = { type: TIPOS_BOTON_META[boton.tipo] || boton.tipo, text: boton.texto };
+        if (boton.tipo === 'url') {
+            const { texto, variables } = numerarVariables(boton.url);
+            botonMeta.url = texto;
+            if (variables.length > 0) {
+                botonMeta.example = ejemplosParaMeta(variables, valores);
+            }
+        } else if (boton.tipo === 'telefono') {
+            botonMeta.phone_number = boton.telefono;
+        }
+        return botonMeta;
+    });
+    if (botones.length > 0) {
+        componentes.push({ type: 'BUTTONS', buttons: botones });
+    }
+
+    return {
+        name: nombreParaMeta(plantilla.nombre),
+        language: opciones.idioma || idiomaParaMeta(plantilla.idioma || plantilla.idiomaPorDefecto),
+        category: opciones.categoria || MAPA_CATEGORIAS_META[normalizarBusqueda(plantilla.categoria || '')] || 'UTILITY',
+        components: componentes
+    };
+}
+
+/**
+ * Reconocer un documento con plantillas de Meta
+ * Acepta una plantilla suelta, un array o la respuesta paginada { data: [...] }
+ * @returns {Object[]|null} Las plantillas de Meta, o null si no es ese formato
+ */
+function obtenerPlantillasMeta(datos) {
+    const lista = Array.isArray(datos) ? datos : (datos && Array.isArray(datos.data) ? datos.data : [datos]);
+    const esMeta = lista.length > 0 && lista.every(item => item && Array.isArray(item.components));
+    return esMeta ? lista : null;
+}
+
+/**
+ * Convertir una plantilla de Meta en un registro importable
+ * Los parámetros {{1}} pasan a ser variables {{valor1}} con los ejemplos como valores por defecto
+ */
+function convertirDesdeFormatoMeta(meta) {
+    const buscar = tipo => meta.components.find(componente => String(componente.type).toUpperCase() === tipo);
+    const cuerpo = buscar('BODY') || {};
+    const encabezado = buscar('HEADER');
+    const pie = buscar('FOOTER');
+    const botones = buscar('BUTTONS');
+    const valoresPorDefecto = {};
+
+    const guardarEjemplos = (ejemplos, prefijo) => {
+        (ejemplos || []).forEach((ejemplo, indice) => {
+            valoresPorDefecto[`${prefijo}${indice + 1}`] = String(ejemplo);
+        });
+    };
+
+    guardarEjemplos(cuerpo.example && cuerpo.example.body_text && cuerpo.example.body_text[0], 'valor');
+
+    const registro = {
+        nombre: meta.name,
+        contenido: nombrarParametros(cuerpo.text),
+        categoria: MAPA_CATEGORIAS_LOCALES[String(meta.category).toUpperCase()] || '',
+        hashtags: [],
+        valoresPorDefecto,
+        idiomaPorDefecto: idiomaDesdeMeta(meta.language)
+    };
+
+    if (encabezado && encabezado.text) {
+        registro.tipoEncabezado = 'texto';
+        registro.encabezado = nombrarParametros(encabezado.text, 'encabezado');
+        guardarEjemplos(encabezado.example && encabezado.example.header_text, 'encabezado');
+    } else if (encabezado) {
+        const formato = String(encabezado.format).toUpperCase();
+        const tipo = Object.keys(FORMATOS_ENCABEZADO_META).find(clave => FORMATOS_ENCABEZADO_META[clave] === formato);
+        if (tipo) {
+            registro.tipoEncabezado = tipo;
+            registro.encabezado = (encabezado.example && encabezado.example.header_handle && encabezado.example.header_handle[0]) || '';
+        }
+    }
+
+    if (pie && pie.text) {
+        registro.pie = pie.text;
+    }
+
+    if (botones && Array.isArray(botones.buttons)) {
+        const tiposLocales = Object.fromEntries(Object.entries(TIPOS_BOTON_META).map(([local, tipoMeta]) => [tipoMeta, local]));
+        registro.botones = botones.buttons.map((boton, indice) => {
+            const tipo = tiposLocales[boton.type] || 'respuesta';
+            const local = { tipo, texto: boton.text || '' };
+            if (tipo === 'url') {
+                local.url = nombrarParametros(boton.url, `url${indice + 1}_`);
+                guardarEjemplos(boton.example, `url${indice + 1}_`);
+            } else if (tipo === 'telefono') {
+                local.telefono = boton.phone_number || '';
+            }
+            return local;
+        });
+    }
+
+    return registro;
+}
+
+/**
+ * Unir en una sola plantilla las que Meta guarda por separado para cada idioma
+ * La primera de cada nombre queda como idioma por defecto; las demás pasan a ser traducciones
+ */
+function agruparIdiomasMeta(registros) {
+    const porNombre = new Map();
+
+    registros.forEach(registro => {
+        const base = porNombre.get(registro.nombre);
+        if (!base) {
+            porNombre.set(registro.nombre, { ...registro, variantes: {} });
+            return;
+        }
+
+        const idioma = registro.idiomaPorDefecto;
+        if (idioma !== base.idiomaPorDefecto && !base.variantes[idioma]) {
+            base.variantes[idioma] = {
+                contenido: registro.contenido,
+                encabezado: registro.encabezado || '',
+                pie: registro.pie || '',
+                botones: registro.botones || []
+            };
+            base.valoresPorDefecto = { ...registro.valoresPorDefecto, ...base.valoresPorDefecto };
+        }
+    });
+
+    return [...porNombre.values()];
+}
+
+/**
+ * Validar una plantilla en formato Meta con las reglas de aprobación
+ * @returns {{errores: string[], avisos: string[]}}
+ */
+function validarPlantillaMeta(meta) {
+    const errores = [];
+    const avisos = [];
+    const componentes = Array.isArray(meta.components) ? meta.components : [];
+    const buscar = tipo => componentes.find(componente => componente.type === tipo);
+
+    // Nombre
+    if (!meta.name) {
+        errores.push('El nombre está vacío');
+    } else if (!/^[a-z0-9_]+$/.test(meta.name)) {
+        errores.push('El nombre solo admite minúsculas, números y guiones bajos (snake_case)');
+    } else if (meta.name.length > LIMITES_META.nombre) {
+        errores.push(`El nombre supera los ${LIMITES_META.nombre} caracteres`);
+    }
+
+    if (!META_CATEGORIAS.includes(meta.category)) {
+        errores.push(`Categoría "${meta.category}" no válida (${META_CATEGORIAS.join(', ')})`);
+    }
+
+    if (!meta.language) {
+        errores.push('Falta el idioma');
+    }
+
+    // Cuerpo
+    const cuerpo = buscar('BODY');
+    if (!cuerpo || !String(cuerpo.text || '').trim()) {
+        errores.push('El cuerpo es obligatorio');
+    } else {
+        const texto = cuerpo.text;
+        if (texto.length > LIMITES_META.cuerpo) {
+            errores.push(`El cuerpo tiene ${texto.length} caracteres (máximo ${LIMITES_META.cuerpo})`);
+        }
+        if (/^\s*\{\{\d+\}\}/.test(texto)) {
+            errores.push('El cuerpo no puede empezar con una variable');
+        }
+        if (/\{\{\d+\}\}\s*$/.test(texto)) {
+            errores.push('El cuerpo no puede terminar con una variable');
+        }
+        if (/\{\{\d+\}\}\s*\{\{\d+\}\}/.test(texto)) {
+            errores.push('Hay dos variables seguidas sin texto entre ellas');
+        }
+        errores.push(...validarParametrosMeta('cuerpo', texto, cuerpo.example && cuerpo.example.body_text && cuerpo.example.body_text[0]));
+    }
+
+    // Encabezado
+    const encabezado = buscar('HEADER');
+    if (encabezado && encabezado.format === 'TEXT') {
+        const texto = String(encabezado.text || '');
+        if (texto.length > LIMITES_META.encabezado) {
+            errores.push(`El encabezado tiene ${texto.length} caracteres (máximo ${LIMITES_META.encabezado})`);
+        }
+        const parametros = texto.match(REGEX_PARAMETRO_META) || [];
+        if (parametros.length > 1) {
+            errores.push('El encabezado admite como mucho una variable');
+        }
+        errores.push(...validarParametrosMeta('encabezado', texto, encabezado.example && encabezado.example.header_text));
+    } else if (encabezado && !(encabezado.example && encabezado.example.header_handle && encabezado.example.header_handle.length)) {
+        errores.push('El encabezado con archivo necesita un ejemplo (enlace al archivo)');
+    }
+
+    // Pie
+    const pie = buscar('FOOTER');
+    if (pie) {
+        const texto = String(pie.text || '');
+        if (texto.length > LIMITES_META.pie) {
+            errores.push(`El pie tiene ${texto.length} caracteres (máximo ${LIMITES_META.pie})`);
+        }
+        if (texto.includes('{{')) {
+            errores.push('El pie no admite variables');
+        }
+    }
+
+    // Botones
+    const botones = (buscar('BUTTONS') || {}).buttons || [];
+    const contar = tipo => botones.filter(boton => boton.type === tipo).length;
+    if (botones.length > LIMITES_META.botones) {
+        errores.push(`Hay ${botones.length} botones (máximo ${LIMITES_META.botones})`);
+    }
+    if (contar('URL') > LIMITES_META.botonesUrl) {
+        errores.push(`Hay ${contar('URL')} botones de enlace (máximo ${LIMITES_META.botonesUrl})`);
+    }
+    if (contar('PHONE_NUMBER') > LIMITES_META.botonesTelefono) {
+        errores.push(`Hay ${contar('PHONE_NUMBER')} botones de llamada (máximo ${LIMITES_META.botonesTelefono})`);
+    }
+    botones.forEach((boton, indice) => {
+        const etiqueta = `Botón ${indice + 1}`;
+        if (!String(boton.text || '').trim()) {
+            errores.push(`${etiqueta}: falta el texto`);
+        } else if (boton.text.length > LIMITES_META.textoBoton) {
+            errores.push(`${etiqueta}: el texto supera los ${LIMITES_META.textoBoton} caracteres`);
+        }
+        if (boton.type === 'URL' && !/^https?:\/\/\S+$/.test(boton.url || '')) {
+            errores.push(`${etiqueta}: el enlace debe empezar por http:// o https://`);
+        }
+        if (boton.type === 'URL' && /\{\{\d+\}\}/.test(boton.url || '') && !/\{\{1\}\}$/.test(boton.url)) {
+            errores.push(`${etiqueta}: la variable del enlace debe ser {{1}} y estar al final`);
+        }
+        if (boton.type === 'PHONE_NUMBER' && !/^\+\d{8,15}$/.test(boton.phone_number || '')) {
+            errores.push(`${etiqueta}: el teléfono debe ir en formato internacional (+34600000000)`);
+        }
+    });
+
+    if (meta.category === 'MARKETING' && botones.length === 0) {
+        avisos.push('Las plantillas de marketing suelen aprobarse antes con algún botón');
+    }
+
+    return { errores, avisos };
+}
+
+/**
+ * Comprobar que los parámetros de un componente son consecutivos y tienen ejemplo
+ */
+function validarParametrosMeta(componente, texto, ejemplos) {
+    const errores = [];
+    const numeros = [...new Set([...String(texto).matchAll(REGEX_PARAMETRO_META)].map(m => Number(m[1])))];
+    if (numeros.length === 0) return errores;
+
+    const esperados = numeros.map((numero, indice) => indice + 1);
+    if (numeros.some((numero, indice) => numero !== esperados[indice])) {
+        errores.push(`Las variables del ${componente} deben numerarse en orden desde {{1}}`);
+    }
+    if (!Array.isArray(ejemplos) || ejemplos.length < numeros.length || ejemplos.some(ejemplo => !String(ejemplo).trim())) {
+        errores.push(`Faltan ejemplos para las variables del ${componente}`);
+    }
+    return errores;
+}
+
+/**
+ * Validar una plantilla local tal como se enviaría a Meta
+ * Añade avisos propios de la conversión (nombre cambiado, ejemplos deducidos)
+ */
+function validarParaMeta(plantilla, opciones = {}) {
+    const meta = convertirAFormatoMeta(plantilla, opciones);
+    const { errores, avisos } = validarPlantillaMeta(meta);
+
+    if (meta.name && meta.name !== plantilla.nombre) {
+        avisos.push(`Se enviará con el nombre "${meta.name}"`);
+    }
+    if (!MAPA_CATEGORIAS_META[normalizarBusqueda(plantilla.categoria || '')] && !opciones.categoria) {
+        avisos.push(`Sin categoría equivalente: se usará ${meta.category}`);
+    }
+
+    // Meta solo sustituye parámetros: el resto de expresiones llegaría como texto
+    const expandida = Template.expandir(plantilla);
+    const textos = [expandida.contenido, expandida.tipoEncabezado === 'texto' ? expandida.encabezado : ''];
+    if (textos.some(texto => {
+        const { nodos, error } = Template.analizarExpresiones(texto);
+        return error || usaExpresionesAvanzadas(nodos);
+    })) {
+        errores.push('Meta no admite condicionales, valores por defecto ni formatos: usa solo {{variable}}');
+    }
+
+    const sinEjemplo = Template.extraerVariables(Template.textoConVariables(plantilla))
+        .filter(nombre => !String((plantilla.valoresPorDefecto || {})[nombre] || '').trim());
+    if (sinEjemplo.length > 0) {
+        avisos.push(`Sin valor por defecto, el ejemplo será el nombre de la variable: ${sinEjemplo.join(', ')}`);
+    }
+
+    return { meta, errores, avisos };
+}
+
+/**
+ * Panel de exportación para Meta: informe por plantilla y descarga de las válidas
+ */
+function mostrarExportacionMeta(plantillas = Store.obtenerTodas()) {
+    if (plantillas.length === 0) {
+        mostrarMensajePersistencia('ℹ️ No hay plantillas que exportar', 'info');
+        return;
+    }
+
+    // Meta aprueba cada idioma como una plantilla aparte con el mismo nombre
+    const informes = plantillas.flatMap(plantilla => Template.idiomasDe(plantilla).map(idioma => ({
+        plantilla,
+        idioma,
+        ...validarParaMeta(Template.obtenerVariante(plantilla, idioma))
+    })));
+    const validas = informes.filter(informe => informe.errores.length === 0);
+
+    const modal = abrirModal('modal-meta', `
+        <h3>Ⓜ️ Exportar para WhatsApp Business (Meta)</h3>
+        <p class="importar-resumen">${validas.length} de ${informes.length} plantillas cumplen las reglas de Meta</p>
+        <div class="importar-lista">
+            ${informes.map(({ plantilla, idioma, meta, errores, avisos }) => `
+                <div class="importar-item meta-item ${errores.length > 0 ? 'importar-invalida' : 'importar-nueva'}">
+                    <span>${errores.length > 0 ? '⛔' : '✅'}</span>
+                    <strong>${escapeHtml(plantilla.nombre)}</strong>
+                    <small><code>${escapeHtml(meta.name)}</code> · ${meta.category} · ${escapeHtml(nombreIdioma(idioma))} (${escapeHtml(meta.language)})</small>
+                    ${errores.map(error => `<small class="meta-error">${escapeHtml(error)}</small>`).join('')}
+                    ${avisos.map(aviso => `<small class="meta-aviso">${escapeHtml(aviso)}</small>`).join('')}
+                </div>
+            `).join('')}
+        </div>
+        <div class="modal-acciones">
+            <button type="button" class="btn btn-secundario" data-accion="cerrar">Cerrar</button>
+            <button type="button" class="btn" data-accion="descargar-meta" ${validas.length === 0 ? 'disabled' : ''}>
+                📤 Descargar ${validas.length} válidas
+            </button>
+        </div>
+    `);
+
+    modal.querySelector('[data-accion="descargar-meta"]').addEventListener('click', () => {
+        descargarArchivo(
+            `plantillas-meta-${fechaParaArchivo()}.json`,
+            JSON.stringify(validas.map(informe => informe.meta), null, 2),
+            'application/json'
+        );
+        cerrarModal('modal-meta');
+        mostrarMensajePersistencia(`📤 ${validas.length} plantillas exportadas en formato Meta`, 'success');
+    });
+}
@@ -0,0 +1,495 @@
+/**
+ * remote-sync.js - Sincronización opcional con un servidor REST propio
+ * Los cambios se encolan y se envían en orden; sin conexión esperan a que vuelva.
+ * Los conflictos se resuelven con la revisión del servidor y la fecha de modificación
+ * (servidor de referencia en server/server.js)
+ */
+
+const SERVIDOR_SYNC_KEY = 'whatsapp_templates_servidor';
+const INTERVALO_SINCRONIZACION_MS = 60000;
+const ESPERA_ENVIO_MS = 1000; // Agrupar cambios seguidos en un solo envío
+
+// Estados que se muestran en persistenceIndicator
+const ESTADOS_SINCRONIZACION_REMOTA = {
+    sincronizado: '✅ Sincronizado',
+    pendiente: '⏳ Pendiente',
+    error: '❌ Error de sincronización'
+};
+
+// Estado de ErrorSincronizacion cuando no hubo respuesta
+const SIN_CONEXION = 0;
+
+/**
+ * Respuesta inesperada del servidor, o ninguna (estado SIN_CONEXION: se reintenta más tarde)
+ */
+class ErrorSincronizacion extends Error {
+    constructor(motivo, estado) {
+        super(motivo);
+        this.name = 'ErrorSincronizacion';
+        this.estado = estado; // Código HTTP o SIN_CONEXION
+    }
+}
+
+/**
+ * Cliente del API REST: /plantillas y /plantillas/:uid
+ */
+const ClienteRemoto = {
+    /**
+     * Hacer una petición y devolver { estado, datos }
+     * @throws {ErrorSincronizacion} Con estado SIN_CONEXION si no hubo respuesta
+     */
+    async peticion(metodo, ruta, cuerpo) {
+        let respuesta;
+        try {
+            respuesta = await fetch(`${SincronizacionRemota.url}${ruta}`, {
+                method: metodo,
+                headers: cuerpo ? { 'Content-Type': 'application/json' } : {},
+                body: cuerpo ? JSON.stringify(cuerpo) : undefined
+            });
+        } catch (error) {
+            console.warn('Servidor de sincronización no disponible:', error);
+            throw new ErrorSincronizacion('Sin conexión con el servidor', SIN_CONEXION);
+        }
+        const datos = respuesta.status === 204 ? null : await respuesta.json().catch(() => null);
+        return { estado: respuesta.status, datos };
+    },
+
+    /**
+     * Comprobar el código de una respuesta y la forma de la plantilla que trae
+     * En los 409 la versión del servidor es opcional: si no es válida queda en null y se pide aparte
+     * @param {number[]} esperados - Códigos que la llamada sabe tratar
+     * @param {number[]} conPlantilla - Códigos cuyo cuerpo debe ser una plantilla
+     * @throws {ErrorSincronizacion} Con cualquier otro código o un cuerpo que no es una plantilla
+     */
+    comprobar(respuesta, esperados, conPlantilla = []) {
+        const { estado, datos } = respuesta;
+        if (!esperados.includes(estado)) {
+            const motivo = datos && typeof datos.error === 'string' ? datos.error : `HTTP ${estado}`;
+            throw new ErrorSincronizacion(motivo, estado);
+        }
+        if (conPlantilla.includes(estado) && !esPlantillaRemota(datos)) {
+            throw new ErrorSincronizacion(`El servidor respondió con una plantilla no válida (HTTP ${estado})`, estado);
+        }
+        if (estado === 409) {
+            return { estado, datos: { plantilla: datos && esPlantillaRemota(datos.plantilla) ? datos.plantilla : null } };
+        }
+        return respuesta;
+    },
+
+    async listar() {
+        const { datos } = this.comprobar(await this.peticion('GET', '/plantillas'), [200]);
+        if (!Array.isArray(datos) || !datos.every(esPlantillaRemota)) {
+            throw new ErrorSincronizacion('El servidor respondió con una lista de plantillas no válida', 200);
+        }
+        return datos;
+    },
+
+    /**
+     * @returns {Promise<Object|null>} null si el servidor no la tiene
+     */
+    async obtener(uid) {
+        const respuesta = this.comprobar(await this.peticion('GET', `/plantillas/${encodeURIComponent(uid)}`), [200, 404], [200]);
+        return respuesta.estado === 200 ? respuesta.datos : null;
+    },
+
+    /**
+     * @returns {Promise<{estado: number, datos: Object}>} 201 creada o 409 si el uid ya existe
+     */
+    async crear(plantilla) {
+        return this.comprobar(await this.peticion('POST', '/plantillas', plantilla), [201, 409], [201]);
+    },
+
+    /**
+     * Enviar una plantilla sobre su revisión conocida
+     * @returns {Promise<{estado: number, datos: Object}>} 200, 404 o 409 si el servidor tiene otra revisión
+     */
+    async actualizar(plantilla) {
+        return this.comprobar(
+            await this.peticion('PUT', `/plantillas/${encodeURIComponent(plantilla.uid)}`, plantilla),
+            [200, 404, 409],
+            [200]
+        );
+    },
+
+    /**
+     * Eliminar una plantilla; sin revisión se elimina aunque el servidor tenga otra
+     * @returns {Promise<{estado: number, datos: Object}>} 204, 404 o 409
+     */
+    async eliminar(uid, revision = null) {
+        const consulta = revision === null ? '' : `?revision=${revision}`;
+        return this.comprobar(
+            await this.peticion('DELETE', `/plantillas/${encodeURIComponent(uid)}${consulta}`),
+            [204, 404, 409]
+        );
+    }
+};
+
+const SincronizacionRemota = {
+    url: '',              // Endpoint sin barra final; vacío si no hay servidor configurado
+    pendientes: [],       // [{ uid, operacion: 'guardar' | 'eliminar', revision, fecha }] en orden
+    estado: 'sincronizado',
+    ultimoError: null,
+    enCurso: null,        // Promesa de la sincronización en marcha
+    repetir: false,       // Hubo cambios durante la sincronización en marcha
+    temporizador: null,
+    espera: null,
+
+    /**
+     * Leer la configuración y empezar a sincronizar si hay servidor
+     */
+    iniciar() {
+        try {
+            this.url = normalizarUrlServidor(localStorage.getItem(SERVIDOR_SYNC_KEY) || '');
+        } catch (error) {
+            this.url = '';
+        }
+
+        window.addEventListener('online', () => this.sincronizar());
+        window.addEventListener('offline', () => this.cambiarEstado('pendiente', 'Sin conexión'));
+
+        if (this.url) {
+            this.programar();
+            this.sincronizar();
+        }
+    },
+
+    /**
+     * Cambiar el servidor (vacío para dejar de sincronizar)
+     * Los cambios pendientes del servidor anterior se descartan
+     */
+    configurar(url) {
+        const limpia = normalizarUrlServidor(url);
+        if (limpia === this.url) return Promise.resolve(true);
+
+        this.url = limpia;
+        this.pendientes = [];
+        guardarDatoPersistente('pendientesRemotos');
+        try {
+            if (limpia) {
+                localStorage.setItem(SERVIDOR_SYNC_KEY, limpia);
+            } else {
+                localStorage.removeItem(SERVIDOR_SYNC_KEY);
+            }
+        } catch (error) {
+            console.warn('No se pudo guardar el servidor de sincronización:', error);
+        }
+
+        clearInterval(this.temporizador);
+        this.temporizador = null;
+        this.cambiarEstado('sincronizado', null);
+        if (!limpia) return Promise.resolve(true);
+
+        this.programar();
+        return this.sincronizar();
+    },
+
+    /**
+     * Sincronizar cada cierto tiempo para recibir los cambios de otros navegadores
+     */
+    programar() {
+        if (!this.temporizador) {
+            this.temporizador = setInterval(() => this.sincronizar(), INTERVALO_SINCRONIZACION_MS);
+        }
+    },
+
+    /**
+     * Añadir una operación a la cola; solo cuenta la última de cada plantilla
+     */
+    encolar(uid, operacion, revision = 0) {
+        if (!uid) return;
+
+        const anterior = this.pendientes.find(pendiente => pendiente.uid === uid);
+        this.pendientes = this.pendientes.filter(pendiente => pendiente.uid !== uid);
+
+        // Crear y eliminar sin llegar a enviar: el servidor nunca la conoció
+        const nuncaEnviada = operacion === 'eliminar' && !revision && (!anterior || anterior.operacion === 'guardar');
+        if (!nuncaEnviada) {
+            this.pendientes.push({ uid, operacion, revision, fecha: new Date().toISOString() });
+        }
+
+        guardarDatoPersistente('pendientesRemotos');
+        this.cambiarEstado(this.pendientes.length > 0 ? 'pendiente' : this.estado, this.ultimoError);
+
+        clearTimeout(this.espera);
+        this.espera = setTimeout(() => this.sincronizar(), ESPERA_ENVIO_MS);
+    },
+
+    /**
+     * Enviar los cambios pendientes y recibir los del servidor
+     * Las llamadas durante una sincronización se agrupan en una más al terminar
+     * @returns {Promise<boolean>} true si todo quedó sincronizado
+     */
+    sincronizar() {
+        if (!this.url) return Promise.resolve(false);
+        if (this.enCurso) {
+            this.repetir = true;
+            return this.enCurso;
+        }
+
+        this.enCurso = (async () => {
+            let resultado;
+            do {
+                this.repetir = false;
+                resultado = await this.ejecutar();
+            } while (this.repetir && resultado);
+            return resultado;
+        })().finally(() => {
+            this.enCurso = null;
+        });
+        return this.enCurso;
+    },
+
+    async ejecutar() {
+        const conflictos = { resueltos: 0 };
+        try {
+            await this.enviarPendientes(conflictos);
+            await this.recibirCambios(conflictos);
+            await this.enviarPendientes(conflictos); // Lo que la recepción encoló
+
+            if (conflictos.resueltos > 0) {
+                mostrarMensajePersistencia(`🔄 ${conflictos.resueltos} conflictos resueltos con el servidor`, 'info');
+            }
+            this.cambiarEstado(this.pendientes.length > 0 ? 'pendiente' : 'sincronizado', null);
+            return this.pendientes.length === 0;
+        } catch (error) {
+            // No se relanza: se llama desde temporizadores y eventos, donde nadie lo recogería
+            if (error instanceof ErrorSincronizacion && error.estado === SIN_CONEXION) {
+                // La cola espera al próximo intento
+                this.cambiarEstado('pendiente', error.message);
+            } else {
+                console.error('Error de sincronización:', error);
+                this.cambiarEstado('error', error instanceof ErrorSincronizacion ? error.message : 'Error inesperado al sincronizar');
+            }
+            return false;
+        }
+    },
+
+    /**
+     * Enviar la cola en orden; cada operación sale de la cola al confirmarse
+     * Si el servidor cambia a la vez que se resuelve un conflicto, el resto espera a la próxima vuelta
+     */
+    async enviarPendientes(conflictos) {
+        while (this.pendientes.length > 0) {
+            const pendiente = this.pendientes[0];
+
+            const confirmada = pendiente.operacion === 'guardar'
+                ? await this.enviarPlantilla(pendiente.uid, conflictos)
+                : await this.enviarEliminacion(pendiente, conflictos);
+            if (!confirmada) return;
+
+            // Un cambio local durante el envío deja otra operación para la misma plantilla
+            if (this.pendientes[0] === pendiente) {
+                this.pendientes.shift();
+            }
+            guardarDatoPersistente('pendientesRemotos');
+        }
+    },
+
+    /**
+     * @returns {Promise<boolean>} false si la operación debe seguir en la cola
+     */
+    async enviarPlantilla(uid, conflictos) {
+        const local = Store.obtenerPorUid(uid);
+        if (!local) return true; // Eliminada después: ya habrá una operación de eliminar
+
+        const enviada = copiarParaServidor(local);
+        let respuesta = enviada.revision > 0
+            ? await ClienteRemoto.actualizar(enviada)
+            : await ClienteRemoto.crear(enviada);
+
+        // El servidor ya no la tiene (otro navegador la eliminó): el cambio local la recupera
+        if (respuesta.estado === 404) {
+            respuesta = await ClienteRemoto.crear({ ...enviada, revision: 0 });
+        }
+
+        if (respuesta.estado === 409) {
+            const remota = respuesta.datos && respuesta.datos.plantilla
+                ? respuesta.datos.plantilla
+                : await ClienteRemoto.obtener(uid);
+            return this.resolverConflicto(local, remota, conflictos);
+        }
+
+        Store.marcarRevision(uid, respuesta.datos.revision);
+        return true;
+    },
+
+    async enviarEliminacion(pendiente, conflictos) {
+        const respuesta = await ClienteRemoto.eliminar(pendiente.uid, pendiente.revision);
+        if (respuesta.estado !== 409) return true;
+
+        // Otro navegador la cambió: gana lo más reciente, su edición o esta eliminación
+        const remota = respuesta.datos && respuesta.datos.plantilla
+            ? respuesta.datos.plantilla
+            : await ClienteRemoto.obtener(pendiente.uid);
+        conflictos.resueltos++;
+        if (remota && new Date(remota.fechaModificacion) > new Date(pendiente.fecha)) {
+            Store.aplicarRemota(remota);
+        } else {
+            await ClienteRemoto.eliminar(pendiente.uid);
+        }
+        return true;
+    },
+
+    /**
+     * Resolver una plantilla cambiada aquí y en el servidor
+     * Gana la modificada más tarde; a igualdad de fecha, la del servidor
+     * La versión local que pierde queda en el historial
+     * @returns {Promise<boolean>} false si el servidor volvió a cambiar y hay que reintentar
+     */
+    async resolverConflicto(local, remota, conflictos) {
+        if (!remota) {
+            // Desapareció entre las dos peticiones: se vuelve a crear
+            const respuesta = await ClienteRemoto.crear({ ...copiarParaServidor(local), revision: 0 });
+            if (respuesta.estado !== 201) return false;
+            Store.marcarRevision(local.uid, respuesta.datos.revision);
+            return true;
+        }
+
+        // Mismo contenido (p. ej. enviado también desde otra pestaña): solo falta la revisión
+        if (mismosCamposRevision(local, remota)) {
+            Store.marcarRevision(local.uid, remota.revision);
+            return true;
+        }
+
+        conflictos.resueltos++;
+        if (new Date(local.fechaModificacion) > new Date(remota.fechaModificacion)) {
+            const respuesta = await ClienteRemoto.actualizar({ ...copiarParaServidor(local), revision: remota.revision });
+            if (respuesta.estado !== 200) return false;
+            Store.marcarRevision(local.uid, respuesta.datos.revision);
+        } else {
+            Store.aplicarRemota(remota);
+        }
+        return true;
+    },
+
+    /**
+     * Incorporar lo que cambió en el servidor
+     * Las plantillas con cambios en cola se dejan para el envío
+     */
+    async recibirCambios(conflictos) {
+        const remotas = await ClienteRemoto.listar();
+        const enCola = new Set(this.pendientes.map(pendiente => pendiente.uid));
+        const vistas = new Set();
+
+        remotas.forEach(remota => {
+            vistas.add(remota.uid);
+            if (enCola.has(remota.uid)) return;
+
+            const local = Store.obtenerPorUid(remota.uid);
+            if (!local || remota.revision > (local.revision || 0)) {
+                Store.aplicarRemota(remota);
+            } else if (remota.revision === local.revision && new Date(local.fechaModificacion) > new Date(remota.fechaModificacion)) {
+                // Editada aquí sin servidor configurado
+                this.encolar(local.uid, 'guardar');
+            }
+        });
+
+        Store.obtenerTodas().slice().forEach(local => {
+            if (vistas.has(local.uid) || enCola.has(local.uid)) return;
+            if (local.revision > 0) {
+                // Estuvo en el servidor y ya no: otro navegador la eliminó (queda en la papelera)
+                Store.eliminar(local.id, { origen: 'remoto' });
+            } else {
+                this.encolar(local.uid, 'guardar');
+            }
+        });
+    },
+
+    cambiarEstado(estado, error) {
+        this.estado = estado;
+        this.ultimoError = error;
+        actualizarIndicadorPersistencia();
+    },
+
+    /**
+     * Cargar la cola guardada (usado por persistencia)
+     */
+    cargar(datos) {
+        this.pendientes = Array.isArray(datos) ? datos.filter(pendiente => pendiente && pendiente.uid) : [];
+    },
+
+    /**
+     * Datos a guardar (usado por persistencia)
+     */
+    serializar() {
+        return this.pendientes;
+    }
+};
+
+/**
+ * Quitar la barra final y aceptar solo http(s)
+ */
+function normalizarUrlServidor(url) {
+    const limpia = String(url || '').trim().replace(/\/+$/, '');
+    return /^https?:\/\/\S+$/i.test(limpia) ? limpia : '';
+}
+
+/**
+ * Comprobar que lo recibido del servidor tiene la forma de una plantilla
+ */
+function esPlantillaRemota(datos) {
+    return Boolean(datos) && typeof datos === 'object' &&
+        typeof datos.uid === 'string' && datos.uid !== '' &&
+        typeof datos.nombre === 'string' &&
+        typeof datos.contenido === 'string' &&
+        Number.isInteger(datos.revision) && datos.revision > 0;
+}
+
+/**
+ * Copia de una plantilla tal como se envía: sin ID local ni datos de uso y organización de este navegador
+ */
+function copiarParaServidor(plantilla) {
+    const { id, usos, ultimoUso, ...datos } = plantilla;
+    CAMPOS_ORGANIZACION.forEach(campo => delete datos[campo]);
+    return structuredClone(datos);
+}
+
+/**
+ * Configurar el campo del servidor y el botón de sincronizar
+ */
+function configurarSincronizacionRemota() {
+    const campo = document.getElementById('servidor-sync');
+    if (campo) {
+        campo.value = SincronizacionRemota.url;
+        campo.addEventListener('change', async () => {
+            if (campo.value.trim() && !normalizarUrlServidor(campo.value)) {
+                mostrarMensajePersistencia('⚠️ La dirección debe empezar por http:// o https://', 'warning');
+                return;
+            }
+            await SincronizacionRemota.configurar(campo.value);
+            campo.value = SincronizacionRemota.url;
+            mostrarMensajePersistencia(
+                SincronizacionRemota.url ? `🔄 Sincronizando con ${SincronizacionRemota.url}` : '🔄 Sincronización desactivada',
+                'info'
+            );
+        });
+    }
+
+    const boton = document.getElementById('btn-sincronizar');
+    if (boton) {
+        boton.addEventListener('click', async () => {
+            if (!SincronizacionRemota.url) {
+                mostrarMensajePersistencia('ℹ️ Indica primero la dirección del servidor', 'info');
+                return;
+            }
+            boton.disabled = true;
+            await SincronizacionRemota.sincronizar();
+            boton.disabled = false;
+        });
+    }
+}
+
+// Encolar cada cambio hecho en este navegador
+Store.suscribir(({ tipo, plantilla, anterior, opciones }) => {
+    if (!SincronizacionRemota.url || opciones.origen === 'remoto') return;
+
+    if (tipo === 'agregar' || tipo === 'actualizar' || tipo === 'restaurar') {
+        SincronizacionRemota.encolar(plantilla.uid, 'guardar');
+    } else if (tipo === 'eliminar') {
+        SincronizacionRemota.encolar(anterior.uid, 'eliminar', anterior.revision);
+    } else if (tipo === 'limpiar') {
+        anterior.forEach(plantilla => SincronizacionRemota.encolar(plantilla.uid, 'eliminar', plantilla.revision));
+    }
+});
+
+registrarDatoPersistente('pendientesRemotos', SincronizacionRemota);
@@ -0,0 +1,217 @@
+/**
+ * rules-panel.js - Informe de salud de la biblioteca y administración de las reglas
+ * Errores y avisos de todas las plantillas; palabras prohibidas, variables conocidas y reglas propias
+ */
+
+/**
+ * Configurar el botón del informe de salud
+ */
+function configurarReglas() {
+    const btnSalud = document.getElementById('btn-salud');
+    if (btnSalud) {
+        btnSalud.addEventListener('click', () => mostrarSaludBiblioteca());
+    }
+}
+
+/**
+ * Informe de salud: errores y avisos de cada plantilla de la biblioteca
+ * @param {boolean} soloProblemas - Ocultar las plantillas sin errores ni avisos
+ */
+function mostrarSaludBiblioteca(soloProblemas = true) {
+    const informe = ReglasValidacion.informe();
+    const conErrores = informe.filter(item => item.errores.length > 0).length;
+    const conAvisos = informe.filter(item => item.errores.length === 0 && item.avisos.length > 0).length;
+    const visibles = soloProblemas
+        ? informe.filter(item => item.errores.length > 0 || item.avisos.length > 0)
+        : informe;
+
+    const modal = abrirModal('modal-salud', `
+        <h3>🩺 Salud de la biblioteca</h3>
+        <p class="importar-resumen">
+            ${informe.length} plantillas · ⛔ ${conErrores} con errores · ⚠️ ${conAvisos} solo con avisos ·
+            ✅ ${informe.length - conErrores - conAvisos} correctas
+        </p>
+        <label class="salud-filtro">
+            <input type="checkbox" data-accion="solo-problemas" ${soloProblemas ? 'checked' : ''}>
+            Solo las que tienen problemas
+        </label>
+        <div class="importar-lista">
+            ${visibles.length === 0 ? '<p class="historial-ayuda">Ninguna plantilla incumple las reglas</p>' : ''}
+            ${visibles.map(({ plantilla, errores, avisos }) => `
+                <div class="importar-item meta-item ${errores.length > 0 ? 'importar-invalida' : 'importar-nueva'}">
+                    <span>${errores.length > 0 ? '⛔' : avisos.length > 0 ? '⚠️' : '✅'}</span>
+                    <strong>${escapeHtml(plantilla.nombre)}</strong>
+                    <button type="button" class="btn-fuente" data-editar-plantilla="${plantilla.id}">✏️ Editar</button>
+                    ${errores.map(error => `<small class="meta-error">${escapeHtml(error.mensaje)}</small>`).join('')}
+                    ${avisos.map(aviso => `<small class="meta-aviso">${escapeHtml(aviso.mensaje)}</small>`).join('')}
+                </div>
+            `).join('')}
+        </div>
+        <div class="modal-acciones">
+            <button type="button" class="btn btn-secundario" data-accion="cerrar">Cerrar</button>
+            <button type="button" class="btn" data-accion="reglas">⚙️ Reglas</button>
+        </div>
+    `);
+
+    modal.querySelector('[data-accion="solo-problemas"]').addEventListener('change', event => {
+        mostrarSaludBiblioteca(event.target.checked);
+    });
+
+    modal.querySelector('[data-accion="reglas"]').addEventListener('click', () => mostrarReglas());
+
+    modal.querySelector('.importar-lista').addEventListener('click', event => {
+        const boton = event.target.closest('[data-editar-plantilla]');
+        if (!boton) return;
+
+        cerrarModal('modal-salud');
+        editarPlantilla(Number(boton.dataset.editarPlantilla));
+    });
+}
+
+/**
+ * Administrar las reglas: activar las integradas, listas y reglas propias con expresiones regulares
+ * @param {string} idEditando - Regla propia que se abre para editar (opcional)
+ */
+function mostrarReglas(idEditando = null) {
+    const { configuracion } = ReglasValidacion;
+    const editando = configuracion.personalizadas.find(regla => regla.id === idEditando) || null;
+
+    const opciones = (valores, seleccionado) => Object.entries(valores).map(([valor, etiqueta]) => `
+        <option value="${valor}" ${valor === seleccionado ? 'selected' : ''}>${escapeHtml(etiqueta)}</option>
+    `).join('');
+
+    const modal = abrirModal('modal-reglas', `
+        <h3>⚙️ Reglas de validación</h3>
+        <p class="historial-ayuda">
+            Los errores impiden guardar la plantilla; los avisos se muestran pero dejan guardar.
+        </p>
+
+        <h4>Integradas</h4>
+        <div class="reglas-integradas">
+            ${ReglasValidacion.obtenerIntegradas().map(regla => `
+                <label>
+                    <input type="checkbox" data-integrada="${regla.id}" ${regla.activa ? 'checked' : ''} ${regla.fija ? 'disabled' : ''}>
+                    ${escapeHtml(regla.nombre)}
+                </label>
+            `).join('')}
+        </div>
+
+        <div class="form-group">
+            <label>Palabras prohibidas <small>(una por línea; sin distinguir mayúsculas ni acentos)</small></label>
+            <textarea data-lista="palabrasProhibidas" placeholder="gratis&#10;urgente">${escapeHtml(configuracion.palabrasProhibidas.join('\n'))}</textarea>
+        </div>
+        <div class="form-group">
+            <label>Variables conocidas <small>(una por línea; vacío admite cualquiera)</small></label>
+            <textarea data-lista="variablesConocidas" placeholder="nombre&#10;pedido">${escapeHtml(configuracion.variablesConocidas.join('\n'))}</textarea>
+        </div>
+
+        <h4>Reglas propias</h4>
+        <div class="importar-lista">
+            ${configuracion.personalizadas.length === 0 ? '<p class="historial-ayuda">Todavía no hay reglas propias</p>' : ''}
+            ${configuracion.personalizadas.map(regla => `
+                <div class="importar-item regla-item">
+                    <span>${NIVELES_REGLA[regla.nivel]}</span>
+                    <strong>${escapeHtml(regla.nombre)}</strong>
+                    <small>${escapeHtml(MODOS_REGLA[regla.modo])}: <code>/${escapeHtml(regla.patron)}/${regla.banderas}</code></small>
+                    <button type="button" class="btn-fuente" data-editar="${escapeHtml(regla.id)}">✏️</button>
+                    <button type="button" class="btn-fuente" data-eliminar="${escapeHtml(regla.id)}">🗑️</button>
+                </div>
+            `).join('')}
+        </div>
+        <form class="regla-form">
+            <h4>${editando ? `Editar "${escapeHtml(editando.nombre)}"` : 'Nueva regla'}</h4>
+            <div class="form-grid">
+                <div class="form-group">
+                    <label>Nombre</label>
+                    <input type="text" name="nombre" value="${editando ? escapeHtml(editando.nombre) : ''}" placeholder="Ej: Sin mayúsculas seguidas" required>
+                </div>
+                <div class="form-group">
+                    <label>Expresión regular</label>
+                    <input type="text" name="patron" value="${editando ? escapeHtml(editando.patron) : ''}" placeholder="Ej: \\b[A-Z]{5,}\\b" required>
+                </div>
+                <div class="form-group">
+                    <label>Condición</label>
+                    <select name="modo">${opciones(MODOS_REGLA, editando ? editando.modo : 'prohibir')}</select>
+                </div>
+                <div class="form-group">
+                    <label>Nivel</label>
+                    <select name="nivel">${opciones(NIVELES_REGLA, editando ? editando.nivel : 'aviso')}</select>
+                </div>
+            </div>
+            <div class="form-group">
+                <label>Mensaje <small>(opcional; por defecto el nombre)</small></label>
+                <input type="text" name="mensaje" value="${editando ? escapeHtml(editando.mensaje) : ''}" placeholder="Ej: Evita escribir en mayúsculas">
+            </div>
+            <label>
+                <input type="checkbox" name="banderas" ${editando && editando.banderas === 'i' ? 'checked' : ''}>
+                Sin distinguir mayúsculas
+            </label>
+            <p class="variables-faltantes regla-error"></p>
+            <div class="modal-acciones">
+                <button type="button" class="btn btn-secundario" data-accion="cerrar">Cerrar</button>
+                ${editando ? '<button type="button" class="btn btn-secundario" data-accion="nueva">➕ Nueva</button>' : ''}
+                <button type="submit" class="btn">💾 Guardar regla</button>
+            </div>
+        </form>
+    `);
+
+    modal.querySelector('.reglas-integradas').addEventListener('change', event => {
+        const casilla = event.target.closest('[data-integrada]');
+        if (!casilla) return;
+        ReglasValidacion.activarIntegrada(casilla.dataset.integrada, casilla.checked);
+        mostrarResultadosReglas();
+    });
+
+    modal.querySelectorAll('[data-lista]').forEach(campo => {
+        campo.addEventListener('change', () => {
+            ReglasValidacion.guardarLista(campo.dataset.lista, campo.value.split('\n'));
+            campo.value = ReglasValidacion.configuracion[campo.dataset.lista].join('\n');
+            mostrarResultadosReglas();
+            mostrarMensajePersistencia('⚙️ Reglas actualizadas', 'success');
+        });
+    });
+
+    modal.querySelector('.importar-lista').addEventListener('click', event => {
+        const editar = event.target.closest('[data-editar]');
+        const eliminar = event.target.closest('[data-eliminar]');
+
+        if (editar) {
+            mostrarReglas(editar.dataset.editar);
+        } else if (eliminar) {
+            if (!confirm('¿Eliminar esta regla?')) return;
+            ReglasValidacion.eliminarPersonalizada(eliminar.dataset.eliminar);
+            mostrarResultadosReglas();
+            mostrarReglas();
+            mostrarMensajePersistencia('🗑️ Regla eliminada', 'success');
+        }
+    });
+
+    const botonNueva = modal.querySelector('[data-accion="nueva"]');
+    if (botonNueva) {
+        botonNueva.addEventListener('click', () => mostrarReglas());
+    }
+
+    const form = modal.querySelector('.regla-form');
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        try {
+            ReglasValidacion.guardarPersonalizada({
+                id: editando ? editando.id : null,
+                nombre: form.elements.nombre.value,
+                patron: form.elements.patron.value,
+                banderas: form.elements.banderas.checked ? 'i' : '',
+                modo: form.elements.modo.value,
+                nivel: form.elements.nivel.value,
+                mensaje: form.elements.mensaje.value
+            });
+        } catch (error) {
+            if (!(error instanceof ErrorRegla)) throw error;
+            form.querySelector('.regla-error').textContent = `⚠️ ${error.message}`;
+            return;
+        }
+
+        mostrarResultadosReglas();
+        mostrarReglas();
+        mostrarMensajePersistencia(editando ? '⚙️ Regla actualizada' : '⚙️ Regla creada', 'success');
+    });
+}
@@ -0,0 +1,220 @@
+/**
+ * search-panel.js - Barra de búsqueda, filtros y orden de la lista
+ * Mantiene los criterios activos y los aplica con Store.filtrar()
+ */
+
+const criteriosBusqueda = {
+    texto: '',
+    categorias: [],
+    hashtags: [],
+    creadoDesde: '',
+    creadoHasta: '',
+    modificadoDesde: '',
+    modificadoHasta: '',
+    favoritas: false,  // Solo las favoritas
+    archivadas: false, // Ver las archivadas en lugar de la lista principal
+    coleccion: '',     // Elegida en el panel lateral: '', SIN_COLECCION o el ID de una colección
+    orden: 'manual',
+    direccion: 'asc'
+};
+
+/**
+ * Configurar los controles de búsqueda
+ */
+function configurarBusqueda() {
+    const busqueda = document.getElementById('busqueda');
+    if (busqueda) {
+        let espera;
+        busqueda.addEventListener('input', () => {
+            // Pequeña espera para no filtrar en cada pulsación
+            clearTimeout(espera);
+            espera = setTimeout(() => {
+                criteriosBusqueda.texto = busqueda.value;
+                if (busqueda.value && criteriosBusqueda.orden === 'manual') {
+                    seleccionarOrden('relevancia');
+                }
+                actualizarInterfaz();
+            }, 150);
+        });
+    }
+
+    const orden = document.getElementById('orden-busqueda');
+    if (orden) {
+        orden.addEventListener('change', () => seleccionarOrden(orden.value));
+    }
+
+    const direccion = document.getElementById('direccion-busqueda');
+    if (direccion) {
+        direccion.addEventListener('click', () => {
+            criteriosBusqueda.direccion = criteriosBusqueda.direccion === 'asc' ? 'desc' : 'asc';
+            actualizarBotonDireccion();
+            actualizarInterfaz();
+        });
+    }
+
+    ['creadoDesde', 'creadoHasta', 'modificadoDesde', 'modificadoHasta'].forEach(campo => {
+        const input = document.querySelector(`[data-filtro-fecha="${campo}"]`);
+        if (input) {
+            input.addEventListener('change', () => {
+                criteriosBusqueda[campo] = input.value;
+                actualizarInterfaz();
+            });
+        }
+    });
+
+    // Los chips se regeneran con la lista: escuchar en el contenedor
+    const filtros = document.getElementById('filtros-chips');
+    if (filtros) {
+        filtros.addEventListener('click', event => {
+            const chip = event.target.closest('[data-chip-tipo]');
+            if (chip) {
+                alternarChip(chip.dataset.chipTipo, chip.dataset.chipValor);
+            }
+        });
+    }
+
+    document.querySelectorAll('[data-filtro-marca]').forEach(boton => {
+        boton.addEventListener('click', () => alternarFiltro(boton.dataset.filtroMarca));
+    });
+
+    const limpiar = document.getElementById('limpiar-filtros');
+    if (limpiar) {
+        limpiar.addEventListener('click', limpiarFiltros);
+    }
+
+    actualizarBotonDireccion();
+    actualizarBotonesFiltro();
+}
+
+/**
+ * Plantillas que cumplen los criterios activos, ya ordenadas
+ */
+function obtenerPlantillasVisibles() {
+    return Store.filtrar({ ...criteriosBusqueda, ...Colecciones.criteriosDeFiltro(criteriosBusqueda.coleccion) });
+}
+
+/**
+ * Indicar si hay algún criterio que oculte plantillas
+ */
+function hayFiltrosActivos() {
+    return Boolean(criteriosBusqueda.texto.trim()) ||
+        criteriosBusqueda.categorias.length > 0 ||
+        criteriosBusqueda.hashtags.length > 0 ||
+        criteriosBusqueda.favoritas ||
+        Boolean(criteriosBusqueda.coleccion) ||
+        Boolean(criteriosBusqueda.creadoDesde || criteriosBusqueda.creadoHasta ||
+                criteriosBusqueda.modificadoDesde || criteriosBusqueda.modificadoHasta);
+}
+
+/**
+ * Cambiar el orden; cada orden tiene su dirección natural
+ */
+function seleccionarOrden(orden) {
+    criteriosBusqueda.orden = orden;
+    criteriosBusqueda.direccion = ['relevancia', 'fechaModificacion', 'usos', 'longitud'].includes(orden) ? 'desc' : 'asc';
+
+    const selector = document.getElementById('orden-busqueda');
+    if (selector) {
+        selector.value = orden;
+    }
+    actualizarBotonDireccion();
+    actualizarInterfaz();
+}
+
+function actualizarBotonDireccion() {
+    const direccion = document.getElementById('direccion-busqueda');
+    if (direccion) {
+        direccion.textContent = criteriosBusqueda.direccion === 'asc' ? '⬆️' : '⬇️';
+        direccion.title = criteriosBusqueda.direccion === 'asc' ? 'Ascendente' : 'Descendente';
+    }
+}
+
+/**
+ * Activar o desactivar un chip de categoría o hashtag
+ */
+function alternarChip(tipo, valor) {
+    const lista = tipo === 'categoria' ? criteriosBusqueda.categorias : criteriosBusqueda.hashtags;
+    const indice = lista.indexOf(valor);
+    if (indice === -1) {
+        lista.push(valor);
+    } else {
+        lista.splice(indice, 1);
+    }
+    actualizarInterfaz();
+}
+
+/**
+ * Activar o desactivar el filtro de favoritas o la vista de archivadas
+ * @param {string} filtro - 'favoritas' o 'archivadas'
+ */
+function alternarFiltro(filtro) {
+    criteriosBusqueda[filtro] = !criteriosBusqueda[filtro];
+    actualizarBotonesFiltro();
+    actualizarInterfaz();
+}
+
+function actualizarBotonesFiltro() {
+    document.querySelectorAll('[data-filtro-marca]').forEach(boton => {
+        const activo = Boolean(criteriosBusqueda[boton.dataset.filtroMarca]);
+        boton.classList.toggle('active', activo);
+        boton.setAttribute('aria-pressed', String(activo));
+    });
+}
+
+/**
+ * Quitar todos los filtros (el orden se mantiene)
+ */
+function limpiarFiltros() {
+    criteriosBusqueda.texto = '';
+    criteriosBusqueda.categorias = [];
+    criteriosBusqueda.hashtags = [];
+    criteriosBusqueda.favoritas = false;
+    criteriosBusqueda.archivadas = false;
+    criteriosBusqueda.coleccion = '';
+    actualizarBotonesFiltro();
+    ['creadoDesde', 'creadoHasta', 'modificadoDesde', 'modificadoHasta'].forEach(campo => {
+        criteriosBusqueda[campo] = '';
+        const input = document.querySelector(`[data-filtro-fecha="${campo}"]`);
+        if (input) input.value = '';
+    });
+
+    const busqueda = document.getElementById('busqueda');
+    if (busqueda) busqueda.value = '';
+
+    actualizarInterfaz();
+}
+
+/**
+ * Dibujar los chips con las categorías y hashtags en uso
+ */
+function actualizarChipsFiltro() {
+    const contenedor = document.getElementById('filtros-chips');
+    if (!contenedor) return;
+
+    const plantillas = Store.obtenerTodas();
+    const categorias = [...new Set(plantillas.map(p => p.categoria).filter(Boolean))].sort();
+    const hashtags = [...new Set(plantillas.flatMap(p => Template.obtenerHashtags(p)))].sort();
+
+    const chip = (tipo, valor, activo) => `
+        <button type="button" class="chip ${activo ? 'chip-activo' : ''}"
+                ${tipo === 'categoria' ? `style="--color-categoria: ${Taxonomia.colorDe(valor)}"` : ''}
+                data-chip-tipo="${tipo}" data-chip-valor="${escapeHtml(valor)}">${escapeHtml(valor)}</button>
+    `;
+
+    contenedor.innerHTML = `
+        ${categorias.map(valor => chip('categoria', valor, criteriosBusqueda.categorias.includes(valor))).join('')}
+        ${hashtags.map(valor => chip('hashtag', valor, criteriosBusqueda.hashtags.includes(valor))).join('')}
+    `;
+}
+
+/**
+ * Resaltar los términos buscados dentro de la lista renderizada
+ */
+function resaltarResultados(contenedor) {
+    const terminos = obtenerTerminosBusqueda(criteriosBusqueda.texto);
+    if (terminos.length === 0) return;
+
+    contenedor.querySelectorAll('[data-resaltable]').forEach(elemento => {
+        resaltarCoincidencias(elemento, terminos);
+    });
+}
@@ -0,0 +1,222 @@
+/**
+ * snippets-panel.js - Gestión de fragmentos reutilizables
+ * Crear, editar y eliminar fragmentos, insertarlos en el formulario y ver dónde se usan
+ */
+
+/**
+ * Configurar el botón de fragmentos y el selector para insertarlos en el mensaje
+ */
+function configurarFragmentos() {
+    const btnFragmentos = document.getElementById('btn-fragmentos');
+    if (btnFragmentos) {
+        btnFragmentos.addEventListener('click', () => mostrarFragmentos());
+    }
+
+    const selector = document.getElementById('insertar-fragmento');
+    if (selector) {
+        selector.addEventListener('change', () => {
+            if (selector.value) {
+                insertarFragmento(selector.value);
+            }
+            selector.value = '';
+        });
+    }
+
+    actualizarSelectorFragmentos();
+}
+
+/**
+ * Rellenar el selector del formulario con los fragmentos existentes
+ */
+function actualizarSelectorFragmentos() {
+    const selector = document.getElementById('insertar-fragmento');
+    if (!selector) return;
+
+    const fragmentos = Fragmentos.obtenerTodos();
+    selector.hidden = fragmentos.length === 0;
+    selector.innerHTML = `
+        <option value="">🧩 Insertar fragmento...</option>
+        ${fragmentos.map(fragmento => `
+            <option value="${escapeHtml(fragmento.nombre)}">${escapeHtml(fragmento.nombre)}</option>
+        `).join('')}
+    `;
+}
+
+/**
+ * Insertar {{> nombre}} en la posición del cursor del mensaje
+ */
+function insertarFragmento(nombre) {
+    const contenido = document.getElementById('contenido');
+    if (!contenido) return;
+
+    const referencia = `{{> ${nombre}}}`;
+    const inicio = contenido.selectionStart ?? contenido.value.length;
+    const fin = contenido.selectionEnd ?? inicio;
+    contenido.value = contenido.value.slice(0, inicio) + referencia + contenido.value.slice(fin);
+    contenido.focus();
+    contenido.setSelectionRange(inicio + referencia.length, inicio + referencia.length);
+    contenido.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/**
+ * Refrescar todo lo que muestra fragmentos expandidos
+ */
+function refrescarVistasFragmentos() {
+    actualizarSelectorFragmentos();
+    actualizarCamposVariables();
+    actualizarVistaPrevia();
+    actualizarInterfaz();
+}
+
+/**
+ * Mostrar la lista de fragmentos con el formulario para crear o editar uno
+ * @param {string} nombreEditando - Fragmento que se abre para editar (opcional)
+ */
+function mostrarFragmentos(nombreEditando = null) {
+    const fragmentos = Fragmentos.obtenerTodos();
+    const editando = nombreEditando ? Fragmentos.obtener(nombreEditando) : null;
+
+    const modal = abrirModal('modal-fragmentos', `
+        <h3>🧩 Fragmentos</h3>
+        <p class="historial-ayuda">
+            Textos que se repiten en varias plantillas. Inclúyelos con <code>{{> nombre}}</code>:
+            al editar un fragmento cambian todas las plantillas que lo usan.
+        </p>
+        <div class="importar-lista">
+            ${fragmentos.length === 0 ? '<p class="historial-ayuda">Todavía no hay fragmentos</p>' : ''}
+            ${fragmentos.map(fragmento => {
+                const usos = Fragmentos.dondeSeUsa(fragmento.nombre);
+                return `
+                    <div class="importar-item fragmento-item">
+                        <code>{{> ${escapeHtml(fragmento.nombre)}}}</code>
+                        <small class="fragmento-texto" title="${escapeHtml(fragmento.contenido)}">${escapeHtml(fragmento.contenido)}</small>
+                        <button type="button" class="btn-fuente" data-usos="${escapeHtml(fragmento.nombre)}">
+                            🔎 ${usos.plantillas.length} plantillas
+                        </button>
+                        <button type="button" class="btn-fuente" data-editar="${escapeHtml(fragmento.nombre)}">✏️</button>
+                        <button type="button" class="btn-fuente" data-eliminar="${escapeHtml(fragmento.nombre)}">🗑️</button>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+        <form class="fragmento-form">
+            <h4>${editando ? `Editar {{> ${escapeHtml(editando.nombre)}}}` : 'Nuevo fragmento'}</h4>
+            <div class="form-group">
+                <label>Nombre</label>
+                <input type="text" name="nombre" placeholder="Ej: firma_soporte"
+                       value="${editando ? escapeHtml(editando.nombre) : ''}" ${editando ? 'readonly' : ''} required>
+            </div>
+            <div class="form-group">
+                <label>Texto</label>
+                <textarea name="contenido" placeholder="Puede usar {{variables}} y otros {{> fragmentos}}" required>${editando ? escapeHtml(editando.contenido) : ''}</textarea>
+            </div>
+            <p class="variables-faltantes fragmento-error"></p>
+            <div class="modal-acciones">
+                <button type="button" class="btn btn-secundario" data-accion="cerrar">Cerrar</button>
+                ${editando ? '<button type="button" class="btn btn-secundario" data-accion="nuevo">➕ Nuevo</button>' : ''}
+                <button type="submit" class="btn">💾 Guardar</button>
+            </div>
+        </form>
+    `);
+
+    modal.querySelector('.importar-lista').addEventListener('click', event => {
+        const usos = event.target.closest('[data-usos]');
+        const editar = event.target.closest('[data-editar]');
+        const eliminar = event.target.closest('[data-eliminar]');
+
+        if (usos) {
+            mostrarUsosFragmento(usos.dataset.usos);
+        } else if (editar) {
+            mostrarFragmentos(editar.dataset.editar);
+        } else if (eliminar) {
+            const nombre = eliminar.dataset.eliminar;
+            if (!confirm(`¿Eliminar el fragmento {{> ${nombre}}}?`)) return;
+            try {
+                Fragmentos.eliminar(nombre);
+                refrescarVistasFragmentos();
+                mostrarFragmentos();
+                mostrarMensajePersistencia('🗑️ Fragmento eliminado', 'success');
+            } catch (error) {
+                if (!(error instanceof ErrorFragmento)) throw error;
+                mostrarMensajePersistencia(`⚠️ ${error.message}`, 'warning');
+                mostrarUsosFragmento(nombre);
+            }
+        }
+    });
+
+    const botonNuevo = modal.querySelector('[data-accion="nuevo"]');
+    if (botonNuevo) {
+        botonNuevo.addEventListener('click', () => mostrarFragmentos());
+    }
+
+    const form = modal.querySelector('.fragmento-form');
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const nombre = form.elements.nombre.value.trim();
+
+        if (!editando && Fragmentos.obtener(nombre)) {
+            form.querySelector('.fragmento-error').textContent = `⚠️ Ya existe un fragmento {{> ${nombre}}}`;
+            return;
+        }
+
+        try {
+            Fragmentos.guardar(nombre, form.elements.contenido.value);
+        } catch (error) {
+            if (!(error instanceof ErrorFragmento)) throw error;
+            form.querySelector('.fragmento-error').textContent = `⚠️ ${error.message}`;
+            return;
+        }
+
+        const afectadas = Fragmentos.dondeSeUsa(nombre).plantillas.length;
+        refrescarVistasFragmentos();
+        mostrarFragmentos();
+        mostrarMensajePersistencia(
+            editando ? `🧩 Fragmento actualizado en ${afectadas} plantillas` : `🧩 Fragmento {{> ${nombre}}} creado`,
+            'success'
+        );
+    });
+}
+
+/**
+ * Mostrar las plantillas y fragmentos que incluyen un fragmento
+ */
+function mostrarUsosFragmento(nombre) {
+    const usos = Fragmentos.dondeSeUsa(nombre);
+
+    const modal = abrirModal('modal-usos-fragmento', `
+        <h3>🔎 Dónde se usa {{> ${escapeHtml(nombre)}}}</h3>
+        <p class="importar-resumen">
+            ${usos.plantillas.length} plantillas · ${usos.fragmentos.length} fragmentos
+        </p>
+        <div class="importar-lista">
+            ${usos.plantillas.length === 0 && usos.fragmentos.length === 0
+                ? '<p class="historial-ayuda">Ninguna plantilla lo incluye</p>'
+                : ''}
+            ${usos.plantillas.map(plantilla => `
+                <div class="importar-item">
+                    <span>${plantilla.directo ? '📄 Directo' : '🧩 Indirecto'}</span>
+                    <strong>${escapeHtml(plantilla.nombre)}</strong>
+                    <button type="button" class="btn-fuente" data-editar-plantilla="${plantilla.id}">✏️ Editar</button>
+                </div>
+            `).join('')}
+            ${usos.fragmentos.map(fragmento => `
+                <div class="importar-item">
+                    <span>🧩 Fragmento</span>
+                    <code>{{> ${escapeHtml(fragmento)}}}</code>
+                </div>
+            `).join('')}
+        </div>
+        <div class="modal-acciones">
+            <button type="button" class="btn btn-secundario" data-accion="cerrar">Cerrar</button>
+        </div>
+    `);
+
+    modal.querySelector('.importar-lista').addEventListener('click', event => {
+        const boton = event.target.closest('[data-editar-plantilla]');
+        if (!boton) return;
+
+        cerrarModal('modal-usos-fragmento');
+        cerrarModal('modal-fragmentos');
+        editarPlantilla(Number(boton.dataset.editarPlantilla));
+    });
+}
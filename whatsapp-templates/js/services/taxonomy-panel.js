@@ -0,0 +1,311 @@
+/**
+ * taxonomy-panel.js - Selector de categoría, hashtags del formulario y panel de categorías y hashtags
+ * Los hashtags se escriben como chips con sugerencias de los que ya se usan
+ */
+
+let hashtagsFormulario = []; // Chips del formulario; el texto sin confirmar se lee aparte
+
+/**
+ * Configurar el selector de categorías, la entrada de hashtags y los botones del panel
+ */
+function configurarTaxonomia() {
+    ['btn-taxonomia', 'btn-categorias'].forEach(id => {
+        const boton = document.getElementById(id);
+        if (boton) {
+            boton.addEventListener('click', () => mostrarTaxonomia());
+        }
+    });
+
+    const entrada = document.getElementById('hashtag');
+    if (entrada) {
+        entrada.addEventListener('keydown', event => {
+            if (event.key === 'Enter' || event.key === ',') {
+                event.preventDefault();
+                confirmarHashtagEscrito();
+            } else if (event.key === 'Backspace' && !entrada.value && hashtagsFormulario.length > 0) {
+                hashtagsFormulario.pop();
+                cambiarHashtagsFormulario();
+            }
+        });
+        // Al elegir una sugerencia o pegar varios separados por espacios
+        entrada.addEventListener('input', () => {
+            if (/[\s,]/.test(entrada.value)) confirmarHashtagEscrito();
+        });
+        entrada.addEventListener('blur', confirmarHashtagEscrito);
+    }
+
+    const chips = document.getElementById('hashtags-formulario');
+    if (chips) {
+        chips.addEventListener('click', event => {
+            const quitar = event.target.closest('[data-quitar-hashtag]');
+            if (!quitar) return;
+            hashtagsFormulario = hashtagsFormulario.filter(hashtag => hashtag !== quitar.dataset.quitarHashtag);
+            cambiarHashtagsFormulario();
+        });
+    }
+
+    actualizarSelectorCategorias();
+    actualizarSugerenciasHashtags();
+}
+
+/**
+ * Rellenar el selector de categoría del formulario sin perder la elegida
+ */
+function actualizarSelectorCategorias() {
+    const selector = document.getElementById('categoria');
+    if (!selector) return;
+
+    const actual = selector.value;
+    const categorias = Taxonomia.obtenerCategorias();
+    if (actual && !categorias.some(categoria => categoria.nombre === actual)) {
+        categorias.push({ nombre: actual });
+    }
+
+    selector.innerHTML = `
+        <option value="">Seleccionar...</option>
+        ${categorias.map(categoria => `
+            <option value="${escapeHtml(categoria.nombre)}">${escapeHtml(categoria.nombre)}</option>
+        `).join('')}
+    `;
+    selector.value = actual;
+}
+
+/**
+ * Rellenar las sugerencias de la entrada de hashtags con los que ya se usan
+ */
+function actualizarSugerenciasHashtags() {
+    const sugerencias = document.getElementById('hashtags-sugerencias');
+    if (!sugerencias) return;
+
+    sugerencias.innerHTML = Taxonomia.obtenerHashtags()
+        .filter(({ hashtag }) => !hashtagsFormulario.includes(hashtag))
+        .map(({ hashtag, cantidad }) => `<option value="${escapeHtml(hashtag)}">${cantidad} plantillas</option>`)
+        .join('');
+}
+
+/**
+ * Hashtags del formulario, incluido el que se está escribiendo
+ */
+function leerHashtagsFormulario() {
+    const entrada = document.getElementById('hashtag');
+    return Template.normalizarHashtags([...hashtagsFormulario, entrada ? entrada.value : '']);
+}
+
+/**
+ * Poner los chips del formulario (al editar o limpiar)
+ */
+function establecerHashtagsFormulario(hashtags) {
+    hashtagsFormulario = Template.normalizarHashtags(hashtags);
+    const entrada = document.getElementById('hashtag');
+    if (entrada) entrada.value = '';
+    renderizarHashtagsFormulario();
+}
+
+/**
+ * Pasar a chip el texto escrito en la entrada de hashtags
+ */
+function confirmarHashtagEscrito() {
+    const entrada = document.getElementById('hashtag');
+    if (!entrada || !entrada.value.trim()) return;
+
+    hashtagsFormulario = leerHashtagsFormulario();
+    entrada.value = '';
+    cambiarHashtagsFormulario();
+}
+
+/**
+ * Redibujar los chips tras un cambio y avisar al autoguardado y a las reglas
+ */
+function cambiarHashtagsFormulario() {
+    renderizarHashtagsFormulario();
+    manejarCambioAutomatico();
+    mostrarResultadosReglas();
+}
+
+/**
+ * Dibujar los chips de hashtags del formulario
+ */
+function renderizarHashtagsFormulario() {
+    const contenedor = document.getElementById('hashtags-formulario');
+    if (contenedor) {
+        contenedor.innerHTML = hashtagsFormulario.map(hashtag => `
+            <span class="chip chip-hashtag ${Template.esHashtagValido(hashtag) ? '' : 'chip-invalido'}">
+                ${escapeHtml(hashtag)}
+                <button type="button" data-quitar-hashtag="${escapeHtml(hashtag)}" title="Quitar">✕</button>
+            </span>
+        `).join('');
+    }
+    actualizarSugerenciasHashtags();
+}
+
+/**
+ * Panel de categorías (crear, renombrar, color, fusionar, eliminar) y hashtags (renombrar, fusionar, quitar)
+ * Escribir el nombre de otra categoría o hashtag existente las fusiona
+ */
+function mostrarTaxonomia() {
+    const categorias = Taxonomia.obtenerCategorias();
+    const hashtags = Taxonomia.obtenerHashtags();
+
+    const modal = abrirModal('modal-taxonomia', `
+        <h3>🏷️ Categorías y hashtags</h3>
+        <p class="historial-ayuda">
+            Los cambios se aplican a todas las plantillas a la vez y se deshacen con Ctrl+Z.
+            Escribe el nombre de otra existente para fusionarlas.
+        </p>
+
+        <h4>Categorías</h4>
+        <div class="importar-lista">
+            ${categorias.map(categoria => `
+                <div class="importar-item taxonomia-item" data-categoria="${escapeHtml(categoria.nombre)}">
+                    <input type="color" value="${categoria.color}" data-accion="color" title="Color">
+                    <input type="text" value="${escapeHtml(categoria.nombre)}" data-accion="renombrar">
+                    <small>${categoria.cantidad} plantillas</small>
+                    <button type="button" class="btn-fuente" data-accion="eliminar" title="Eliminar"
+                            ${categoria.cantidad > 0 ? 'disabled' : ''}>🗑️</button>
+                </div>
+            `).join('')}
+        </div>
+        <form class="taxonomia-form">
+            <input type="color" name="color" value="${COLORES_CATEGORIA[Taxonomia.categorias.length % COLORES_CATEGORIA.length]}" title="Color">
+            <input type="text" name="nombre" placeholder="Nueva categoría" required>
+            <button type="submit" class="btn">➕ Crear</button>
+        </form>
+
+        <h4>Hashtags</h4>
+        <div class="importar-lista">
+            ${hashtags.length === 0 ? '<p class="historial-ayuda">Ninguna plantilla tiene hashtags</p>' : ''}
+            ${hashtags.map(({ hashtag, cantidad }) => `
+                <div class="importar-item taxonomia-item" data-hashtag="${escapeHtml(hashtag)}">
+                    <input type="text" value="${escapeHtml(hashtag)}" data-accion="renombrar">
+                    <small>${cantidad} plantillas</small>
+                    <button type="button" class="btn-fuente" data-accion="eliminar" title="Quitar de todas las plantillas">🗑️</button>
+                </div>
+            `).join('')}
+        </div>
+        <p class="variables-faltantes regla-error"></p>
+
+        <div class="modal-acciones">
+            <button type="button" class="btn btn-secundario" data-accion="cerrar">Cerrar</button>
+        </div>
+    `);
+
+    const error = modal.querySelector('.regla-error');
+
+    // Los errores de la taxonomía se muestran en el panel; el resto se propaga
+    const aplicar = (accion, mensaje) => {
+        let cantidad;
+        try {
+            cantidad = accion();
+        } catch (excepcion) {
+            if (!(excepcion instanceof ErrorTaxonomia)) throw excepcion;
+            error.textContent = `⚠️ ${excepcion.message}`;
+            return false;
+        }
+        refrescarTrasTaxonomia();
+        mostrarTaxonomia();
+        mostrarMensajePersistencia(cantidad ? `${mensaje} (${cantidad} plantillas)` : mensaje, 'success');
+        return true;
+    };
+
+    modal.querySelectorAll('[data-categoria]').forEach(fila => {
+        const nombre = fila.dataset.categoria;
+
+        fila.querySelector('[data-accion="color"]').addEventListener('change', event => {
+            Taxonomia.cambiarColor(nombre, event.target.value);
+            refrescarTrasTaxonomia();
+        });
+
+        fila.querySelector('[data-accion="renombrar"]').addEventListener('change', event => {
+            const nuevo = event.target.value.trim();
+            if (nuevo === nombre) return;
+
+            const existente = Taxonomia.buscarCategoriaParecida(nuevo, nombre);
+            if (!existente) {
+                if (aplicar(() => Taxonomia.renombrarCategoria(nombre, nuevo), '🏷️ Categoría renombrada')) {
+                    reemplazarEnFormulario('categoria', [nombre], nuevo);
+                }
+            } else if (confirm(`Ya existe "${existente}". ¿Fusionar "${nombre}" con ella?`)) {
+                if (aplicar(() => Taxonomia.fusionarCategorias([nombre], existente), '🔗 Categorías fusionadas')) {
+                    reemplazarEnFormulario('categoria', [nombre], existente);
+                }
+            } else {
+                event.target.value = nombre;
+            }
+        });
+
+        fila.querySelector('[data-accion="eliminar"]').addEventListener('click', () => {
+            aplicar(() => Taxonomia.eliminarCategoria(nombre), '🗑️ Categoría eliminada');
+        });
+    });
+
+    modal.querySelector('.taxonomia-form').addEventListener('submit', event => {
+        event.preventDefault();
+        const form = event.target;
+        aplicar(() => {
+            Taxonomia.crearCategoria(form.elements.nombre.value, form.elements.color.value);
+            return 0;
+        }, '🏷️ Categoría creada');
+    });
+
+    modal.querySelectorAll('[data-hashtag]').forEach(fila => {
+        const hashtag = fila.dataset.hashtag;
+
+        fila.querySelector('[data-accion="renombrar"]').addEventListener('change', event => {
+            const limpios = Template.normalizarHashtags(event.target.value);
+            const nuevo = limpios.length === 1 ? limpios[0] : event.target.value;
+            if (nuevo === hashtag) return;
+
+            const existe = hashtags.some(item => item.hashtag === nuevo);
+            if (existe && !confirm(`Ya existe ${nuevo}. ¿Fusionar ${hashtag} con él?`)) {
+                event.target.value = hashtag;
+                return;
+            }
+            if (aplicar(() => Taxonomia.renombrarHashtag(hashtag, event.target.value), existe ? '🔗 Hashtags fusionados' : '#️⃣ Hashtag renombrado')) {
+                reemplazarEnFormulario('hashtag', [hashtag], nuevo);
+            }
+        });
+
+        fila.querySelector('[data-accion="eliminar"]').addEventListener('click', () => {
+            if (!confirm(`¿Quitar ${hashtag} de todas las plantillas?`)) return;
+            if (aplicar(() => Taxonomia.eliminarHashtag(hashtag), '🗑️ Hashtag quitado')) {
+                reemplazarEnFormulario('hashtag', [hashtag], null);
+            }
+        });
+    });
+}
+
+/**
+ * Llevar un renombrado o una fusión al formulario en edición y a los filtros activos
+ * @param {string} tipo - 'categoria' o 'hashtag'
+ * @param {string|null} destino - Nuevo nombre (null para quitarlo)
+ */
+function reemplazarEnFormulario(tipo, origenes, destino) {
+    const sustituir = lista => [...new Set(lista.map(valor => (origenes.includes(valor) ? destino : valor)).filter(Boolean))];
+
+    if (tipo === 'categoria') {
+        const selector = document.getElementById('categoria');
+        if (selector && origenes.includes(selector.value)) {
+            // Sin valor elegido el selector no conserva la categoría que ya no existe
+            selector.value = '';
+            actualizarSelectorCategorias();
+            selector.value = destino;
+        }
+        criteriosBusqueda.categorias = sustituir(criteriosBusqueda.categorias);
+    } else {
+        if (hashtagsFormulario.some(hashtag => origenes.includes(hashtag))) {
+            establecerHashtagsFormulario(sustituir(hashtagsFormulario));
+        }
+        criteriosBusqueda.hashtags = sustituir(criteriosBusqueda.hashtags);
+    }
+    actualizarInterfaz();
+}
+
+/**
+ * Refrescar lo que muestra categorías o hashtags tras un cambio
+ */
+function refrescarTrasTaxonomia() {
+    actualizarSelectorCategorias();
+    actualizarSugerenciasHashtags();
+    mostrarResultadosReglas();
+    actualizarInterfaz();
+}
@@ -0,0 +1,346 @@
+/**
+ * templates-view.js - Lista de plantillas en vista de lista, grilla o tabla
+ * Un solo renderizador por plantilla; al actualizar solo se redibujan las que cambiaron.
+ * En orden manual las tarjetas se reordenan arrastrándolas
+ */
+
+const VISTA_KEY = 'whatsapp_templates_vista';
+const VISTAS_PLANTILLAS = ['list', 'grid', 'table'];
+
+// Columnas de la tabla; las que tienen orden usan los de Store.filtrar
+const COLUMNAS_TABLA = [
+    { etiqueta: 'Nombre', orden: 'nombre' },
+    { etiqueta: 'Categoría', orden: 'categoria' },
+    { etiqueta: 'Hashtags', orden: null },
+    { etiqueta: 'Longitud', orden: 'longitud' },
+    { etiqueta: 'Usos', orden: 'usos' },
+    { etiqueta: 'Modificada', orden: 'fechaModificacion' },
+    { etiqueta: '', orden: null }
+];
+
+let vistaPlantillas = obtenerVistaGuardada();
+const htmlDibujado = new WeakMap(); // Elemento → HTML con el que se dibujó, para saber si cambió
+let idArrastrado = null;
+
+/**
+ * Configurar los botones de vista
+ */
+function configurarVistas() {
+    document.querySelectorAll('[data-view]').forEach(boton => {
+        boton.addEventListener('click', () => cambiarVista(boton.dataset.view));
+    });
+    marcarBotonVista();
+
+    // La cabecera de la tabla se redibuja con la lista: escuchar en el contenedor
+    const contenedor = document.getElementById('templatesDisplay');
+    if (contenedor) {
+        contenedor.addEventListener('click', event => {
+            const columna = event.target.closest('[data-ordenar]');
+            if (!columna) return;
+
+            if (criteriosBusqueda.orden === columna.dataset.ordenar) {
+                criteriosBusqueda.direccion = criteriosBusqueda.direccion === 'asc' ? 'desc' : 'asc';
+                actualizarBotonDireccion();
+                actualizarInterfaz();
+            } else {
+                seleccionarOrden(columna.dataset.ordenar);
+            }
+        });
+        configurarArrastre(contenedor);
+    }
+}
+
+/**
+ * Reordenar arrastrando una tarjeta sobre otra (solo las dibujadas como arrastrables)
+ */
+function configurarArrastre(contenedor) {
+    const tarjetaDe = event => event.target.closest('[data-id][draggable="true"]');
+    const limpiarMarcas = () => {
+        contenedor.querySelectorAll('.arrastrando, .destino-arrastre').forEach(elemento => {
+            elemento.classList.remove('arrastrando', 'destino-arrastre');
+        });
+    };
+
+    contenedor.addEventListener('dragstart', event => {
+        const tarjeta = tarjetaDe(event);
+        if (!tarjeta) return;
+
+        idArrastrado = tarjeta.dataset.id;
+        tarjeta.classList.add('arrastrando');
+        if (event.dataTransfer) {
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', idArrastrado);
+        }
+    });
+
+    contenedor.addEventListener('dragover', event => {
+        const tarjeta = tarjetaDe(event);
+        if (!tarjeta || idArrastrado === null) return;
+
+        // Permitir soltar aquí
+        event.preventDefault();
+        contenedor.querySelectorAll('.destino-arrastre').forEach(elemento => {
+            if (elemento !== tarjeta) elemento.classList.remove('destino-arrastre');
+        });
+        if (tarjeta.dataset.id !== idArrastrado) {
+            tarjeta.classList.add('destino-arrastre');
+        }
+    });
+
+    contenedor.addEventListener('drop', event => {
+        const tarjeta = tarjetaDe(event);
+        if (!tarjeta || idArrastrado === null) return;
+
+        event.preventDefault();
+        const movida = Store.mover(idArrastrado, tarjeta.dataset.id);
+        idArrastrado = null;
+        limpiarMarcas();
+        if (movida) {
+            actualizarInterfaz();
+        }
+    });
+
+    contenedor.addEventListener('dragend', () => {
+        idArrastrado = null;
+        limpiarMarcas();
+    });
+}
+
+/**
+ * Vista elegida la última vez (lista si no hay ninguna)
+ */
+function obtenerVistaGuardada() {
+    try {
+        const guardada = localStorage.getItem(VISTA_KEY);
+        return VISTAS_PLANTILLAS.includes(guardada) ? guardada : 'list';
+    } catch (error) {
+        return 'list';
+    }
+}
+
+/**
+ * Cambiar de vista y recordarla
+ */
+function cambiarVista(vista) {
+    if (!VISTAS_PLANTILLAS.includes(vista)) return;
+
+    vistaPlantillas = vista;
+    try {
+        localStorage.setItem(VISTA_KEY, vista);
+    } catch (error) {
+        console.warn('No se pudo guardar la vista:', error);
+    }
+
+    marcarBotonVista();
+    actualizarInterfaz();
+}
+
+/**
+ * Resaltar el botón de la vista activa
+ */
+function marcarBotonVista() {
+    document.querySelectorAll('[data-view]').forEach(boton => {
+        boton.classList.toggle('active', boton.dataset.view === vistaPlantillas);
+    });
+}
+
+/**
+ * Dibujar las plantillas visibles en la vista activa
+ * Si la vista no cambia, conserva los elementos de las plantillas que no cambiaron
+ * @param {Object[]} plantillas - Plantillas ya filtradas y ordenadas
+ * @param {Object} contexto - { total, idiomasConfigurados }
+ */
+function renderizarPlantillas(plantillas, contexto) {
+    const contenedor = document.getElementById('templatesDisplay');
+    if (!contenedor) return;
+
+    if (plantillas.length === 0) {
+        contenedor.innerHTML = contexto.total === 0 ? `
+            <div class="empty-state">
+                <p>📝 No hay plantillas guardadas</p>
+                <p class="text-muted">Crea tu primera plantilla usando el formulario</p>
+            </div>
+        ` : criteriosBusqueda.archivadas && !hayFiltrosActivos() ? `
+            <div class="empty-state">
+                <p>🗄️ No hay plantillas archivadas</p>
+                <p class="text-muted">Archiva una plantilla para sacarla de la lista sin eliminarla</p>
+            </div>
+        ` : `
+            <div class="empty-state">
+                <p>🔍 Ninguna plantilla coincide con la búsqueda</p>
+                <p class="text-muted">Prueba con otros términos o quita algún filtro</p>
+            </div>
+        `;
+        return;
+    }
+
+    let lista = contenedor.querySelector(`[data-vista="${vistaPlantillas}"]`);
+    if (!lista) {
+        contenedor.innerHTML = vistaPlantillas === 'table' ? `
+            <table class="templates-table">
+                <thead><tr></tr></thead>
+                <tbody data-vista="table"></tbody>
+            </table>
+        ` : `<div class="${vistaPlantillas === 'grid' ? 'templates-grid' : 'templates-list'}" data-vista="${vistaPlantillas}"></div>`;
+        lista = contenedor.querySelector('[data-vista]');
+    }
+
+    if (vistaPlantillas === 'table') {
+        contenedor.querySelector('thead tr').innerHTML = renderizarCabeceraTabla();
+    }
+
+    reconciliarElementos(lista, plantillas, plantilla => renderizarTarjetaPlantilla(plantilla, vistaPlantillas, contexto));
+    lista.classList.toggle('reordenable', Boolean(contexto.reordenable) && vistaPlantillas !== 'table');
+}
+
+/**
+ * Poner en el contenedor un elemento por plantilla, en orden, reutilizando los que no cambiaron
+ * Los términos buscados forman parte de la firma: el resaltado depende de ellos
+ */
+function reconciliarElementos(lista, plantillas, renderizar) {
+    const existentes = new Map([...lista.children].map(elemento => [elemento.dataset.id, elemento]));
+    const busqueda = criteriosBusqueda.texto;
+    let anterior = null;
+
+    plantillas.forEach(plantilla => {
+        const clave = String(plantilla.id);
+        const firma = `${busqueda}\u0000${renderizar(plantilla)}`;
+        let elemento = existentes.get(clave);
+        existentes.delete(clave);
+
+        if (!elemento || htmlDibujado.get(elemento) !== firma) {
+            const nuevo = crearElementoDesdeHtml(firma.slice(busqueda.length + 1));
+            htmlDibujado.set(nuevo, firma);
+            resaltarResultados(nuevo);
+            if (elemento) {
+                elemento.replaceWith(nuevo);
+            }
+            elemento = nuevo;
+        }
+
+        const siguiente = anterior ? anterior.nextElementSibling : lista.firstElementChild;
+        if (siguiente !== elemento) {
+            lista.insertBefore(elemento, siguiente);
+        }
+        anterior = elemento;
+    });
+
+    existentes.forEach(elemento => elemento.remove());
+}
+
+/**
+ * Crear un elemento a partir de su HTML (también filas de tabla)
+ */
+function crearElementoDesdeHtml(html) {
+    const molde = document.createElement('template');
+    molde.innerHTML = html.trim();
+    return molde.content.firstElementChild;
+}
+
+/**
+ * Cabecera de la tabla con la columna y dirección del orden activo
+ */
+function renderizarCabeceraTabla() {
+    return COLUMNAS_TABLA.map(({ etiqueta, orden }) => {
+        if (!orden) return `<th>${etiqueta}</th>`;
+
+        const activa = criteriosBusqueda.orden === orden;
+        const flecha = activa ? (criteriosBusqueda.direccion === 'asc' ? ' ⬆️' : ' ⬇️') : '';
+        return `<th><button type="button" class="columna-orden ${activa ? 'active' : ''}" data-ordenar="${orden}">${etiqueta}${flecha}</button></th>`;
+    }).join('');
+}
+
+/**
+ * HTML de una plantilla en cualquier vista: tarjeta en lista y grilla, fila en tabla
+ * Todos los textos de la plantilla pasan por escapeHtml
+ * @param {Object} plantilla - Plantilla del Store
+ * @param {string} vista - 'list', 'grid' o 'table'
+ * @param {Object} contexto - { idiomasConfigurados, reordenable } (opcional)
+ */
+function renderizarTarjetaPlantilla(plantilla, vista = 'list', contexto = {}) {
+    const id = escapeHtml(String(plantilla.id));
+    const hashtags = Template.obtenerHashtags(plantilla);
+    const categoria = plantilla.categoria
+        ? `<span class="template-category" style="--color-categoria: ${Taxonomia.colorDe(plantilla.categoria)}">${escapeHtml(plantilla.categoria)}</span>`
+        : '';
+    const boton = (accion, clase, titulo, icono) => `
+        <button onclick="${accion}(${id})" class="${clase}" title="${titulo}">${icono}</button>
+    `;
+    const marcas = `
+        <button onclick="alternarFavorita(${id})" class="btn-marca ${plantilla.favorita ? 'activa' : ''}"
+                title="${plantilla.favorita ? 'Quitar de favoritas' : 'Marcar como favorita'}" aria-pressed="${Boolean(plantilla.favorita)}">${plantilla.favorita ? '⭐' : '☆'}</button>
+        <button onclick="alternarFijada(${id})" class="btn-marca ${plantilla.fijada ? 'activa' : ''}"
+                title="${plantilla.fijada ? 'Desfijar' : 'Fijar arriba'}" aria-pressed="${Boolean(plantilla.fijada)}">📌</button>
+    `;
+    const archivar = plantilla.archivada
+        ? boton('alternarArchivada', 'btn-archive', 'Devolver a la lista', '📤')
+        : boton('alternarArchivada', 'btn-archive', 'Archivar', '🗄️');
+    const clases = ['fijada', 'favorita', 'archivada'].filter(campo => plantilla[campo]).join(' ');
+
+    if (vista === 'table') {
+        return `
+            <tr data-id="${id}" class="${clases}">
+                <td><span class="template-marcas">${marcas}</span> <span data-resaltable>${escapeHtml(plantilla.nombre)}</span></td>
+                <td>${categoria}</td>
+                <td class="template-hashtag">${escapeHtml(hashtags.join(' '))}</td>
+                <td>${escapeHtml(String(plantilla.contenido.length))}</td>
+                <td>${escapeHtml(String(plantilla.usos || 0))}</td>
+                <td>${escapeHtml(formatearFecha(plantilla.fechaModificacion))}</td>
+                <td class="template-actions">
+                    ${boton('usarPlantilla', 'btn-use', 'Usar plantilla', '▶️')}
+                    ${boton('copiarPlantilla', 'btn-copy', 'Copiar', '📋')}
+                    ${boton('editarPlantilla', 'btn-edit', 'Editar', '✏️')}
+                    ${boton('duplicarPlantilla', 'btn-duplicate', 'Duplicar', '📄')}
+                    ${boton('mostrarColeccionesPlantilla', 'btn-collections', 'Colecciones', '📁')}
+                    ${archivar}
+                    ${boton('confirmarEliminarPlantilla', 'btn-delete', 'Eliminar', '🗑️')}
+                </td>
+            </tr>
+        `;
+    }
+
+    const faltantes = Template.traduccionesFaltantes(plantilla, contexto.idiomasConfigurados || []);
+    const colecciones = Colecciones.coleccionesDe(plantilla);
+
+    return `
+        <div class="template-card ${clases} ${tarjetasConFuente.has(plantilla.id) ? 'mostrar-fuente' : ''}" data-id="${id}"
+             ${contexto.reordenable ? 'draggable="true" title="Arrastra para cambiar el orden"' : ''}>
+            <div class="template-header">
+                <span class="template-marcas">${marcas}</span>
+                <h3 class="template-title" data-resaltable>${escapeHtml(plantilla.nombre)}</h3>
+                <div class="template-actions">
+                    ${boton('usarPlantilla', 'btn-use', 'Usar plantilla', '▶️')}
+                    ${boton('copiarPlantilla', 'btn-copy', 'Copiar', '📋')}
+                    ${boton('abrirPlantillaEnWhatsApp', 'btn-whatsapp', 'Abrir en WhatsApp', '💬')}
+                    ${boton('mostrarEnvioLote', 'btn-lote', 'Mensajes en lote desde un CSV', '📨')}
+                    ${boton('alternarFuenteTarjeta', 'btn-source', 'Ver fuente', '&lt;/&gt;')}
+                    ${boton('mostrarHistorial', 'btn-history', 'Historial', '🕘')}
+                    ${boton('editarPlantilla', 'btn-edit', 'Editar', '✏️')}
+                    ${boton('duplicarPlantilla', 'btn-duplicate', 'Duplicar', '📄')}
+                    ${boton('mostrarColeccionesPlantilla', 'btn-collections', 'Colecciones', '📁')}
+                    ${archivar}
+                    ${boton('confirmarEliminarPlantilla', 'btn-delete', 'Eliminar', '🗑️')}
+                </div>
+            </div>
+            <div class="template-content" data-resaltable>
+                ${renderizarBurbujaWhatsApp(Template.expandirFragmentos(plantilla.contenido), Template.expandir(plantilla))}
+                <pre class="wa-fuente">${escapeHtml(plantilla.contenido)}</pre>
+                ${categoria}
+                ${hashtags.length > 0 ? `<span class="template-hashtag">${escapeHtml(hashtags.join(' '))}</span>` : ''}
+            </div>
+            <div class="template-meta">
+                <small>Creada: ${escapeHtml(formatearFecha(plantilla.fechaCreacion))}</small>
+                ${plantilla.fechaModificacion !== plantilla.fechaCreacion
+                    ? `<small>Modificada: ${escapeHtml(formatearFecha(plantilla.fechaModificacion))}</small>` : ''}
+                ${plantilla.usos ? `<small>Usos: ${escapeHtml(String(plantilla.usos))}</small>` : ''}
+                ${colecciones.length > 0
+                    ? `<small title="Colecciones">📁 ${colecciones.map(coleccion => escapeHtml(Colecciones.ruta(coleccion.id))).join(' · ')}</small>`
+                    : ''}
+                <small title="Idiomas disponibles">🌐 ${Template.idiomasDe(plantilla).map(idioma => escapeHtml(idioma.toUpperCase())).join(' · ')}</small>
+                ${faltantes.length > 0
+                    ? `<small class="idioma-faltante">⚠️ Falta ${faltantes.map(idioma => escapeHtml(idioma.toUpperCase())).join(', ')}</small>`
+                    : ''}
+            </div>
+        </div>
+    `;
+}
@@ -0,0 +1,240 @@
+/**
+ * translations.js - Traducciones de las plantillas en el formulario e informe de faltantes
+ * El formulario muestra un idioma cada vez; los demás se guardan aquí hasta enviar
+ */
+
+let idiomaFormulario = null;  // Idioma que se ve ahora en el formulario
+let textosPorIdioma = {};     // idioma -> { contenido, encabezado, pie, botones } mientras se edita
+
+/**
+ * Configurar los selectores de idioma y de formato regional
+ */
+function configurarIdiomas() {
+    const idiomaEdicion = document.getElementById('idioma-edicion');
+    if (idiomaEdicion) {
+        idiomaEdicion.addEventListener('change', () => cambiarIdiomaFormulario(idiomaEdicion.value));
+    }
+
+    const idiomaPorDefecto = document.getElementById('idioma-por-defecto');
+    if (idiomaPorDefecto) {
+        idiomaPorDefecto.addEventListener('change', () => {
+            actualizarEstadoIdiomas();
+            manejarCambioAutomatico();
+        });
+    }
+
+    const btnIdiomas = document.getElementById('btn-idiomas');
+    if (btnIdiomas) {
+        btnIdiomas.addEventListener('click', mostrarInformeTraducciones);
+    }
+
+    const locale = document.getElementById('locale-interfaz');
+    if (locale) {
+        locale.innerHTML = Object.entries(LOCALES_INTERFAZ).map(([codigo, nombre]) => `
+            <option value="${codigo}" ${codigo === obtenerLocaleInterfaz() ? 'selected' : ''}>${escapeHtml(nombre)}</option>
+        `).join('');
+        locale.addEventListener('change', () => {
+            guardarLocaleInterfaz(locale.value);
+            actualizarInterfaz();
+            mostrarMensajePersistencia(`📅 Fechas en formato ${LOCALES_INTERFAZ[locale.value]}`, 'success');
+        });
+    }
+
+    prepararIdiomasFormulario(null);
+}
+
+/**
+ * Preparar los idiomas del formulario para una plantilla (o para una nueva con null)
+ */
+function prepararIdiomasFormulario(plantilla) {
+    const configurados = obtenerIdiomasConfigurados();
+
+    if (plantilla) {
+        const idiomaPorDefecto = plantilla.idiomaPorDefecto || configurados[0];
+        textosPorIdioma = {
+            ...structuredClone(plantilla.variantes || {}),
+            [idiomaPorDefecto]: {
+                contenido: plantilla.contenido || '',
+                encabezado: plantilla.encabezado || '',
+                pie: plantilla.pie || '',
+                botones: structuredClone(plantilla.botones || [])
+            }
+        };
+        idiomaFormulario = idiomaPorDefecto;
+    } else {
+        textosPorIdioma = {};
+        idiomaFormulario = configurados[0];
+    }
+
+    // Se ofrecen los idiomas configurados y los que ya tenga la plantilla
+    const idiomas = [...new Set([...configurados, ...Object.keys(textosPorIdioma)])];
+    const idiomaEdicion = document.getElementById('idioma-edicion');
+    if (idiomaEdicion) {
+        idiomaEdicion.innerHTML = opcionesIdioma(idiomas, idiomaFormulario);
+    }
+    const idiomaPorDefecto = document.getElementById('idioma-por-defecto');
+    if (idiomaPorDefecto) {
+        idiomaPorDefecto.innerHTML = opcionesIdioma(idiomas, idiomaFormulario);
+    }
+
+    actualizarEstadoIdiomas();
+}
+
+/**
+ * Guardar lo escrito en el formulario como textos del idioma visible
+ */
+function guardarTextosIdiomaActual() {
+    const contenido = document.getElementById('contenido');
+    if (!idiomaFormulario || !contenido) return;
+
+    const partes = leerPartesFormulario();
+    textosPorIdioma[idiomaFormulario] = {
+        contenido: contenido.value.trim(),
+        encabezado: partes.encabezado,
+        pie: partes.pie,
+        botones: partes.botones
+    };
+}
+
+/**
+ * Mostrar otro idioma en el formulario
+ * Un idioma sin traducir empieza vacío, con los mismos botones para traducir sus textos
+ */
+function cambiarIdiomaFormulario(idioma) {
+    guardarTextosIdiomaActual();
+
+    const base = textosPorIdioma[document.getElementById('idioma-por-defecto').value] || {};
+    const textos = textosPorIdioma[idioma] || {
+        contenido: '',
+        encabezado: '',
+        pie: '',
+        botones: structuredClone(base.botones || [])
+    };
+    idiomaFormulario = idioma;
+
+    document.getElementById('contenido').value = textos.contenido || '';
+    document.getElementById('encabezado').value = textos.encabezado || '';
+    document.getElementById('pie').value = textos.pie || '';
+    renderizarBotonesFormulario(textos.botones || []);
+    actualizarCamposVariables();
+    actualizarVistaPrevia();
+}
+
+/**
+ * Completar los campos del formulario con el idioma por defecto y las traducciones
+ * @param {Object} campos - Campos leídos del formulario (textos del idioma visible)
+ * @returns {Object} Campos con los textos del idioma por defecto, idiomaPorDefecto y variantes
+ */
+function combinarIdiomasFormulario(campos) {
+    guardarTextosIdiomaActual();
+
+    const selector = document.getElementById('idioma-por-defecto');
+    const idiomaPorDefecto = selector && selector.value ? selector.value : idiomaFormulario;
+    if (!idiomaPorDefecto) return campos;
+
+    const base = textosPorIdioma[idiomaPorDefecto] || { contenido: '', encabezado: '', pie: '', botones: [] };
+    const variantes = {};
+    Object.entries(textosPorIdioma).forEach(([idioma, textos]) => {
+        if (idioma !== idiomaPorDefecto && textos.contenido) {
+            variantes[idioma] = structuredClone(textos);
+        }
+    });
+
+    return {
+        ...campos,
+        contenido: base.contenido,
+        encabezado: campos.tipoEncabezado ? base.encabezado : '',
+        pie: base.pie,
+        botones: structuredClone(base.botones),
+        idiomaPorDefecto,
+        variantes
+    };
+}
+
+/**
+ * Indicar en el formulario qué idiomas tienen ya mensaje
+ */
+function actualizarEstadoIdiomas() {
+    const estado = document.getElementById('idiomas-estado');
+    if (!estado) return;
+
+    // El idioma visible se mira en el formulario: puede no estar guardado aún
+    const contenido = document.getElementById('contenido');
+    const selector = document.getElementById('idioma-por-defecto');
+    const idiomaPorDefecto = selector ? selector.value : idiomaFormulario;
+    const idiomas = [...new Set([...obtenerIdiomasConfigurados(), ...Object.keys(textosPorIdioma)])];
+
+    estado.innerHTML = idiomas.map(idioma => {
+        const traducido = idioma === idiomaFormulario
+            ? Boolean(contenido && contenido.value.trim())
+            : Boolean(textosPorIdioma[idioma] && textosPorIdioma[idioma].contenido);
+        return `
+            <span class="idioma-chip ${traducido ? '' : 'idioma-faltante'} ${idioma === idiomaFormulario ? 'idioma-actual' : ''}"
+                  title="${traducido ? 'Traducido' : 'Sin traducir'}">
+                ${traducido ? '✅' : '⚠️'} ${escapeHtml(idioma.toUpperCase())}${idioma === idiomaPorDefecto ? ' ★' : ''}
+            </span>
+        `;
+    }).join('');
+}
+
+/**
+ * Informe de traducciones: idiomas configurados y plantillas a las que les falta alguno
+ */
+function mostrarInformeTraducciones() {
+    const configurados = obtenerIdiomasConfigurados();
+    const incompletas = Store.obtenerTodas()
+        .map(plantilla => ({ plantilla, faltan: Template.traduccionesFaltantes(plantilla, configurados) }))
+        .filter(({ faltan }) => faltan.length > 0);
+
+    const modal = abrirModal('modal-idiomas', `
+        <h3>🌐 Idiomas y traducciones</h3>
+        <p class="historial-ayuda">Idiomas en los que debería estar cada plantilla (el primero es el de las nuevas):</p>
+        <div class="idiomas-configurados">
+            ${Object.keys(IDIOMAS_CONOCIDOS).map(idioma => `
+                <label>
+                    <input type="checkbox" value="${idioma}" ${configurados.includes(idioma) ? 'checked' : ''}>
+                    ${escapeHtml(nombreIdioma(idioma))}
+                </label>
+            `).join('')}
+        </div>
+        <p class="importar-resumen">
+            ${incompletas.length === 0
+                ? '✅ Todas las plantillas están traducidas'
+                : `${incompletas.length} de ${Store.obtenerTodas().length} plantillas sin traducir a algún idioma`}
+        </p>
+        <div class="importar-lista">
+            ${incompletas.map(({ plantilla, faltan }) => `
+                <div class="importar-item">
+                    <span>⚠️ ${faltan.map(idioma => escapeHtml(idioma.toUpperCase())).join(', ')}</span>
+                    <strong>${escapeHtml(plantilla.nombre)}</strong>
+                    <button type="button" class="btn-fuente" data-traducir="${plantilla.id}" data-idioma="${escapeHtml(faltan[0])}">✏️ Traducir</button>
+                </div>
+            `).join('')}
+        </div>
+        <div class="modal-acciones">
+            <button type="button" class="btn btn-secundario" data-accion="cerrar">Cerrar</button>
+        </div>
+    `);
+
+    modal.querySelector('.idiomas-configurados').addEventListener('change', () => {
+        const marcados = [...modal.querySelectorAll('.idiomas-configurados input:checked')].map(input => input.value);
+        if (!guardarIdiomasConfigurados(marcados)) {
+            mostrarMensajePersistencia('⚠️ Elige al menos un idioma', 'warning');
+        }
+        if (!plantillaEditandoId) {
+            prepararIdiomasFormulario(null);
+        }
+        actualizarInterfaz();
+        mostrarInformeTraducciones();
+    });
+
+    modal.querySelector('.importar-lista').addEventListener('click', event => {
+        const boton = event.target.closest('[data-traducir]');
+        if (!boton) return;
+
+        cerrarModal('modal-idiomas');
+        editarPlantilla(Number(boton.dataset.traducir) || boton.dataset.traducir);
+        document.getElementById('idioma-edicion').value = boton.dataset.idioma;
+        cambiarIdiomaFormulario(boton.dataset.idioma);
+    });
+}
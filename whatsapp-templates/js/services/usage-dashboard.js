@@ -0,0 +1,283 @@
+/**
+ * usage-dashboard.js - Panel de estadísticas de uso
+ * Más usadas, sin usar, usos por categoría y hashtag en el tiempo y longitud media
+ */
+
+// Periodos del panel y tamaño de cada intervalo de la serie temporal
+const PERIODOS_ESTADISTICAS = {
+    '7': { etiqueta: 'Últimos 7 días', dias: 7, unidad: 'dia' },
+    '30': { etiqueta: 'Últimos 30 días', dias: 30, unidad: 'semana' },
+    '90': { etiqueta: 'Últimos 90 días', dias: 90, unidad: 'semana' },
+    'todo': { etiqueta: 'Todo', dias: null, unidad: 'mes' }
+};
+
+const MAX_MAS_USADAS = 10;
+const MESES_SERIE_COMPLETA = 12; // "Todo" muestra en la serie solo los últimos meses
+
+/**
+ * Clave del intervalo (día, semana que empieza en lunes o mes) de una fecha, en UTC
+ */
+function claveIntervalo(fecha, unidad) {
+    const dia = new Date(Date.UTC(fecha.getUTCFullYear(), fecha.getUTCMonth(), fecha.getUTCDate()));
+    if (unidad === 'mes') {
+        return dia.toISOString().slice(0, 7);
+    }
+    if (unidad === 'semana') {
+        dia.setUTCDate(dia.getUTCDate() - (dia.getUTCDay() + 6) % 7);
+    }
+    return dia.toISOString().slice(0, 10);
+}
+
+/**
+ * Intervalos de la serie temporal, del más antiguo a hoy
+ */
+function intervalosPeriodo(periodo, ahora) {
+    const claves = [];
+    const fecha = new Date(ahora);
+
+    if (periodo.unidad === 'mes') {
+        fecha.setUTCDate(1);
+        for (let i = 0; i < MESES_SERIE_COMPLETA; i++) {
+            claves.unshift(claveIntervalo(fecha, 'mes'));
+            fecha.setUTCMonth(fecha.getUTCMonth() - 1);
+        }
+        return claves;
+    }
+
+    for (let i = 0; i < periodo.dias; i++) {
+        const clave = claveIntervalo(fecha, periodo.unidad);
+        if (!claves.includes(clave)) {
+            claves.unshift(clave);
+        }
+        fecha.setUTCDate(fecha.getUTCDate() - 1);
+    }
+    return claves;
+}
+
+/**
+ * Calcular los datos del panel
+ * @param {Object[]} plantillas - Plantillas del Store
+ * @param {Object[]} eventos - Eventos de RegistroUso
+ * @param {string} clavePeriodo - Clave de PERIODOS_ESTADISTICAS
+ * @returns {Object} Datos listos para mostrar o exportar
+ */
+function calcularEstadisticasUso(plantillas, eventos, clavePeriodo = '30', ahora = new Date()) {
+    const periodo = PERIODOS_ESTADISTICAS[clavePeriodo] || PERIODOS_ESTADISTICAS['30'];
+    const desde = periodo.dias ? new Date(ahora.getTime() - periodo.dias * MS_POR_DIA) : null;
+    const delPeriodo = desde
+        ? eventos.filter(evento => new Date(evento.fecha) >= desde)
+        : eventos;
+    const intervalos = intervalosPeriodo(periodo, ahora);
+
+    const porTipo = {};
+    Object.keys(TIPOS_USO).forEach(tipo => {
+        porTipo[tipo] = delPeriodo.filter(evento => evento.tipo === tipo).length;
+    });
+
+    const usosPorPlantilla = {};
+    delPeriodo.forEach(evento => {
+        usosPorPlantilla[evento.id] = (usosPorPlantilla[evento.id] || 0) + 1;
+    });
+
+    // En "Todo" cuentan también los usos anteriores al registro de eventos
+    const usosDe = plantilla => desde
+        ? usosPorPlantilla[plantilla.id] || 0
+        : Math.max(usosPorPlantilla[plantilla.id] || 0, plantilla.usos || 0);
+
+    const masUsadas = plantillas
+        .map(plantilla => ({ id: plantilla.id, nombre: plantilla.nombre, usos: usosDe(plantilla), ultimoUso: plantilla.ultimoUso || null }))
+        .filter(item => item.usos > 0)
+        .sort((a, b) => b.usos - a.usos || a.nombre.localeCompare(b.nombre))
+        .slice(0, MAX_MAS_USADAS);
+
+    const nuncaUsadas = plantillas
+        .filter(plantilla => usosDe(plantilla) === 0)
+        .map(plantilla => ({ id: plantilla.id, nombre: plantilla.nombre, fechaCreacion: plantilla.fechaCreacion }));
+
+    // Usos de cada categoría o hashtag en cada intervalo (un uso cuenta en cada hashtag de la plantilla)
+    const agrupar = (nombresDe, sinValor) => {
+        const grupos = {};
+        delPeriodo.forEach(evento => {
+            const nombres = nombresDe(evento).filter(Boolean);
+            const posicion = intervalos.indexOf(claveIntervalo(new Date(evento.fecha), periodo.unidad));
+            (nombres.length > 0 ? nombres : [sinValor]).forEach(nombre => {
+                const grupo = grupos[nombre] || (grupos[nombre] = { nombre, total: 0, serie: intervalos.map(() => 0) });
+                grupo.total++;
+                if (posicion !== -1) {
+                    grupo.serie[posicion]++;
+                }
+            });
+        });
+        return Object.values(grupos).sort((a, b) => b.total - a.total);
+    };
+
+    const media = valores => valores.length > 0
+        ? Math.round(valores.reduce((total, valor) => total + valor, 0) / valores.length)
+        : null;
+
+    return {
+        generado: ahora.toISOString(),
+        periodo: clavePeriodo,
+        desde: desde ? desde.toISOString() : null,
+        unidad: periodo.unidad,
+        totales: {
+            usos: delPeriodo.length,
+            porTipo,
+            plantillas: plantillas.length,
+            nuncaUsadas: nuncaUsadas.length
+        },
+        masUsadas,
+        nuncaUsadas,
+        intervalos,
+        porCategoria: agrupar(evento => [evento.categoria], 'Sin categoría'),
+        // Los eventos anteriores al esquema v6 guardaban el hashtag como texto libre
+        porHashtag: agrupar(evento => Template.obtenerHashtags(evento), 'Sin hashtag'),
+        longitudMedia: {
+            plantillas: media(plantillas.map(plantilla => Template.componerMensaje(plantilla, plantilla.valoresPorDefecto).length)),
+            mensajes: media(delPeriodo.filter(evento => Number.isInteger(evento.longitud)).map(evento => evento.longitud))
+        }
+    };
+}
+
+/**
+ * Etiqueta corta de un intervalo según el formato regional de la interfaz
+ */
+function etiquetaIntervalo(clave, unidad) {
+    const opciones = unidad === 'mes'
+        ? { month: 'short', year: '2-digit', timeZone: 'UTC' }
+        : { day: 'numeric', month: 'short', timeZone: 'UTC' };
+    return new Date(unidad === 'mes' ? `${clave}-01` : clave).toLocaleDateString(obtenerLocaleInterfaz(), opciones);
+}
+
+/**
+ * Tabla de usos por grupo (categoría o hashtag) e intervalo
+ */
+function renderizarSerieUso(grupos, datos) {
+    if (grupos.length === 0) {
+        return '<p class="historial-ayuda">Sin usos en este periodo</p>';
+    }
+
+    const maximo = Math.max(...grupos.flatMap(grupo => grupo.serie), 1);
+    return `
+        <div class="estadisticas-serie">
+            <table>
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${datos.intervalos.map(clave => `<th>${escapeHtml(etiquetaIntervalo(clave, datos.unidad))}</th>`).join('')}
+                        <th>Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${grupos.map(grupo => `
+                        <tr>
+                            <th>${escapeHtml(grupo.nombre)}</th>
+                            ${grupo.serie.map(usos => `
+                                <td class="uso-celda" style="--nivel: ${(usos / maximo).toFixed(2)}">${usos || ''}</td>
+                            `).join('')}
+                            <td><strong>${grupo.total}</strong></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Mostrar el panel de estadísticas de uso
+ */
+function mostrarEstadisticasUso(clavePeriodo = '30') {
+    const datos = calcularEstadisticasUso(Store.obtenerTodas(), RegistroUso.obtenerDesde(), clavePeriodo);
+    const maximoUsos = datos.masUsadas.length > 0 ? datos.masUsadas[0].usos : 1;
+
+    const modal = abrirModal('modal-estadisticas', `
+        <h3>📊 Estadísticas de uso</h3>
+        <div class="form-group">
+            <select class="periodo-estadisticas">
+                ${Object.entries(PERIODOS_ESTADISTICAS).map(([clave, periodo]) => `
+                    <option value="${clave}" ${clave === datos.periodo ? 'selected' : ''}>${escapeHtml(periodo.etiqueta)}</option>
+                `).join('')}
+            </select>
+        </div>
+        <div class="estadisticas-resumen">
+            <div><strong>${datos.totales.usos}</strong><small>usos</small></div>
+            ${Object.entries(TIPOS_USO).map(([tipo, etiqueta]) => `
+                <div><strong>${datos.totales.porTipo[tipo]}</strong><small>${escapeHtml(etiqueta)}</small></div>
+            `).join('')}
+            <div><strong>${datos.totales.nuncaUsadas}</strong><small>sin usar</small></div>
+            <div>
+                <strong>${datos.longitudMedia.mensajes !== null ? datos.longitudMedia.mensajes : '—'}</strong>
+                <small>caracteres por mensaje (plantillas: ${datos.longitudMedia.plantillas !== null ? datos.longitudMedia.plantillas : '—'})</small>
+            </div>
+        </div>
+
+        <h4>🏆 Más usadas</h4>
+        <div class="importar-lista">
+            ${datos.masUsadas.length === 0 ? '<p class="historial-ayuda">Sin usos en este periodo</p>' : ''}
+            ${datos.masUsadas.map(item => `
+                <div class="importar-item estadisticas-barra" style="--nivel: ${(item.usos / maximoUsos).toFixed(2)}">
+                    <span>${item.usos} usos</span>
+                    <strong>${escapeHtml(item.nombre)}</strong>
+                    ${item.ultimoUso ? `<small>Último: ${formatearFecha(item.ultimoUso)}</small>` : ''}
+                </div>
+            `).join('')}
+        </div>
+
+        <h4>💤 Sin usar (${datos.nuncaUsadas.length})</h4>
+        <div class="importar-lista">
+            ${datos.nuncaUsadas.length === 0 ? '<p class="historial-ayuda">Todas las plantillas se han usado</p>' : ''}
+            ${datos.nuncaUsadas.map(item => `
+                <div class="importar-item">
+                    <strong>${escapeHtml(item.nombre)}</strong>
+                    <small>Creada: ${formatearFecha(item.fechaCreacion)}</small>
+                </div>
+            `).join('')}
+        </div>
+
+        <h4>📂 Por categoría</h4>
+        ${renderizarSerieUso(datos.porCategoria, datos)}
+
+        <h4>#️⃣ Por hashtag</h4>
+        ${renderizarSerieUso(datos.porHashtag, datos)}
+
+        <div class="modal-acciones">
+            <button type="button" class="btn btn-secundario" data-accion="cerrar">Cerrar</button>
+            <button type="button" class="btn" data-accion="exportar-csv">📤 Eventos CSV</button>
+            <button type="button" class="btn" data-accion="exportar-json">📤 Resumen JSON</button>
+        </div>
+    `);
+
+    modal.querySelector('.periodo-estadisticas').addEventListener('change', event => {
+        mostrarEstadisticasUso(event.target.value);
+    });
+
+    modal.querySelector('[data-accion="exportar-json"]').addEventListener('click', () => {
+        descargarArchivo(`estadisticas-${fechaParaArchivo()}.json`, JSON.stringify(datos, null, 2), 'application/json');
+    });
+
+    modal.querySelector('[data-accion="exportar-csv"]').addEventListener('click', () => {
+        exportarEventosUsoCSV(RegistroUso.obtenerDesde(datos.desde));
+    });
+}
+
+/**
+ * Exportar los eventos de uso como CSV, con el nombre actual de cada plantilla
+ */
+function exportarEventosUsoCSV(eventos) {
+    const filas = eventos.map(evento => {
+        const plantilla = Store.obtenerPorId(evento.id);
+        return {
+            ...evento,
+            nombre: plantilla ? plantilla.nombre : '(eliminada)',
+            hashtags: Template.obtenerHashtags(evento).join(' ')
+        };
+    });
+
+    descargarArchivo(
+        `usos-${fechaParaArchivo()}.csv`,
+        '\uFEFF' + convertirACSV(filas, ['fecha', 'tipo', 'id', 'nombre', 'categoria', 'hashtags', 'longitud']),
+        'text/csv'
+    );
+    mostrarMensajePersistencia(`📤 ${eventos.length} usos exportados a CSV`, 'success');
+}
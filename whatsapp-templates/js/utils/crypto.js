@@ -0,0 +1,175 @@
+/**
+ * crypto.js - Cifrado con frase mediante la Web Crypto API
+ * La clave se deriva de la frase con PBKDF2 (SHA-256) y los datos se cifran con AES-GCM,
+ * que además detecta cualquier alteración del texto cifrado
+ */
+
+const FORMATO_CIFRADO = 'whatsapp-templates-cifrado';
+const VERSION_CIFRADO = 1;
+const ITERACIONES_PBKDF2 = 600000;
+const ITERACIONES_PBKDF2_MAXIMAS = 10000000; // Un archivo alterado no puede bloquear el navegador
+const BYTES_SAL = 16;
+const BYTES_IV = 12;
+
+/**
+ * Error al descifrar: frase incorrecta, datos alterados o sobre incompleto
+ * El mensaje se muestra tal cual al usuario
+ */
+class ErrorCifrado extends Error {
+    constructor(motivo) {
+        super(motivo);
+        this.name = 'ErrorCifrado';
+    }
+}
+
+/**
+ * Comprobar si el navegador permite cifrar (la Web Crypto API exige un contexto seguro)
+ */
+function cifradoDisponible() {
+    return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+}
+
+/**
+ * Comprobar si unos datos son un sobre cifrado por esta aplicación
+ */
+function esSobreCifrado(datos) {
+    return Boolean(datos) && typeof datos === 'object' && datos.formato === FORMATO_CIFRADO;
+}
+
+/**
+ * Obtener el sobre cifrado de un texto JSON, o null si el texto no es un sobre
+ */
+function leerSobreCifrado(texto) {
+    try {
+        const datos = JSON.parse(texto);
+        return esSobreCifrado(datos) ? datos : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Derivar la clave AES-GCM de una frase
+ * @param {string} frase - Frase de cifrado
+ * @param {Uint8Array} sal - Sal aleatoria (una nueva si no se indica)
+ * @param {number} iteraciones - Iteraciones de PBKDF2
+ * @returns {Promise<{clave: CryptoKey, sal: string, iteraciones: number}>} Sal en base64
+ */
+async function crearClaveCifrado(frase, sal = crypto.getRandomValues(new Uint8Array(BYTES_SAL)), iteraciones = ITERACIONES_PBKDF2) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(frase), 'PBKDF2', false, ['deriveKey']);
+    const clave = await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: sal, iterations: iteraciones, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+    return { clave, sal: aBase64(sal), iteraciones };
+}
+
+/**
+ * Cifrar un texto con una clave ya derivada (un IV nuevo en cada llamada)
+ * @returns {Promise<Object>} Sobre con todo lo necesario para descifrarlo salvo la frase
+ */
+async function cifrarConClave(texto, claveCifrado) {
+    const iv = crypto.getRandomValues(new Uint8Array(BYTES_IV));
+    const cifrado = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, claveCifrado.clave, new TextEncoder().encode(texto));
+
+    return {
+        formato: FORMATO_CIFRADO,
+        version: VERSION_CIFRADO,
+        kdf: { algoritmo: 'PBKDF2-SHA-256', iteraciones: claveCifrado.iteraciones, sal: claveCifrado.sal },
+        algoritmo: 'AES-GCM',
+        iv: aBase64(iv),
+        datos: aBase64(new Uint8Array(cifrado))
+    };
+}
+
+/**
+ * Descifrar un sobre con una clave ya derivada
+ * @throws {ErrorCifrado} Sobre dañado, otra frase o datos alterados
+ */
+async function descifrarConClave(sobre, claveCifrado) {
+    comprobarSobre(sobre);
+    if (sobre.kdf.sal !== claveCifrado.sal || sobre.kdf.iteraciones !== claveCifrado.iteraciones) {
+        throw new ErrorCifrado('Estos datos se cifraron con otra frase');
+    }
+
+    try {
+        const descifrado = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: deBase64(sobre.iv) },
+            claveCifrado.clave,
+            deBase64(sobre.datos)
+        );
+        return new TextDecoder().decode(descifrado);
+    } catch (error) {
+        // AES-GCM no distingue una frase incorrecta de unos datos alterados
+        throw new ErrorCifrado('Frase incorrecta o datos alterados');
+    }
+}
+
+/**
+ * Derivar la clave de un sobre a partir de la frase (con su sal e iteraciones)
+ */
+async function claveDeSobre(sobre, frase) {
+    comprobarSobre(sobre);
+    return crearClaveCifrado(frase, deBase64(sobre.kdf.sal), sobre.kdf.iteraciones);
+}
+
+/**
+ * Cifrar un texto con una frase
+ */
+async function cifrarTexto(texto, frase) {
+    return cifrarConClave(texto, await crearClaveCifrado(frase));
+}
+
+/**
+ * Descifrar un sobre con una frase
+ * @throws {ErrorCifrado} Frase incorrecta, datos alterados o sobre dañado
+ */
+async function descifrarTexto(sobre, frase) {
+    return descifrarConClave(sobre, await claveDeSobre(sobre, frase));
+}
+
+/**
+ * Validar la forma del sobre antes de usar sus parámetros
+ * @throws {ErrorCifrado} Si falta algo o los parámetros no son razonables
+ */
+function comprobarSobre(sobre) {
+    const valido = esSobreCifrado(sobre) &&
+        sobre.version === VERSION_CIFRADO &&
+        sobre.algoritmo === 'AES-GCM' &&
+        sobre.kdf && sobre.kdf.algoritmo === 'PBKDF2-SHA-256' &&
+        Number.isInteger(sobre.kdf.iteraciones) &&
+        sobre.kdf.iteraciones > 0 && sobre.kdf.iteraciones <= ITERACIONES_PBKDF2_MAXIMAS &&
+        [sobre.kdf.sal, sobre.iv, sobre.datos].every(valor => typeof valor === 'string' && esBase64(valor));
+
+    if (!valido) {
+        throw new ErrorCifrado('Los datos cifrados están incompletos o dañados');
+    }
+}
+
+/**
+ * Bytes → base64 (por trozos: String.fromCharCode no admite millones de argumentos)
+ */
+function aBase64(bytes) {
+    let binario = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binario += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binario);
+}
+
+/**
+ * Base64 → bytes
+ */
+function deBase64(texto) {
+    return Uint8Array.from(atob(texto), caracter => caracter.charCodeAt(0));
+}
+
+/**
+ * Comprobar que un texto es base64 válido
+ */
+function esBase64(texto) {
+    return /^[A-Za-z0-9+/]*={0,2}$/.test(texto) && texto.length % 4 === 0;
+}
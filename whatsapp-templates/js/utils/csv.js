@@ -0,0 +1,110 @@
+/**
+ * csv.js - Lectura y escritura de CSV
+ * Sigue RFC 4180: campos entre comillas, comillas dobladas y saltos de línea dentro de campos
+ */
+
+/**
+ * Convertir una lista de objetos a texto CSV
+ * @param {Object[]} filas - Objetos a exportar
+ * @param {string[]} columnas - Propiedades a incluir, en orden
+ * @returns {string} CSV con fila de cabecera
+ */
+function convertirACSV(filas, columnas) {
+    const escaparCampo = valor => {
+        const texto = valor === null || typeof valor === 'undefined' ? '' : String(valor);
+        return /[",\r\n;]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+    };
+
+    const lineas = [columnas.map(escaparCampo).join(',')];
+    filas.forEach(fila => {
+        lineas.push(columnas.map(columna => escaparCampo(fila[columna])).join(','));
+    });
+
+    return lineas.join('\r\n');
+}
+
+/**
+ * Detectar el separador de un CSV mirando la primera línea
+ * Excel en español guarda con punto y coma
+ */
+function detectarSeparadorCSV(texto) {
+    const primeraLinea = texto.split(/\r?\n/, 1)[0] || '';
+    const comas = (primeraLinea.match(/,/g) || []).length;
+    const puntosYComa = (primeraLinea.match(/;/g) || []).length;
+    return puntosYComa > comas ? ';' : ',';
+}
+
+/**
+ * Convertir texto CSV en filas de campos
+ * @param {string} texto - Contenido del archivo
+ * @returns {string[][]} Filas sin las líneas vacías
+ */
+function parsearCSV(texto) {
+    const contenido = String(texto).replace(/^\uFEFF/, '');
+    const separador = detectarSeparadorCSV(contenido);
+    const filas = [];
+    let fila = [];
+    let campo = '';
+    let entreComillas = false;
+
+    for (let i = 0; i < contenido.length; i++) {
+        const caracter = contenido[i];
+
+        if (entreComillas) {
+            if (caracter === '"' && contenido[i + 1] === '"') {
+                campo += '"';
+                i++;
+            } else if (caracter === '"') {
+                entreComillas = false;
+            } else {
+                campo += caracter;
+            }
+        } else if (caracter === '"') {
+            entreComillas = true;
+        } else if (caracter === separador) {
+            fila.push(campo);
+            campo = '';
+        } else if (caracter === '\n' || caracter === '\r') {
+            if (caracter === '\r' && contenido[i + 1] === '\n') {
+                i++;
+            }
+            fila.push(campo);
+            filas.push(fila);
+            fila = [];
+            campo = '';
+        } else {
+            campo += caracter;
+        }
+    }
+
+    if (entreComillas) {
+        throw new Error('CSV mal formado: falta cerrar unas comillas');
+    }
+
+    if (campo !== '' || fila.length > 0) {
+        fila.push(campo);
+        filas.push(fila);
+    }
+
+    return filas.filter(campos => campos.some(valor => valor.trim() !== ''));
+}
+
+/**
+ * Convertir texto CSV en objetos usando la primera fila como cabecera
+ * @param {string} texto - Contenido del archivo
+ * @returns {{columnas: string[], filas: Object[]}}
+ */
+function parsearCSVConCabecera(texto) {
+    const [cabecera = [], ...resto] = parsearCSV(texto);
+    const columnas = cabecera.map(columna => columna.trim());
+
+    const filas = resto.map(campos => {
+        const objeto = {};
+        columnas.forEach((columna, indice) => {
+            objeto[columna] = typeof campos[indice] === 'undefined' ? '' : campos[indice];
+        });
+        return objeto;
+    });
+
+    return { columnas, filas };
+}
@@ -0,0 +1,72 @@
+/**
+ * diff.js - Comparación de textos palabra por palabra
+ * Usa la subsecuencia común más larga (LCS) sobre palabras y espacios
+ */
+
+/**
+ * Comparar dos textos por palabras
+ * @param {string} anterior - Texto original
+ * @param {string} nuevo - Texto modificado
+ * @returns {{tipo: 'igual'|'agregado'|'eliminado', texto: string}[]} Fragmentos en orden
+ */
+function diffPalabras(anterior = '', nuevo = '') {
+    const a = dividirEnPalabras(anterior);
+    const b = dividirEnPalabras(nuevo);
+
+    // Tabla LCS desde el final: lcs[i][j] = longitud común de a[i..] y b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const fragmentos = [];
+    const agregar = (tipo, texto) => {
+        const ultimo = fragmentos[fragmentos.length - 1];
+        if (ultimo && ultimo.tipo === tipo) {
+            ultimo.texto += texto;
+        } else {
+            fragmentos.push({ tipo, texto });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            agregar('igual', a[i]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            agregar('eliminado', a[i++]);
+        } else {
+            agregar('agregado', b[j++]);
+        }
+    }
+    while (i < a.length) agregar('eliminado', a[i++]);
+    while (j < b.length) agregar('agregado', b[j++]);
+
+    return fragmentos;
+}
+
+/**
+ * Dividir un texto en palabras conservando los espacios como elementos propios
+ */
+function dividirEnPalabras(texto) {
+    return String(texto).split(/(\s+)/).filter(parte => parte !== '');
+}
+
+/**
+ * Convertir el resultado de diffPalabras a HTML con <ins> y <del>
+ */
+function renderizarDiffHtml(fragmentos) {
+    const etiquetas = { agregado: 'ins', eliminado: 'del' };
+
+    return fragmentos.map(({ tipo, texto }) => {
+        const html = escapeHtml(texto).replace(/\n/g, '<br>');
+        return etiquetas[tipo] ? `<${etiquetas[tipo]}>${html}</${etiquetas[tipo]}>` : html;
+    }).join('');
+}
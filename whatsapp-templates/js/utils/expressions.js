@@ -0,0 +1,359 @@
+/**
+ * expressions.js - Lenguaje de expresiones de las plantillas
+ * {{variable}}, valores por defecto {{nombre|cliente}}, formatos {{fecha|fecha:larga}}
+ * y condicionales {{#if vip}}...{{else}}...{{/if}}. No se evalúa código: solo estas formas
+ */
+
+const REGEX_NOMBRE_EXPRESION = /^[\p{L}_][\p{L}\p{N}_]*$/u;
+
+// Valores que cuentan como falsos en {{#if}} además del texto vacío (se escriben a mano)
+const VALORES_FALSOS = ['0', 'no', 'false', 'falso'];
+
+/**
+ * Error de sintaxis en una expresión
+ * posicion es el índice del carácter en el texto analizado
+ */
+class ErrorExpresion extends Error {
+    constructor(motivo, posicion) {
+        super(motivo);
+        this.name = 'ErrorExpresion';
+        this.posicion = posicion;
+    }
+}
+
+/**
+ * Formatos disponibles tras la barra: {{variable|formato}} o {{variable|formato:opción}}
+ * validar devuelve el motivo si la opción no es válida
+ */
+const FORMATOS_EXPRESION = {
+    mayusculas: {
+        aplicar: (valor, opcion, locale) => valor.toLocaleUpperCase(locale)
+    },
+    minusculas: {
+        aplicar: (valor, opcion, locale) => valor.toLocaleLowerCase(locale)
+    },
+    capitalizar: {
+        aplicar: (valor, opcion, locale) => valor
+            .toLocaleLowerCase(locale)
+            .replace(/(^|\s)(\p{L})/gu, (coincidencia, espacio, letra) => espacio + letra.toLocaleUpperCase(locale))
+    },
+    fecha: {
+        validar: opcion => !opcion || ['corta', 'media', 'larga', 'completa'].includes(opcion)
+            ? null
+            : `Formato de fecha desconocido "${opcion}" (corta, media, larga o completa)`,
+        aplicar: (valor, opcion, locale) => {
+            const fecha = interpretarFecha(valor);
+            if (!fecha) return valor;
+            const estilos = { corta: 'short', media: 'medium', larga: 'long', completa: 'full' };
+            return fecha.valor.toLocaleDateString(locale, {
+                dateStyle: estilos[opcion || 'media'],
+                timeZone: fecha.soloFecha ? 'UTC' : undefined
+            });
+        }
+    },
+    hora: {
+        aplicar: (valor, opcion, locale) => {
+            const fecha = interpretarFecha(valor);
+            return fecha && !fecha.soloFecha
+                ? fecha.valor.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' })
+                : valor;
+        }
+    },
+    moneda: {
+        validar: opcion => !opcion || /^[A-Z]{3}$/.test(opcion)
+            ? null
+            : `Código de moneda no válido "${opcion}" (tres letras, p. ej. EUR)`,
+        aplicar: (valor, opcion, locale) => {
+            const numero = interpretarNumero(valor);
+            return numero === null
+                ? valor
+                : numero.toLocaleString(locale, { style: 'currency', currency: opcion || monedaDeLocale(locale) });
+        }
+    },
+    numero: {
+        validar: opcion => !opcion || /^\d$/.test(opcion)
+            ? null
+            : `Número de decimales no válido "${opcion}" (de 0 a 9)`,
+        aplicar: (valor, opcion, locale) => {
+            const numero = interpretarNumero(valor);
+            if (numero === null) return valor;
+            const decimales = opcion ? Number(opcion) : undefined;
+            return numero.toLocaleString(locale, { minimumFractionDigits: decimales, maximumFractionDigits: decimales });
+        }
+    }
+};
+
+/**
+ * Analizar un texto con expresiones
+ * Los fragmentos {{> nombre}} que queden sin expandir se conservan como texto
+ * @param {string} texto - Texto de la plantilla
+ * @returns {Object[]} Nodos: texto, variable o si (con entonces y sino)
+ * @throws {ErrorExpresion} Con la posición exacta del error
+ */
+function parsearExpresiones(texto = '') {
+    const fuente = String(texto);
+    const raiz = [];
+    const bloques = []; // { nodo, padre } de los {{#if}} abiertos
+    let destino = raiz;
+    let indice = 0;
+
+    while (indice < fuente.length) {
+        const apertura = fuente.indexOf('{{', indice);
+        if (apertura === -1) {
+            destino.push({ tipo: 'texto', valor: fuente.slice(indice) });
+            break;
+        }
+        if (apertura > indice) {
+            destino.push({ tipo: 'texto', valor: fuente.slice(indice, apertura) });
+        }
+
+        const cierre = fuente.indexOf('}}', apertura + 2);
+        if (cierre === -1) {
+            throw new ErrorExpresion('Falta cerrar la expresión con }}', apertura);
+        }
+
+        const interior = fuente.slice(apertura + 2, cierre);
+        const inicioInterior = apertura + 2;
+        const limpio = interior.trim();
+        const desplazamiento = inicioInterior + interior.indexOf(limpio);
+        indice = cierre + 2;
+
+        if (limpio.startsWith('>')) {
+            destino.push({ tipo: 'texto', valor: fuente.slice(apertura, indice) });
+        } else if (limpio.startsWith('#')) {
+            const [bloque, nombre, ...resto] = limpio.slice(1).trim().split(/\s+/);
+            if (bloque !== 'if') {
+                throw new ErrorExpresion(`Bloque desconocido {{#${bloque}}}: solo existe {{#if}}`, desplazamiento);
+            }
+            if (!nombre || !REGEX_NOMBRE_EXPRESION.test(nombre) || resto.length > 0) {
+                throw new ErrorExpresion('{{#if}} necesita el nombre de una variable, p. ej. {{#if vip}}', desplazamiento);
+            }
+            const nodo = { tipo: 'si', nombre, entonces: [], sino: null, posicion: apertura };
+            destino.push(nodo);
+            bloques.push({ nodo, padre: destino });
+            destino = nodo.entonces;
+        } else if (limpio === 'else') {
+            const abierto = bloques[bloques.length - 1];
+            if (!abierto) {
+                throw new ErrorExpresion('{{else}} fuera de un {{#if}}', apertura);
+            }
+            if (abierto.nodo.sino) {
+                throw new ErrorExpresion('Este {{#if}} ya tiene un {{else}}', apertura);
+            }
+            abierto.nodo.sino = [];
+            destino = abierto.nodo.sino;
+        } else if (limpio.startsWith('/')) {
+            const abierto = bloques.pop();
+            if (limpio.slice(1).trim() !== 'if') {
+                throw new ErrorExpresion(`Cierre desconocido {{${limpio}}}: usa {{/if}}`, apertura);
+            }
+            if (!abierto) {
+                throw new ErrorExpresion('{{/if}} sin su {{#if}}', apertura);
+            }
+            destino = abierto.padre;
+        } else {
+            destino.push(parsearVariable(interior, inicioInterior, fuente.slice(apertura, indice)));
+        }
+    }
+
+    if (bloques.length > 0) {
+        const abierto = bloques[bloques.length - 1].nodo;
+        throw new ErrorExpresion(`Falta {{/if}} para cerrar {{#if ${abierto.nombre}}}`, abierto.posicion);
+    }
+
+    return raiz;
+}
+
+/**
+ * Analizar el interior de {{variable|por defecto|formato:opción}}
+ * @param {string} interior - Texto entre las llaves
+ * @param {number} inicio - Posición del interior en el texto completo
+ * @param {string} original - Expresión completa, para mostrarla si falta el valor
+ */
+function parsearVariable(interior, inicio, original) {
+    const segmentos = [];
+    let actual = '';
+    let posicionActual = 0;
+    let entreComillas = false;
+
+    // Las barras dentro de comillas forman parte del valor por defecto
+    for (let i = 0; i < interior.length; i++) {
+        const caracter = interior[i];
+        if (caracter === '"') {
+            entreComillas = !entreComillas;
+        }
+        if (caracter === '|' && !entreComillas) {
+            segmentos.push({ texto: actual, posicion: posicionActual });
+            actual = '';
+            posicionActual = i + 1;
+        } else {
+            actual += caracter;
+        }
+    }
+    if (entreComillas) {
+        throw new ErrorExpresion('Faltan las comillas de cierre', inicio + interior.lastIndexOf('"'));
+    }
+    segmentos.push({ texto: actual, posicion: posicionActual });
+
+    const posicionDe = segmento => inicio + segmento.posicion + (segmento.texto.length - segmento.texto.trimStart().length);
+    const [primero, ...resto] = segmentos;
+    const nombre = primero.texto.trim();
+    if (!nombre) {
+        throw new ErrorExpresion('Expresión vacía: falta el nombre de la variable', posicionDe(primero));
+    }
+    if (!REGEX_NOMBRE_EXPRESION.test(nombre)) {
+        throw new ErrorExpresion(`Nombre de variable no válido "${nombre}"`, posicionDe(primero));
+    }
+
+    const nodo = { tipo: 'variable', nombre, porDefecto: null, formatos: [], original };
+    resto.forEach(segmento => {
+        const texto = segmento.texto.trim();
+        const [formato, ...opciones] = texto.split(':');
+        const nombreFormato = formato.trim();
+        const opcion = opciones.join(':').trim();
+
+        if (!texto) {
+            throw new ErrorExpresion('Falta el valor por defecto o el formato tras |', posicionDe(segmento));
+        }
+
+        if (Object.prototype.hasOwnProperty.call(FORMATOS_EXPRESION, nombreFormato)) {
+            const { validar } = FORMATOS_EXPRESION[nombreFormato];
+            const motivo = validar ? validar(opcion) : null;
+            if (motivo) {
+                throw new ErrorExpresion(motivo, posicionDe(segmento));
+            }
+            nodo.formatos.push({ nombre: nombreFormato, opcion });
+            return;
+        }
+
+        if (nodo.porDefecto !== null) {
+            throw new ErrorExpresion(`"${texto}" no es un formato y ya hay valor por defecto`, posicionDe(segmento));
+        }
+        nodo.porDefecto = /^".*"$/.test(texto) ? texto.slice(1, -1) : texto;
+    });
+
+    return nodo;
+}
+
+/**
+ * Generar el texto a partir de los nodos
+ * Las variables sin valor ni valor por defecto se dejan tal cual para que se noten
+ * @param {Object[]} nodos - Resultado de parsearExpresiones
+ * @param {Object} valores - Valores indexados por nombre de variable
+ * @param {string} locale - Formato regional de fechas, números y mayúsculas
+ * @returns {{texto: string, faltantes: string[]}}
+ */
+function renderizarExpresiones(nodos, valores = {}, locale = obtenerLocaleInterfaz()) {
+    const faltantes = [];
+    const valorDe = nombre => (typeof valores[nombre] === 'string' ? valores[nombre].trim() : '');
+
+    const recorrer = lista => lista.map(nodo => {
+        if (nodo.tipo === 'texto') {
+            return nodo.valor;
+        }
+
+        if (nodo.tipo === 'si') {
+            const valor = valorDe(nodo.nombre);
+            const cierto = valor !== '' && !VALORES_FALSOS.includes(valor.toLowerCase());
+            return recorrer(cierto ? nodo.entonces : nodo.sino || []);
+        }
+
+        const valor = typeof valores[nodo.nombre] === 'string' && valores[nodo.nombre].trim() !== ''
+            ? valores[nodo.nombre]
+            : nodo.porDefecto;
+        if (valor === null) {
+            if (!faltantes.includes(nodo.nombre)) {
+                faltantes.push(nodo.nombre);
+            }
+            return nodo.original;
+        }
+        return nodo.formatos.reduce(
+            (resultado, formato) => FORMATOS_EXPRESION[formato.nombre].aplicar(resultado, formato.opcion, locale),
+            valor
+        );
+    }).join('');
+
+    return { texto: recorrer(nodos), faltantes };
+}
+
+/**
+ * Analizar y generar un texto en un paso
+ * @throws {ErrorExpresion} Si el texto tiene errores de sintaxis
+ */
+function evaluarExpresiones(texto, valores = {}, locale = obtenerLocaleInterfaz()) {
+    return renderizarExpresiones(parsearExpresiones(texto), valores, locale);
+}
+
+/**
+ * Variables que aparecen en los nodos (también las de las condiciones), en orden
+ */
+function variablesDeExpresiones(nodos, variables = []) {
+    nodos.forEach(nodo => {
+        if ((nodo.tipo === 'variable' || nodo.tipo === 'si') && !variables.includes(nodo.nombre)) {
+            variables.push(nodo.nombre);
+        }
+        if (nodo.tipo === 'si') {
+            variablesDeExpresiones(nodo.entonces, variables);
+            variablesDeExpresiones(nodo.sino || [], variables);
+        }
+    });
+    return variables;
+}
+
+/**
+ * Comprobar si los nodos usan algo más que variables simples
+ */
+function usaExpresionesAvanzadas(nodos) {
+    return nodos.some(nodo =>
+        nodo.tipo === 'si' || (nodo.tipo === 'variable' && (nodo.porDefecto !== null || nodo.formatos.length > 0))
+    );
+}
+
+/**
+ * Línea y columna (desde 1) de una posición del texto
+ */
+function lineaYColumna(texto, posicion) {
+    const anterior = String(texto).slice(0, posicion).split('\n');
+    return { linea: anterior.length, columna: anterior[anterior.length - 1].length + 1 };
+}
+
+/**
+ * Interpretar una fecha escrita a mano: AAAA-MM-DD (con hora opcional) o DD/MM/AAAA
+ * @returns {{valor: Date, soloFecha: boolean}|null}
+ */
+function interpretarFecha(texto) {
+    const limpio = String(texto).trim();
+    const europea = limpio.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (europea) {
+        const [, dia, mes, anio] = europea.map(Number);
+        const valor = new Date(Date.UTC(anio, mes - 1, dia));
+        return valor.getUTCDate() === dia ? { valor, soloFecha: true } : null;
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}/.test(limpio)) {
+        const valor = new Date(limpio);
+        return isNaN(valor.getTime()) ? null : { valor, soloFecha: limpio.length === 10 };
+    }
+    return null;
+}
+
+/**
+ * Interpretar un número escrito con separadores de cualquier formato regional
+ * El último separador es el decimal (1.234,56 y 1,234.56) salvo que sea el único tipo
+ * de separador y lo sigan justo 3 cifras: 1.234 y 1,234 son miles
+ * @returns {number|null}
+ */
+function interpretarNumero(texto) {
+    const limpio = String(texto).trim().replace(/[\s €$£]/g, '');
+    // Al menos una cifra: "." o "," sueltos no son un número
+    if (!/^-?[\d.,]*\d[\d.,]*$/.test(limpio)) return null;
+
+    const ultimo = Math.max(limpio.lastIndexOf('.'), limpio.lastIndexOf(','));
+    const soloMiles = limpio.length - ultimo - 1 === 3 && !(limpio.includes('.') && limpio.includes(','));
+    const esDecimal = ultimo !== -1 && !soloMiles;
+    const entero = (esDecimal ? limpio.slice(0, ultimo) : limpio).replace(/[.,]/g, '');
+    const decimales = esDecimal ? limpio.slice(ultimo + 1) : '';
+    const numero = Number(decimales ? `${entero}.${decimales}` : entero);
+
+    return isNaN(numero) ? null : numero;
+}
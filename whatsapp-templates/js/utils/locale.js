@@ -0,0 +1,139 @@
+/**
+ * locale.js - Idiomas de las plantillas y configuración regional de la interfaz
+ * Guarda en LocalStorage qué idiomas se traducen y en qué formato se muestran las fechas
+ */
+
+const IDIOMAS_KEY = 'whatsapp_templates_idiomas';
+const LOCALE_KEY = 'whatsapp_templates_locale';
+
+// Idiomas que se pueden configurar: nombre visible, código de Meta y locale por defecto
+const IDIOMAS_CONOCIDOS = {
+    es: { nombre: 'Español', meta: 'es', locale: 'es-ES' },
+    en: { nombre: 'English', meta: 'en', locale: 'en-US' },
+    pt: { nombre: 'Português', meta: 'pt_BR', locale: 'pt-BR' },
+    fr: { nombre: 'Français', meta: 'fr', locale: 'fr-FR' },
+    it: { nombre: 'Italiano', meta: 'it', locale: 'it-IT' },
+    de: { nombre: 'Deutsch', meta: 'de', locale: 'de-DE' }
+};
+
+// Moneda por defecto del formato {{importe|moneda}} según el formato regional
+const MONEDAS_POR_LOCALE = {
+    'es-ES': 'EUR',
+    'es-MX': 'MXN',
+    'en-US': 'USD',
+    'en-GB': 'GBP',
+    'pt-BR': 'BRL',
+    'pt-PT': 'EUR'
+};
+const MONEDA_INICIAL = 'EUR';
+
+const IDIOMAS_INICIALES = ['es', 'en', 'pt'];
+const IDIOMA_PLANTILLA_INICIAL = 'es';
+const LOCALE_INICIAL = 'es-ES';
+
+// Formatos regionales que se ofrecen para la interfaz
+const LOCALES_INTERFAZ = {
+    'es-ES': 'Español (España)',
+    'es-MX': 'Español (México)',
+    'en-US': 'English (US)',
+    'en-GB': 'English (UK)',
+    'pt-BR': 'Português (Brasil)',
+    'pt-PT': 'Português (Portugal)'
+};
+
+/**
+ * Obtener los idiomas en los que se espera tener cada plantilla
+ * @returns {string[]} Códigos de idioma, el primero es el idioma por defecto de las nuevas
+ */
+function obtenerIdiomasConfigurados() {
+    try {
+        const guardados = JSON.parse(localStorage.getItem(IDIOMAS_KEY));
+        const validos = Array.isArray(guardados) ? guardados.filter(idioma => IDIOMAS_CONOCIDOS[idioma]) : [];
+        return validos.length > 0 ? validos : [...IDIOMAS_INICIALES];
+    } catch (error) {
+        return [...IDIOMAS_INICIALES];
+    }
+}
+
+/**
+ * Guardar los idiomas configurados
+ * @returns {boolean} true si hay al menos un idioma conocido y se guardó
+ */
+function guardarIdiomasConfigurados(idiomas) {
+    const validos = [...new Set(idiomas)].filter(idioma => IDIOMAS_CONOCIDOS[idioma]);
+    if (validos.length === 0) {
+        return false;
+    }
+
+    try {
+        localStorage.setItem(IDIOMAS_KEY, JSON.stringify(validos));
+    } catch (error) {
+        console.warn('No se pudieron guardar los idiomas:', error);
+    }
+    return true;
+}
+
+/**
+ * Obtener el formato regional de la interfaz (fechas y números)
+ */
+function obtenerLocaleInterfaz() {
+    try {
+        const guardado = localStorage.getItem(LOCALE_KEY);
+        return LOCALES_INTERFAZ[guardado] ? guardado : LOCALE_INICIAL;
+    } catch (error) {
+        return LOCALE_INICIAL;
+    }
+}
+
+/**
+ * Guardar el formato regional de la interfaz
+ * @returns {boolean} true si el locale es uno de LOCALES_INTERFAZ
+ */
+function guardarLocaleInterfaz(locale) {
+    if (!LOCALES_INTERFAZ[locale]) {
+        return false;
+    }
+
+    try {
+        localStorage.setItem(LOCALE_KEY, locale);
+    } catch (error) {
+        console.warn('No se pudo guardar el formato regional:', error);
+    }
+    return true;
+}
+
+/**
+ * Formato regional con el que se escriben fechas y números en una plantilla
+ * Si la interfaz usa una variante del mismo idioma (p. ej. es-MX) se respeta
+ * @param {string} idioma - Código de idioma de la plantilla
+ */
+function localeDeIdioma(idioma) {
+    const interfaz = obtenerLocaleInterfaz();
+    if (!idioma || interfaz.startsWith(`${idioma}-`)) {
+        return interfaz;
+    }
+    return IDIOMAS_CONOCIDOS[idioma] ? IDIOMAS_CONOCIDOS[idioma].locale : interfaz;
+}
+
+/**
+ * Moneda por defecto de un formato regional
+ */
+function monedaDeLocale(locale) {
+    return MONEDAS_POR_LOCALE[locale] || MONEDA_INICIAL;
+}
+
+/**
+ * Nombre visible de un idioma (el código si no se conoce)
+ */
+function nombreIdioma(idioma) {
+    return IDIOMAS_CONOCIDOS[idioma] ? IDIOMAS_CONOCIDOS[idioma].nombre : idioma;
+}
+
+/**
+ * Opciones <option> con los idiomas indicados
+ */
+function opcionesIdioma(idiomas, seleccionado) {
+    return idiomas.map(idioma => `
+        <option value="${escapeHtml(idioma)}" ${idioma === seleccionado ? 'selected' : ''}>${escapeHtml(nombreIdioma(idioma))}</option>
+    `).join('');
+}
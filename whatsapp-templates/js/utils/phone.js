@@ -0,0 +1,83 @@
+/**
+ * phone.js - Validación y normalización de teléfonos
+ * Convierte números escritos a mano al formato internacional E.164
+ */
+
+const CODIGO_PAIS_KEY = 'whatsapp_templates_codigo_pais';
+const CODIGO_PAIS_INICIAL = '34';
+
+/**
+ * Obtener el código de país por defecto configurado
+ * @returns {string} Código de país sin el signo +
+ */
+function obtenerCodigoPaisPorDefecto() {
+    try {
+        return localStorage.getItem(CODIGO_PAIS_KEY) || CODIGO_PAIS_INICIAL;
+    } catch (error) {
+        return CODIGO_PAIS_INICIAL;
+    }
+}
+
+/**
+ * Guardar el código de país por defecto
+ * @param {string} codigo - Código con o sin +, de 1 a 3 dígitos
+ * @returns {boolean} true si el código es válido y se guardó
+ */
+function guardarCodigoPaisPorDefecto(codigo) {
+    const limpio = String(codigo).trim().replace(/^\+/, '');
+    if (!/^[1-9]\d{0,2}$/.test(limpio)) {
+        return false;
+    }
+
+    try {
+        localStorage.setItem(CODIGO_PAIS_KEY, limpio);
+    } catch (error) {
+        console.warn('No se pudo guardar el código de país:', error);
+    }
+    return true;
+}
+
+/**
+ * Normalizar un teléfono a E.164 (+ seguido de 8 a 15 dígitos)
+ * Acepta espacios, guiones, puntos, paréntesis y los prefijos + o 00.
+ * Los números nacionales reciben el código de país por defecto.
+ * @param {string} numero - Teléfono tal como lo escribió el usuario
+ * @param {string} codigoPais - Código de país para números nacionales
+ * @returns {{valido: boolean, numero?: string, error?: string}}
+ */
+function normalizarTelefono(numero, codigoPais = obtenerCodigoPaisPorDefecto()) {
+    const texto = String(numero || '').trim();
+    if (!texto) {
+        return { valido: false, error: 'Teléfono vacío' };
+    }
+
+    if (/[^\d\s\-.()+]/.test(texto)) {
+        return { valido: false, error: 'El teléfono solo puede contener dígitos, espacios, guiones y +' };
+    }
+
+    const compacto = texto.replace(/[\s\-.()]/g, '');
+    let digitos;
+
+    if (compacto.startsWith('+')) {
+        digitos = compacto.slice(1);
+    } else if (compacto.startsWith('00')) {
+        digitos = compacto.slice(2);
+    } else {
+        // Número nacional: se quita el 0 de marcación nacional si lo hay
+        digitos = String(codigoPais).replace(/^\+/, '') + compacto.replace(/^0+/, '');
+    }
+
+    if (!/^\d+$/.test(digitos)) {
+        return { valido: false, error: 'El signo + solo puede ir al principio' };
+    }
+
+    if (digitos.startsWith('0')) {
+        return { valido: false, error: 'El código de país no puede empezar por 0' };
+    }
+
+    if (digitos.length < 8 || digitos.length > 15) {
+        return { valido: false, error: 'Un número internacional tiene entre 8 y 15 dígitos' };
+    }
+
+    return { valido: true, numero: `+${digitos}` };
+}
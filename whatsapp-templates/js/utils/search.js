@@ -0,0 +1,218 @@
+/**
+ * search.js - Búsqueda tolerante a acentos, mayúsculas y erratas
+ * Se usa para filtrar la lista y para resaltar las coincidencias
+ */
+
+/**
+ * Normalizar texto para comparar: sin acentos y en minúsculas
+ */
+function normalizarBusqueda(texto = '') {
+    return mapearNormalizado(texto).normalizado;
+}
+
+/**
+ * Normalizar texto guardando para cada carácter normalizado su posición en el original
+ * @returns {{normalizado: string, posiciones: number[]}}
+ */
+function mapearNormalizado(texto = '') {
+    let normalizado = '';
+    const posiciones = [];
+    const original = String(texto);
+
+    for (let i = 0; i < original.length; i++) {
+        const limpio = original[i].normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+        for (const caracter of limpio) {
+            normalizado += caracter;
+            posiciones.push(i);
+        }
+    }
+
+    return { normalizado, posiciones };
+}
+
+/**
+ * Dividir una consulta en términos normalizados
+ */
+function obtenerTerminosBusqueda(consulta = '') {
+    return normalizarBusqueda(consulta).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Erratas toleradas según la longitud del término
+ */
+function erratasPermitidas(termino) {
+    if (termino.length >= 8) return 2;
+    if (termino.length >= 4) return 1;
+    return 0;
+}
+
+/**
+ * Distancia de edición (Levenshtein) con corte cuando supera el máximo
+ */
+function distanciaEdicion(a, b, maximo) {
+    if (Math.abs(a.length - b.length) > maximo) return maximo + 1;
+
+    let anterior = Array.from({ length: b.length + 1 }, (valor, indice) => indice);
+    for (let i = 1; i <= a.length; i++) {
+        const actual = [i];
+        let minimoFila = i;
+        for (let j = 1; j <= b.length; j++) {
+            actual[j] = Math.min(
+                anterior[j] + 1,
+                actual[j - 1] + 1,
+                anterior[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            minimoFila = Math.min(minimoFila, actual[j]);
+        }
+        if (minimoFila > maximo) return maximo + 1;
+        anterior = actual;
+    }
+    return anterior[b.length];
+}
+
+/**
+ * Buscar dónde aparece un término en un texto normalizado
+ * Primero como subcadena; si no, una palabra (o su comienzo) con pocas erratas
+ * @returns {{inicio: number, fin: number, exacta: boolean}|null} Posición en el texto normalizado
+ */
+function encontrarTermino(normalizado, termino) {
+    const indice = normalizado.indexOf(termino);
+    if (indice !== -1) {
+        return { inicio: indice, fin: indice + termino.length, exacta: true };
+    }
+
+    const maximo = erratasPermitidas(termino);
+    if (maximo === 0) return null;
+
+    for (const palabra of normalizado.matchAll(/[\p{L}\p{N}_]+/gu)) {
+        // Comparar también con el comienzo de la palabra para permitir escribir a medias
+        const prefijo = palabra[0].slice(0, termino.length);
+        if (distanciaEdicion(palabra[0], termino, maximo) <= maximo ||
+            (palabra[0].length > termino.length && distanciaEdicion(prefijo, termino, maximo) <= maximo)) {
+            return { inicio: palabra.index, fin: palabra.index + palabra[0].length, exacta: false };
+        }
+    }
+    return null;
+}
+
+/**
+ * Puntuar cuánto coincide una consulta con varios campos
+ * Todos los términos deben aparecer en algún campo; los campos tienen peso
+ * @param {{texto: string, peso: number}[]} campos - Textos donde buscar
+ * @param {string[]} terminos - Términos de obtenerTerminosBusqueda
+ * @returns {number} 0 si no coincide; mayor cuanto mejor
+ */
+function puntuarBusqueda(campos, terminos) {
+    if (terminos.length === 0) return 1;
+
+    const normalizados = campos.map(campo => ({ ...campo, texto: normalizarBusqueda(campo.texto) }));
+    let total = 0;
+
+    for (const termino of terminos) {
+        let mejor = 0;
+        normalizados.forEach(({ texto, peso }) => {
+            const coincidencia = encontrarTermino(texto, termino);
+            if (coincidencia) {
+                const alInicio = coincidencia.inicio === 0 || /[^\p{L}\p{N}]/u.test(texto[coincidencia.inicio - 1]);
+                const puntos = peso * (coincidencia.exacta ? (alInicio ? 1 : 0.8) : 0.5);
+                mejor = Math.max(mejor, puntos);
+            }
+        });
+
+        if (mejor === 0) return 0;
+        total += mejor;
+    }
+
+    return total;
+}
+
+/**
+ * Puntuar una consulta escrita como abreviatura: sus letras aparecen en orden en el texto
+ * ("sbv" encuentra "Saludo de bienvenida"); cuentan más las que empiezan palabra o van seguidas
+ * @returns {number} 0 si no aparecen todas; hasta 1 cuanto mejor
+ */
+function puntuarSubsecuencia(texto, consulta) {
+    const normalizado = normalizarBusqueda(texto);
+    const letras = normalizarBusqueda(consulta).replace(/\s+/g, '');
+    if (!letras) return 0;
+
+    let puntos = 0;
+    let anterior = -2;
+    let desde = 0;
+    for (const letra of letras) {
+        const indice = normalizado.indexOf(letra, desde);
+        if (indice === -1) return 0;
+
+        const alInicio = indice === 0 || /[^\p{L}\p{N}]/u.test(normalizado[indice - 1]);
+        puntos += alInicio ? 1 : indice === anterior + 1 ? 0.7 : 0.3;
+        anterior = indice;
+        desde = indice + 1;
+    }
+
+    return puntos / letras.length;
+}
+
+/**
+ * Rangos del texto original que coinciden con los términos
+ * @returns {{inicio: number, fin: number}[]} Rangos ordenados y sin solaparse
+ */
+function buscarRangos(texto, terminos) {
+    const { normalizado, posiciones } = mapearNormalizado(texto);
+    const rangos = [];
+
+    terminos.forEach(termino => {
+        let desde = 0;
+        while (desde < normalizado.length) {
+            const coincidencia = encontrarTermino(normalizado.slice(desde), termino);
+            if (!coincidencia) break;
+
+            const inicio = posiciones[desde + coincidencia.inicio];
+            const fin = posiciones[desde + coincidencia.fin - 1] + 1;
+            rangos.push({ inicio, fin });
+            desde += coincidencia.fin;
+        }
+    });
+
+    return rangos
+        .sort((a, b) => a.inicio - b.inicio)
+        .reduce((unidos, rango) => {
+            const ultimo = unidos[unidos.length - 1];
+            if (ultimo && rango.inicio <= ultimo.fin) {
+                ultimo.fin = Math.max(ultimo.fin, rango.fin);
+            } else {
+                unidos.push({ ...rango });
+            }
+            return unidos;
+        }, []);
+}
+
+/**
+ * Resaltar con <mark> las coincidencias dentro de un elemento ya renderizado
+ * Recorre solo los nodos de texto, así no rompe el HTML del formato de WhatsApp
+ */
+function resaltarCoincidencias(elemento, terminos) {
+    if (!elemento || terminos.length === 0) return;
+
+    const recorrido = document.createTreeWalker(elemento, NodeFilter.SHOW_TEXT);
+    const nodos = [];
+    while (recorrido.nextNode()) {
+        nodos.push(recorrido.currentNode);
+    }
+
+    nodos.forEach(nodo => {
+        const rangos = buscarRangos(nodo.textContent, terminos);
+        if (rangos.length === 0) return;
+
+        const fragmento = document.createDocumentFragment();
+        let posicion = 0;
+        rangos.forEach(({ inicio, fin }) => {
+            fragmento.appendChild(document.createTextNode(nodo.textContent.slice(posicion, inicio)));
+            const marca = document.createElement('mark');
+            marca.textContent = nodo.textContent.slice(inicio, fin);
+            fragmento.appendChild(marca);
+            posicion = fin;
+        });
+        fragmento.appendChild(document.createTextNode(nodo.textContent.slice(posicion)));
+        nodo.parentNode.replaceChild(fragmento, nodo);
+    });
+}
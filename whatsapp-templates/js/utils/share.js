@@ -0,0 +1,79 @@
+/**
+ * share.js - Envío rápido de mensajes
+ * Copia al portapapeles y enlaces wa.me para abrir el chat de WhatsApp
+ */
+
+const WHATSAPP_BASE_URL = 'https://wa.me/';
+
+// A partir de esta longitud algunos navegadores y la app de WhatsApp recortan el enlace
+const LONGITUD_MAXIMA_ENLACE = 4000;
+
+/**
+ * Construir un enlace wa.me con el mensaje codificado
+ * @param {string} texto - Mensaje final, con variables ya resueltas
+ * @param {string} telefono - Opcional, en formato E.164
+ * @returns {string} URL lista para abrir
+ */
+function construirEnlaceWhatsApp(texto, telefono = '') {
+    // encodeURIComponent codifica emoji y acentos como UTF-8 completo,
+    // y los saltos de línea se unifican para que WhatsApp no muestre \r
+    let normalizado = String(texto).replace(/\r\n?/g, '\n');
+    if (typeof normalizado.toWellFormed === 'function') {
+        // Un emoji cortado a la mitad haría fallar encodeURIComponent
+        normalizado = normalizado.toWellFormed();
+    }
+    const mensaje = encodeURIComponent(normalizado);
+    const destino = telefono ? telefono.replace(/^\+/, '') : '';
+
+    return `${WHATSAPP_BASE_URL}${destino}?text=${mensaje}`;
+}
+
+/**
+ * Copiar texto al portapapeles
+ * Usa la API Clipboard y, si no está disponible, un textarea temporal
+ * @param {string} texto - Texto a copiar
+ * @returns {Promise<boolean>} true si se copió
+ */
+async function copiarAlPortapapeles(texto) {
+    try {
+        if (navigator.clipboard && window.isSecureContext) {
+            await navigator.clipboard.writeText(texto);
+            return true;
+        }
+    } catch (error) {
+        console.warn('Clipboard API no disponible, usando alternativa:', error);
+    }
+
+    const area = document.createElement('textarea');
+    area.value = texto;
+    area.setAttribute('readonly', '');
+    area.style.cssText = 'position: fixed; top: -1000px; opacity: 0;';
+    document.body.appendChild(area);
+    area.select();
+
+    try {
+        return document.execCommand('copy');
+    } catch (error) {
+        console.error('Error al copiar al portapapeles:', error);
+        return false;
+    } finally {
+        document.body.removeChild(area);
+    }
+}
+
+/**
+ * Abrir WhatsApp con el mensaje y el teléfono indicados
+ * @param {string} texto - Mensaje final
+ * @param {string} telefono - Opcional, en formato E.164
+ * @returns {string} Enlace abierto
+ */
+function abrirEnWhatsApp(texto, telefono = '') {
+    const enlace = construirEnlaceWhatsApp(texto, telefono);
+
+    if (enlace.length > LONGITUD_MAXIMA_ENLACE) {
+        mostrarMensajePersistencia('⚠️ Mensaje muy largo: WhatsApp podría recortarlo', 'warning');
+    }
+
+    window.open(enlace, '_blank', 'noopener');
+    return enlace;
+}
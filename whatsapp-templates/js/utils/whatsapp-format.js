@@ -0,0 +1,113 @@
+/**
+ * whatsapp-format.js - Vista previa del formato de WhatsApp
+ * Convierte *negrita*, _cursiva_, ~tachado~ y ```monoespaciado``` a HTML seguro
+ */
+
+// Marcadores en línea y la etiqueta HTML que generan (el orden permite anidarlos)
+const MARCADORES_WHATSAPP = [
+    { marcador: '*', etiqueta: 'strong' },
+    { marcador: '_', etiqueta: 'em' },
+    { marcador: '~', etiqueta: 's' }
+];
+
+// Caracteres de uso privado que marcan lo apartado del formato: INICIO_RESERVA + índice + FIN_RESERVA
+const INICIO_RESERVA = '\uE000';
+const FIN_RESERVA = '\uE001';
+const REGEX_RESERVA = new RegExp(`${INICIO_RESERVA}(\\d+)${FIN_RESERVA}`, 'g');
+const REGEX_CARACTER_RESERVA = new RegExp(`[${INICIO_RESERVA}${FIN_RESERVA}]`, 'g');
+
+/**
+ * Convertir texto con formato de WhatsApp a HTML
+ * Todo el texto pasa por escapeHtml antes de aplicar el formato
+ * @param {string} texto - Texto tal como se pegaría en WhatsApp
+ * @returns {string} HTML listo para insertar
+ */
+function formatearWhatsApp(texto = '') {
+    // HTML de lo apartado; se restaura en una sola pasada, sin volver a buscar marcas en lo restaurado
+    const reservas = [];
+    const reservar = html => {
+        reservas.push(html);
+        return `${INICIO_RESERVA}${reservas.length - 1}${FIN_RESERVA}`;
+    };
+    const restaurar = html => html.replace(REGEX_RESERVA, (original, indice) => reservas[indice]);
+
+    // 1. Apartar los caracteres de reserva que ya trae el texto, para no confundirlos con las marcas,
+    //    y los bloques ```mono``` para que no se formatee su interior
+    const apartado = String(texto)
+        .replace(REGEX_CARACTER_RESERVA, reservar)
+        .replace(/```([\s\S]+?)```/g, (original, codigo) =>
+            reservar(`<code class="wa-mono">${restaurar(escapeHtml(codigo)).replace(/\r?\n/g, '<br>')}</code>`)
+        );
+
+    // 2. Escapar HTML y aplicar los marcadores en línea
+    let html = escapeHtml(apartado);
+    MARCADORES_WHATSAPP.forEach(({ marcador, etiqueta }) => {
+        html = html.replace(crearRegexMarcador(marcador), `$1<${etiqueta}>$2</${etiqueta}>`);
+    });
+
+    // 3. Saltos de línea y restauración de lo apartado
+    return restaurar(html.replace(/\r?\n/g, '<br>'));
+}
+
+/**
+ * Crear la expresión regular de un marcador
+ * Igual que WhatsApp: el marcador no puede ir pegado a letras por fuera
+ * ni a espacios por dentro, y no cruza saltos de línea
+ */
+function crearRegexMarcador(marcador) {
+    // Fuera de las clases de caracteres el asterisco necesita escape; dentro no
+    const m = marcador === '*' ? '\\*' : marcador;
+    const c = marcador;
+    return new RegExp(
+        `(^|[^\\p{L}\\p{N}${c}])${m}([^\\s${c}](?:[^${c}\\n]*[^\\s${c}])?)${m}(?![\\p{L}\\p{N}${c}])`,
+        'gu'
+    );
+}
+
+// Iconos de la vista previa de mensajes interactivos
+const ICONOS_ENCABEZADO_MEDIA = { imagen: '🖼️', video: '🎬', documento: '📄' };
+const ICONOS_BOTON = { respuesta: '↩️', url: '🔗', telefono: '📞' };
+
+/**
+ * Renderizar un mensaje como burbuja de chat de WhatsApp
+ * Con encabezado, pie o botones se dibuja como mensaje interactivo
+ * @param {string} texto - Texto del mensaje
+ * @param {Object} partes - Opcional: { tipoEncabezado, encabezado, pie, botones } (una plantilla sirve)
+ * @returns {string} HTML de la burbuja
+ */
+function renderizarBurbujaWhatsApp(texto = '', partes = {}) {
+    const hora = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const botones = partes.botones || [];
+
+    let encabezado = '';
+    if (partes.tipoEncabezado === 'texto' && partes.encabezado) {
+        encabezado = `<div class="wa-encabezado">${formatearWhatsApp(partes.encabezado)}</div>`;
+    } else if (ICONOS_ENCABEZADO_MEDIA[partes.tipoEncabezado]) {
+        encabezado = `
+            <div class="wa-media">
+                <span>${ICONOS_ENCABEZADO_MEDIA[partes.tipoEncabezado]}</span>
+                <small>${escapeHtml(partes.encabezado || partes.tipoEncabezado)}</small>
+            </div>
+        `;
+    }
+
+    return `
+        <div class="wa-chat">
+            <div class="wa-mensaje">
+                <div class="wa-bubble">
+                    ${encabezado}
+                    <div class="wa-texto">${formatearWhatsApp(texto)}</div>
+                    ${partes.pie ? `<div class="wa-pie">${escapeHtml(partes.pie)}</div>` : ''}
+                    <span class="wa-hora">${hora} ✓✓</span>
+                </div>
+                ${botones.length > 0 ? `
+                    <div class="wa-botones">
+                        ${botones.map(boton => `
+                            <div class="wa-boton">${ICONOS_BOTON[boton.tipo] || ''} ${escapeHtml(boton.texto || '')}</div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
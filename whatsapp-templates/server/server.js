@@ -0,0 +1,219 @@
+/**
+ * server.js - Servidor REST de referencia para la sincronización remota
+ * Solo usa módulos de Node y guarda las plantillas en un archivo JSON: pensado para pruebas
+ * y equipos pequeños, no para exponerlo en Internet (no tiene autenticación)
+ *
+ * Uso: node server/server.js [puerto] [archivo]   (por defecto 8787 y server/plantillas.json)
+ *
+ *   GET    /plantillas                 Lista de plantillas
+ *   GET    /plantillas/:uid            Una plantilla
+ *   POST   /plantillas                 Crear (409 si el uid ya existe)
+ *   PUT    /plantillas/:uid            Actualizar; "revision" debe ser la guardada (409 si no)
+ *   DELETE /plantillas/:uid?revision=N Eliminar; sin revisión se elimina siempre
+ *
+ * Las respuestas 409 incluyen { error, plantilla } con la versión del servidor.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PUERTO = Number(process.argv[2] || process.env.PORT || 8787);
+const ARCHIVO = path.resolve(process.argv[3] || path.join(__dirname, 'plantillas.json'));
+const TAMANO_MAXIMO = 1024 * 1024; // Bytes por petición
+
+/**
+ * Error con código HTTP para responder al cliente
+ */
+class ErrorHttp extends Error {
+    constructor(estado, motivo, extra = {}) {
+        super(motivo);
+        this.estado = estado;
+        this.extra = extra;
+    }
+}
+
+// uid -> plantilla (con su revisión); sin prototipo para que uids como "__proto__" sean claves normales
+let plantillas = cargarArchivo();
+
+/**
+ * Leer el archivo de datos (vacío si todavía no existe)
+ */
+function cargarArchivo() {
+    const vacias = Object.create(null);
+    if (!fs.existsSync(ARCHIVO)) {
+        return vacias;
+    }
+    const datos = JSON.parse(fs.readFileSync(ARCHIVO, 'utf8'));
+    return datos && datos.plantillas && typeof datos.plantillas === 'object'
+        ? Object.assign(vacias, datos.plantillas)
+        : vacias;
+}
+
+/**
+ * Escribir el archivo completo; primero en uno temporal para no dejarlo a medias
+ */
+function guardarArchivo() {
+    const temporal = `${ARCHIVO}.tmp`;
+    fs.writeFileSync(temporal, JSON.stringify({ plantillas }, null, 2));
+    fs.renameSync(temporal, ARCHIVO);
+}
+
+/**
+ * Leer y validar el cuerpo JSON de una plantilla
+ */
+function leerPlantilla(peticion) {
+    return new Promise((resolve, reject) => {
+        let cuerpo = '';
+        peticion.setEncoding('utf8');
+        peticion.on('data', trozo => {
+            cuerpo += trozo;
+            if (cuerpo.length > TAMANO_MAXIMO) {
+                reject(new ErrorHttp(413, 'Petición demasiado grande'));
+                peticion.destroy();
+            }
+        });
+        peticion.on('end', () => {
+            let plantilla;
+            try {
+                plantilla = JSON.parse(cuerpo);
+            } catch (error) {
+                reject(new ErrorHttp(400, 'JSON no válido'));
+                return;
+            }
+
+            const valida = plantilla && typeof plantilla === 'object' &&
+                typeof plantilla.uid === 'string' && plantilla.uid &&
+                typeof plantilla.nombre === 'string' &&
+                typeof plantilla.contenido === 'string';
+            if (!valida) {
+                reject(new ErrorHttp(400, 'La plantilla necesita uid, nombre y contenido'));
+                return;
+            }
+            resolve(plantilla);
+        });
+        peticion.on('error', reject);
+    });
+}
+
+/**
+ * Comprobar que la revisión que envía el cliente es la guardada
+ * @throws {ErrorHttp} 409 con la versión del servidor
+ */
+function comprobarRevision(existente, revision) {
+    if (existente.revision !== revision) {
+        throw new ErrorHttp(409, `El servidor tiene la revisión ${existente.revision}`, { plantilla: existente });
+    }
+}
+
+/**
+ * Decodificar el uid de la ruta; una secuencia % mal formada es un error del cliente
+ */
+function decodificarUid(segmento) {
+    try {
+        return decodeURIComponent(segmento);
+    } catch (error) {
+        throw new ErrorHttp(400, 'Identificador mal codificado en la ruta');
+    }
+}
+
+/**
+ * Atender una petición
+ * @returns {Promise<{estado: number, datos: *}>}
+ */
+async function atender(peticion) {
+    const url = new URL(peticion.url, 'http://localhost');
+    const partes = url.pathname.split('/').filter(Boolean);
+    if (partes[0] !== 'plantillas' || partes.length > 2) {
+        throw new ErrorHttp(404, 'Ruta desconocida');
+    }
+
+    const uid = partes[1] ? decodificarUid(partes[1]) : null;
+
+    if (peticion.method === 'GET' && !uid) {
+        return { estado: 200, datos: Object.values(plantillas) };
+    }
+
+    if (peticion.method === 'GET') {
+        if (!plantillas[uid]) throw new ErrorHttp(404, 'No existe');
+        return { estado: 200, datos: plantillas[uid] };
+    }
+
+    if (peticion.method === 'POST' && !uid) {
+        const plantilla = await leerPlantilla(peticion);
+        if (plantillas[plantilla.uid]) {
+            throw new ErrorHttp(409, 'Ya existe', { plantilla: plantillas[plantilla.uid] });
+        }
+        plantillas[plantilla.uid] = { ...plantilla, revision: 1 };
+        guardarArchivo();
+        return { estado: 201, datos: plantillas[plantilla.uid] };
+    }
+
+    if (peticion.method === 'PUT' && uid) {
+        const plantilla = await leerPlantilla(peticion);
+        if (plantilla.uid !== uid) throw new ErrorHttp(400, 'El uid no coincide con la ruta');
+
+        // Se busca después de leer el cuerpo: mientras llegaba pudo atenderse otra petición
+        const existente = plantillas[uid];
+        if (!existente) throw new ErrorHttp(404, 'No existe');
+        comprobarRevision(existente, plantilla.revision);
+
+        plantillas[uid] = { ...plantilla, revision: existente.revision + 1 };
+        guardarArchivo();
+        return { estado: 200, datos: plantillas[uid] };
+    }
+
+    if (peticion.method === 'DELETE' && uid) {
+        const existente = plantillas[uid];
+        if (!existente) throw new ErrorHttp(404, 'No existe');
+        if (url.searchParams.has('revision')) {
+            comprobarRevision(existente, Number(url.searchParams.get('revision')));
+        }
+
+        delete plantillas[uid];
+        guardarArchivo();
+        return { estado: 204, datos: null };
+    }
+
+    throw new ErrorHttp(405, 'Método no permitido');
+}
+
+const servidor = http.createServer(async (peticion, respuesta) => {
+    // La aplicación se abre desde otro origen (o como archivo local)
+    respuesta.setHeader('Access-Control-Allow-Origin', '*');
+    respuesta.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    respuesta.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (peticion.method === 'OPTIONS') {
+        respuesta.writeHead(204);
+        respuesta.end();
+        return;
+    }
+
+    let resultado;
+    try {
+        resultado = await atender(peticion);
+    } catch (error) {
+        if (!(error instanceof ErrorHttp)) {
+            console.error(error);
+        }
+        resultado = error instanceof ErrorHttp
+            ? { estado: error.estado, datos: { error: error.message, ...error.extra } }
+            : { estado: 500, datos: { error: 'Error interno' } };
+    }
+
+    console.log(`${peticion.method} ${peticion.url} → ${resultado.estado}`);
+    if (resultado.estado === 204) {
+        respuesta.writeHead(204);
+        respuesta.end();
+        return;
+    }
+    respuesta.writeHead(resultado.estado, { 'Content-Type': 'application/json; charset=utf-8' });
+    respuesta.end(JSON.stringify(resultado.datos));
+});
+
+servidor.listen(PUERTO, () => {
+    console.log(`🔄 Servidor de plantillas en http://localhost:${PUERTO} (datos en ${ARCHIVO})`);
+});
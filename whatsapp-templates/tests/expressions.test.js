@@ -0,0 +1,219 @@
+/**
+ * expressions.test.js - Pruebas del intérprete de expresiones de plantillas
+ * Carga locale.js y expressions.js como en el navegador (scripts globales) dentro de un contexto aislado
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SCRIPTS = ['js/utils/locale.js', 'js/utils/expressions.js'];
+
+/**
+ * Crear un contexto con los scripts cargados
+ * @param {Object} globales - Variables extra del navegador (p. ej. localStorage)
+ */
+function cargarExpresiones(globales = {}) {
+    const contexto = vm.createContext({ ...globales });
+    for (const script of SCRIPTS) {
+        const archivo = path.join(__dirname, '..', script);
+        vm.runInContext(fs.readFileSync(archivo, 'utf8'), contexto, { filename: archivo });
+    }
+    return contexto;
+}
+
+const ctx = cargarExpresiones();
+const ejecutar = codigo => vm.runInContext(codigo, ctx);
+const { parsearExpresiones, renderizarExpresiones, interpretarNumero } = ctx;
+const FORMATOS_EXPRESION = ejecutar('FORMATOS_EXPRESION');
+
+/**
+ * Renderizar un texto; los espacios de Intl (no separables, estrechos) se comparan como espacios normales
+ */
+function renderizar(texto, valores = {}, locale = 'es-ES') {
+    const resultado = renderizarExpresiones(parsearExpresiones(texto), valores, locale);
+    return { texto: resultado.texto.replace(/\s/g, ' '), faltantes: Array.from(resultado.faltantes) };
+}
+
+/**
+ * Comprobar que el texto no se puede interpretar, con su motivo y posición exactos
+ */
+function assertError(texto, mensaje, posicion) {
+    assert.throws(() => parsearExpresiones(texto), error => {
+        assert.equal(error.name, 'ErrorExpresion');
+        assert.equal(error.message, mensaje);
+        assert.equal(error.posicion, posicion);
+        return true;
+    });
+}
+
+describe('condicionales', () => {
+    test('{{#if}} con {{else}}', () => {
+        const texto = 'Hola {{#if vip}}VIP {{nombre}}{{else}}cliente{{/if}}!';
+        assert.equal(renderizar(texto, { vip: 'sí', nombre: 'Ana' }).texto, 'Hola VIP Ana!');
+        assert.equal(renderizar(texto, { vip: '' }).texto, 'Hola cliente!');
+    });
+
+    test('"0", "no", "false" y "falso" cuentan como falsos', () => {
+        for (const valor of ['0', 'No', 'false', 'FALSO']) {
+            assert.equal(renderizar('{{#if x}}a{{else}}b{{/if}}', { x: valor }).texto, 'b', valor);
+        }
+    });
+
+    test('{{#if}} sin {{else}} no escribe nada si es falso', () => {
+        assert.equal(renderizar('a{{#if x}}b{{/if}}c').texto, 'ac');
+    });
+
+    test('bloques anidados', () => {
+        const texto = '{{#if a}}A{{#if b}}B{{else}}-b{{/if}}{{else}}-a{{/if}}';
+        assert.equal(renderizar(texto, { a: '1', b: '1' }).texto, 'AB');
+        assert.equal(renderizar(texto, { a: '1', b: '' }).texto, 'A-b');
+        assert.equal(renderizar(texto, { a: '', b: '1' }).texto, '-a');
+    });
+
+    test('las variables de la rama no elegida no faltan', () => {
+        assert.deepEqual(renderizar('{{#if a}}{{nombre}}{{/if}}', { a: '' }).faltantes, []);
+    });
+});
+
+describe('valores por defecto', () => {
+    test('se usan cuando falta la variable y entre comillas admiten |', () => {
+        const resultado = renderizar('{{nombre|cliente}} {{x|"a|b"}} {{y}}');
+        assert.equal(resultado.texto, 'cliente a|b {{y}}');
+        assert.deepEqual(resultado.faltantes, ['y']);
+    });
+
+    test('el valor tiene prioridad sobre el defecto', () => {
+        assert.equal(renderizar('{{nombre|cliente}}', { nombre: 'Ana' }).texto, 'Ana');
+    });
+
+    test('un formato desconocido se toma como valor por defecto', () => {
+        assert.equal(renderizar('{{x|negrita}}').texto, 'negrita');
+        assert.equal(renderizar('{{x|negrita:si}}').texto, 'negrita:si');
+        assert.equal(renderizar('{{x|negrita}}', { x: 'hola' }).texto, 'hola');
+    });
+
+    test('el defecto también pasa por los formatos', () => {
+        assert.equal(renderizar('{{nombre|cliente|mayusculas}}').texto, 'CLIENTE');
+    });
+});
+
+describe('formatos', () => {
+    test('todos los formatos tienen pruebas', () => {
+        assert.deepEqual(Object.keys(FORMATOS_EXPRESION).sort(),
+            ['capitalizar', 'fecha', 'hora', 'mayusculas', 'minusculas', 'moneda', 'numero']);
+    });
+
+    test('mayusculas según el idioma', () => {
+        assert.equal(renderizar('{{x|mayusculas}}', { x: 'istanbul' }, 'tr-TR').texto, 'İSTANBUL');
+        assert.equal(renderizar('{{x|mayusculas}}', { x: 'istanbul' }, 'es-ES').texto, 'ISTANBUL');
+    });
+
+    test('minusculas según el idioma', () => {
+        assert.equal(renderizar('{{x|minusculas}}', { x: 'İSTANBUL' }, 'tr-TR').texto, 'istanbul');
+        assert.equal(renderizar('{{x|minusculas}}', { x: 'ÁRBOL' }).texto, 'árbol');
+    });
+
+    test('capitalizar cada palabra', () => {
+        assert.equal(renderizar('{{x|capitalizar}}', { x: 'maría josé PÉREZ' }).texto, 'María José Pérez');
+    });
+
+    test('fecha en sus cuatro estilos', () => {
+        assert.equal(renderizar('{{x|fecha}}', { x: '2024-03-05' }).texto, '5 mar 2024');
+        assert.equal(renderizar('{{x|fecha:corta}}', { x: '2024-03-05' }, 'en-US').texto, '3/5/24');
+        assert.equal(renderizar('{{x|fecha:larga}}', { x: '05/03/2024' }).texto, '5 de marzo de 2024');
+        assert.equal(renderizar('{{x|fecha:completa}}', { x: '2024-03-05' }, 'pt-BR').texto, 'terça-feira, 5 de março de 2024');
+    });
+
+    test('fecha deja igual lo que no es una fecha válida', () => {
+        assert.equal(renderizar('{{x|fecha}}', { x: 'mañana' }).texto, 'mañana');
+        assert.equal(renderizar('{{x|fecha}}', { x: '31/02/2024' }).texto, '31/02/2024');
+    });
+
+    test('hora según el idioma', () => {
+        assert.equal(renderizar('{{x|hora}}', { x: '2024-03-05T09:07' }).texto, '09:07');
+        assert.equal(renderizar('{{x|hora}}', { x: '2024-03-05T21:07' }, 'en-US').texto, '09:07 PM');
+        assert.equal(renderizar('{{x|hora}}', { x: '2024-03-05' }).texto, '2024-03-05');
+    });
+
+    test('moneda del idioma o indicada', () => {
+        assert.equal(renderizar('{{x|moneda}}', { x: '1234,5' }).texto, '1234,50 €');
+        assert.equal(renderizar('{{x|moneda}}', { x: '1234.5' }, 'en-US').texto, '$1,234.50');
+        assert.equal(renderizar('{{x|moneda:USD}}', { x: '1.234,50' }).texto, '1234,50 US$');
+    });
+
+    test('moneda deja igual lo que no es un número', () => {
+        assert.equal(renderizar('{{x|moneda}}', { x: 'mucho' }).texto, 'mucho');
+        assert.equal(renderizar('{{x|moneda}}', { x: '.' }).texto, '.');
+    });
+
+    test('numero con separadores del idioma y decimales', () => {
+        assert.equal(renderizar('{{x|numero}}', { x: '1234567,891' }).texto, '1.234.567.891');
+        assert.equal(renderizar('{{x|numero:2}}', { x: '1,234.5' }, 'en-US').texto, '1,234.50');
+        assert.equal(renderizar('{{x|numero:0}}', { x: '1.234' }, 'de-DE').texto, '1.234');
+        assert.equal(renderizar('{{x|numero}}', { x: ',' }).texto, ',');
+    });
+
+    test('sin idioma indicado se usa el de la interfaz', () => {
+        const almacen = { whatsapp_templates_locale: 'en-US' };
+        const enIngles = cargarExpresiones({ localStorage: { getItem: clave => almacen[clave] ?? null } });
+        const nodos = enIngles.parsearExpresiones('{{x|moneda}}');
+        assert.equal(enIngles.renderizarExpresiones(nodos, { x: '5' }).texto, '$5.00');
+
+        // Sin almacenamiento disponible se usa el idioma inicial
+        assert.equal(ctx.renderizarExpresiones(parsearExpresiones('{{x|moneda}}'), { x: '5' }).texto.replace(/\s/g, ' '), '5,00 €');
+    });
+});
+
+describe('interpretarNumero', () => {
+    test('separadores de miles y decimales', () => {
+        assert.equal(interpretarNumero('1.234,5'), 1234.5);
+        assert.equal(interpretarNumero('1,234.5'), 1234.5);
+        assert.equal(interpretarNumero('-12,5'), -12.5);
+        assert.equal(interpretarNumero(',5'), 0.5);
+    });
+
+    test('sin cifras no es un número', () => {
+        for (const texto of ['.', ',', '-', '.,', '', 'abc']) {
+            assert.equal(interpretarNumero(texto), null, JSON.stringify(texto));
+        }
+    });
+});
+
+describe('errores con su posición', () => {
+    test('bloques sin cerrar', () => {
+        assertError('{{#if vip}}hola', 'Falta {{/if}} para cerrar {{#if vip}}', 0);
+        assertError('{{#if a}}{{#if b}}x{{/if}}', 'Falta {{/if}} para cerrar {{#if a}}', 0);
+        assertError('x {{#if a}}y {{#if b}}z', 'Falta {{/if}} para cerrar {{#if b}}', 13);
+    });
+
+    test('cierres y {{else}} de más', () => {
+        assertError('hola {{/if}}', '{{/if}} sin su {{#if}}', 5);
+        assertError('{{else}}', '{{else}} fuera de un {{#if}}', 0);
+        assertError('{{#if a}}x{{else}}y{{else}}z{{/if}}', 'Este {{#if}} ya tiene un {{else}}', 19);
+    });
+
+    test('bloques y cierres desconocidos', () => {
+        assertError('{{#each x}}{{/each}}', 'Bloque desconocido {{#each}}: solo existe {{#if}}', 2);
+        assertError('{{#if a}}{{/fi}}', 'Cierre desconocido {{/fi}}: usa {{/if}}', 9);
+    });
+
+    test('expresiones mal escritas', () => {
+        assertError('ab {{nombre', 'Falta cerrar la expresión con }}', 3);
+        assertError('{{ }}', 'Expresión vacía: falta el nombre de la variable', 3);
+        assertError('{{x|"sin cerrar}}', 'Faltan las comillas de cierre', 4);
+    });
+
+    test('un segundo valor que no es un formato', () => {
+        assertError('{{x|defecto|otro}}', '"otro" no es un formato y ya hay valor por defecto', 12);
+        assertError('{{x|cliente|negrita}}', '"negrita" no es un formato y ya hay valor por defecto', 12);
+    });
+
+    test('opciones de formato no válidas', () => {
+        assertError('{{x|fecha:rara}}', 'Formato de fecha desconocido "rara" (corta, media, larga o completa)', 4);
+        assertError('{{x|moneda:eur}}', 'Código de moneda no válido "eur" (tres letras, p. ej. EUR)', 4);
+        assertError('{{x|numero:10}}', 'Número de decimales no válido "10" (de 0 a 9)', 4);
+    });
+});